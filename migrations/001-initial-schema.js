@@ -0,0 +1,100 @@
+// Users, categories, transactions and documents, with the default categories for a new database
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      display_name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('expense', 'income', 'both')),
+      category_group TEXT DEFAULT 'home' CHECK(category_group IN ('home', 'office')),
+      icon TEXT DEFAULT '💰',
+      color TEXT DEFAULT '#6366f1',
+      user_id INTEGER,
+      is_default INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('expense', 'income')),
+      amount REAL NOT NULL,
+      category_id INTEGER NOT NULL,
+      merchant TEXT,
+      note TEXT,
+      date DATE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (category_id) REFERENCES categories(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS documents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      original_name TEXT NOT NULL,
+      category TEXT DEFAULT 'General',
+      file_path TEXT NOT NULL,
+      file_size INTEGER,
+      mime_type TEXT,
+      uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transactions_user ON transactions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
+    CREATE INDEX IF NOT EXISTS idx_documents_user ON documents(user_id);
+  `);
+
+  const categoryCount = db.prepare('SELECT COUNT(*) as count FROM categories WHERE is_default = 1').get().count;
+  if (categoryCount > 0) return;
+
+  const defaultCategories = [
+    // Home expense categories
+    { name: 'Food & Dining', type: 'expense', icon: '🍔', color: '#ef4444', group: 'home' },
+    { name: 'Groceries', type: 'expense', icon: '🛒', color: '#f97316', group: 'home' },
+    { name: 'Vegetables & Fruits', type: 'expense', icon: '🥬', color: '#16a34a', group: 'home' },
+    { name: 'Drinking Water', type: 'expense', icon: '💧', color: '#0ea5e9', group: 'home' },
+    { name: 'Transport', type: 'expense', icon: '🚗', color: '#eab308', group: 'home' },
+    { name: 'Utilities', type: 'expense', icon: '💡', color: '#22c55e', group: 'home' },
+    { name: 'Entertainment', type: 'expense', icon: '🎬', color: '#3b82f6', group: 'home' },
+    { name: 'Shopping', type: 'expense', icon: '🛍️', color: '#8b5cf6', group: 'home' },
+    { name: 'Health', type: 'expense', icon: '🏥', color: '#ec4899', group: 'home' },
+    { name: 'Pharmacy', type: 'expense', icon: '💊', color: '#e11d48', group: 'home' },
+    { name: 'Insurance', type: 'expense', icon: '🛡️', color: '#0891b2', group: 'home' },
+    { name: 'Jewellery', type: 'expense', icon: '💎', color: '#d946ef', group: 'home' },
+    { name: 'Personal Care', type: 'expense', icon: '💆', color: '#f472b6', group: 'home' },
+    { name: 'Education', type: 'expense', icon: '📚', color: '#14b8a6', group: 'home' },
+    { name: 'Bills', type: 'expense', icon: '📄', color: '#64748b', group: 'home' },
+    { name: 'Other Expense', type: 'expense', icon: '📦', color: '#78716c', group: 'home' },
+    // v1.5.0 categories
+    { name: 'Home Services', type: 'expense', icon: '🏠', color: '#a3754e', group: 'home' },
+    { name: 'Gifts', type: 'expense', icon: '🎁', color: '#e879a8', group: 'home' },
+    { name: 'Religious', type: 'expense', icon: '🛕', color: '#f59e0b', group: 'home' },
+    // Office expense categories
+    { name: 'Office Expenses', type: 'expense', icon: '💼', color: '#6366f1', group: 'office' },
+    { name: 'Office Supplies', type: 'expense', icon: '📎', color: '#8b5cf6', group: 'office' },
+    { name: 'Office Travel', type: 'expense', icon: '🚌', color: '#f59e0b', group: 'office' },
+    // Income categories
+    { name: 'Salary', type: 'income', icon: '💰', color: '#22c55e', group: 'home' },
+    { name: 'Freelance', type: 'income', icon: '💻', color: '#10b981', group: 'home' },
+    { name: 'Interest & Dividends', type: 'income', icon: '📈', color: '#14b8a6', group: 'home' },
+    { name: 'Refunds & Cashback', type: 'income', icon: '↩️', color: '#06b6d4', group: 'home' },
+    { name: 'Other Income', type: 'income', icon: '💵', color: '#84cc16', group: 'home' }
+  ];
+
+  const insertCategory = db.prepare(
+    'INSERT INTO categories (name, type, icon, color, category_group, is_default) VALUES (?, ?, ?, ?, ?, 1)'
+  );
+  for (const cat of defaultCategories) {
+    insertCategory.run(cat.name, cat.type, cat.icon, cat.color, cat.group);
+  }
+};
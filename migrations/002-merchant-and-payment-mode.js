@@ -0,0 +1,13 @@
+// Where the money went and how it was paid
+
+const { addColumn } = require('./helpers');
+
+exports.up = (db) => {
+  addColumn(db, 'transactions', 'merchant', 'TEXT');
+  addColumn(db, 'transactions', 'payment_mode', "TEXT DEFAULT 'cash'");
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant);
+    CREATE INDEX IF NOT EXISTS idx_transactions_payment_mode ON transactions(payment_mode);
+  `);
+};
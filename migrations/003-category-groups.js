@@ -0,0 +1,41 @@
+// Home/Office category groups, plus the categories added in v1.5.0 and for income tracking
+
+const { addColumn } = require('./helpers');
+
+exports.up = (db) => {
+  addColumn(db, 'categories', 'category_group', "TEXT DEFAULT 'home' CHECK(category_group IN ('home', 'office'))");
+  db.prepare("UPDATE categories SET category_group = 'office' WHERE name = 'Office Expenses'").run();
+
+  const newCategories = [
+    { name: 'Vegetables & Fruits', type: 'expense', icon: '🥬', color: '#16a34a', group: 'home' },
+    { name: 'Drinking Water', type: 'expense', icon: '💧', color: '#0ea5e9', group: 'home' },
+    { name: 'Office Expenses', type: 'expense', icon: '💼', color: '#6366f1', group: 'office' },
+    { name: 'Office Supplies', type: 'expense', icon: '📎', color: '#8b5cf6', group: 'office' },
+    { name: 'Office Travel', type: 'expense', icon: '🚌', color: '#f59e0b', group: 'office' },
+    // v1.5.0 - New categories based on spending analysis
+    { name: 'Jewellery', type: 'expense', icon: '💎', color: '#d946ef', group: 'home' },
+    { name: 'Personal Care', type: 'expense', icon: '💆', color: '#f472b6', group: 'home' },
+    { name: 'Insurance', type: 'expense', icon: '🛡️', color: '#0891b2', group: 'home' },
+    { name: 'Pharmacy', type: 'expense', icon: '💊', color: '#e11d48', group: 'home' },
+    // v1.5.0 - New categories based on July 2026 expense analysis
+    { name: 'Home Services', type: 'expense', icon: '🏠', color: '#a3754e', group: 'home' },
+    { name: 'Gifts', type: 'expense', icon: '🎁', color: '#e879a8', group: 'home' },
+    { name: 'Religious', type: 'expense', icon: '🛕', color: '#f59e0b', group: 'home' },
+    // Income categories (income tracking restored)
+    { name: 'Salary', type: 'income', icon: '💰', color: '#22c55e', group: 'home' },
+    { name: 'Freelance', type: 'income', icon: '💻', color: '#10b981', group: 'home' },
+    { name: 'Interest & Dividends', type: 'income', icon: '📈', color: '#14b8a6', group: 'home' },
+    { name: 'Refunds & Cashback', type: 'income', icon: '↩️', color: '#06b6d4', group: 'home' },
+    { name: 'Other Income', type: 'income', icon: '💵', color: '#84cc16', group: 'home' }
+  ];
+
+  const exists = db.prepare('SELECT id FROM categories WHERE name = ? AND is_default = 1');
+  const insertCategory = db.prepare(
+    'INSERT INTO categories (name, type, icon, color, category_group, is_default) VALUES (?, ?, ?, ?, ?, 1)'
+  );
+  for (const cat of newCategories) {
+    if (!exists.get(cat.name)) {
+      insertCategory.run(cat.name, cat.type, cat.icon, cat.color, cat.group);
+    }
+  }
+};
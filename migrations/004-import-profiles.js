@@ -0,0 +1,15 @@
+// Statement import: saved column mappings, matched to a file by its header row
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      header_signature TEXT NOT NULL,
+      mapping TEXT NOT NULL,
+      user_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
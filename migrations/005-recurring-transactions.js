@@ -0,0 +1,34 @@
+// Recurring transactions, and a link from each posted transaction back to its rule
+
+const { addColumn } = require('./helpers');
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recurring_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('expense', 'income')),
+      amount REAL NOT NULL,
+      category_id INTEGER NOT NULL,
+      merchant TEXT,
+      payment_mode TEXT DEFAULT 'cash',
+      note TEXT,
+      frequency TEXT NOT NULL CHECK(frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+      start_date DATE NOT NULL,
+      end_date DATE,
+      next_date DATE NOT NULL,
+      is_paused INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (category_id) REFERENCES categories(id)
+    );
+  `);
+
+  addColumn(db, 'transactions', 'recurring_id', 'INTEGER REFERENCES recurring_transactions(id)');
+
+  // One posting per rule per date - guards against double-posting
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_date
+    ON transactions(recurring_id, date) WHERE recurring_id IS NOT NULL;
+  `);
+};
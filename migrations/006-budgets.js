@@ -0,0 +1,19 @@
+// Monthly budgets for a category or a whole Home/Office group
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS budgets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      category_id INTEGER,
+      category_group TEXT CHECK(category_group IN ('home', 'office')),
+      month TEXT NOT NULL,
+      amount REAL NOT NULL,
+      carry_forward INTEGER DEFAULT 1,
+      user_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      CHECK ((category_id IS NULL) != (category_group IS NULL)),
+      FOREIGN KEY (category_id) REFERENCES categories(id)
+    );
+  `);
+};
@@ -0,0 +1,26 @@
+// Split transactions, and the transaction_lines view that category totals read from
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transaction_splits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL,
+      category_id INTEGER NOT NULL,
+      amount REAL NOT NULL,
+      note TEXT,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+      FOREIGN KEY (category_id) REFERENCES categories(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction ON transaction_splits(transaction_id);
+
+    -- One row per category line: split transactions expand to their splits, others pass through
+    DROP VIEW IF EXISTS transaction_lines;
+    CREATE VIEW transaction_lines AS
+    SELECT t.*,
+           COALESCE(s.category_id, t.category_id) as line_category_id,
+           COALESCE(s.amount, t.amount) as line_amount
+    FROM transactions t
+    LEFT JOIN transaction_splits s ON s.transaction_id = t.id;
+  `);
+};
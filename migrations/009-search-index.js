@@ -0,0 +1,60 @@
+// Full-text search over merchant, note and category name (rowid = transaction id).
+// Category names include split lines' categories; triggers keep the index in sync.
+
+const ftsRowsFor = (where) => `
+  INSERT INTO transactions_fts (rowid, merchant, note, category_name)
+  SELECT t.id, t.merchant, t.note, (
+    SELECT group_concat(c.name, ' ') FROM categories c
+    WHERE c.id = t.category_id OR c.id IN (SELECT category_id FROM transaction_splits WHERE transaction_id = t.id)
+  )
+  FROM transactions t
+  WHERE ${where};
+`;
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS transactions_fts USING fts5(
+      merchant, note, category_name,
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_insert AFTER INSERT ON transactions BEGIN
+      ${ftsRowsFor('t.id = new.id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_update AFTER UPDATE OF merchant, note, category_id ON transactions BEGIN
+      DELETE FROM transactions_fts WHERE rowid = old.id;
+      ${ftsRowsFor('t.id = new.id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_delete AFTER DELETE ON transactions BEGIN
+      DELETE FROM transactions_fts WHERE rowid = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_split_insert AFTER INSERT ON transaction_splits BEGIN
+      DELETE FROM transactions_fts WHERE rowid = new.transaction_id;
+      ${ftsRowsFor('t.id = new.transaction_id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_split_delete AFTER DELETE ON transaction_splits BEGIN
+      DELETE FROM transactions_fts WHERE rowid = old.transaction_id;
+      ${ftsRowsFor('t.id = old.transaction_id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_category_rename AFTER UPDATE OF name ON categories BEGIN
+      DELETE FROM transactions_fts WHERE rowid IN (
+        SELECT id FROM transactions WHERE category_id = new.id
+        UNION SELECT transaction_id FROM transaction_splits WHERE category_id = new.id
+      );
+      ${ftsRowsFor(`t.id IN (
+        SELECT id FROM transactions WHERE category_id = new.id
+        UNION SELECT transaction_id FROM transaction_splits WHERE category_id = new.id
+      )`)}
+    END;
+  `);
+
+  // Index everything already there
+  db.exec('DELETE FROM transactions_fts');
+  db.exec(ftsRowsFor('1=1'));
+};
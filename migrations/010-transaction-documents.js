@@ -0,0 +1,16 @@
+// Receipts: links between transactions and stored documents
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS transaction_documents (
+      transaction_id INTEGER NOT NULL,
+      document_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (transaction_id, document_id),
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+      FOREIGN KEY (document_id) REFERENCES documents(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transaction_documents_document ON transaction_documents(document_id);
+  `);
+};
@@ -0,0 +1,23 @@
+// Soft delete: trashed transactions and documents keep their data until purged.
+// transaction_lines leaves trashed transactions out of category totals.
+
+const { addColumn } = require('./helpers');
+
+exports.up = (db) => {
+  addColumn(db, 'transactions', 'deleted_at', 'DATETIME');
+  addColumn(db, 'documents', 'deleted_at', 'DATETIME');
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transactions_deleted ON transactions(deleted_at) WHERE deleted_at IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_documents_deleted ON documents(deleted_at) WHERE deleted_at IS NOT NULL;
+
+    DROP VIEW IF EXISTS transaction_lines;
+    CREATE VIEW transaction_lines AS
+    SELECT t.*,
+           COALESCE(s.category_id, t.category_id) as line_category_id,
+           COALESCE(s.amount, t.amount) as line_amount
+    FROM transactions t
+    LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+    WHERE t.deleted_at IS NULL;
+  `);
+};
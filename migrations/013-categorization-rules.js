@@ -0,0 +1,54 @@
+// Auto-categorization rules. Conditions are ANDed; a rule needs at least one condition
+// and one action. Seeded with the merchant patterns v1.5.0 used to recategorize at every startup.
+
+const { hasTable } = require('./helpers');
+
+exports.up = (db) => {
+  // Databases that already have rules keep them as they are, including deletions
+  const existed = hasTable(db, 'categorization_rules');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS categorization_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      priority INTEGER NOT NULL DEFAULT 100,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      match_type TEXT CHECK(match_type IN ('expense', 'income')),
+      merchant_contains TEXT,
+      merchant_regex TEXT,
+      min_amount REAL,
+      max_amount REAL,
+      payment_mode TEXT,
+      set_category_id INTEGER,
+      add_tags TEXT,
+      set_note TEXT,
+      user_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (set_category_id) REFERENCES categories(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+  `);
+
+  if (existed) return;
+
+  const seedRules = [
+    { category: 'Insurance', regex: 'insurance|ergo|icici lombard|lic.*premium' },
+    { category: 'Jewellery', regex: 'tanishq|kalyan|joyalukkas|malabar|jewel' },
+    { category: 'Pharmacy', regex: 'pharma|medplus|netmeds' },
+    { category: 'Personal Care', regex: 'hair ?cut|salon|spa|parlou?r' },
+    { category: 'Home Services', regex: 'maid|iron shop|ironing|laundry|washing|plumber|electrician|carpenter' },
+    { category: 'Gifts', regex: 'gift' },
+    { category: 'Religious', regex: 'temple|pooja|puja|archana|prasad' }
+  ];
+
+  const findCategory = db.prepare('SELECT id FROM categories WHERE name = ? AND is_default = 1');
+  const insertRule = db.prepare(`
+    INSERT INTO categorization_rules (name, match_type, merchant_regex, set_category_id)
+    VALUES (?, 'expense', ?, ?)
+  `);
+  for (const rule of seedRules) {
+    const category = findCategory.get(rule.category);
+    if (category) insertRule.run(rule.category, rule.regex, category.id);
+  }
+};
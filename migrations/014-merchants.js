@@ -0,0 +1,77 @@
+// Merchant directory. Names are looked up by their normalized form (lowercase, punctuation
+// stripped); aliases map other spellings ("SWIGGY BLR") to the same merchant.
+// Existing transactions are linked, with the most used spelling of each merchant as its name.
+
+const { addColumn } = require('./helpers');
+
+// Same rule as normalizeMerchant in server.js at the time of this migration
+const normalize = (name) => name
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS merchants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      normalized_name TEXT UNIQUE NOT NULL,
+      default_category_id INTEGER,
+      default_payment_mode TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (default_category_id) REFERENCES categories(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS merchant_aliases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      merchant_id INTEGER NOT NULL,
+      alias TEXT NOT NULL,
+      normalized_alias TEXT UNIQUE NOT NULL,
+      FOREIGN KEY (merchant_id) REFERENCES merchants(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_merchant_aliases_merchant ON merchant_aliases(merchant_id);
+  `);
+
+  addColumn(db, 'transactions', 'merchant_id', 'INTEGER REFERENCES merchants(id)');
+
+  // transaction_lines selects t.*, so it is recreated to pick up the new column
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transactions_merchant_id ON transactions(merchant_id);
+
+    DROP VIEW IF EXISTS transaction_lines;
+    CREATE VIEW transaction_lines AS
+    SELECT t.*,
+           COALESCE(s.category_id, t.category_id) as line_category_id,
+           COALESCE(s.amount, t.amount) as line_amount
+    FROM transactions t
+    LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+    WHERE t.deleted_at IS NULL;
+  `);
+
+  // Directories already filled in keep their merges and removals
+  if (db.prepare('SELECT COUNT(*) as count FROM merchants').get().count > 0) return;
+
+  const spellings = db.prepare(`
+    SELECT merchant, COUNT(*) as count FROM transactions
+    WHERE merchant IS NOT NULL AND merchant != ''
+    GROUP BY merchant
+    ORDER BY count DESC
+  `).all();
+
+  const findMerchant = db.prepare('SELECT id FROM merchants WHERE normalized_name = ?');
+  const insertMerchant = db.prepare('INSERT INTO merchants (name, normalized_name) VALUES (?, ?)');
+  const link = db.prepare('UPDATE transactions SET merchant_id = ? WHERE merchant = ?');
+
+  for (const { merchant } of spellings) {
+    const key = normalize(merchant);
+    if (!key) continue;
+
+    const existing = findMerchant.get(key);
+    const id = existing ? existing.id : insertMerchant.run(merchant.trim(), key).lastInsertRowid;
+    link.run(id, merchant);
+  }
+};
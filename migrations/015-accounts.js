@@ -0,0 +1,50 @@
+// Payment accounts: bank accounts, credit cards (with their statement and due days) and cash.
+// Transactions and recurring rules can point at one; payment_mode still says how it was paid.
+// The payment summary used to assume a single card whose statement closed on the 4th and
+// was due on the 5th. If card transactions exist, that card is created and they are linked.
+
+const { addColumn } = require('./helpers');
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      last4 TEXT,
+      statement_day INTEGER,
+      due_day INTEGER,
+      credit_limit REAL,
+      opening_balance REAL DEFAULT 0,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  addColumn(db, 'transactions', 'account_id', 'INTEGER REFERENCES accounts(id)');
+  addColumn(db, 'recurring_transactions', 'account_id', 'INTEGER REFERENCES accounts(id)');
+
+  // transaction_lines selects t.*, so it is recreated to pick up the new column
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions(account_id, date);
+
+    DROP VIEW IF EXISTS transaction_lines;
+    CREATE VIEW transaction_lines AS
+    SELECT t.*,
+           COALESCE(s.category_id, t.category_id) as line_category_id,
+           COALESCE(s.amount, t.amount) as line_amount
+    FROM transactions t
+    LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+    WHERE t.deleted_at IS NULL;
+  `);
+
+  const cardUsed = db.prepare("SELECT 1 FROM transactions WHERE payment_mode = 'credit_card' LIMIT 1").get();
+  if (!cardUsed || db.prepare('SELECT COUNT(*) as count FROM accounts').get().count > 0) return;
+
+  const card = db.prepare(`
+    INSERT INTO accounts (name, type, statement_day, due_day) VALUES ('Credit Card', 'credit_card', 4, 5)
+  `).run();
+  db.prepare("UPDATE transactions SET account_id = ? WHERE payment_mode = 'credit_card'").run(card.lastInsertRowid);
+  db.prepare("UPDATE recurring_transactions SET account_id = ? WHERE payment_mode = 'credit_card'").run(card.lastInsertRowid);
+};
@@ -0,0 +1,35 @@
+// Cash wallet ledger. Cash spent and cash income are transactions on the household's cash
+// account; money that moves into the wallet without being income (ATM withdrawals, cash
+// handed over by someone) and corrections from counting the cash are cash_movements.
+// amount is signed: withdrawals and receipts are positive, an adjustment is the counted
+// amount less the balance the ledger expected. A withdrawal from one of our bank accounts
+// also comes off that account's balance.
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cash_movements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL REFERENCES accounts(id),
+      kind TEXT NOT NULL CHECK(kind IN ('withdrawal', 'received', 'adjustment')),
+      amount REAL NOT NULL,
+      source_account_id INTEGER REFERENCES accounts(id),
+      counted REAL,
+      date DATE NOT NULL,
+      note TEXT,
+      user_id INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_cash_movements_account ON cash_movements(account_id, date);
+    CREATE INDEX IF NOT EXISTS idx_cash_movements_source ON cash_movements(source_account_id);
+  `);
+
+  // Every household has a wallet; existing cash transactions are its history
+  let wallet = db.prepare("SELECT id FROM accounts WHERE type = 'cash' ORDER BY is_active DESC, id LIMIT 1").get();
+  if (!wallet) {
+    const result = db.prepare("INSERT INTO accounts (name, type) VALUES ('Cash', 'cash')").run();
+    wallet = { id: result.lastInsertRowid };
+  }
+  db.prepare("UPDATE transactions SET account_id = ? WHERE payment_mode = 'cash' AND account_id IS NULL").run(wallet.id);
+  db.prepare("UPDATE recurring_transactions SET account_id = ? WHERE payment_mode = 'cash' AND account_id IS NULL").run(wallet.id);
+};
@@ -0,0 +1,97 @@
+// Transfers: money moving between two of our own accounts (paying the card bill, an ATM
+// withdrawal, moving savings). A transfer is a transaction of type 'transfer' with no
+// category, from account_id to to_account_id, left out of income and expense totals.
+//
+// SQLite can't change a CHECK constraint or drop NOT NULL in place, so transactions is
+// rebuilt. The view and search triggers that depend on it are dropped first and put back
+// afterwards; ids are kept, so splits, tags, attachments and the search index still match.
+// Withdrawals the cash wallet recorded from a bank account become transfers.
+
+const searchIndex = require('./009-search-index');
+
+const COLUMNS = `id, user_id, type, amount, category_id, merchant, note, date, created_at, payment_mode,
+  recurring_id, deleted_at, merchant_id, account_id`;
+
+exports.up = (db) => {
+  // Purged transactions' ids stay retired (their audit history still points at them)
+  const sequence = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'transactions'").get();
+
+  db.exec(`
+    DROP VIEW IF EXISTS transaction_lines;
+    DROP TRIGGER IF EXISTS transactions_fts_insert;
+    DROP TRIGGER IF EXISTS transactions_fts_update;
+    DROP TRIGGER IF EXISTS transactions_fts_delete;
+    DROP TRIGGER IF EXISTS transactions_fts_split_insert;
+    DROP TRIGGER IF EXISTS transactions_fts_split_delete;
+    DROP TRIGGER IF EXISTS transactions_fts_category_rename;
+
+    CREATE TABLE transactions_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('expense', 'income', 'transfer')),
+      amount REAL NOT NULL,
+      category_id INTEGER,
+      merchant TEXT,
+      note TEXT,
+      date DATE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      payment_mode TEXT DEFAULT 'cash',
+      recurring_id INTEGER REFERENCES recurring_transactions(id),
+      deleted_at DATETIME,
+      merchant_id INTEGER REFERENCES merchants(id),
+      account_id INTEGER REFERENCES accounts(id),
+      to_account_id INTEGER REFERENCES accounts(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (category_id) REFERENCES categories(id),
+      CHECK((type = 'transfer') = (category_id IS NULL)),
+      CHECK(type != 'transfer' OR (account_id IS NOT NULL AND to_account_id IS NOT NULL AND account_id != to_account_id))
+    );
+
+    INSERT INTO transactions_new (${COLUMNS}) SELECT ${COLUMNS} FROM transactions;
+    DROP TABLE transactions;
+    ALTER TABLE transactions_new RENAME TO transactions;
+
+    CREATE INDEX idx_transactions_user ON transactions(user_id);
+    CREATE INDEX idx_transactions_date ON transactions(date);
+    CREATE INDEX idx_transactions_merchant ON transactions(merchant);
+    CREATE INDEX idx_transactions_payment_mode ON transactions(payment_mode);
+    CREATE UNIQUE INDEX idx_transactions_recurring_date
+      ON transactions(recurring_id, date) WHERE recurring_id IS NOT NULL;
+    CREATE INDEX idx_transactions_deleted ON transactions(deleted_at) WHERE deleted_at IS NOT NULL;
+    CREATE INDEX idx_transactions_merchant_id ON transactions(merchant_id);
+    CREATE INDEX idx_transactions_account ON transactions(account_id, date);
+    CREATE INDEX idx_transactions_to_account ON transactions(to_account_id, date);
+
+    CREATE VIEW transaction_lines AS
+    SELECT t.*,
+           COALESCE(s.category_id, t.category_id) as line_category_id,
+           COALESCE(s.amount, t.amount) as line_amount
+    FROM transactions t
+    LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+    WHERE t.deleted_at IS NULL;
+  `);
+
+  if (sequence) {
+    db.prepare("DELETE FROM sqlite_sequence WHERE name = 'transactions'").run();
+    db.prepare("INSERT INTO sqlite_sequence (name, seq) VALUES ('transactions', ?)").run(sequence.seq);
+  }
+
+  // Same triggers as before, and the index rebuilt from the copied rows
+  searchIndex.up(db);
+
+  const withdrawals = db.prepare(`
+    SELECT * FROM cash_movements WHERE kind = 'withdrawal' AND source_account_id IS NOT NULL
+  `).all();
+  const fallbackUser = db.prepare('SELECT id FROM users ORDER BY id LIMIT 1').get();
+  const insert = db.prepare(`
+    INSERT INTO transactions (user_id, type, amount, category_id, payment_mode, account_id, to_account_id, note, date, created_at)
+    VALUES (?, 'transfer', ?, NULL, 'bank_transfer', ?, ?, ?, ?, ?)
+  `);
+  for (const movement of withdrawals) {
+    const userId = movement.user_id || (fallbackUser && fallbackUser.id);
+    if (!userId) continue;
+    insert.run(userId, movement.amount, movement.source_account_id, movement.account_id,
+      movement.note || 'ATM withdrawal', movement.date, movement.created_at);
+    db.prepare('DELETE FROM cash_movements WHERE id = ?').run(movement.id);
+  }
+};
@@ -0,0 +1,48 @@
+// Multi-currency. The household has a base currency (a row in settings); every report sums
+// transactions.amount, which stays in the base currency. A transaction in another currency
+// keeps what was typed in currency + original_amount, and amount is that converted with the
+// latest exchange rate on or before its date. currency is NULL for base-currency rows.
+// exchange_rates are entered by hand or imported from CSV: 1 unit of currency = rate in base.
+// Recurring rules keep their amount in their own currency and convert as each one posts.
+
+const { addColumn } = require('./helpers');
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT OR IGNORE INTO settings (key, value) VALUES ('base_currency', 'INR');
+
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      currency TEXT NOT NULL,
+      date DATE NOT NULL,
+      rate REAL NOT NULL CHECK(rate > 0),
+      source TEXT NOT NULL DEFAULT 'manual',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(currency, date)
+    );
+  `);
+
+  addColumn(db, 'transactions', 'currency', 'TEXT');
+  addColumn(db, 'transactions', 'original_amount', 'REAL');
+  addColumn(db, 'recurring_transactions', 'currency', 'TEXT');
+
+  // transaction_lines selects t.*, so it is recreated to pick up the new columns
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transactions_currency ON transactions(currency) WHERE currency IS NOT NULL;
+
+    DROP VIEW IF EXISTS transaction_lines;
+    CREATE VIEW transaction_lines AS
+    SELECT t.*,
+           COALESCE(s.category_id, t.category_id) as line_category_id,
+           COALESCE(s.amount, t.amount) as line_amount
+    FROM transactions t
+    LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+    WHERE t.deleted_at IS NULL;
+  `);
+};
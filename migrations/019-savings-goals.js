@@ -0,0 +1,27 @@
+// Savings goals: a target amount to reach by a target date (a holiday, a phone, wedding
+// jewellery). A goal owns a tag; its contributions are the transactions carrying that tag,
+// usually transfers into the goal's savings account. Money already put by before the goal
+// was set up is its starting_amount. Each goal has its own tag, so one transaction counts
+// towards at most one goal.
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS savings_goals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      icon TEXT DEFAULT '🎯',
+      target_amount REAL NOT NULL CHECK(target_amount > 0),
+      target_date DATE NOT NULL,
+      start_date DATE NOT NULL,
+      starting_amount REAL NOT NULL DEFAULT 0,
+      tag_id INTEGER NOT NULL REFERENCES tags(id),
+      account_id INTEGER REFERENCES accounts(id),
+      is_archived INTEGER DEFAULT 0,
+      user_id INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_savings_goals_tag ON savings_goals(tag_id);
+  `);
+};
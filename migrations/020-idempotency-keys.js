@@ -0,0 +1,18 @@
+// Idempotency keys for adding transactions. The app queues transactions added while it
+// can't reach the server and replays them later, each with a key generated on the phone.
+// A replay whose response was lost is sent again with the same key; finding the key here,
+// the server returns the transaction it already created instead of adding a second one.
+// Keys are forgotten after a while (see IDEMPOTENCY_KEY_DAYS in server.js).
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      key TEXT PRIMARY KEY,
+      transaction_id INTEGER NOT NULL,
+      user_id INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+  `);
+};
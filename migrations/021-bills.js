@@ -0,0 +1,40 @@
+// Bills: payments that fall due on a schedule but, unlike recurring transactions, aren't
+// posted automatically because the amount or the day they're paid varies (electricity,
+// broadband, insurance premiums, school fees). A bill waits on next_due_date; marking it
+// paid adds the expense and moves it to the following due date, on due_day of the month.
+// bill_payments records which due date each payment (or skip, with no transaction) settled.
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS bills (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      payee TEXT NOT NULL,
+      amount REAL NOT NULL CHECK(amount > 0),
+      category_id INTEGER NOT NULL REFERENCES categories(id),
+      account_id INTEGER REFERENCES accounts(id),
+      payment_mode TEXT,
+      frequency TEXT NOT NULL CHECK(frequency IN ('monthly', 'quarterly', 'half_yearly', 'yearly')),
+      due_day INTEGER NOT NULL CHECK(due_day BETWEEN 1 AND 31),
+      next_due_date DATE NOT NULL,
+      note TEXT,
+      is_active INTEGER DEFAULT 1,
+      user_id INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_bills_next_due ON bills(next_due_date) WHERE is_active = 1;
+
+    CREATE TABLE IF NOT EXISTS bill_payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      bill_id INTEGER NOT NULL REFERENCES bills(id),
+      due_date DATE NOT NULL,
+      transaction_id INTEGER REFERENCES transactions(id),
+      user_id INTEGER REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_bill_payments_bill ON bill_payments(bill_id, due_date);
+    CREATE INDEX IF NOT EXISTS idx_bill_payments_transaction ON bill_payments(transaction_id);
+  `);
+};
@@ -0,0 +1,15 @@
+// Expiry tracking for stored documents (licences, passports, insurance policies, vehicle
+// papers). All optional. reminder_days is how long before expiry_date the document starts
+// showing as expiring; NULL uses the app's default lead time.
+
+const { addColumn } = require('./helpers');
+
+exports.up = (db) => {
+  addColumn(db, 'documents', 'issue_date', 'DATE');
+  addColumn(db, 'documents', 'expiry_date', 'DATE');
+  addColumn(db, 'documents', 'reminder_days', 'INTEGER');
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_documents_expiry ON documents(expiry_date) WHERE expiry_date IS NOT NULL;
+  `);
+};
@@ -0,0 +1,23 @@
+// Idempotency keys belong to the user who sent them: the same key from someone else is a
+// different request, not a replay of theirs. The key table is rebuilt with (user_id, key)
+// as its primary key in place of key alone.
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE idempotency_keys_new (
+      key TEXT NOT NULL,
+      transaction_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, key)
+    );
+
+    INSERT INTO idempotency_keys_new (key, transaction_id, user_id, created_at)
+    SELECT key, transaction_id, user_id, created_at FROM idempotency_keys WHERE user_id IS NOT NULL;
+
+    DROP TABLE idempotency_keys;
+    ALTER TABLE idempotency_keys_new RENAME TO idempotency_keys;
+
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+  `);
+};
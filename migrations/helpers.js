@@ -0,0 +1,17 @@
+// Shared by the numbered migrations. Each migration runs once, but the first run on a
+// database created before versioned migrations finds most of the schema already there,
+// so these look before they change anything.
+
+const hasTable = (db, name) =>
+  !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+
+const hasColumn = (db, table, column) =>
+  db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column);
+
+const addColumn = (db, table, column, definition) => {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+module.exports = { hasTable, hasColumn, addColumn };
@@ -0,0 +1,108 @@
+// Versioned schema migrations.
+//
+// Each change to the schema is a numbered file in this directory (NNN-description.js)
+// exporting up(db). Pending migrations run in order at startup, each inside its own
+// transaction, and are recorded in schema_migrations so they never run twice.
+// Before anything runs, the database is copied to the backup directory (if one is given).
+//
+// Migrations are a record of history: never edit one that has shipped, add a new one.
+
+const fs = require('fs');
+const path = require('path');
+
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(__dirname)
+    .filter(file => /^\d{3}-.+\.js$/.test(file))
+    .sort()
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: path.basename(file, '.js'),
+      ...require(path.join(__dirname, file))
+    }));
+
+  migrations.forEach((migration, i) => {
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.name} does not export up(db)`);
+    }
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Two migrations share version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+// Copy of the database taken with VACUUM INTO (consistent even while in use)
+const backupDatabase = (db, backupDir) => {
+  fs.mkdirSync(backupDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const backupPath = path.join(backupDir, `pre-migration-${stamp}.db`);
+  db.prepare('VACUUM INTO ?').run(backupPath);
+  return backupPath;
+};
+
+// Applies pending migrations and returns their names. A failing migration is rolled back
+// and rethrown, so the server doesn't start on a half-migrated schema.
+const runMigrations = (db, { backupDir }) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      duration_ms INTEGER
+    );
+  `);
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+  if (pending.length === 0) return [];
+
+  // A brand-new database has nothing worth backing up
+  const isEmpty = !db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name != 'schema_migrations'"
+  ).get();
+  if (!isEmpty && backupDir) {
+    console.log(`Migrations: ${pending.length} pending, backed up database to ${backupDatabase(db, backupDir)}`);
+  }
+
+  // Foreign keys are off while migrating so a table can be rebuilt (create, copy, drop,
+  // rename) under the rows that point at it; each migration is checked before it commits.
+  // The pragma can't change inside a transaction, hence here.
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, duration_ms) VALUES (?, ?, ?)');
+  try {
+    for (const migration of pending) {
+      const started = Date.now();
+      try {
+        db.transaction(() => {
+          // Only references the migration breaks count; older databases may already have some
+          const brokenBefore = db.pragma('foreign_key_check').length;
+          migration.up(db);
+          const broken = db.pragma('foreign_key_check');
+          if (broken.length > brokenBefore) {
+            throw new Error(`leaves ${broken.length - brokenBefore} broken reference(s), see ${broken[broken.length - 1].table}`);
+          }
+          record.run(migration.version, migration.name, Date.now() - started);
+        })();
+      } catch (err) {
+        console.error(`Migration ${migration.name} failed and was rolled back: ${err.message}`);
+        throw err;
+      }
+      console.log(`Migration ${migration.name} applied (${Date.now() - started}ms)`);
+    }
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+
+  return pending.map(migration => migration.name);
+};
+
+// Highest version this build knows about; a database beyond it came from a newer app
+const latestVersion = () => {
+  const migrations = loadMigrations();
+  return migrations.length ? migrations[migrations.length - 1].version : 0;
+};
+
+module.exports = { runMigrations, latestVersion };
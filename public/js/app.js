@@ -12,12 +12,36 @@ const state = {
     transactions: [],
     allRecentTransactions: [],  // Store all for filtering
     documents: [],
+    editAttachments: [],  // Documents attached to the transaction open in the edit modal
+    activityFilter: '',  // Entity type shown in the activity feed ('' = everything)
+    activityOffset: 0,
     selectedCategory: null,
     currentView: 'home',
     categoryGroup: 'home',  // 'home' or 'office'
+    transactionType: 'expense',  // quick add: 'expense', 'income' or 'transfer'
     transactionFilter: 'all',  // 'all', 'home', or 'office'
     docCategory: 'all',
-    statsPeriod: 'month'
+    statsPeriod: 'month',
+    recurring: [],
+    showAllRecurring: false,
+    budgets: [],  // Current month's budget status, for quick-add hints
+    allCategories: null,  // Every category (both groups and types), loaded on first use by the split editor
+    importFile: null,
+    importCategories: [],
+    importPreview: null,  // { headers, mapping, profile, rows } from the server
+    rules: [],
+    merchants: [],  // Merchant directory as last listed in the merchants modal
+    accounts: [],  // Bank accounts, cards and cash, active first
+    baseCurrency: 'INR',  // Household currency every total is reported in
+    currencies: [],  // Other currencies with exchange rates, from /api/currencies
+    ratesCurrency: null,  // Currency whose rates the currencies modal is showing
+    goals: [],  // Savings goals with their progress, active first
+    showArchivedGoals: false,
+    pendingTransactions: [],  // Queued offline, not yet on the server (see outbox.js)
+    openGoal: null,  // Goal shown in the goal modal, with its contributions
+    bills: [],  // Every bill, as listed in the bills modal
+    billsDue: [],  // Active bills due in the next 14 days or overdue, for the dashboard
+    openBill: null  // Bill being edited or paid in the bills modal
 };
 
 // ========================================
@@ -30,6 +54,16 @@ if ('serviceWorker' in navigator) {
             console.log('App updated to version:', event.data.version);
             showUpdateNotification();
         }
+        if (event.data && event.data.type === 'OUTBOX_REPLAYED') {
+            afterOutboxReplay(event.data.result);
+        }
+        if (event.data && event.data.type === 'API_ONLINE') showOfflineBanner(null);
+        if (event.data && event.data.type === 'API_OFFLINE') showOfflineBanner(event.data.cachedAt);
+        // Shown from the cache after the session ended on the server
+        if (event.data && event.data.type === 'API_UNAUTHORIZED' && state.user) {
+            state.user = null;
+            showScreen('auth-screen');
+        }
     });
 
     // Check for updates periodically (every 5 minutes)
@@ -63,6 +97,10 @@ const api = {
             }
         });
 
+        // A server answer means we're online. A copy from the service worker (X-Cached-At) waits
+        // for its API_ONLINE / API_OFFLINE message about the refresh behind it
+        if (!response.headers.get('X-Cached-At')) showOfflineBanner(null);
+
         if (!response.ok) {
             const error = await response.json().catch(() => ({ error: 'Request failed' }));
             throw new Error(error.error || 'Request failed');
@@ -74,13 +112,18 @@ const api = {
     get: (endpoint) => api.request(endpoint),
     post: (endpoint, data) => api.request(endpoint, { method: 'POST', body: JSON.stringify(data) }),
     patch: (endpoint, data) => api.request(endpoint, { method: 'PATCH', body: JSON.stringify(data) }),
+    put: (endpoint, data) => api.request(endpoint, { method: 'PUT', body: JSON.stringify(data) }),
     delete: (endpoint) => api.request(endpoint, { method: 'DELETE' }),
 
-    async uploadFile(file, name, category) {
+    // dates: { issueDate, expiryDate, reminderDays }, any of them left out when empty
+    async uploadFile(file, name, category, dates = {}) {
         const formData = new FormData();
         formData.append('file', file);
         formData.append('name', name);
         formData.append('category', category);
+        Object.entries(dates).forEach(([key, value]) => {
+            if (value !== null && value !== '') formData.append(key, value);
+        });
 
         const response = await fetch('/api/documents', {
             method: 'POST',
@@ -92,23 +135,143 @@ const api = {
             throw new Error(error.error || 'Upload failed');
         }
 
+        return response.json();
+    },
+
+    // Receipts for a transaction - saved to Documents and linked in one request
+    async uploadAttachments(transactionId, files) {
+        const formData = new FormData();
+        for (const file of files) {
+            formData.append('files', file);
+        }
+
+        const response = await fetch(`/api/transactions/${transactionId}/documents`, {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ error: 'Upload failed' }));
+            throw new Error(error.error || 'Upload failed');
+        }
+
+        return response.json();
+    },
+
+    async restoreBackup(file) {
+        const formData = new FormData();
+        formData.append('file', file);
+
+        const response = await fetch('/api/backup/restore', {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ error: 'Restore failed' }));
+            throw new Error(error.error || 'Restore failed');
+        }
+
+        return response.json();
+    },
+
+    async previewStatement(file, { mapping, profileId } = {}) {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (mapping) formData.append('mapping', JSON.stringify(mapping));
+        if (profileId) formData.append('profileId', profileId);
+
+        const response = await fetch('/api/transactions/import/preview', {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ error: 'Could not read statement' }));
+            throw new Error(error.error || 'Could not read statement');
+        }
+
+        return response.json();
+    },
+
+    async importRates(file, { currency, dateOrder }) {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (currency) formData.append('currency', currency);
+        formData.append('dateOrder', dateOrder);
+
+        const response = await fetch('/api/currencies/rates/import', {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ error: 'Import failed' }));
+            throw new Error(error.error || 'Import failed');
+        }
+
         return response.json();
     }
 };
 
+// Same cache name as API_CACHE in sw.js
+const API_CACHE = 'dands-api-data';
+
+// When the oldest response shown since the server last answered was cached (ISO string)
+let offlineDataFrom = null;
+
+// cachedAt is the X-Cached-At of a cached response the service worker couldn't refresh;
+// null (the server answered) hides the banner again
+function showOfflineBanner(cachedAt) {
+    const banner = document.getElementById('offline-banner');
+    if (!cachedAt) {
+        offlineDataFrom = null;
+        banner.style.display = 'none';
+        return;
+    }
+
+    if (!offlineDataFrom || cachedAt < offlineDataFrom) offlineDataFrom = cachedAt;
+    const from = new Date(offlineDataFrom);
+    const time = from.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: false });
+    const day = from.toDateString() === new Date().toDateString()
+        ? '' : `${from.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })} `;
+    banner.textContent = `📴 Offline — showing data from ${day}${time}`;
+    banner.style.display = '';
+}
+
+// The household's data kept on this device: cached API responses and, with unsent, the
+// offline queue
+async function clearOfflineData({ unsent = false } = {}) {
+    if ('caches' in window) await caches.delete(API_CACHE);
+    if (unsent) await outbox.clear();
+    showOfflineBanner(null);
+}
+
 // ========================================
 // Utility Functions
 // ========================================
 const utils = {
-    formatCurrency(amount) {
+    // For text that may hold < > & (regex patterns) going into innerHTML
+    escapeHtml(str) {
+        return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    },
+
+    // Amounts are in the base currency unless another is given
+    formatCurrency(amount, currency) {
         return new Intl.NumberFormat('en-IN', {
             style: 'currency',
-            currency: 'INR',
+            currency: currency || state.baseCurrency,
             minimumFractionDigits: 0,
             maximumFractionDigits: 2
         }).format(amount);
     },
 
+    currencySymbol(currency) {
+        const part = new Intl.NumberFormat('en-IN', { style: 'currency', currency: currency || state.baseCurrency })
+            .formatToParts(0).find(p => p.type === 'currency');
+        return part ? part.value : currency;
+    },
+
     formatDate(dateStr) {
         const date = new Date(dateStr);
         const today = new Date();
@@ -175,16 +338,35 @@ const utils = {
 // ========================================
 // Toast Notifications
 // ========================================
-function showToast(message, type = 'info') {
+let toastTimer = null;
+
+// action: optional { label, onClick } shown as a button (e.g. Undo); such toasts stay up longer
+function showToast(message, type = 'info', action = null) {
     const toast = document.getElementById('toast');
     const toastMessage = document.getElementById('toast-message');
+    const toastAction = document.getElementById('toast-action');
 
     toast.className = 'toast show ' + type;
     toastMessage.textContent = message;
 
-    setTimeout(() => {
+    if (action) {
+        toastAction.textContent = action.label;
+        toastAction.style.display = '';
+        toastAction.onclick = () => {
+            toast.className = 'toast';
+            toastAction.onclick = null;
+            action.onClick();
+        };
+    } else {
+        toastAction.style.display = 'none';
+        toastAction.onclick = null;
+    }
+
+    // A newer toast replaces the old one rather than being hidden by its timer
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.className = 'toast';
-    }, 3000);
+    }, action ? 6000 : 3000);
 }
 
 // ========================================
@@ -199,7 +381,7 @@ function showScreen(screenId) {
     // Show/hide bottom nav based on screen
     const bottomNav = document.getElementById('bottom-nav');
     if (bottomNav) {
-        const isAppScreen = ['main-screen', 'transactions-view', 'documents-view', 'stats-view'].includes(screenId);
+        const isAppScreen = ['main-screen', 'transactions-view', 'import-view', 'activity-view', 'documents-view', 'stats-view'].includes(screenId);
         bottomNav.style.display = isAppScreen ? 'flex' : 'none';
     }
 }
@@ -233,6 +415,8 @@ async function checkSetupStatus() {
 async function login(username, password) {
     const result = await api.post('/auth/login', { username, password });
     if (result.success) {
+        // A session that ended without logging out may have left someone else's data cached
+        await clearOfflineData();
         const user = await api.get('/auth/me');
         state.user = user;
         showToast('Welcome back, ' + user.displayName + '!', 'success');
@@ -243,6 +427,7 @@ async function login(username, password) {
 async function register(displayName, username, password) {
     const result = await api.post('/auth/register', { displayName, username, password });
     if (result.success) {
+        await clearOfflineData();
         const user = await api.get('/auth/me');
         state.user = user;
         showToast('Account created! Welcome, ' + displayName + '!', 'success');
@@ -251,8 +436,19 @@ async function register(displayName, username, password) {
 }
 
 async function logout() {
-    await api.post('/auth/logout');
+    const unsent = await outbox.all().catch(() => []);
+    if (unsent.length > 0 &&
+        !confirm(`${unsent.length} transaction${unsent.length === 1 ? '' : 's'} added offline ${unsent.length === 1 ? 'hasn\'t' : 'haven\'t'} been sent yet and will be lost. Log out anyway?`)) {
+        return;
+    }
+
+    // Cached data goes first: offline, the logout request fails, and that mustn't leave the
+    // household's data on the device
+    await clearOfflineData({ unsent: true }).catch(err => console.error('Failed to clear offline data:', err));
+    await api.post('/auth/logout').catch(err => console.error('Logout request failed:', err));
     state.user = null;
+    state.pendingTransactions = [];
+    updateBillsBadge(0);
     showScreen('auth-screen');
 }
 
@@ -260,10 +456,48 @@ async function logout() {
 // Categories
 // ========================================
 async function loadCategories() {
-    state.categories = await api.get(`/categories?group=${state.categoryGroup}`);
+    // Income categories aren't split into home/office
+    state.categories = state.transactionType === 'income'
+        ? await api.get('/categories?type=income')
+        : await api.get(`/categories?group=${state.categoryGroup}`);
     renderCategories();
 }
 
+// Switch quick add between expense, income and transfer (reload=false when the caller loads categories itself)
+function setTransactionType(type, reload = true) {
+    state.transactionType = type;
+    state.selectedCategory = null;
+    document.getElementById('transaction-type').value = type;
+
+    document.querySelectorAll('.type-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.type === type);
+    });
+
+    // Transfers have no category, merchant or payment mode, just the two accounts
+    const isTransfer = type === 'transfer';
+    document.querySelector('.quick-add-card').classList.toggle('transfer-mode', isTransfer);
+    document.getElementById('category-select').required = !isTransfer;
+
+    // Home/office tabs, splits and budgets only apply to expenses
+    const isIncome = type !== 'expense';
+    document.querySelector('.quick-add-tabs').style.display = isIncome ? 'none' : 'flex';
+    document.getElementById('split-toggle-btn').style.display = isIncome ? 'none' : '';
+    if (isIncome) {
+        closeSplitEditor('quick-split-editor');
+        setSplitMode('quick', false);
+    }
+
+    document.getElementById('merchant-label').textContent = isIncome ? 'From? (optional)' : 'Where? (optional)';
+    document.getElementById('merchant-section').style.display = 'none';
+    document.querySelector('#add-transaction-btn span').textContent =
+        isTransfer ? 'Add Transfer' : isIncome ? 'Add Income' : 'Add Expense';
+
+    renderBudgetHint();
+    if (isTransfer) return;
+    loadQuickActions();
+    if (reload) loadCategories();
+}
+
 async function loadMerchantSuggestions(categoryId) {
     try {
         const merchants = await api.get(`/categories/${categoryId}/merchants`);
@@ -295,11 +529,14 @@ function renderCategories() {
             merchantSection.style.display = 'block';
 
             // Load and display merchant suggestions
+            renderBudgetHint();
+
             const merchants = await loadMerchantSuggestions(categoryId);
             renderMerchantSuggestions(merchants);
         } else {
             state.selectedCategory = null;
             document.getElementById('merchant-section').style.display = 'none';
+            renderBudgetHint();
         }
     };
 }
@@ -346,6 +583,7 @@ function renderMerchantSuggestions(merchants) {
             btn.addEventListener('click', () => {
                 merchantInput.value = btn.dataset.merchant;
                 suggestionsEl.style.display = 'none';
+                applyMerchantDefaults(btn.dataset.merchant);
             });
         });
     }
@@ -375,18 +613,18 @@ function renderMerchantSuggestions(merchants) {
 // ========================================
 // Transactions
 // ========================================
-async function loadTransactions(options = {}) {
+// Query string for the transaction filters the list and export share
+function transactionQuery(options = {}) {
     const params = new URLSearchParams();
-    if (options.startDate) params.append('startDate', options.startDate);
-    if (options.endDate) params.append('endDate', options.endDate);
-    if (options.type) params.append('type', options.type);
-    if (options.limit) params.append('limit', options.limit);
-    if (options.merchant) params.append('merchant', options.merchant);
-    if (options.minAmount) params.append('minAmount', options.minAmount);
-    if (options.maxAmount) params.append('maxAmount', options.maxAmount);
-    if (options.categoryGroup) params.append('categoryGroup', options.categoryGroup);
+    ['startDate', 'endDate', 'type', 'limit', 'q', 'merchant', 'minAmount', 'maxAmount', 'categoryGroup', 'categoryIds', 'tags', 'accountId']
+        .forEach(key => {
+            if (options[key]) params.append(key, options[key]);
+        });
+    return params.toString();
+}
 
-    return api.get(`/transactions?${params.toString()}`);
+async function loadTransactions(options = {}) {
+    return api.get(`/transactions?${transactionQuery(options)}`);
 }
 
 async function loadSummary(options = {}) {
@@ -397,12 +635,81 @@ async function loadSummary(options = {}) {
     return api.get(`/transactions/summary?${params.toString()}`);
 }
 
+// Offline, or when the server can't be reached, the transaction is queued to be sent later
+// and { queued: true } comes back instead of its id. The key goes with the first attempt too,
+// in case that one got through but its response didn't.
 async function addTransaction(data) {
-    return api.post('/transactions', data);
+    const key = outbox.newKey();
+
+    if (navigator.onLine) {
+        try {
+            return await api.request('/transactions', {
+                method: 'POST',
+                headers: { 'Idempotency-Key': key },
+                body: JSON.stringify(data)
+            });
+        } catch (err) {
+            // fetch itself failing (a TypeError) means no connection; anything else is the server's answer
+            if (!(err instanceof TypeError)) throw err;
+        }
+    }
+
+    await outbox.add(data, { key, preview: pendingPreview(data) });
+    requestOutboxSync();
+    loadPendingTransactions();
+    return { queued: true, appliedRules: [] };
+}
+
+// Toast for a transaction addTransaction queued
+const queuedMessage = (receipts = []) => receipts.length > 0
+    ? '📴 Offline: saved to send later. Attach the receipts from Edit once it has synced.'
+    : '📴 Offline: saved, and will be sent when you\'re back online';
+
+// Quick add in transfer mode: money moving between two of our accounts
+async function submitTransfer({ amount, currency, date, note, receipts }) {
+    const fromSelect = document.getElementById('transfer-from');
+    const toSelect = document.getElementById('transfer-to');
+    const accountId = parseInt(fromSelect.value) || null;
+    const toAccountId = parseInt(toSelect.value) || null;
+
+    if (!accountId || !toAccountId) {
+        showToast('Choose the account the money leaves and the one it goes to', 'error');
+        return;
+    }
+    if (accountId === toAccountId) {
+        showToast('Transfer to a different account', 'error');
+        return;
+    }
+
+    try {
+        const { id, queued } = await addTransaction({ type: 'transfer', amount, currency, accountId, toAccountId, date, note });
+
+        let uploadError = null;
+        if (receipts.length > 0 && !queued) {
+            await api.uploadAttachments(id, receipts).catch(err => { uploadError = err; });
+        }
+        if (queued) {
+            showToast(queuedMessage(receipts), 'info');
+        } else {
+            showToast(uploadError ? `Saved, but receipts failed to upload: ${uploadError.message}` : 'Transfer added!',
+                uploadError ? 'error' : 'success');
+        }
+
+        document.getElementById('amount-input').value = '';
+        document.getElementById('transaction-currency').value = state.baseCurrency;
+        document.getElementById('transaction-note').value = '';
+        document.getElementById('transaction-receipts').value = '';
+        fromSelect.value = '';
+        toSelect.value = '';
+
+        refreshDashboard();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 }
 
-async function deleteTransaction(id) {
-    return api.delete(`/transactions/${id}`);
+async function deleteTransaction(id, { deleteAttachments = false } = {}) {
+    return api.delete(`/transactions/${id}${deleteAttachments ? '?deleteAttachments=true' : ''}`);
 }
 
 function renderTransactionItem(tx) {
@@ -415,18 +722,24 @@ function renderTransactionItem(tx) {
         debit_card: '🏦'
     };
     const paymentIcon = paymentIcons[tx.payment_mode] || '💵';
+    const isTransfer = tx.type === 'transfer';
+    const accountName = (name, last4) => `${name}${last4 ? ` ••${last4}` : ''}`;
 
     // Data for duplicate button
     const duplicateData = JSON.stringify({
+        type: tx.type,
         categoryId: tx.category_id,
         merchant: tx.merchant || '',
         paymentMode: tx.payment_mode,
+        accountId: tx.account_id,
+        toAccountId: tx.to_account_id,
+        currency: tx.currency,
         note: tx.note || '',
         categoryGroup: tx.category_group
     }).replace(/"/g, '&quot;');
 
     return `
-    <div class="transaction-item" data-id="${tx.id}">
+    <div class="transaction-item" data-id="${tx.id}" data-attachments="${tx.attachment_count || 0}">
       <div class="transaction-icon" style="background: ${tx.category_color}20">
         ${tx.category_icon}
       </div>
@@ -434,13 +747,25 @@ function renderTransactionItem(tx) {
         <div class="transaction-category">${tx.category_name}${tx.merchant ? ` • ${tx.merchant}` : ''}</div>
         <div class="transaction-meta">
           <span>${utils.formatDate(tx.date)}</span>
-          <span>${paymentIcon}</span>
+          ${isTransfer
+              ? `<span>${accountName(tx.account_name, tx.account_last4)} → ${accountName(tx.to_account_name, tx.to_account_last4)}</span>`
+              : `<span>${paymentIcon}</span>
+          ${tx.account_name ? `<span>${accountName(tx.account_name, tx.account_last4)}</span>` : ''}`}
+          ${tx.recurring_id ? '<span title="Recurring">🔁</span>' : ''}
+          ${tx.split_count > 0 ? `<span title="Split transaction">➗ ${tx.split_count} categories</span>` : ''}
+          ${tx.attachment_count > 0 ? `<span title="${tx.attachment_count} attachment${tx.attachment_count > 1 ? 's' : ''}">📎 ${tx.attachment_count}</span>` : ''}
           ${tx.added_by ? `<span>• ${tx.added_by}</span>` : ''}
           ${tx.note ? `<span>• ${tx.note}</span>` : ''}
         </div>
+        ${tx.snippet ? `<div class="transaction-snippet">${tx.snippet}</div>` : ''}
+        ${tx.tags && tx.tags.length > 0 ? `
+        <div class="transaction-tags">
+          ${tx.tags.map(tag => `<button type="button" class="tag-chip" data-tag="${tag}">#${tag}</button>`).join('')}
+        </div>` : ''}
       </div>
       <div class="transaction-amount ${tx.type}">
-        ${tx.type === 'income' ? '+' : '-'}${utils.formatCurrency(tx.amount)}
+        ${isTransfer ? '' : tx.type === 'income' ? '+' : '-'}${utils.formatCurrency(tx.amount)}
+        ${tx.currency ? `<span class="original-amount">${utils.formatCurrency(tx.original_amount, tx.currency)}</span>` : ''}
       </div>
       <div class="transaction-actions">
         <button class="transaction-duplicate" title="Add Similar" data-transaction="${duplicateData}">
@@ -487,12 +812,19 @@ function renderTransactions(transactions, containerId) {
             e.stopPropagation();
             const item = btn.closest('.transaction-item');
             const id = item.dataset.id;
+            const attachments = parseInt(item.dataset.attachments) || 0;
 
             if (confirm('Delete this transaction?')) {
+                // Receipts live on in Documents unless asked; ones linked elsewhere are always kept
+                const deleteAttachments = attachments > 0 &&
+                    confirm(`Also delete ${attachments === 1 ? 'its attached document' : `its ${attachments} attached documents`}? Documents attached to other transactions are kept.`);
                 try {
-                    await deleteTransaction(id);
+                    await deleteTransaction(id, { deleteAttachments });
                     item.remove();
-                    showToast('Transaction deleted', 'success');
+                    showToast('Transaction moved to trash', 'success', {
+                        label: 'Undo',
+                        onClick: () => restoreFromTrash('transactions', id)
+                    });
                     refreshDashboard();
                 } catch (err) {
                     showToast(err.message, 'error');
@@ -510,6 +842,14 @@ function renderTransactions(transactions, containerId) {
         });
     });
 
+    // Tag chips open the transactions list filtered to that tag
+    container.querySelectorAll('.tag-chip').forEach(chip => {
+        chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showTagTransactions(chip.dataset.tag);
+        });
+    });
+
     // Add duplicate handlers
     container.querySelectorAll('.transaction-duplicate').forEach(btn => {
         btn.addEventListener('click', async (e) => {
@@ -527,25 +867,35 @@ function renderTransactions(transactions, containerId) {
 async function refreshDashboard() {
     const dateRange = utils.getDateRange('month');
 
+    // Goals (new transactions may count towards them), bills due and the offline queue come along
     const [summary, transactions] = await Promise.all([
         loadSummary(dateRange),
-        loadTransactions({ ...dateRange, limit: 20 })
+        loadTransactions({ ...dateRange, limit: 20 }),
+        loadGoals(),
+        loadBillsDue(),
+        loadPendingTransactions()
     ]);
 
     // Update summary cards
     document.getElementById('total-expense').textContent = utils.formatCurrency(summary.expense);
 
-    // Calculate home vs office totals from category breakdown
+    // Calculate home vs office totals from category breakdown (expenses only)
     const homeTotal = summary.categoryBreakdown
-        .filter(c => c.category_group === 'home')
+        .filter(c => c.type === 'expense' && c.category_group === 'home')
         .reduce((sum, c) => sum + c.total, 0);
     const officeTotal = summary.categoryBreakdown
-        .filter(c => c.category_group === 'office')
+        .filter(c => c.type === 'expense' && c.category_group === 'office')
         .reduce((sum, c) => sum + c.total, 0);
 
     document.getElementById('total-home').textContent = utils.formatCurrency(homeTotal);
     document.getElementById('total-office').textContent = utils.formatCurrency(officeTotal);
 
+    // Income and what's left of it
+    document.getElementById('total-income').textContent = utils.formatCurrency(summary.income);
+    document.getElementById('total-savings').textContent = utils.formatCurrency(summary.savings);
+    document.getElementById('savings-rate').textContent = summary.savingsRate !== null ? `(${summary.savingsRate}%)` : '';
+    document.querySelector('.savings-card').classList.toggle('negative', summary.savings < 0);
+
     // Store all transactions for filtering
     state.allRecentTransactions = transactions;
 
@@ -553,14 +903,230 @@ async function refreshDashboard() {
     filterAndRenderTransactions();
 }
 
+// ========================================
+// Offline Queue
+// ========================================
+// What the recent list shows for a queued transaction until the server has it
+function pendingPreview(data) {
+    const categoryId = data.categoryId || (data.splits && data.splits[0].categoryId);
+    const category = [...state.categories, ...(state.allCategories || [])].find(c => c.id === categoryId);
+    const accountName = (id) => (state.accounts.find(a => a.id === id) || {}).name || null;
+
+    return {
+        category_name: data.type === 'transfer' ? 'Transfer' : category ? category.name : 'Transaction',
+        category_icon: data.type === 'transfer' ? '🔁' : category ? category.icon : '📝',
+        category_color: category ? category.color : '#64748b',
+        account_name: accountName(data.accountId),
+        to_account_name: accountName(data.toAccountId)
+    };
+}
+
+async function loadPendingTransactions() {
+    try {
+        state.pendingTransactions = await outbox.all();
+    } catch (err) {
+        console.error('Failed to read the offline queue:', err);
+        state.pendingTransactions = [];
+    }
+    renderPendingTransactions();
+}
+
+// Queued transactions above the recent list: pending, or refused by the server with its reason
+function renderPendingTransactions() {
+    const container = document.getElementById('pending-transactions');
+    // Typed on this phone and not yet through the server's sanitising
+    const plain = (str) => (str ? String(str).replace(/[<>]/g, '') : '');
+
+    container.innerHTML = state.pendingTransactions.map(entry => {
+        const tx = { ...entry.data, ...entry.preview };
+        const isTransfer = tx.type === 'transfer';
+        const status = entry.error
+            ? `<span class="pending-badge failed">⚠️ Not saved: ${plain(entry.error)}</span>`
+            : '<span class="pending-badge">⏳ Pending</span>';
+
+        return `
+      <div class="transaction-item pending" data-key="${entry.key}">
+        <div class="transaction-icon" style="background: ${tx.category_color}20">
+          ${tx.category_icon}
+        </div>
+        <div class="transaction-details">
+          <div class="transaction-category">${tx.category_name}${tx.merchant ? ` • ${plain(tx.merchant)}` : ''}</div>
+          <div class="transaction-meta">
+            <span>${utils.formatDate(tx.date || entry.queuedAt)}</span>
+            ${isTransfer ? `<span>${tx.account_name} → ${tx.to_account_name}</span>` : ''}
+            ${status}
+            ${tx.note ? `<span>• ${plain(tx.note)}</span>` : ''}
+          </div>
+        </div>
+        <div class="transaction-amount ${tx.type}">
+          ${isTransfer ? '' : tx.type === 'income' ? '+' : '-'}${utils.formatCurrency(tx.amount, tx.currency || undefined)}
+        </div>
+        <div class="transaction-actions">
+          <button class="transaction-delete" title="Discard">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="3,6 5,6 21,6"/>
+              <path d="M19,6v14a2,2,0,0,1-2,2H7a2,2,0,0,1-2-2V6M8,6V4a2,2,0,0,1,2-2h4a2,2,0,0,1,2,2V6"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+    `;
+    }).join('');
+
+    container.querySelectorAll('.transaction-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const item = btn.closest('.transaction-item');
+            if (!confirm('Discard this transaction? It hasn\'t been saved on the server.')) return;
+            try {
+                await outbox.remove(item.dataset.key);
+                loadPendingTransactions();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+}
+
+// Ask the service worker to send the queue once there's a connection (where the browser
+// supports Background Sync; otherwise the page sends it when it comes back online)
+function requestOutboxSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(reg => (reg.sync ? reg.sync.register(outbox.SYNC_TAG) : null))
+        .catch(() => {});
+}
+
+let outboxReplaying = false;
+
+async function replayOutbox() {
+    if (outboxReplaying) return;
+    outboxReplaying = true;
+    try {
+        afterOutboxReplay(await outbox.replay());
+    } catch (err) {
+        console.error('Failed to send the offline queue:', err);
+    } finally {
+        outboxReplaying = false;
+    }
+}
+
+// After the page or the service worker has sent (some of) the queue
+function afterOutboxReplay({ sent, failed }) {
+    if (sent > 0) {
+        showToast(`Synced ${sent} transaction${sent === 1 ? '' : 's'} added offline`, 'success');
+        refreshDashboard().catch(() => {});
+    } else {
+        loadPendingTransactions();
+    }
+    if (failed > 0) {
+        showToast(`${failed} offline transaction${failed === 1 ? ' was' : 's were'} refused. See the recent list.`, 'error');
+    }
+}
+
+// ========================================
+// Recurring Transactions
+// ========================================
+const RECURRING_LABELS = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly', yearly: 'Yearly' };
+
+async function loadRecurring() {
+    try {
+        state.recurring = await api.get('/recurring');
+        renderRecurring();
+    } catch (err) {
+        console.error('Failed to load recurring transactions:', err);
+    }
+}
+
+function renderRecurring() {
+    const section = document.getElementById('recurring-section');
+    const container = document.getElementById('recurring-list');
+    const toggleBtn = document.getElementById('recurring-toggle-btn');
+
+    if (state.recurring.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = 'block';
+
+    // Dashboard shows the next few active rules; "Show All" reveals paused/ended ones too
+    const active = state.recurring.filter(r => r.status === 'active');
+    const visible = state.showAllRecurring ? state.recurring : active.slice(0, 3);
+    toggleBtn.style.display = visible.length < state.recurring.length || state.showAllRecurring ? 'inline-flex' : 'none';
+    toggleBtn.textContent = state.showAllRecurring ? 'Show Less' : 'Show All';
+
+    container.innerHTML = visible.map(rule => `
+    <div class="transaction-item recurring-item ${rule.status}" data-id="${rule.id}">
+      <div class="transaction-icon" style="background: ${rule.category_color}20">
+        ${rule.category_icon}
+      </div>
+      <div class="transaction-details">
+        <div class="transaction-category">${rule.merchant || rule.category_name}</div>
+        <div class="transaction-meta">
+          <span>${RECURRING_LABELS[rule.frequency]}</span>
+          <span>• ${rule.status === 'active' ? `Next ${utils.formatDate(rule.next_date)}` : rule.status === 'paused' ? 'Paused' : 'Ended'}</span>
+        </div>
+      </div>
+      <div class="transaction-amount ${rule.type}">
+        ${utils.formatCurrency(rule.amount, rule.currency)}
+      </div>
+      <div class="transaction-actions">
+        ${rule.status !== 'ended' ? `
+        <button class="transaction-edit recurring-pause" title="${rule.is_paused ? 'Resume' : 'Pause'}" data-paused="${rule.is_paused}">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            ${rule.is_paused
+                ? '<polygon points="5,3 19,12 5,21"/>'
+                : '<rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/>'}
+          </svg>
+        </button>` : ''}
+        <button class="transaction-delete recurring-delete" title="Delete">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="3,6 5,6 21,6"/>
+            <path d="M19,6v14a2,2,0,0,1-2,2H7a2,2,0,0,1-2-2V6M8,6V4a2,2,0,0,1,2-2h4a2,2,0,0,1,2,2V6"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `).join('');
+
+    container.querySelectorAll('.recurring-pause').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const id = btn.closest('.recurring-item').dataset.id;
+            const isPaused = btn.dataset.paused !== '1';
+            try {
+                await api.patch(`/recurring/${id}`, { isPaused });
+                showToast(isPaused ? 'Recurring paused' : 'Recurring resumed', 'success');
+                loadRecurring();
+                if (!isPaused) refreshDashboard();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+
+    container.querySelectorAll('.recurring-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const id = btn.closest('.recurring-item').dataset.id;
+            if (!confirm('Stop this recurring transaction? Already posted entries are kept.')) return;
+            try {
+                await api.delete(`/recurring/${id}`);
+                showToast('Recurring transaction deleted', 'success');
+                loadRecurring();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+}
+
 // Filter and render transactions based on selected filter
 function filterAndRenderTransactions() {
     let filtered = state.allRecentTransactions;
 
+    // Income categories carry the default 'home' group, so match on type too
     if (state.transactionFilter === 'home') {
-        filtered = state.allRecentTransactions.filter(t => t.category_group === 'home');
+        filtered = state.allRecentTransactions.filter(t => t.type === 'expense' && t.category_group === 'home');
     } else if (state.transactionFilter === 'office') {
-        filtered = state.allRecentTransactions.filter(t => t.category_group === 'office');
+        filtered = state.allRecentTransactions.filter(t => t.type === 'expense' && t.category_group === 'office');
     }
 
     renderTransactions(filtered.slice(0, 10), 'transactions-list');
@@ -589,10 +1155,10 @@ function renderMonthlySummary(data) {
         // Render summary content
         const content = document.getElementById('monthly-summary-content');
 
-        if (!data || data.transactionCount === 0) {
+        if (!data || (data.transactionCount === 0 && !data.incomeTransactionCount)) {
             content.innerHTML = `
                 <div class="empty-state" style="padding: 1rem;">
-                    <p>No expenses recorded for ${data?.monthName || 'this month'}</p>
+                    <p>No transactions recorded for ${data?.monthName || 'this month'}</p>
                 </div>
             `;
             return;
@@ -618,6 +1184,16 @@ function renderMonthlySummary(data) {
                         <span class="value">${utils.formatCurrency(officeTotal)}</span>
                     </div>
                 </div>
+                <div class="monthly-stat-row">
+                    <div class="monthly-stat income">
+                        <span class="label">📈 Income</span>
+                        <span class="value">${utils.formatCurrency(data.totalIncome)}</span>
+                    </div>
+                    <div class="monthly-stat saved ${data.savings < 0 ? 'negative' : ''}">
+                        <span class="label">💰 Saved${data.savingsRate !== null ? ` (${data.savingsRate}%)` : ''}</span>
+                        <span class="value">${utils.formatCurrency(data.savings)}</span>
+                    </div>
+                </div>
             </div>
             <div class="monthly-categories">
                 ${(data.categoryBreakdown || []).slice(0, 5).map(cat => `
@@ -643,49 +1219,267 @@ function renderMonthlySummary(data) {
 }
 
 // ========================================
-// Documents
+// Statement Import
 // ========================================
-async function loadDocuments(category = null) {
-    const params = category && category !== 'all' ? `?category=${encodeURIComponent(category)}` : '';
-    state.documents = await api.get(`/documents${params}`);
-    renderDocuments();
-}
+const IMPORT_COLUMN_FIELDS = ['date', 'description', 'amount', 'direction', 'debit', 'credit'];
 
-async function loadDocCategories() {
-    const categories = await api.get('/documents/categories');
-    renderDocCategories(categories);
-}
+async function loadImportView() {
+    const [profiles, categories] = await Promise.all([
+        api.get('/transactions/import/profiles'),
+        api.get('/categories?type=all')
+    ]);
 
-function renderDocCategories(categories) {
-    const container = document.getElementById('doc-categories');
-    const allCount = categories.reduce((sum, c) => sum + c.count, 0);
+    const profileSelect = document.getElementById('import-profile');
+    profileSelect.innerHTML = `<option value="">Detect automatically</option>` +
+        profiles.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
 
-    container.innerHTML = `
-    <button class="doc-category-btn ${state.docCategory === 'all' ? 'active' : ''}" data-category="all">
-      All (${allCount})
-    </button>
-    ${categories.map(cat => `
-      <button class="doc-category-btn ${state.docCategory === cat.category ? 'active' : ''}" 
-              data-category="${cat.category}">
-        ${cat.category} (${cat.count})
-      </button>
-    `).join('')}
-  `;
+    state.importCategories = categories;
+    document.getElementById('import-default-category').innerHTML = renderImportCategoryOptions(null);
+}
 
-    container.querySelectorAll('.doc-category-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            state.docCategory = btn.dataset.category;
-            container.querySelectorAll('.doc-category-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            loadDocuments(state.docCategory === 'all' ? null : state.docCategory);
-        });
-    });
+// Category options for one transaction type - credits take income categories
+function renderImportCategoryOptions(selectedId, type = 'expense') {
+    return `<option value="">Select a category...</option>` +
+        state.importCategories.filter(c => c.type === type || c.type === 'both').map(c =>
+            `<option value="${c.id}" ${c.id === selectedId ? 'selected' : ''}>${c.icon} ${c.name}</option>`
+        ).join('');
 }
 
-function renderDocuments() {
-    const container = document.getElementById('documents-list');
+async function previewImport(options = {}) {
+    if (!state.importFile) return;
 
-    if (state.documents.length === 0) {
+    try {
+        state.importPreview = await api.previewStatement(state.importFile, options);
+        renderImportMapping();
+        renderImportPreview();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+function renderImportMapping() {
+    const { headers, mapping, profile } = state.importPreview;
+    const headerOptions = (selected) => `<option value="">—</option>` +
+        headers.map(h => `<option value="${h}" ${h === selected ? 'selected' : ''}>${h}</option>`).join('');
+
+    IMPORT_COLUMN_FIELDS.forEach(field => {
+        document.getElementById(`map-${field}`).innerHTML = headerOptions(mapping[field]);
+    });
+    document.getElementById('map-date-order').value = mapping.dateOrder || 'DMY';
+    document.getElementById('map-amount-sign').value = mapping.amountSign || 'negative-debit';
+    document.getElementById('map-payment-mode').value = mapping.paymentMode || 'bank_transfer';
+    document.getElementById('map-account').value = mapping.accountId || '';
+    document.getElementById('import-profile-name').value = profile ? profile.name : '';
+
+    document.getElementById('import-mapping-card').style.display = 'block';
+}
+
+function readImportMapping() {
+    const mapping = {};
+    IMPORT_COLUMN_FIELDS.forEach(field => {
+        mapping[field] = document.getElementById(`map-${field}`).value || null;
+    });
+    mapping.dateOrder = document.getElementById('map-date-order').value;
+    mapping.amountSign = document.getElementById('map-amount-sign').value;
+    mapping.paymentMode = document.getElementById('map-payment-mode').value;
+    mapping.accountId = parseInt(document.getElementById('map-account').value) || null;
+    return mapping;
+}
+
+function renderImportPreview() {
+    const { rows } = state.importPreview;
+    const container = document.getElementById('import-preview-list');
+    const defaultCategory = parseInt(document.getElementById('import-default-category').value) || null;
+
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="empty-state" style="padding: 1rem;"><p>No rows found</p></div>';
+    } else {
+        // Pre-select clean expense rows; duplicates, credits and unreadable rows start unticked
+        container.innerHTML = rows.map(row => {
+            const checked = !row.error && !row.duplicate && !row.duplicateInFile && row.type === 'expense';
+            const flag = row.error
+                ? `<span class="import-flag error">${row.error}</span>`
+                : row.duplicate
+                    ? `<span class="import-flag duplicate">Possible duplicate of ${row.duplicate.merchant || 'entry'} on ${utils.formatDate(row.duplicate.date)}</span>`
+                    : row.duplicateInFile ? '<span class="import-flag duplicate">Repeated in file</span>' : '';
+            const ruleFlag = row.rule ? `<span class="import-flag rule">⚡ ${row.rule}</span>` : '';
+
+            return `
+            <div class="import-row ${row.error ? 'invalid' : ''}" data-index="${row.index}">
+                <input type="checkbox" class="import-row-check" ${checked ? 'checked' : ''} ${row.error ? 'disabled' : ''}>
+                <div class="import-row-details">
+                    <div class="import-row-title">${row.description || '—'}</div>
+                    <div class="transaction-meta">
+                        <span>${row.date ? utils.formatDate(row.date) : '—'}</span>
+                        ${flag}${ruleFlag}
+                    </div>
+                    <select class="import-row-category" ${row.error ? 'disabled' : ''}>
+                        ${renderImportCategoryOptions(row.ruleCategoryId || (row.type === 'income' ? null : defaultCategory), row.type || 'expense')}
+                    </select>
+                </div>
+                <div class="transaction-amount ${row.type || ''}">
+                    ${row.amount ? (row.type === 'income' ? '+' : '-') + utils.formatCurrency(row.amount) : '—'}
+                </div>
+            </div>
+        `;
+        }).join('');
+    }
+
+    updateImportCount();
+    document.getElementById('import-preview-card').style.display = 'block';
+}
+
+function updateImportCount() {
+    const total = state.importPreview.rows.length;
+    const selected = document.querySelectorAll('#import-preview-list .import-row-check:checked').length;
+    document.getElementById('import-preview-count').textContent = `${selected} of ${total} selected`;
+    document.querySelector('#import-commit-btn span').textContent =
+        selected > 0 ? `Import ${selected} Transaction${selected === 1 ? '' : 's'}` : 'Import Selected';
+}
+
+async function commitImport() {
+    const paymentMode = document.getElementById('map-payment-mode').value;
+    const accountId = parseInt(document.getElementById('map-account').value) || null;
+    const rows = [];
+
+    for (const el of document.querySelectorAll('#import-preview-list .import-row')) {
+        if (!el.querySelector('.import-row-check').checked) continue;
+
+        const row = state.importPreview.rows.find(r => r.index === parseInt(el.dataset.index));
+        const categoryId = parseInt(el.querySelector('.import-row-category').value);
+        if (!categoryId) {
+            showToast(`Pick a category for "${row.description || row.date}"`, 'error');
+            el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+
+        rows.push({
+            type: row.type,
+            amount: row.amount,
+            categoryId,
+            merchant: row.description,
+            paymentMode,
+            accountId,
+            date: row.date
+        });
+    }
+
+    if (rows.length === 0) {
+        showToast('Select at least one row', 'error');
+        return;
+    }
+
+    const commitBtn = document.getElementById('import-commit-btn');
+    commitBtn.disabled = true;
+
+    try {
+        const result = await api.post('/transactions/import/commit', { rows });
+        showToast(`Imported ${result.imported} transactions`, 'success');
+        resetImportView();
+        refreshDashboard();
+        navigateToView('transactions');
+    } catch (err) {
+        showToast(err.message, 'error');
+    } finally {
+        commitBtn.disabled = false;
+    }
+}
+
+function resetImportView() {
+    state.importFile = null;
+    state.importPreview = null;
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-file-name').textContent = 'Choose CSV file';
+    document.getElementById('import-mapping-card').style.display = 'none';
+    document.getElementById('import-preview-card').style.display = 'none';
+}
+
+// ========================================
+// Documents
+// ========================================
+async function loadDocuments(category = null) {
+    const params = category && category !== 'all' ? `?category=${encodeURIComponent(category)}` : '';
+    state.documents = await api.get(`/documents${params}`);
+    renderDocuments();
+}
+
+async function loadDocCategories() {
+    const categories = await api.get('/documents/categories');
+    renderDocCategories(categories);
+}
+
+function renderDocCategories(categories) {
+    const container = document.getElementById('doc-categories');
+    const allCount = categories.reduce((sum, c) => sum + c.count, 0);
+
+    container.innerHTML = `
+    <button class="doc-category-btn ${state.docCategory === 'all' ? 'active' : ''}" data-category="all">
+      All (${allCount})
+    </button>
+    ${categories.map(cat => `
+      <button class="doc-category-btn ${state.docCategory === cat.category ? 'active' : ''}" 
+              data-category="${cat.category}">
+        ${cat.category} (${cat.count})
+      </button>
+    `).join('')}
+  `;
+
+    container.querySelectorAll('.doc-category-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            state.docCategory = btn.dataset.category;
+            container.querySelectorAll('.doc-category-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            loadDocuments(state.docCategory === 'all' ? null : state.docCategory);
+        });
+    });
+}
+
+// "Expires in 12 days", "Expires today", "Expired 3 days ago"
+function docExpiryText(doc) {
+    const days = Math.abs(doc.daysUntilExpiry);
+    if (doc.daysUntilExpiry < 0) return `Expired ${days} day${days === 1 ? '' : 's'} ago`;
+    if (doc.daysUntilExpiry === 0) return 'Expires today';
+    return `Expires in ${days} day${days === 1 ? '' : 's'}`;
+}
+
+const docExpiryDate = (dateStr) => new Date(dateStr).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+// Expired documents and ones within their reminder lead time, above the grid
+async function loadExpiringDocuments() {
+    let documents;
+    try {
+        documents = await api.get('/documents/expiring');
+    } catch (err) {
+        console.error('Failed to load expiring documents:', err);
+        return;
+    }
+
+    const section = document.getElementById('doc-expiring');
+    const container = document.getElementById('doc-expiring-list');
+    section.hidden = documents.length === 0;
+
+    container.innerHTML = documents.map(doc => `
+      <div class="cash-entry doc-expiring-item" data-id="${doc.id}">
+        <span class="cash-entry-icon">${getDocIcon(doc.mime_type)}</span>
+        <div class="cash-entry-details">
+          <div class="rule-name">${doc.name}</div>
+          <div class="rule-summary">${doc.category} • ${docExpiryDate(doc.expiry_date)}</div>
+        </div>
+        <span class="doc-expiry-badge ${doc.expiryStatus}">${docExpiryText(doc)}</span>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.doc-expiring-item').forEach(item => {
+        item.addEventListener('click', () => {
+            viewDocument(item.dataset.id, documents.find(d => d.id == item.dataset.id));
+        });
+    });
+}
+
+function renderDocuments() {
+    const container = document.getElementById('documents-list');
+
+    if (state.documents.length === 0) {
         container.innerHTML = `
       <div class="empty-state" style="grid-column: 1 / -1;">
         <div class="icon">📁</div>
@@ -698,16 +1492,26 @@ function renderDocuments() {
     container.innerHTML = state.documents.map(doc => {
         const isImage = doc.mime_type?.startsWith('image/');
         const icon = getDocIcon(doc.mime_type);
+        const expiryBadge = doc.expiryStatus === 'expiring' || doc.expiryStatus === 'expired'
+            ? `<span class="doc-expiry-badge ${doc.expiryStatus}" title="${docExpiryDate(doc.expiry_date)}">${docExpiryText(doc)}</span>`
+            : '';
 
         return `
       <div class="document-card" data-id="${doc.id}">
         <div class="document-preview">
           ${isImage ? `<img src="/api/documents/${doc.id}/view" alt="${doc.name}" loading="lazy">` : icon}
+          ${expiryBadge}
         </div>
         <div class="document-info">
           <div class="document-name">${doc.name}</div>
-          <div class="document-meta">${utils.formatFileSize(doc.file_size)}${doc.uploaded_by ? ` • by ${doc.uploaded_by}` : ''}</div>
+          <div class="document-meta">${utils.formatFileSize(doc.file_size)}${doc.uploaded_by ? ` • by ${doc.uploaded_by}` : ''}${doc.transaction_count > 0 ? ` • 📎 ${doc.transaction_count}` : ''}</div>
         </div>
+        <button class="document-edit" title="Edit">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+          </svg>
+        </button>
         <button class="document-delete" title="Delete">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <polyline points="3,6 5,6 21,6"/>
@@ -721,21 +1525,34 @@ function renderDocuments() {
     // Add click handlers
     container.querySelectorAll('.document-card').forEach(card => {
         card.addEventListener('click', (e) => {
-            if (e.target.closest('.document-delete')) return;
+            if (e.target.closest('.document-delete, .document-edit')) return;
             const id = card.dataset.id;
             viewDocument(id);
         });
 
+        card.querySelector('.document-edit').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openDocumentForm(state.documents.find(d => d.id == card.dataset.id));
+        });
+
         card.querySelector('.document-delete').addEventListener('click', async (e) => {
             e.stopPropagation();
             const id = card.dataset.id;
+            const doc = state.documents.find(d => d.id == id);
+            const message = doc && doc.transaction_count > 0
+                ? `Delete this document? It is attached to ${doc.transaction_count === 1 ? 'a transaction' : `${doc.transaction_count} transactions`}.`
+                : 'Delete this document?';
 
-            if (confirm('Delete this document?')) {
+            if (confirm(message)) {
                 try {
                     await api.delete(`/documents/${id}`);
                     card.remove();
-                    showToast('Document deleted', 'success');
+                    showToast('Document moved to trash', 'success', {
+                        label: 'Undo',
+                        onClick: () => restoreFromTrash('documents', id)
+                    });
                     loadDocCategories();
+                    loadExpiringDocuments();
                 } catch (err) {
                     showToast(err.message, 'error');
                 }
@@ -744,6 +1561,31 @@ function renderDocuments() {
     });
 }
 
+// The upload modal doubles as the edit form: with a document, its details without the file picker
+function openDocumentForm(doc = null) {
+    const editing = !!doc;
+    document.getElementById('upload-modal-title').textContent = editing ? 'Edit Document' : 'Upload Document';
+    document.getElementById('upload-submit-btn').querySelector('span').textContent = editing ? 'Save' : 'Upload';
+    document.getElementById('doc-edit-id').value = editing ? doc.id : '';
+    document.getElementById('upload-dropzone').style.display = editing ? 'none' : 'flex';
+    document.getElementById('selected-file').style.display = 'none';
+    document.getElementById('file-input').value = '';
+
+    document.getElementById('doc-name').value = editing ? doc.name : '';
+    if (editing) document.getElementById('doc-category').value = doc.category;
+    document.getElementById('doc-issue-date').value = editing ? doc.issue_date || '' : '';
+    document.getElementById('doc-expiry-date').value = editing ? doc.expiry_date || '' : '';
+    document.getElementById('doc-reminder-days').value = editing && doc.reminder_days !== null ? doc.reminder_days : '';
+
+    document.getElementById('upload-modal').style.display = 'flex';
+}
+
+function reloadDocumentsView() {
+    loadDocCategories();
+    loadDocuments(state.docCategory === 'all' ? null : state.docCategory);
+    loadExpiringDocuments();
+}
+
 function getDocIcon(mimeType) {
     if (!mimeType) return '📄';
     if (mimeType.includes('pdf')) return '📕';
@@ -752,8 +1594,8 @@ function getDocIcon(mimeType) {
     return '📄';
 }
 
-function viewDocument(id) {
-    const doc = state.documents.find(d => d.id == id);
+// Attachments pass their own record since they may not be in the loaded Documents list
+function viewDocument(id, doc = state.documents.find(d => d.id == id)) {
     if (!doc) return;
 
     const modal = document.getElementById('doc-viewer-modal');
@@ -785,6 +1627,157 @@ function viewDocument(id) {
     modal.style.display = 'flex';
 }
 
+// ========================================
+// Split Editor (quick add and edit modal)
+// ========================================
+// Open editors keyed by container id: { totalInputId, type, lines: [{ categoryId, amount }] }
+const splitEditors = {};
+
+async function openSplitEditor(containerId, totalInputId, lines, type = 'expense') {
+    if (!state.allCategories) {
+        state.allCategories = await api.get('/categories?type=all');
+    }
+
+    splitEditors[containerId] = {
+        totalInputId,
+        type,
+        lines: lines && lines.length > 0 ? lines : [{ categoryId: null, amount: '' }, { categoryId: null, amount: '' }]
+    };
+
+    document.getElementById(containerId).style.display = 'block';
+    renderSplitEditor(containerId);
+}
+
+function closeSplitEditor(containerId) {
+    delete splitEditors[containerId];
+    const container = document.getElementById(containerId);
+    container.style.display = 'none';
+    container.innerHTML = '';
+}
+
+function renderSplitEditor(containerId) {
+    const editor = splitEditors[containerId];
+    const container = document.getElementById(containerId);
+
+    const categories = state.allCategories.filter(c => c.type === editor.type || c.type === 'both');
+    const options = (selectedId) => `<option value="">Category...</option>` + categories.map(c =>
+        `<option value="${c.id}" ${c.id === selectedId ? 'selected' : ''}>${c.icon} ${c.name}</option>`
+    ).join('');
+
+    container.innerHTML = `
+        ${editor.lines.map((line, i) => `
+            <div class="split-line" data-index="${i}">
+                <select class="split-category">${options(line.categoryId)}</select>
+                <input type="number" class="split-amount" step="0.01" min="0" inputmode="decimal"
+                    placeholder="0" value="${line.amount}">
+                <button type="button" class="btn btn-ghost btn-sm split-remove" title="Remove line"
+                    ${editor.lines.length <= 2 ? 'disabled' : ''}>✕</button>
+            </div>
+        `).join('')}
+        <div class="split-footer">
+            <button type="button" class="btn btn-ghost btn-sm split-add">+ Add line</button>
+            <span class="split-remaining"></span>
+        </div>
+    `;
+
+    container.querySelectorAll('.split-line').forEach(row => {
+        const line = editor.lines[parseInt(row.dataset.index)];
+        row.querySelector('.split-category').addEventListener('change', (e) => {
+            line.categoryId = parseInt(e.target.value) || null;
+        });
+        row.querySelector('.split-amount').addEventListener('input', (e) => {
+            line.amount = e.target.value;
+            updateSplitRemaining(containerId);
+        });
+        row.querySelector('.split-remove').addEventListener('click', () => {
+            editor.lines.splice(parseInt(row.dataset.index), 1);
+            renderSplitEditor(containerId);
+        });
+    });
+
+    container.querySelector('.split-add').addEventListener('click', () => {
+        // Start the new line with whatever is left to allocate
+        const remaining = getSplitRemaining(containerId);
+        editor.lines.push({ categoryId: null, amount: remaining > 0 ? remaining : '' });
+        renderSplitEditor(containerId);
+    });
+
+    updateSplitRemaining(containerId);
+}
+
+// Amount still to allocate, in rupees (negative when lines exceed the total)
+function getSplitRemaining(containerId) {
+    const editor = splitEditors[containerId];
+    const total = Math.round((parseFloat(document.getElementById(editor.totalInputId).value) || 0) * 100);
+    const allocated = editor.lines.reduce((sum, l) => sum + Math.round((parseFloat(l.amount) || 0) * 100), 0);
+    return (total - allocated) / 100;
+}
+
+function updateSplitRemaining(containerId) {
+    if (!splitEditors[containerId]) return;
+
+    const label = document.getElementById(containerId).querySelector('.split-remaining');
+    const remaining = getSplitRemaining(containerId);
+
+    label.classList.toggle('balanced', remaining === 0);
+    label.classList.toggle('over', remaining < 0);
+    label.textContent = remaining === 0
+        ? '✓ Adds up'
+        : remaining > 0
+            ? `${utils.formatCurrency(remaining)} left`
+            : `${utils.formatCurrency(-remaining)} over`;
+}
+
+const SPLIT_FORMS = {
+    quick: { group: 'category-select-group', select: 'category-select', toggle: 'split-toggle-btn', editor: 'quick-split-editor', total: 'amount-input', type: 'transaction-type' },
+    edit: { group: 'edit-category-group', select: 'edit-category', toggle: 'edit-split-toggle-btn', editor: 'edit-split-editor', total: 'edit-amount', type: 'edit-transaction-type' }
+};
+
+// Swap the single category picker for the split editor (or back)
+function setSplitMode(form, on) {
+    const ids = SPLIT_FORMS[form];
+    document.getElementById(ids.group).style.display = on ? 'none' : 'block';
+    document.getElementById(ids.select).required = !on;
+    document.getElementById(ids.toggle).textContent = on ? '✕ Single category' : '➗ Split across categories';
+}
+
+async function toggleSplitMode(form) {
+    const ids = SPLIT_FORMS[form];
+
+    if (splitEditors[ids.editor]) {
+        closeSplitEditor(ids.editor);
+        setSplitMode(form, false);
+        return;
+    }
+
+    // Seed the first line with the category already picked
+    const selected = parseInt(document.getElementById(ids.select).value) || null;
+    try {
+        await openSplitEditor(ids.editor, ids.total, [{ categoryId: selected, amount: '' }, { categoryId: null, amount: '' }],
+            document.getElementById(ids.type).value);
+        setSplitMode(form, true);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// Lines ready for the API, or null if the editor is closed. Throws if they don't add up.
+function getSplitLines(containerId) {
+    const editor = splitEditors[containerId];
+    if (!editor) return null;
+
+    const lines = editor.lines.map(l => ({ categoryId: l.categoryId, amount: parseFloat(l.amount) }));
+
+    if (lines.some(l => !l.categoryId || !l.amount || l.amount <= 0)) {
+        throw new Error('Each split line needs a category and an amount');
+    }
+    if (getSplitRemaining(containerId) !== 0) {
+        throw new Error('Split amounts must add up to the total');
+    }
+
+    return lines;
+}
+
 // ========================================
 // Edit Transaction Modal
 // ========================================
@@ -795,9 +1788,10 @@ async function openEditTransactionModal(transactionId) {
     try {
         // Load transaction data
         const tx = await api.get(`/transactions/${transactionId}`);
+        const isTransfer = tx.type === 'transfer';
 
-        // Load all categories for the dropdown
-        const allCategories = await api.get('/categories');
+        // Load all categories of the same type for the dropdown (transfers have none)
+        const allCategories = isTransfer ? [] : await api.get(`/categories?type=${tx.type}`);
 
         // Populate category dropdown
         const categorySelect = document.getElementById('edit-category');
@@ -807,11 +1801,40 @@ async function openEditTransactionModal(transactionId) {
 
         // Fill form fields
         document.getElementById('edit-transaction-id').value = tx.id;
-        document.getElementById('edit-amount').value = tx.amount;
+        document.getElementById('edit-transaction-type').value = tx.type;
+        document.getElementById('edit-amount').value = tx.currency ? tx.original_amount : tx.amount;
+        const currencySelect = document.getElementById('edit-currency');
+        const currency = tx.currency || state.baseCurrency;
+        if (![...currencySelect.options].some(o => o.value === currency)) {
+            currencySelect.insertAdjacentHTML('beforeend', `<option value="${currency}">${currency}</option>`);
+        }
+        currencySelect.value = currency;
+        const converted = document.getElementById('edit-converted-amount');
+        converted.textContent = tx.currency ? `${utils.formatCurrency(tx.amount)} at the ${tx.currency} rate on its date` : '';
+        converted.style.display = tx.currency ? '' : 'none';
         document.getElementById('edit-merchant').value = tx.merchant || '';
         document.getElementById('edit-payment-mode').value = tx.payment_mode || 'cash';
+        document.getElementById('edit-account').value = tx.account_id || '';
+        document.getElementById('edit-transfer-from').value = isTransfer ? tx.account_id : '';
+        document.getElementById('edit-transfer-to').value = isTransfer ? tx.to_account_id : '';
+        form.classList.toggle('transfer-mode', isTransfer);
+        document.getElementById('edit-category').required = !isTransfer;
         document.getElementById('edit-date').value = tx.date;
         document.getElementById('edit-note').value = tx.note || '';
+        document.getElementById('edit-tags').value = (tx.tags || []).join(', ');
+
+        if (tx.splits && tx.splits.length > 0) {
+            await openSplitEditor('edit-split-editor', 'edit-amount',
+                tx.splits.map(s => ({ categoryId: s.category_id, amount: s.amount })), tx.type);
+        } else {
+            closeSplitEditor('edit-split-editor');
+        }
+        setSplitMode('edit', !!splitEditors['edit-split-editor']);
+
+        renderEditAttachments(tx.attachments || []);
+
+        document.getElementById('edit-history').style.display = 'none';
+        document.getElementById('edit-history-btn').textContent = '📜 Show history';
 
         modal.style.display = 'flex';
     } catch (err) {
@@ -823,19 +1846,109 @@ function closeEditTransactionModal() {
     document.getElementById('edit-transaction-modal').style.display = 'none';
 }
 
+// Attach/detach happen immediately - they aren't part of Save Changes
+function renderEditAttachments(attachments) {
+    const container = document.getElementById('edit-attachments');
+    state.editAttachments = attachments;
+
+    if (attachments.length === 0) {
+        container.innerHTML = '<p class="attachment-empty">No receipts attached</p>';
+        return;
+    }
+
+    container.innerHTML = attachments.map(doc => `
+      <div class="attachment-item" data-id="${doc.id}">
+        <button type="button" class="attachment-view" title="View">${getDocIcon(doc.mime_type)} ${doc.name}</button>
+        <button type="button" class="attachment-detach btn btn-ghost btn-sm" title="Detach (keeps it in Documents)">✕</button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.attachment-item').forEach(item => {
+        const doc = attachments.find(a => a.id == item.dataset.id);
+
+        item.querySelector('.attachment-view').addEventListener('click', () => viewDocument(doc.id, doc));
+        item.querySelector('.attachment-detach').addEventListener('click', async () => {
+            const transactionId = document.getElementById('edit-transaction-id').value;
+            try {
+                await api.delete(`/transactions/${transactionId}/documents/${doc.id}`);
+                renderEditAttachments(state.editAttachments.filter(a => a.id !== doc.id));
+                showToast('Receipt detached - it is still in Documents', 'success');
+                refreshAttachmentViews();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+}
+
+async function handleEditAttachmentUpload(e) {
+    const input = e.target;
+    if (input.files.length === 0) return;
+
+    const transactionId = document.getElementById('edit-transaction-id').value;
+    try {
+        await api.uploadAttachments(transactionId, input.files);
+        const tx = await api.get(`/transactions/${transactionId}`);
+        renderEditAttachments(tx.attachments || []);
+        showToast('Receipt attached', 'success');
+        refreshAttachmentViews();
+    } catch (err) {
+        showToast(err.message, 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
+// Paperclip counts show in the lists, so redraw whichever is on screen
+function refreshAttachmentViews() {
+    refreshDashboard();
+    if (state.currentView === 'transactions') {
+        applyTransactionFilters();
+    }
+}
+
 async function handleEditTransaction(e) {
     e.preventDefault();
 
     const id = document.getElementById('edit-transaction-id').value;
+    if (document.getElementById('edit-transaction-type').value === 'transfer') {
+        await saveEditedTransaction(id, {
+            amount: parseFloat(document.getElementById('edit-amount').value),
+            currency: document.getElementById('edit-currency').value,
+            accountId: parseInt(document.getElementById('edit-transfer-from').value) || null,
+            toAccountId: parseInt(document.getElementById('edit-transfer-to').value) || null,
+            date: document.getElementById('edit-date').value,
+            note: document.getElementById('edit-note').value || null,
+            tags: parseTagInput(document.getElementById('edit-tags').value)
+        });
+        return;
+    }
+
     const data = {
         amount: parseFloat(document.getElementById('edit-amount').value),
+        currency: document.getElementById('edit-currency').value,
         categoryId: parseInt(document.getElementById('edit-category').value),
         merchant: document.getElementById('edit-merchant').value || null,
         paymentMode: document.getElementById('edit-payment-mode').value,
+        accountId: parseInt(document.getElementById('edit-account').value) || null,
         date: document.getElementById('edit-date').value,
-        note: document.getElementById('edit-note').value || null
+        note: document.getElementById('edit-note').value || null,
+        tags: parseTagInput(document.getElementById('edit-tags').value)
     };
 
+    try {
+        // null clears any existing split
+        data.splits = getSplitLines('edit-split-editor');
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+
+    await saveEditedTransaction(id, data);
+}
+
+// PATCH from the edit modal; transfers send only the fields they have
+async function saveEditedTransaction(id, data) {
     try {
         await api.patch(`/transactions/${id}`, data);
         showToast('Transaction updated', 'success');
@@ -855,6 +1968,9 @@ async function handleEditTransaction(e) {
 // Quick Duplicate (Prefill Form)
 // ========================================
 function prefillQuickAddForm(txData) {
+    const type = txData.type || 'expense';
+    if (type !== state.transactionType) setTransactionType(type, false);
+
     // Switch to correct category group tab
     if (txData.categoryGroup) {
         state.categoryGroup = txData.categoryGroup;
@@ -869,6 +1985,7 @@ function prefillQuickAddForm(txData) {
                 document.getElementById('category-select').value = txData.categoryId;
                 state.selectedCategory = txData.categoryId;
                 document.getElementById('merchant-section').style.display = 'block';
+                renderBudgetHint();
 
                 // Load merchant suggestions
                 loadMerchantSuggestions(txData.categoryId).then(renderMerchantSuggestions);
@@ -883,6 +2000,15 @@ function prefillQuickAddForm(txData) {
     if (txData.paymentMode) {
         document.getElementById('payment-mode').value = txData.paymentMode;
     }
+    document.getElementById('transaction-account').value = txData.accountId || '';
+    // A currency whose rates have since been deleted falls back to the base currency
+    const currencySelect = document.getElementById('transaction-currency');
+    currencySelect.value = txData.currency || state.baseCurrency;
+    if (!currencySelect.value) currencySelect.value = state.baseCurrency;
+    if (type === 'transfer') {
+        document.getElementById('transfer-from').value = txData.accountId || '';
+        document.getElementById('transfer-to').value = txData.toAccountId || '';
+    }
     if (txData.note) {
         document.getElementById('transaction-note').value = txData.note;
     }
@@ -906,7 +2032,7 @@ function prefillQuickAddForm(txData) {
 // ========================================
 async function loadQuickActions() {
     try {
-        const popular = await api.get('/categories/popular?limit=4');
+        const popular = await api.get(`/categories/popular?limit=4&type=${state.transactionType}`);
         renderQuickActions(popular);
     } catch (err) {
         console.error('Failed to load quick actions:', err);
@@ -950,6 +2076,7 @@ function renderQuickActions(categories) {
                 document.getElementById('category-select').value = categoryId;
                 state.selectedCategory = categoryId;
                 document.getElementById('merchant-section').style.display = 'block';
+                renderBudgetHint();
 
                 // Load merchant suggestions
                 loadMerchantSuggestions(categoryId).then(renderMerchantSuggestions);
@@ -967,6 +2094,7 @@ function renderQuickActions(categories) {
 let categoryPieChart = null;
 let spendingTrendChart = null;
 let monthlyComparisonChart = null;
+let cashHistoryChart = null;
 
 async function loadCharts() {
     if (typeof Chart === 'undefined') return;
@@ -974,15 +2102,18 @@ async function loadCharts() {
     const dateRange = utils.getDateRange(state.statsPeriod);
 
     try {
-        const [summary, monthlySummary, monthlyComparison] = await Promise.all([
+        const [summary, monthlySummary, monthlyComparison, cashHistory] = await Promise.all([
             loadSummary(dateRange),
             loadMonthlySummary(),
-            api.get('/transactions/monthly-comparison?months=6')
+            api.get('/transactions/monthly-comparison?months=6'),
+            // No cash account is not an error here, just no chart
+            api.get('/cash/history?days=90').catch(() => [])
         ]);
 
-        renderCategoryPieChart(summary.categoryBreakdown);
+        renderCategoryPieChart(summary.categoryBreakdown.filter(c => c.type === 'expense'));
         renderSpendingTrendChart(monthlySummary.dailySpending);
         renderMonthlyComparisonChart(monthlyComparison);
+        renderCashHistoryChart(cashHistory);
     } catch (err) {
         console.error('Failed to load charts:', err);
     }
@@ -1059,7 +2190,7 @@ function renderSpendingTrendChart(data) {
                     grid: { color: 'rgba(255,255,255,0.05)' },
                     ticks: {
                         color: '#64748b',
-                        callback: v => '₹' + (v >= 1000 ? (v / 1000).toFixed(0) + 'k' : v)
+                        callback: v => utils.currencySymbol() + (v >= 1000 ? (v / 1000).toFixed(0) + 'k' : v)
                     }
                 }
             },
@@ -1076,13 +2207,16 @@ function renderMonthlyComparisonChart(data) {
 
     if (monthlyComparisonChart) monthlyComparisonChart.destroy();
 
-    // Process data into home/office series
+    // Process data into home/office expense series (stacked) and an income series beside them
     const months = [...new Set(data.map(d => d.month))].sort();
     const homeData = months.map(m =>
-        data.find(d => d.month === m && d.category_group === 'home')?.total || 0
+        data.find(d => d.month === m && d.type === 'expense' && d.category_group === 'home')?.total || 0
     );
     const officeData = months.map(m =>
-        data.find(d => d.month === m && d.category_group === 'office')?.total || 0
+        data.find(d => d.month === m && d.type === 'expense' && d.category_group === 'office')?.total || 0
+    );
+    const incomeData = months.map(m =>
+        data.find(d => d.month === m && d.type === 'income')?.total || 0
     );
 
     monthlyComparisonChart = new Chart(ctx, {
@@ -1096,12 +2230,20 @@ function renderMonthlyComparisonChart(data) {
                 {
                     label: 'Home',
                     data: homeData,
-                    backgroundColor: '#3b82f6'
+                    backgroundColor: '#3b82f6',
+                    stack: 'expense'
                 },
                 {
                     label: 'Office',
                     data: officeData,
-                    backgroundColor: '#8b5cf6'
+                    backgroundColor: '#8b5cf6',
+                    stack: 'expense'
+                },
+                {
+                    label: 'Income',
+                    data: incomeData,
+                    backgroundColor: '#22c55e',
+                    stack: 'income'
                 }
             ]
         },
@@ -1110,14 +2252,16 @@ function renderMonthlyComparisonChart(data) {
             maintainAspectRatio: false,
             scales: {
                 x: {
+                    stacked: true,
                     grid: { display: false },
                     ticks: { color: '#64748b' }
                 },
                 y: {
+                    stacked: true,
                     grid: { color: 'rgba(255,255,255,0.05)' },
                     ticks: {
                         color: '#64748b',
-                        callback: v => '₹' + (v >= 1000 ? (v / 1000).toFixed(0) + 'k' : v)
+                        callback: v => utils.currencySymbol() + (v >= 1000 ? (v / 1000).toFixed(0) + 'k' : v)
                     }
                 }
             },
@@ -1130,6 +2274,50 @@ function renderMonthlyComparisonChart(data) {
     });
 }
 
+
+function renderCashHistoryChart(data) {
+    const ctx = document.getElementById('cash-history-chart');
+    if (!ctx || !data || data.length === 0) return;
+
+    if (cashHistoryChart) cashHistoryChart.destroy();
+
+    cashHistoryChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: data.map(d => new Date(d.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })),
+            datasets: [{
+                label: 'Cash in Hand',
+                data: data.map(d => d.balance),
+                borderColor: '#22c55e',
+                backgroundColor: 'rgba(34, 197, 94, 0.1)',
+                fill: true,
+                stepped: true,
+                pointRadius: 0
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: { color: '#64748b', maxTicksLimit: 6 }
+                },
+                y: {
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: {
+                        color: '#64748b',
+                        callback: v => utils.currencySymbol() + (Math.abs(v) >= 1000 ? (v / 1000).toFixed(0) + 'k' : v)
+                    }
+                }
+            },
+            plugins: {
+                legend: { display: false }
+            }
+        }
+    });
+}
+
 // ========================================
 // Settings Modal
 // ========================================
@@ -1152,6 +2340,7 @@ async function openSettingsModal() {
     document.getElementById('reset-confirm-password').value = '';
 
     modal.style.display = 'flex';
+    loadBackupStatus();
 }
 
 function closeSettingsModal() {
@@ -1181,11 +2370,1937 @@ async function handlePasswordReset(e) {
     }
 
     try {
-        const result = await api.post('/auth/reset-password', { userId: parseInt(userId), newPassword });
-        showToast(result.message || 'Password reset successfully', 'success');
-        closeSettingsModal();
+        const result = await api.post('/auth/reset-password', { userId: parseInt(userId), newPassword });
+        showToast(result.message || 'Password reset successfully', 'success');
+        closeSettingsModal();
+    } catch (err) {
+        showToast(err.message || 'Failed to reset password', 'error');
+    }
+}
+
+// ========================================
+// Activity & History
+// ========================================
+const AUDIT_ACTIONS = {
+    create: { icon: '➕', verb: 'added' },
+    update: { icon: '✏️', verb: 'edited' },
+    delete: { icon: '🗑️', verb: 'deleted' },
+    restore: { icon: '↩️', verb: 'restored' },
+    purge: { icon: '❌', verb: 'permanently deleted' },
+    merge: { icon: '🔗', verb: 'merged' }
+};
+
+const AUDIT_FIELDS = {
+    amount: 'Amount',
+    currency: 'Currency',
+    originalAmount: 'Amount typed',
+    rate: 'Rate',
+    category: 'Category',
+    merchant: 'Merchant',
+    paymentMode: 'Payment',
+    note: 'Note',
+    date: 'Date',
+    splits: 'Split',
+    tags: 'Tags',
+    attachments: 'Attachments',
+    name: 'Name',
+    password: 'Password',
+    priority: 'Priority',
+    is_active: 'Active',
+    match_type: 'Type',
+    merchant_contains: 'Merchant contains',
+    merchant_regex: 'Merchant pattern',
+    min_amount: 'Min amount',
+    max_amount: 'Max amount',
+    payment_mode: 'Payment',
+    add_tags: 'Adds tags',
+    set_note: 'Sets note',
+    defaultCategory: 'Usual category',
+    defaultPaymentMode: 'Usual payment',
+    aliases: 'Also known as',
+    account: 'Account',
+    toAccount: 'To account',
+    type: 'Type',
+    last4: 'Last 4 digits',
+    statementDay: 'Statement day',
+    dueDay: 'Due day',
+    creditLimit: 'Credit limit',
+    openingBalance: 'Opening balance',
+    isActive: 'Active',
+    icon: 'Icon',
+    targetAmount: 'Target',
+    targetDate: 'Target date',
+    startDate: 'Saving since',
+    startingAmount: 'Already saved',
+    tag: 'Tag',
+    isArchived: 'Archived',
+    issueDate: 'Issued',
+    expiryDate: 'Expires',
+    reminderDays: 'Remind days before',
+    frequency: 'Every',
+    nextDueDate: 'Next due'
+};
+
+function formatAuditValue(field, value) {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+        return '—';
+    }
+    if (['amount', 'min_amount', 'max_amount', 'creditLimit', 'openingBalance', 'rate', 'targetAmount', 'startingAmount'].includes(field)) {
+        return utils.formatCurrency(value);
+    }
+    if (['is_active', 'isActive', 'isArchived'].includes(field)) return value ? 'Yes' : 'No';
+    if (field === 'splits') return value.map(s => `${s.category} ${utils.formatCurrency(s.amount)}`).join(', ');
+    if (Array.isArray(value)) return value.join(', ');
+    if (field === 'merchant_regex') return utils.escapeHtml(value);
+    return String(value);
+}
+
+// Audit timestamps are UTC (SQLite CURRENT_TIMESTAMP)
+function formatAuditTime(timestamp) {
+    return new Date(timestamp.replace(' ', 'T') + 'Z').toLocaleString('en-IN', {
+        day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+// showEntity: false inside a single transaction's history, where the subject is implied
+function renderAuditEntry(entry, { showEntity = true } = {}) {
+    const action = AUDIT_ACTIONS[entry.action] || { icon: '•', verb: entry.action };
+    const who = entry.user_name || 'Automatic cleanup';
+    const source = ['import', 'recurring', 'rule', 'merchant', 'rate', 'bill'].includes(entry.source) ? ` (${entry.source})` : '';
+    const subject = (showEntity
+        ? ` ${entry.entity_type}${entry.label ? ` <strong>${entry.label}</strong>` : ''}`
+        : '') + (entry.action === 'merge' && entry.after ? ` into <strong>${entry.after.mergedInto}</strong>` : '');
+
+    const changes = entry.action === 'update' && entry.after
+        ? Object.keys(entry.after).map(field => `
+            <div class="activity-change">
+              <span class="activity-field">${AUDIT_FIELDS[field] || field}:</span>
+              ${entry.before && field in entry.before ? `<span class="activity-before">${formatAuditValue(field, entry.before[field])}</span> → ` : ''}
+              <span>${formatAuditValue(field, entry.after[field])}</span>
+            </div>
+          `).join('')
+        : '';
+
+    return `
+      <div class="activity-item">
+        <div class="activity-icon">${action.icon}</div>
+        <div class="activity-details">
+          <div class="activity-text">${who} ${action.verb}${subject}${source}</div>
+          ${changes}
+          <div class="activity-time">${formatAuditTime(entry.created_at)}</div>
+        </div>
+      </div>
+    `;
+}
+
+async function loadActivity(append = false) {
+    const container = document.getElementById('activity-list');
+    const moreBtn = document.getElementById('activity-more-btn');
+    const pageSize = 50;
+
+    if (!append) state.activityOffset = 0;
+
+    const params = new URLSearchParams({ limit: pageSize, offset: state.activityOffset });
+    if (state.activityFilter) params.append('entityType', state.activityFilter);
+
+    try {
+        const entries = await api.get(`/activity?${params.toString()}`);
+        state.activityOffset += entries.length;
+
+        const html = entries.map(entry => renderAuditEntry(entry)).join('');
+        if (append) {
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html || `
+              <div class="empty-state">
+                <div class="icon">📜</div>
+                <p>No activity yet</p>
+              </div>
+            `;
+        }
+        moreBtn.style.display = entries.length === pageSize ? '' : 'none';
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+async function toggleEditHistory() {
+    const container = document.getElementById('edit-history');
+    const btn = document.getElementById('edit-history-btn');
+
+    if (container.style.display !== 'none') {
+        container.style.display = 'none';
+        btn.textContent = '📜 Show history';
+        return;
+    }
+
+    const id = document.getElementById('edit-transaction-id').value;
+    try {
+        const entries = await api.get(`/transactions/${id}/history`);
+        container.innerHTML = entries.length > 0
+            ? entries.map(entry => renderAuditEntry(entry, { showEntity: false })).join('')
+            : '<p class="attachment-empty">No recorded changes</p>';
+        container.style.display = '';
+        btn.textContent = '📜 Hide history';
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+function setupActivityHandlers() {
+    document.getElementById('open-activity-btn').addEventListener('click', () => {
+        closeSettingsModal();
+        navigateToView('activity');
+    });
+
+    document.getElementById('back-from-activity').addEventListener('click', () => {
+        navigateToView('home');
+    });
+
+    const filterButtons = document.querySelectorAll('#activity-filters .doc-category-btn');
+    filterButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            filterButtons.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            state.activityFilter = btn.dataset.entity;
+            loadActivity();
+        });
+    });
+
+    document.getElementById('activity-more-btn').addEventListener('click', () => loadActivity(true));
+    document.getElementById('edit-history-btn').addEventListener('click', toggleEditHistory);
+}
+
+// ========================================
+// Accounts
+// ========================================
+const ACCOUNT_ICONS = {
+    credit_card: '💳',
+    bank: '🏛️',
+    cash: '💵'
+};
+
+const accountLabel = (account) =>
+    `${ACCOUNT_ICONS[account.type]} ${account.name}${account.last4 ? ` ••${account.last4}` : ''}`;
+
+async function loadAccounts() {
+    try {
+        state.accounts = await api.get('/accounts');
+    } catch (err) {
+        console.error('Failed to load accounts:', err);
+        state.accounts = [];
+    }
+    fillAccountSelects();
+}
+
+// Quick add and import only offer active accounts; edit and filters list them all so
+// an old card stays selected on transactions made with it
+function fillAccountSelects() {
+    document.querySelectorAll('.account-select').forEach(select => {
+        const current = select.value;
+        const allAccounts = ['edit-account', 'edit-transfer-from', 'edit-transfer-to', 'filter-account'].includes(select.id);
+        const accounts = state.accounts.filter(a => allAccounts || a.is_active);
+        const emptyLabel = select.dataset.emptyLabel || 'No specific account';
+
+        select.innerHTML = `<option value="">${emptyLabel}</option>` +
+            accounts.map(a => `<option value="${a.id}">${accountLabel(a)}${a.is_active ? '' : ' (closed)'}</option>`).join('');
+        if (accounts.some(a => String(a.id) === current)) select.value = current;
+    });
+
+    document.querySelectorAll('.account-group').forEach(group => {
+        group.style.display = state.accounts.some(a => a.is_active) ? '' : 'none';
+    });
+
+    // A transfer needs two accounts to move money between
+    const canTransfer = state.accounts.filter(a => a.is_active).length >= 2;
+    document.querySelector('.type-btn[data-type="transfer"]').style.display = canTransfer ? '' : 'none';
+    if (!canTransfer && state.transactionType === 'transfer') setTransactionType('expense');
+}
+
+// Same rule as the server: cards and cash fix the payment mode, bank accounts need a bank one
+function syncPaymentMode(accountSelectId, modeSelectId) {
+    const account = state.accounts.find(a => a.id === parseInt(document.getElementById(accountSelectId).value));
+    if (!account) return;
+
+    const modeSelect = document.getElementById(modeSelectId);
+    if (account.type === 'credit_card') modeSelect.value = 'credit_card';
+    else if (account.type === 'cash') modeSelect.value = 'cash';
+    else if (!['upi', 'bank_transfer', 'debit_card'].includes(modeSelect.value)) modeSelect.value = 'bank_transfer';
+}
+
+function openAccountsModal() {
+    closeSettingsModal();
+    resetAccountForm();
+    renderAccountsList();
+    document.getElementById('accounts-modal').style.display = 'flex';
+}
+
+function closeAccountsModal() {
+    document.getElementById('accounts-modal').style.display = 'none';
+}
+
+function renderAccountsList() {
+    const container = document.getElementById('accounts-list');
+
+    if (state.accounts.length === 0) {
+        container.innerHTML = '<p class="rules-empty">No accounts yet</p>';
+        return;
+    }
+
+    container.innerHTML = state.accounts.map(a => {
+        const details = a.type === 'credit_card'
+            ? [`Statement on the ${a.statement_day}`, `due on the ${a.due_day}`,
+                a.credit_limit ? `limit ${utils.formatCurrency(a.credit_limit)}` : '']
+            : [`Balance ${utils.formatCurrency(a.balance)}`];
+        details.push(`${a.transaction_count} transaction${a.transaction_count === 1 ? '' : 's'}`);
+
+        return `
+      <div class="merchant-item${a.is_active ? '' : ' inactive'}" data-id="${a.id}">
+        <div class="merchant-details">
+          <div class="rule-name">${accountLabel(a)}${a.is_active ? '' : ' (closed)'}</div>
+          <div class="rule-summary">${details.filter(Boolean).join(' • ')}</div>
+        </div>
+        <button type="button" class="account-edit btn btn-ghost btn-sm">Edit</button>
+        <button type="button" class="account-delete btn btn-ghost btn-sm" title="Delete account">✕</button>
+      </div>
+    `;
+    }).join('');
+
+    container.querySelectorAll('.merchant-item').forEach(row => {
+        const account = state.accounts.find(a => a.id === parseInt(row.dataset.id));
+
+        row.querySelector('.account-edit').addEventListener('click', () => fillAccountForm(account));
+
+        row.querySelector('.account-delete').addEventListener('click', async () => {
+            const linked = account.transaction_count > 0
+                ? ` Its ${account.transaction_count} transaction${account.transaction_count === 1 ? '' : 's'} will be kept without an account.`
+                : '';
+            if (!confirm(`Delete "${account.name}"?${linked} To keep its history, untick Active instead.`)) return;
+            try {
+                await api.delete(`/accounts/${account.id}`);
+                showToast('Account deleted', 'success');
+                if (document.getElementById('account-id').value === String(account.id)) resetAccountForm();
+                await loadAccounts();
+                renderAccountsList();
+                refreshDashboard();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+}
+
+// Cards have a billing cycle and a limit; bank and cash accounts an opening balance
+function updateAccountFormFields() {
+    const isCard = document.getElementById('account-type').value === 'credit_card';
+    document.getElementById('account-card-fields').style.display = isCard ? '' : 'none';
+    document.getElementById('account-balance-fields').style.display = isCard ? 'none' : '';
+}
+
+function resetAccountForm() {
+    document.getElementById('account-form').reset();
+    document.getElementById('account-id').value = '';
+    document.getElementById('account-form-title').textContent = 'New Account';
+    document.getElementById('account-cancel-btn').style.display = 'none';
+    updateAccountFormFields();
+}
+
+function fillAccountForm(account) {
+    document.getElementById('account-id').value = account.id;
+    document.getElementById('account-name').value = account.name;
+    document.getElementById('account-type').value = account.type;
+    document.getElementById('account-last4').value = account.last4 || '';
+    document.getElementById('account-statement-day').value = account.statement_day || '';
+    document.getElementById('account-due-day').value = account.due_day || '';
+    document.getElementById('account-credit-limit').value = account.credit_limit || '';
+    document.getElementById('account-opening-balance').value = account.opening_balance || '';
+    document.getElementById('account-active').checked = account.is_active;
+    updateAccountFormFields();
+
+    document.getElementById('account-form-title').textContent = `Edit "${account.name}"`;
+    document.getElementById('account-cancel-btn').style.display = '';
+    document.getElementById('account-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function handleAccountSubmit(e) {
+    e.preventDefault();
+
+    const id = document.getElementById('account-id').value;
+    const type = document.getElementById('account-type').value;
+    const data = {
+        name: document.getElementById('account-name').value.trim(),
+        type,
+        last4: document.getElementById('account-last4').value.trim() || null,
+        isActive: document.getElementById('account-active').checked
+    };
+    if (type === 'credit_card') {
+        data.statementDay = parseInt(document.getElementById('account-statement-day').value);
+        data.dueDay = parseInt(document.getElementById('account-due-day').value);
+        data.creditLimit = parseFloat(document.getElementById('account-credit-limit').value) || null;
+    } else {
+        data.openingBalance = parseFloat(document.getElementById('account-opening-balance').value) || 0;
+    }
+
+    try {
+        if (id) {
+            await api.patch(`/accounts/${id}`, data);
+            showToast('Account updated', 'success');
+        } else {
+            await api.post('/accounts', data);
+            showToast('Account added', 'success');
+        }
+        resetAccountForm();
+        await loadAccounts();
+        renderAccountsList();
+        loadPaymentSummary();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// ========================================
+// Cash Wallet
+// ========================================
+const CASH_ENTRY_ICONS = {
+    withdrawal: '🏧',
+    received: '🤝',
+    adjustment: '🧮'
+};
+
+const CASH_FORMS = {
+    withdrawal: { label: 'Amount withdrawn', hint: 'Cash taken out at an ATM or over the counter. Not counted as income.' },
+    received: { label: 'Amount received', hint: 'Cash handed to you that isn\'t income, e.g. from family. For income paid in cash, add an income with payment mode Cash.' },
+    count: { label: 'Cash counted', hint: 'Count the notes and coins you actually have. The difference from the balance here is posted as an adjustment.' }
+};
+
+async function openCashModal() {
+    hideCashForm();
+    document.getElementById('cash-modal').style.display = 'flex';
+    await loadCashWallet();
+}
+
+function closeCashModal() {
+    document.getElementById('cash-modal').style.display = 'none';
+}
+
+async function loadCashWallet() {
+    const container = document.getElementById('cash-ledger');
+
+    let wallet;
+    try {
+        wallet = await api.get('/cash');
+    } catch (err) {
+        container.innerHTML = `<p class="rules-empty">${err.message}</p>`;
+        return;
+    }
+
+    const balance = document.getElementById('cash-balance');
+    balance.textContent = utils.formatCurrency(wallet.balance);
+    balance.classList.toggle('expense', wallet.balance < 0);
+
+    document.getElementById('cash-last-count').textContent = wallet.lastCount
+        ? `Last counted ${utils.formatDate(wallet.lastCount.date)}${wallet.lastCount.user_name ? ` by ${wallet.lastCount.user_name}` : ''}`
+        : 'Not counted yet. Count your cash once to set the starting balance.';
+
+    if (wallet.entries.length === 0) {
+        container.innerHTML = '<p class="rules-empty">No cash entries yet</p>';
+        return;
+    }
+
+    container.innerHTML = wallet.entries.map(entry => {
+        const isMovement = entry.source === 'movement';
+        const title = {
+            withdrawal: 'Withdrawal',
+            received: 'Cash received',
+            adjustment: `Counted ${utils.formatCurrency(entry.counted)}`
+        }[entry.kind] || entry.description;
+        // Movements show their note (or source account) under the title; transactions use it as the title
+        const detail = [isMovement ? entry.description : '', utils.formatDate(entry.date), entry.user_name]
+            .filter(Boolean).join(' • ');
+
+        return `
+      <div class="cash-entry" data-id="${entry.id}">
+        <span class="cash-entry-icon">${isMovement ? CASH_ENTRY_ICONS[entry.kind] : entry.icon}</span>
+        <div class="cash-entry-details">
+          <div class="rule-name">${title}</div>
+          <div class="rule-summary">${detail}</div>
+        </div>
+        <div class="cash-entry-amounts">
+          <span class="transaction-amount ${entry.amount < 0 ? 'expense' : 'income'}">${entry.amount < 0 ? '-' : '+'}${utils.formatCurrency(Math.abs(entry.amount))}</span>
+          <span class="rule-summary">${utils.formatCurrency(entry.balance)}</span>
+        </div>
+        ${isMovement ? '<button type="button" class="cash-entry-delete btn btn-ghost btn-sm" title="Delete entry">✕</button>' : ''}
+      </div>
+    `;
+    }).join('');
+
+    container.querySelectorAll('.cash-entry-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (!confirm('Delete this cash entry?')) return;
+            try {
+                await api.delete(`/cash/movements/${btn.closest('.cash-entry').dataset.id}`);
+                showToast('Cash entry deleted', 'success');
+                loadCashWallet();
+                loadPaymentSummary();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+}
+
+function showCashForm(kind) {
+    const form = document.getElementById('cash-form');
+    form.reset();
+    document.getElementById('cash-kind').value = kind;
+    document.getElementById('cash-amount-label').textContent = CASH_FORMS[kind].label;
+    document.getElementById('cash-form-hint').textContent = CASH_FORMS[kind].hint;
+    document.getElementById('cash-date').value = new Date().toISOString().split('T')[0];
+
+    // A count is always as of today; a withdrawal from one of our accounts is saved as a transfer
+    document.getElementById('cash-date-group').style.display = kind === 'count' ? 'none' : '';
+    document.getElementById('cash-source-group').style.display = kind === 'withdrawal' ? '' : 'none';
+    document.getElementById('cash-source').innerHTML = '<option value="">ATM / elsewhere</option>' +
+        state.accounts.filter(a => a.type !== 'cash' && a.is_active)
+            .map(a => `<option value="${a.id}">${accountLabel(a)}</option>`).join('');
+
+    form.style.display = '';
+    document.getElementById('cash-amount').focus();
+}
+
+function hideCashForm() {
+    document.getElementById('cash-form').style.display = 'none';
+}
+
+async function handleCashSubmit(e) {
+    e.preventDefault();
+
+    const kind = document.getElementById('cash-kind').value;
+    const amount = parseFloat(document.getElementById('cash-amount').value);
+    const note = document.getElementById('cash-note').value.trim() || null;
+
+    try {
+        if (kind === 'count') {
+            const { difference } = await api.post('/cash/count', { counted: amount, note });
+            showToast(difference === 0 ? 'Cash matches 👍'
+                : `${difference > 0 ? 'Found' : 'Short by'} ${utils.formatCurrency(Math.abs(difference))}, adjusted`, 'success');
+        } else {
+            await api.post('/cash/movements', {
+                kind,
+                amount,
+                note,
+                date: document.getElementById('cash-date').value,
+                sourceAccountId: parseInt(document.getElementById('cash-source').value) || null
+            });
+            showToast(kind === 'withdrawal' ? 'Withdrawal added' : 'Cash received added', 'success');
+        }
+        hideCashForm();
+        loadCashWallet();
+        loadPaymentSummary();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// ========================================
+// Savings Goals
+// ========================================
+const GOAL_STATUS = {
+    reached: { label: 'Reached 🎉', className: 'income' },
+    on_track: { label: 'On track', className: 'income' },
+    behind: { label: 'Behind', className: 'warning' },
+    overdue: { label: 'Past target date', className: 'expense' }
+};
+
+const goalMonth = (dateStr) => new Date(dateStr).toLocaleDateString('en-IN', { month: 'short', year: 'numeric' });
+
+// What the goal needs next, e.g. "₹7,834/month until Mar 2027"
+function goalNextStep(goal) {
+    if (goal.status === 'reached') return `${utils.formatCurrency(goal.saved)} saved`;
+    if (goal.status === 'overdue') return `${utils.formatCurrency(goal.remaining)} still to go`;
+    return `${utils.formatCurrency(goal.requiredMonthly)}/month until ${goalMonth(goal.targetDate)}`;
+}
+
+async function loadGoals() {
+    try {
+        state.goals = await api.get('/goals');
+    } catch (err) {
+        console.error('Failed to load goals:', err);
+        state.goals = [];
+    }
+    renderGoalCards();
+}
+
+// Dashboard cards for goals still being saved for; archived ones behind a toggle
+function renderGoalCards() {
+    const container = document.getElementById('goals-list');
+    const archivedCount = state.goals.filter(g => g.isArchived).length;
+    const goals = state.goals.filter(g => state.showArchivedGoals || !g.isArchived);
+    const toggle = archivedCount > 0
+        ? `<button type="button" id="goals-archived-toggle" class="btn btn-ghost btn-sm">${state.showArchivedGoals ? 'Hide archived' : `📦 ${archivedCount} archived`}</button>`
+        : '';
+
+    if (goals.length === 0) {
+        container.innerHTML = `<p class="rules-empty">Saving for something? Add a goal to track it.</p>${toggle}`;
+    } else {
+        container.innerHTML = goals.map(goal => `
+      <button type="button" class="goal-card glass ${goal.status}${goal.isArchived ? ' inactive' : ''}" data-id="${goal.id}">
+        <div class="goal-card-header">
+          <span class="summary-icon">${goal.icon}</span>
+          <span class="goal-name">${goal.name}</span>
+          <span class="goal-status ${GOAL_STATUS[goal.status].className}">${GOAL_STATUS[goal.status].label}</span>
+        </div>
+        <div class="goal-amounts">
+          <span class="summary-value">${utils.formatCurrency(goal.saved)}</span>
+          <span class="summary-label">of ${utils.formatCurrency(goal.targetAmount)}</span>
+        </div>
+        <div class="breakdown-bar">
+          <div class="breakdown-bar-fill goal-bar-fill" style="width: ${goal.percent}%"></div>
+        </div>
+        <div class="goal-next">${goalNextStep(goal)}</div>
+      </button>
+    `).join('') + toggle;
+    }
+
+    document.getElementById('goals-archived-toggle')?.addEventListener('click', () => {
+        state.showArchivedGoals = !state.showArchivedGoals;
+        renderGoalCards();
+    });
+
+    container.querySelectorAll('.goal-card').forEach(card => {
+        card.addEventListener('click', () => openGoalModal(parseInt(card.dataset.id)));
+    });
+}
+
+// With an id, the goal's progress and contributions; without, an empty form for a new one
+async function openGoalModal(id = null) {
+    hideGoalContributionForm();
+    document.getElementById('goal-modal').style.display = 'flex';
+
+    if (!id) {
+        document.getElementById('goal-detail').style.display = 'none';
+        fillGoalForm(null);
+        return;
+    }
+
+    document.getElementById('goal-form').style.display = 'none';
+    document.getElementById('goal-detail').style.display = '';
+    await loadGoalDetail(id);
+}
+
+function closeGoalModal() {
+    document.getElementById('goal-modal').style.display = 'none';
+    state.openGoal = null;
+}
+
+async function loadGoalDetail(id) {
+    let goal;
+    try {
+        goal = await api.get(`/goals/${id}`);
+    } catch (err) {
+        showToast(err.message, 'error');
+        closeGoalModal();
+        return;
+    }
+    state.openGoal = goal;
+
+    document.getElementById('goal-modal-title').textContent = `${goal.icon} ${goal.name}`;
+    document.getElementById('goal-archive-btn').textContent = goal.isArchived ? '📤 Unarchive' : '📦 Archive';
+    document.getElementById('goal-tag-hint').textContent =
+        `Transactions tagged #${goal.tag} count towards this goal${goal.account ? `, and transfers out of ${goal.account} come off it` : ''}.`;
+
+    const status = GOAL_STATUS[goal.status];
+    const details = [
+        `Target ${utils.formatCurrency(goal.targetAmount)} by ${new Date(goal.targetDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}`,
+        goal.startingAmount ? `${utils.formatCurrency(goal.startingAmount)} already saved at the start` : '',
+        goal.status === 'behind' ? `Should be at ${utils.formatCurrency(goal.expected)} by now` : '',
+        goal.account ? `Kept in ${goal.account}` : ''
+    ];
+    document.getElementById('goal-progress').innerHTML = `
+      <div class="goal-amounts">
+        <span class="payment-value">${utils.formatCurrency(goal.saved)}</span>
+        <span class="goal-status ${status.className}">${status.label} · ${goal.percent}%</span>
+      </div>
+      <div class="breakdown-bar">
+        <div class="breakdown-bar-fill goal-bar-fill" style="width: ${goal.percent}%"></div>
+      </div>
+      <div class="goal-next">${goalNextStep(goal)}</div>
+      <p class="settings-description">${details.filter(Boolean).join(' • ')}</p>
+    `;
+
+    const container = document.getElementById('goal-contributions');
+    if (goal.contributions.length === 0) {
+        container.innerHTML = '<p class="rules-empty">No contributions yet</p>';
+        return;
+    }
+
+    container.innerHTML = goal.contributions.map(tx => {
+        const title = tx.type === 'transfer'
+            ? `${tx.account_name} → ${tx.to_account_name}`
+            : [tx.category_name, tx.merchant].filter(Boolean).join(' • ');
+        const detail = [tx.note, utils.formatDate(tx.date)].filter(Boolean).join(' • ');
+
+        return `
+      <div class="cash-entry" data-id="${tx.id}">
+        <span class="cash-entry-icon">${tx.category_icon}</span>
+        <div class="cash-entry-details">
+          <div class="rule-name">${title}</div>
+          <div class="rule-summary">${detail}</div>
+        </div>
+        <div class="cash-entry-amounts">
+          <span class="transaction-amount ${tx.contribution < 0 ? 'expense' : 'income'}">${tx.contribution < 0 ? '-' : '+'}${utils.formatCurrency(Math.abs(tx.contribution))}</span>
+        </div>
+        <button type="button" class="goal-unlink btn btn-ghost btn-sm" title="Stop counting towards this goal">✕</button>
+      </div>
+    `;
+    }).join('');
+
+    container.querySelectorAll('.goal-unlink').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (!confirm(`Stop counting this towards "${goal.name}"? The transaction itself is kept.`)) return;
+            try {
+                await api.delete(`/goals/${goal.id}/contributions/${btn.closest('.cash-entry').dataset.id}`);
+                showToast('Removed from goal', 'success');
+                loadGoalDetail(goal.id);
+                loadGoals();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+}
+
+function fillGoalForm(goal) {
+    const form = document.getElementById('goal-form');
+    form.reset();
+    document.getElementById('goal-id').value = goal ? goal.id : '';
+    document.getElementById('goal-account').innerHTML = '<option value="">No separate account</option>' +
+        state.accounts.filter(a => a.type !== 'credit_card' && (a.is_active || (goal && a.id === goal.accountId)))
+            .map(a => `<option value="${a.id}">${accountLabel(a)}</option>`).join('');
+
+    if (goal) {
+        document.getElementById('goal-icon').value = goal.icon;
+        document.getElementById('goal-name').value = goal.name;
+        document.getElementById('goal-target-amount').value = goal.targetAmount;
+        document.getElementById('goal-target-date').value = goal.targetDate;
+        document.getElementById('goal-starting-amount').value = goal.startingAmount || '';
+        document.getElementById('goal-start-date').value = goal.startDate;
+        document.getElementById('goal-account').value = goal.accountId || '';
+        document.getElementById('goal-tag').value = goal.tag;
+    } else {
+        document.getElementById('goal-modal-title').textContent = 'New Goal';
+        document.getElementById('goal-start-date').value = new Date().toISOString().split('T')[0];
+    }
+
+    document.getElementById('goal-cancel-btn').style.display = goal ? '' : 'none';
+    form.style.display = '';
+    document.getElementById('goal-name').focus();
+}
+
+async function handleGoalSubmit(e) {
+    e.preventDefault();
+
+    const id = document.getElementById('goal-id').value;
+    const data = {
+        name: document.getElementById('goal-name').value.trim(),
+        icon: document.getElementById('goal-icon').value.trim() || null,
+        targetAmount: parseFloat(document.getElementById('goal-target-amount').value),
+        targetDate: document.getElementById('goal-target-date').value,
+        startingAmount: parseFloat(document.getElementById('goal-starting-amount').value) || 0,
+        startDate: document.getElementById('goal-start-date').value || null,
+        accountId: parseInt(document.getElementById('goal-account').value) || null
+    };
+    const tag = document.getElementById('goal-tag').value.trim();
+    if (tag) data.tag = tag;
+
+    try {
+        if (id) {
+            await api.patch(`/goals/${id}`, data);
+            showToast('Goal updated', 'success');
+        } else {
+            const result = await api.post('/goals', data);
+            showToast('Goal added', 'success');
+            loadGoals();
+            openGoalModal(result.id);
+            return;
+        }
+        document.getElementById('goal-form').style.display = 'none';
+        loadGoalDetail(id);
+        loadGoals();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// Money added here is a transfer into the goal's account, tagged with the goal
+function showGoalContributionForm() {
+    const goal = state.openGoal;
+    if (!goal.accountId) {
+        showToast(`Choose a savings account for this goal first, or tag transactions #${goal.tag}`, 'info');
+        fillGoalForm(goal);
+        return;
+    }
+
+    const form = document.getElementById('goal-contribution-form');
+    form.reset();
+    document.getElementById('goal-contribution-hint').textContent =
+        `Recorded as a transfer into ${goal.account}, tagged #${goal.tag}.`;
+    document.getElementById('goal-contribution-date').value = new Date().toISOString().split('T')[0];
+    document.getElementById('goal-contribution-from').innerHTML =
+        state.accounts.filter(a => a.is_active && a.id !== goal.accountId)
+            .map(a => `<option value="${a.id}">${accountLabel(a)}</option>`).join('');
+
+    form.style.display = '';
+    document.getElementById('goal-contribution-amount').focus();
+}
+
+function hideGoalContributionForm() {
+    document.getElementById('goal-contribution-form').style.display = 'none';
+}
+
+async function handleGoalContributionSubmit(e) {
+    e.preventDefault();
+
+    const goal = state.openGoal;
+    try {
+        await api.post(`/goals/${goal.id}/contributions`, {
+            amount: parseFloat(document.getElementById('goal-contribution-amount').value),
+            fromAccountId: parseInt(document.getElementById('goal-contribution-from').value) || null,
+            date: document.getElementById('goal-contribution-date').value,
+            note: document.getElementById('goal-contribution-note').value.trim() || null
+        });
+        showToast(`Added to ${goal.name}`, 'success');
+        hideGoalContributionForm();
+        loadGoalDetail(goal.id);
+        refreshDashboard();
+        loadPaymentSummary();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+async function toggleGoalArchived() {
+    const goal = state.openGoal;
+    try {
+        await api.patch(`/goals/${goal.id}`, { isArchived: !goal.isArchived });
+        showToast(goal.isArchived ? 'Goal restored to the dashboard' : 'Goal archived', 'success');
+        closeGoalModal();
+        loadGoals();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+async function deleteGoal() {
+    const goal = state.openGoal;
+    if (!confirm(`Delete the goal "${goal.name}"? Its transactions are kept, still tagged #${goal.tag}.`)) return;
+    try {
+        await api.delete(`/goals/${goal.id}`);
+        showToast('Goal deleted', 'success');
+        closeGoalModal();
+        loadGoals();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// ========================================
+// Bills
+// ========================================
+const BILL_STATUS = {
+    overdue: { label: 'Overdue', className: 'expense' },
+    due: { label: 'Due soon', className: 'warning' },
+    upcoming: { label: 'Upcoming', className: '' },
+    paused: { label: 'Paused', className: '' }
+};
+
+const BILL_FREQUENCY_LABELS = { monthly: 'Monthly', quarterly: 'Quarterly', half_yearly: 'Every 6 months', yearly: 'Yearly' };
+
+// "3 days overdue", "Due today", "Due 25 Oct"
+function billDueText(bill) {
+    if (bill.daysUntilDue < 0) {
+        const days = -bill.daysUntilDue;
+        return `${days} day${days === 1 ? '' : 's'} overdue`;
+    }
+    if (bill.daysUntilDue === 0) return 'Due today';
+    if (bill.daysUntilDue === 1) return 'Due tomorrow';
+    return `Due ${utils.formatDate(bill.next_due_date)}`;
+}
+
+// Dashboard widget and header badge: bills due in the next 14 days
+async function loadBillsDue() {
+    try {
+        const { bills, alertCount } = await api.get('/bills/upcoming?days=14');
+        state.billsDue = bills;
+        updateBillsBadge(alertCount);
+    } catch (err) {
+        console.error('Failed to load bills:', err);
+        state.billsDue = [];
+    }
+    renderBillsDue();
+}
+
+// Counts bills due within 3 days or overdue; also shown on the installed app's icon where supported
+function updateBillsBadge(count) {
+    const badge = document.getElementById('bills-badge');
+    badge.textContent = count > 9 ? '9+' : count;
+    badge.style.display = count > 0 ? '' : 'none';
+    document.getElementById('bills-btn').title = count > 0 ? `Bills (${count} need paying)` : 'Bills';
+
+    if ('setAppBadge' in navigator) {
+        (count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge()).catch(() => {});
+    }
+}
+
+function renderBillsDue() {
+    const container = document.getElementById('bills-due-list');
+
+    if (state.billsDue.length === 0) {
+        container.innerHTML = '<p class="rules-empty">Nothing due in the next 14 days</p>';
+        return;
+    }
+
+    container.innerHTML = state.billsDue.map(bill => `
+    <div class="transaction-item bill-item ${bill.status}" data-id="${bill.id}">
+      <div class="transaction-icon" style="background: ${bill.category_color}20">
+        ${bill.category_icon}
+      </div>
+      <div class="transaction-details">
+        <div class="transaction-category">${bill.payee}</div>
+        <div class="transaction-meta">
+          <span class="bill-due ${BILL_STATUS[bill.status].className}">${billDueText(bill)}</span>
+          <span>• ${bill.category_name}</span>
+        </div>
+      </div>
+      <div class="transaction-amount expense">
+        ${utils.formatCurrency(bill.amount)}
+      </div>
+      <button type="button" class="btn btn-ghost btn-sm bill-pay-btn">Paid</button>
+    </div>
+  `).join('');
+
+    container.querySelectorAll('.bill-pay-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const bill = state.billsDue.find(b => b.id === parseInt(btn.closest('.bill-item').dataset.id));
+            openBillsModal(bill);
+        });
+    });
+}
+
+// Optionally straight to the pay form for one bill (the dashboard's "Paid" button)
+async function openBillsModal(payBill = null) {
+    if (!state.allCategories) {
+        state.allCategories = await api.get('/categories?type=all');
+    }
+    document.getElementById('bill-category').innerHTML = '<option value="">Select a category...</option>' +
+        state.allCategories.filter(c => c.type === 'expense' || c.type === 'both')
+            .map(c => `<option value="${c.id}">${c.icon} ${c.name}</option>`).join('');
+
+    hideBillForms();
+    document.getElementById('bills-modal').style.display = 'flex';
+    if (payBill) showBillPayForm(payBill);
+    await loadBills();
+}
+
+function closeBillsModal() {
+    document.getElementById('bills-modal').style.display = 'none';
+    state.openBill = null;
+}
+
+async function loadBills() {
+    try {
+        state.bills = await api.get('/bills');
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    renderBillsList();
+}
+
+function renderBillsList() {
+    const container = document.getElementById('bills-list');
+
+    if (state.bills.length === 0) {
+        container.innerHTML = '<p class="rules-empty">No bills yet. Add your electricity, broadband or insurance premiums to be reminded before they fall due.</p>';
+        return;
+    }
+
+    container.innerHTML = state.bills.map(bill => {
+        const status = BILL_STATUS[bill.status];
+        const detail = [
+            BILL_FREQUENCY_LABELS[bill.frequency],
+            bill.account_name,
+            bill.last_paid_date ? `Last paid ${utils.formatCurrency(bill.last_paid_amount)} on ${utils.formatDate(bill.last_paid_date)}` : ''
+        ].filter(Boolean).join(' • ');
+
+        return `
+      <div class="cash-entry bill-entry${bill.is_active ? '' : ' inactive'}" data-id="${bill.id}">
+        <span class="cash-entry-icon">${bill.category_icon}</span>
+        <div class="cash-entry-details">
+          <div class="rule-name">${bill.payee} <span class="bill-due ${status.className}">${bill.is_active ? billDueText(bill) : status.label}</span></div>
+          <div class="rule-summary">${detail}</div>
+        </div>
+        <div class="cash-entry-amounts">
+          <span class="transaction-amount expense">${utils.formatCurrency(bill.amount)}</span>
+        </div>
+        <div class="bill-actions">
+          ${bill.is_active ? `
+          <button type="button" class="btn btn-ghost btn-sm bill-pay-btn">Paid</button>
+          <button type="button" class="btn btn-ghost btn-sm bill-skip-btn" title="Nothing to pay this time">Skip</button>` : ''}
+          <button type="button" class="btn btn-ghost btn-sm bill-edit-btn" title="Edit">✏️</button>
+          <button type="button" class="btn btn-ghost btn-sm bill-delete-btn" title="Delete">🗑️</button>
+        </div>
+      </div>
+    `;
+    }).join('');
+
+    const billFor = (btn) => state.bills.find(b => b.id === parseInt(btn.closest('.bill-entry').dataset.id));
+    container.querySelectorAll('.bill-pay-btn').forEach(btn => btn.addEventListener('click', () => showBillPayForm(billFor(btn))));
+    container.querySelectorAll('.bill-skip-btn').forEach(btn => btn.addEventListener('click', () => skipBill(billFor(btn))));
+    container.querySelectorAll('.bill-edit-btn').forEach(btn => btn.addEventListener('click', () => showBillForm(billFor(btn))));
+    container.querySelectorAll('.bill-delete-btn').forEach(btn => btn.addEventListener('click', () => deleteBill(billFor(btn))));
+}
+
+function hideBillForms() {
+    document.getElementById('bill-form').style.display = 'none';
+    document.getElementById('bill-pay-form').style.display = 'none';
+    document.getElementById('bills-overview').style.display = '';
+    state.openBill = null;
+}
+
+// Without a bill, an empty form for a new one
+function showBillForm(bill = null) {
+    const form = document.getElementById('bill-form');
+    form.reset();
+    state.openBill = bill;
+
+    document.getElementById('bill-form-title').textContent = bill ? `Edit ${bill.payee}` : 'New Bill';
+    document.getElementById('bill-id').value = bill ? bill.id : '';
+    if (bill) {
+        document.getElementById('bill-payee').value = bill.payee;
+        document.getElementById('bill-amount').value = bill.amount;
+        document.getElementById('bill-frequency').value = bill.frequency;
+        document.getElementById('bill-due-day').value = bill.due_day;
+        document.getElementById('bill-next-due').value = bill.next_due_date;
+        document.getElementById('bill-category').value = bill.category_id;
+        document.getElementById('bill-payment-mode').value = bill.payment_mode;
+        document.getElementById('bill-account').value = bill.account_id || '';
+        document.getElementById('bill-note').value = bill.note || '';
+    }
+
+    document.getElementById('bills-overview').style.display = 'none';
+    document.getElementById('bill-pay-form').style.display = 'none';
+    form.style.display = '';
+    document.getElementById('bill-payee').focus();
+}
+
+async function handleBillSubmit(e) {
+    e.preventDefault();
+
+    const bill = state.openBill;
+    const data = {
+        payee: document.getElementById('bill-payee').value.trim(),
+        amount: parseFloat(document.getElementById('bill-amount').value),
+        frequency: document.getElementById('bill-frequency').value,
+        dueDay: parseInt(document.getElementById('bill-due-day').value),
+        categoryId: parseInt(document.getElementById('bill-category').value) || null,
+        paymentMode: document.getElementById('bill-payment-mode').value,
+        accountId: parseInt(document.getElementById('bill-account').value) || null,
+        note: document.getElementById('bill-note').value.trim() || null
+    };
+    // Left alone, the server works the next due date out from the due day
+    const nextDue = document.getElementById('bill-next-due').value;
+    if (nextDue && (!bill || nextDue !== bill.next_due_date)) data.nextDueDate = nextDue;
+
+    try {
+        if (bill) {
+            await api.patch(`/bills/${bill.id}`, data);
+            showToast('Bill updated', 'success');
+        } else {
+            await api.post('/bills', data);
+            showToast('Bill added', 'success');
+        }
+        hideBillForms();
+        loadBills();
+        loadBillsDue();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// Prefilled with what the bill expects; change it to what was actually paid
+function showBillPayForm(bill) {
+    const form = document.getElementById('bill-pay-form');
+    form.reset();
+    state.openBill = bill;
+
+    document.getElementById('bill-pay-title').textContent =
+        `${bill.payee} · ${bill.daysUntilDue < 0 ? billDueText(bill) : `due ${utils.formatDate(bill.next_due_date)}`}`;
+    document.getElementById('bill-pay-amount').value = bill.amount;
+    document.getElementById('bill-pay-date').value = new Date().toISOString().split('T')[0];
+    document.getElementById('bill-pay-payment-mode').value = bill.payment_mode;
+    document.getElementById('bill-pay-account').value = bill.account_id || '';
+
+    document.getElementById('bills-overview').style.display = 'none';
+    document.getElementById('bill-form').style.display = 'none';
+    form.style.display = '';
+    document.getElementById('bill-pay-amount').focus();
+}
+
+async function handleBillPaySubmit(e) {
+    e.preventDefault();
+
+    const bill = state.openBill;
+    try {
+        const result = await api.post(`/bills/${bill.id}/pay`, {
+            amount: parseFloat(document.getElementById('bill-pay-amount').value),
+            date: document.getElementById('bill-pay-date').value,
+            paymentMode: document.getElementById('bill-pay-payment-mode').value,
+            accountId: parseInt(document.getElementById('bill-pay-account').value) || null,
+            // Empty keeps the bill's own note
+            note: document.getElementById('bill-pay-note').value.trim() || undefined
+        });
+        showToast(`${bill.payee} paid, next due ${utils.formatDate(result.nextDueDate)}`, 'success');
+        hideBillForms();
+        afterBillSettled();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+async function skipBill(bill) {
+    if (!confirm(`Skip ${bill.payee}'s bill due ${utils.formatDate(bill.next_due_date)}? No expense is added.`)) return;
+    try {
+        const result = await api.post(`/bills/${bill.id}/skip`);
+        showToast(`Skipped, next due ${utils.formatDate(result.nextDueDate)}`, 'success');
+        afterBillSettled();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+async function deleteBill(bill) {
+    if (!confirm(`Delete the bill "${bill.payee}"? Payments already made are kept as transactions.`)) return;
+    try {
+        await api.delete(`/bills/${bill.id}`);
+        showToast('Bill deleted', 'success');
+        loadBills();
+        loadBillsDue();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// A payment adds an expense, so the dashboard totals move too
+function afterBillSettled() {
+    loadBills();
+    refreshDashboard();
+    loadPaymentSummary();
+}
+
+// ========================================
+// Currencies
+// ========================================
+async function loadCurrencies() {
+    try {
+        const { base, currencies } = await api.get('/currencies');
+        state.baseCurrency = base;
+        state.currencies = currencies;
+    } catch {
+        return;
+    }
+    fillCurrencySelects();
+}
+
+// Amount fields offer the base currency plus every currency that has a rate
+function fillCurrencySelects() {
+    const codes = [state.baseCurrency, ...state.currencies.map(c => c.currency)];
+    const hasOthers = codes.length > 1;
+    const symbol = utils.currencySymbol();
+
+    const symbolEl = document.getElementById('currency-symbol');
+    symbolEl.textContent = symbol;
+    symbolEl.style.display = hasOthers ? 'none' : '';
+
+    ['transaction-currency', 'edit-currency'].forEach(id => {
+        const select = document.getElementById(id);
+        const current = select.value;
+        select.innerHTML = codes.map(code => `<option value="${code}">${code}</option>`).join('');
+        select.value = codes.includes(current) ? current : state.baseCurrency;
+    });
+    document.getElementById('transaction-currency').style.display = hasOthers ? '' : 'none';
+    document.querySelectorAll('.currency-group').forEach(group => {
+        group.style.display = hasOthers ? '' : 'none';
+    });
+
+    document.getElementById('filter-min-amount').placeholder = `Min ${symbol}`;
+    document.getElementById('filter-max-amount').placeholder = `Max ${symbol}`;
+}
+
+async function openCurrenciesModal() {
+    closeSettingsModal();
+    document.getElementById('rate-form').reset();
+    document.getElementById('rate-import-form').reset();
+    document.getElementById('rate-date').value = new Date().toISOString().split('T')[0];
+    await loadCurrencies();
+    renderCurrenciesModal();
+    document.getElementById('currencies-modal').style.display = 'flex';
+}
+
+function closeCurrenciesModal() {
+    document.getElementById('currencies-modal').style.display = 'none';
+}
+
+function renderCurrenciesModal() {
+    const baseInput = document.getElementById('base-currency');
+    const locked = state.currencies.length > 0;
+    baseInput.value = state.baseCurrency;
+    baseInput.disabled = locked;
+    document.getElementById('base-currency-btn').disabled = locked;
+    document.getElementById('rate-form-hint').textContent =
+        `1 unit of the currency in ${state.baseCurrency}. A rate applies from its date until the next one.`;
+
+    const container = document.getElementById('currencies-list');
+    if (state.currencies.length === 0) {
+        container.innerHTML = '<p class="rules-empty">No other currencies yet. Add a rate below to start using one.</p>';
+        document.getElementById('rates-panel').style.display = 'none';
+        return;
+    }
+
+    container.innerHTML = state.currencies.map(c => `
+      <div class="merchant-item${c.currency === state.ratesCurrency ? ' selected' : ''}" data-currency="${c.currency}">
+        <div class="merchant-details">
+          <div class="rule-name">${c.currency} • 1 = ${utils.formatCurrency(c.latest_rate)}</div>
+          <div class="rule-summary">Since ${utils.formatDate(c.latest_date)} • ${c.rate_count} rate${c.rate_count === 1 ? '' : 's'} • ${c.transaction_count} transaction${c.transaction_count === 1 ? '' : 's'}</div>
+        </div>
+        <button type="button" class="currency-rates btn btn-ghost btn-sm">Rates</button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.currency-rates').forEach(btn => {
+        btn.addEventListener('click', () => loadRates(btn.closest('.merchant-item').dataset.currency));
+    });
+
+    if (state.currencies.some(c => c.currency === state.ratesCurrency)) {
+        loadRates(state.ratesCurrency);
+    } else {
+        document.getElementById('rates-panel').style.display = 'none';
+    }
+}
+
+async function loadRates(currency) {
+    state.ratesCurrency = currency;
+    document.querySelectorAll('#currencies-list .merchant-item').forEach(row => {
+        row.classList.toggle('selected', row.dataset.currency === currency);
+    });
+    document.getElementById('rate-currency').value = currency;
+    document.getElementById('rates-title').textContent = `${currency} rates`;
+    document.getElementById('rates-panel').style.display = '';
+
+    const container = document.getElementById('rates-list');
+    let rates;
+    try {
+        rates = await api.get(`/currencies/rates?currency=${currency}`);
+    } catch (err) {
+        container.innerHTML = `<p class="rules-empty">${err.message}</p>`;
+        return;
+    }
+
+    container.innerHTML = rates.map(rate => `
+      <div class="merchant-item" data-id="${rate.id}">
+        <div class="merchant-details">
+          <div class="rule-name">${utils.formatCurrency(rate.rate)}</div>
+          <div class="rule-summary">From ${utils.formatDate(rate.date)}${rate.source === 'import' ? ' • imported' : ''}</div>
+        </div>
+        <button type="button" class="rate-delete btn btn-ghost btn-sm" title="Delete rate">✕</button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.rate-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (!confirm('Delete this rate? Transactions on those days are converted with the rate before it.')) return;
+            try {
+                const { revalued } = await api.delete(`/currencies/rates/${btn.closest('.merchant-item').dataset.id}`);
+                showToast(`Rate deleted${revaluedNote(revalued)}`, 'success');
+                await afterRatesChanged();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+}
+
+function revaluedNote(count) {
+    return count > 0 ? `, ${count} transaction${count === 1 ? '' : 's'} converted again` : '';
+}
+
+// New rates can change converted amounts anywhere on screen
+async function afterRatesChanged() {
+    await loadCurrencies();
+    renderCurrenciesModal();
+    refreshDashboard();
+    if (state.currentView === 'transactions') {
+        applyTransactionFilters();
+    }
+}
+
+async function handleBaseCurrencySubmit(e) {
+    e.preventDefault();
+    try {
+        await api.put('/currencies/base', { currency: document.getElementById('base-currency').value });
+        showToast('Base currency saved', 'success');
+        await afterRatesChanged();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+async function handleRateSubmit(e) {
+    e.preventDefault();
+    const currency = document.getElementById('rate-currency').value.trim().toUpperCase();
+    try {
+        const { revalued } = await api.post('/currencies/rates', {
+            currency,
+            date: document.getElementById('rate-date').value,
+            rate: parseFloat(document.getElementById('rate-value').value)
+        });
+        showToast(`Rate saved${revaluedNote(revalued)}`, 'success');
+        document.getElementById('rate-value').value = '';
+        state.ratesCurrency = currency;
+        await afterRatesChanged();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+async function handleRateImport(e) {
+    e.preventDefault();
+    const file = document.getElementById('rate-import-file').files[0];
+    if (!file) return;
+
+    try {
+        const result = await api.importRates(file, {
+            currency: document.getElementById('rate-import-currency').value.trim(),
+            dateOrder: document.getElementById('rate-import-date-order').value
+        });
+        const skipped = result.skipped > 0
+            ? ` Skipped ${result.skipped} row${result.skipped === 1 ? '' : 's'} (row ${result.errors[0].row}: ${result.errors[0].error}).`
+            : '';
+        showToast(`Imported ${result.imported} rate${result.imported === 1 ? '' : 's'}${revaluedNote(result.revalued)}.${skipped}`,
+            result.skipped > 0 ? 'warning' : 'success');
+        document.getElementById('rate-import-form').reset();
+        await afterRatesChanged();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// ========================================
+// Merchants
+// ========================================
+const PAYMENT_LABELS = {
+    cash: '💵 Cash',
+    upi: '📱 UPI',
+    bank_transfer: '🏛️ Bank Transfer',
+    credit_card: '💳 Credit Card',
+    debit_card: '🏦 Debit Card'
+};
+
+// Quick add: switch to a known merchant's name, usual category and payment mode
+async function applyMerchantDefaults(name) {
+    if (!name.trim()) return;
+
+    let merchant;
+    try {
+        merchant = await api.get(`/merchants/match?name=${encodeURIComponent(name)}`);
+    } catch {
+        return;
+    }
+    if (!merchant) return;
+
+    document.getElementById('transaction-merchant').value = merchant.name;
+
+    if (merchant.default_payment_mode) {
+        document.getElementById('payment-mode').value = merchant.default_payment_mode;
+    }
+
+    // Only if the category is offered for this type, and not while splitting
+    const categorySelect = document.getElementById('category-select');
+    const splitting = document.getElementById('quick-split-editor').style.display !== 'none';
+    if (merchant.default_category_id && !splitting &&
+        state.categories.some(c => c.id === merchant.default_category_id)) {
+        categorySelect.value = merchant.default_category_id;
+        state.selectedCategory = merchant.default_category_id;
+        renderBudgetHint();
+    }
+}
+
+async function openMerchantsModal() {
+    closeSettingsModal();
+    if (!state.allCategories) {
+        state.allCategories = await api.get('/categories?type=all');
+    }
+    document.getElementById('merchant-default-category').innerHTML = '<option value="">None</option>' +
+        state.allCategories.map(c => `<option value="${c.id}">${c.icon} ${c.name}</option>`).join('');
+
+    document.getElementById('merchant-search').value = '';
+    resetMerchantForm();
+    document.getElementById('merchants-modal').style.display = 'flex';
+    await renderMerchantsList();
+}
+
+function closeMerchantsModal() {
+    document.getElementById('merchants-modal').style.display = 'none';
+}
+
+async function renderMerchantsList() {
+    const container = document.getElementById('merchants-list');
+    const query = document.getElementById('merchant-search').value.trim();
+
+    try {
+        state.merchants = await api.get(`/merchants${query ? `?q=${encodeURIComponent(query)}` : ''}`);
+    } catch (err) {
+        container.innerHTML = '<p class="rules-empty">Failed to load merchants</p>';
+        return;
+    }
+
+    updateMergeBar();
+
+    if (state.merchants.length === 0) {
+        container.innerHTML = `<p class="rules-empty">${query ? 'No matching merchants' : 'No merchants yet'}</p>`;
+        return;
+    }
+
+    container.innerHTML = state.merchants.map(m => {
+        const defaults = [
+            m.default_category_id ? `${m.default_category_icon} ${m.default_category_name}` : '',
+            m.default_payment_mode ? PAYMENT_LABELS[m.default_payment_mode] : ''
+        ].filter(Boolean).join(' • ');
+
+        return `
+      <div class="merchant-item" data-id="${m.id}">
+        <input type="checkbox" class="merchant-check" title="Select to merge">
+        <div class="merchant-details">
+          <div class="rule-name">${m.name}</div>
+          <div class="rule-summary">${m.transaction_count} transaction${m.transaction_count === 1 ? '' : 's'}${m.total_spent > 0 ? ` • ${utils.formatCurrency(m.total_spent)}` : ''}${defaults ? ` • ${defaults}` : ''}</div>
+          ${m.aliases.length > 0 ? `<div class="rule-summary">Also: ${m.aliases.join(', ')}</div>` : ''}
+        </div>
+        <button type="button" class="merchant-edit btn btn-ghost btn-sm">Edit</button>
+        <button type="button" class="merchant-delete btn btn-ghost btn-sm" title="Remove from directory">✕</button>
+      </div>
+    `;
+    }).join('');
+
+    container.querySelectorAll('.merchant-item').forEach(row => {
+        const merchant = state.merchants.find(m => m.id === parseInt(row.dataset.id));
+
+        row.querySelector('.merchant-check').addEventListener('change', updateMergeBar);
+        row.querySelector('.merchant-edit').addEventListener('click', () => fillMerchantForm(merchant));
+
+        row.querySelector('.merchant-delete').addEventListener('click', async () => {
+            if (!confirm(`Remove "${merchant.name}" from the directory? Its transactions keep their merchant text.`)) return;
+            try {
+                await api.delete(`/merchants/${merchant.id}`);
+                showToast('Merchant removed', 'success');
+                if (document.getElementById('merchant-id').value === String(merchant.id)) resetMerchantForm();
+                renderMerchantsList();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+}
+
+function selectedMerchants() {
+    return [...document.querySelectorAll('#merchants-list .merchant-check:checked')]
+        .map(check => state.merchants.find(m => m.id === parseInt(check.closest('.merchant-item').dataset.id)));
+}
+
+// The most used of the ticked merchants is offered as the name to keep
+function updateMergeBar() {
+    const selected = selectedMerchants();
+    const bar = document.getElementById('merchant-merge-bar');
+
+    if (selected.length < 2) {
+        bar.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('merchant-merge-target').innerHTML = selected
+        .sort((a, b) => b.transaction_count - a.transaction_count)
+        .map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+    bar.style.display = 'flex';
+}
+
+async function handleMerchantMerge() {
+    const selected = selectedMerchants();
+    const targetId = parseInt(document.getElementById('merchant-merge-target').value);
+    const target = selected.find(m => m.id === targetId);
+    const sources = selected.filter(m => m.id !== targetId);
+    const moved = sources.reduce((sum, m) => sum + m.transaction_count, 0);
+
+    if (!confirm(`Merge ${sources.map(m => `"${m.name}"`).join(', ')} into "${target.name}"? ` +
+        `${moved} transaction${moved === 1 ? '' : 's'} will be renamed.`)) return;
+
+    try {
+        await api.post(`/merchants/${targetId}/merge`, { merchantIds: sources.map(m => m.id) });
+        showToast(`Merged into ${target.name}`, 'success');
+        resetMerchantForm();
+        renderMerchantsList();
+        refreshDashboard();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+function resetMerchantForm() {
+    document.getElementById('merchant-form').reset();
+    document.getElementById('merchant-id').value = '';
+    document.getElementById('merchant-form-title').textContent = 'New Merchant';
+    document.getElementById('merchant-cancel-btn').style.display = 'none';
+}
+
+function fillMerchantForm(merchant) {
+    document.getElementById('merchant-id').value = merchant.id;
+    document.getElementById('merchant-name').value = merchant.name;
+    document.getElementById('merchant-aliases').value = merchant.aliases.join(', ');
+    document.getElementById('merchant-default-category').value = merchant.default_category_id || '';
+    document.getElementById('merchant-default-payment').value = merchant.default_payment_mode || '';
+
+    document.getElementById('merchant-form-title').textContent = `Edit "${merchant.name}"`;
+    document.getElementById('merchant-cancel-btn').style.display = '';
+    document.getElementById('merchant-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function handleMerchantSubmit(e) {
+    e.preventDefault();
+
+    const id = document.getElementById('merchant-id').value;
+    const data = {
+        name: document.getElementById('merchant-name').value.trim(),
+        aliases: parseTagInput(document.getElementById('merchant-aliases').value),
+        defaultCategoryId: parseInt(document.getElementById('merchant-default-category').value) || null,
+        defaultPaymentMode: document.getElementById('merchant-default-payment').value || null
+    };
+
+    try {
+        if (id) {
+            const { updated } = await api.patch(`/merchants/${id}`, data);
+            showToast(updated > 0 ? `Merchant renamed on ${updated} transaction${updated === 1 ? '' : 's'}` : 'Merchant updated', 'success');
+            if (updated > 0) refreshDashboard();
+        } else {
+            await api.post('/merchants', data);
+            showToast('Merchant added', 'success');
+        }
+        resetMerchantForm();
+        renderMerchantsList();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// ========================================
+// Categorization Rules
+// ========================================
+function describeRuleConditions(rule) {
+    const parts = [];
+    if (rule.match_type) parts.push(rule.match_type === 'income' ? 'Income' : 'Expense');
+    if (rule.merchant_contains) parts.push(`merchant has "${rule.merchant_contains}"`);
+    if (rule.merchant_regex) parts.push(`merchant ~ /${utils.escapeHtml(rule.merchant_regex)}/`);
+    if (rule.min_amount !== null && rule.max_amount !== null) {
+        parts.push(`${utils.formatCurrency(rule.min_amount)}–${utils.formatCurrency(rule.max_amount)}`);
+    } else if (rule.min_amount !== null) {
+        parts.push(`≥ ${utils.formatCurrency(rule.min_amount)}`);
+    } else if (rule.max_amount !== null) {
+        parts.push(`≤ ${utils.formatCurrency(rule.max_amount)}`);
+    }
+    if (rule.payment_mode) parts.push(`via ${rule.payment_mode.replace('_', ' ')}`);
+    return parts.join(' • ');
+}
+
+function describeRuleActions(rule) {
+    const parts = [];
+    if (rule.set_category_id) parts.push(`${rule.category_icon} ${rule.category_name}`);
+    if (rule.add_tags.length > 0) parts.push(rule.add_tags.map(t => `#${t}`).join(' '));
+    if (rule.set_note) parts.push(`note "${rule.set_note}"`);
+    return parts.join(' • ');
+}
+
+async function openRulesModal() {
+    closeSettingsModal();
+    if (!state.allCategories) {
+        state.allCategories = await api.get('/categories?type=all');
+    }
+    document.getElementById('rule-category').innerHTML = '<option value="">Don\'t change</option>' +
+        state.allCategories.map(c => `<option value="${c.id}">${c.icon} ${c.name}</option>`).join('');
+
+    resetRuleForm();
+    document.getElementById('rules-modal').style.display = 'flex';
+    await renderRulesList();
+}
+
+function closeRulesModal() {
+    document.getElementById('rules-modal').style.display = 'none';
+}
+
+async function renderRulesList() {
+    const container = document.getElementById('rules-list');
+
+    try {
+        state.rules = await api.get('/rules');
+    } catch (err) {
+        container.innerHTML = '<p class="rules-empty">Failed to load rules</p>';
+        return;
+    }
+
+    if (state.rules.length === 0) {
+        container.innerHTML = '<p class="rules-empty">No rules yet</p>';
+        return;
+    }
+
+    container.innerHTML = state.rules.map(rule => `
+      <div class="rule-item ${rule.is_active ? '' : 'inactive'}" data-id="${rule.id}">
+        <div class="rule-header">
+          <label class="checkbox-label rule-toggle" title="Active">
+            <input type="checkbox" class="rule-active" ${rule.is_active ? 'checked' : ''}>
+          </label>
+          <div class="rule-name">${rule.name}</div>
+          <span class="rule-priority" title="Priority">#${rule.priority}</span>
+        </div>
+        <div class="rule-summary">If ${describeRuleConditions(rule)}</div>
+        <div class="rule-summary">Then ${describeRuleActions(rule)}</div>
+        <div class="rule-actions">
+          <button type="button" class="rule-edit btn btn-ghost btn-sm">Edit</button>
+          <button type="button" class="rule-apply btn btn-ghost btn-sm">Apply to past…</button>
+          <button type="button" class="rule-delete btn btn-ghost btn-sm" title="Delete rule">✕</button>
+        </div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.rule-item').forEach(row => {
+        const rule = state.rules.find(r => r.id === parseInt(row.dataset.id));
+
+        row.querySelector('.rule-active').addEventListener('change', async (e) => {
+            try {
+                await api.patch(`/rules/${rule.id}`, { isActive: e.target.checked });
+                renderRulesList();
+            } catch (err) {
+                e.target.checked = !e.target.checked;
+                showToast(err.message, 'error');
+            }
+        });
+
+        row.querySelector('.rule-edit').addEventListener('click', () => fillRuleForm(rule));
+        row.querySelector('.rule-apply').addEventListener('click', () => applyRuleToPast(rule));
+
+        row.querySelector('.rule-delete').addEventListener('click', async () => {
+            if (!confirm(`Delete rule "${rule.name}"? Transactions it already changed stay as they are.`)) return;
+            try {
+                await api.delete(`/rules/${rule.id}`);
+                showToast('Rule deleted', 'success');
+                if (document.getElementById('rule-id').value === String(rule.id)) resetRuleForm();
+                renderRulesList();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+}
+
+function resetRuleForm() {
+    document.getElementById('rule-form').reset();
+    document.getElementById('rule-id').value = '';
+    document.getElementById('rule-form-title').textContent = 'New Rule';
+    document.getElementById('rule-cancel-btn').style.display = 'none';
+}
+
+function fillRuleForm(rule) {
+    const amount = (value) => value === null ? '' : value;
+
+    document.getElementById('rule-id').value = rule.id;
+    document.getElementById('rule-name').value = rule.name;
+    document.getElementById('rule-match-type').value = rule.match_type || '';
+    document.getElementById('rule-payment-mode').value = rule.payment_mode || '';
+    document.getElementById('rule-merchant-contains').value = rule.merchant_contains || '';
+    document.getElementById('rule-merchant-regex').value = rule.merchant_regex || '';
+    document.getElementById('rule-min-amount').value = amount(rule.min_amount);
+    document.getElementById('rule-max-amount').value = amount(rule.max_amount);
+    document.getElementById('rule-category').value = rule.set_category_id || '';
+    document.getElementById('rule-tags').value = rule.add_tags.join(', ');
+    document.getElementById('rule-note').value = rule.set_note || '';
+    document.getElementById('rule-priority').value = rule.priority;
+    document.getElementById('rule-active').checked = !!rule.is_active;
+
+    document.getElementById('rule-form-title').textContent = `Edit "${rule.name}"`;
+    document.getElementById('rule-cancel-btn').style.display = '';
+    document.getElementById('rule-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function handleRuleSubmit(e) {
+    e.preventDefault();
+
+    const id = document.getElementById('rule-id').value;
+    const number = (elId) => {
+        const value = document.getElementById(elId).value;
+        return value === '' ? null : parseFloat(value);
+    };
+    const data = {
+        name: document.getElementById('rule-name').value.trim(),
+        matchType: document.getElementById('rule-match-type').value || null,
+        paymentMode: document.getElementById('rule-payment-mode').value || null,
+        merchantContains: document.getElementById('rule-merchant-contains').value.trim() || null,
+        merchantRegex: document.getElementById('rule-merchant-regex').value.trim() || null,
+        minAmount: number('rule-min-amount'),
+        maxAmount: number('rule-max-amount'),
+        setCategoryId: parseInt(document.getElementById('rule-category').value) || null,
+        addTags: parseTagInput(document.getElementById('rule-tags').value),
+        setNote: document.getElementById('rule-note').value.trim() || null,
+        priority: parseInt(document.getElementById('rule-priority').value) || 100,
+        isActive: document.getElementById('rule-active').checked
+    };
+
+    try {
+        if (id) {
+            await api.patch(`/rules/${id}`, data);
+            showToast('Rule updated', 'success');
+        } else {
+            await api.post('/rules', data);
+            showToast('Rule added', 'success');
+        }
+        resetRuleForm();
+        renderRulesList();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+async function applyRuleToPast(rule) {
+    let preview;
+    try {
+        preview = await api.get(`/rules/${rule.id}/preview`);
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+
+    if (preview.count === 0) {
+        showToast('No past transactions would change', 'success');
+        return;
+    }
+
+    // Show a handful of the affected transactions so the user knows what they're agreeing to
+    const sample = preview.transactions.slice(0, 5).map(tx =>
+        `• ${utils.formatDate(tx.date)} ${tx.merchant || ''} ${utils.formatCurrency(tx.amount)}` +
+        (tx.toCategory ? ` (${tx.fromCategory} → ${tx.toCategory})` : '')
+    ).join('\n');
+    const more = preview.count > 5 ? `\n…and ${preview.count - 5} more` : '';
+    if (!confirm(`"${rule.name}" will change ${preview.count} past transaction${preview.count === 1 ? '' : 's'}:\n\n${sample}${more}\n\nApply?`)) return;
+
+    try {
+        const { updated } = await api.post(`/rules/${rule.id}/apply`);
+        showToast(`Updated ${updated} transaction${updated === 1 ? '' : 's'}`, 'success');
+        refreshDashboard();
+        if (state.currentView === 'transactions') {
+            applyTransactionFilters();
+        }
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// ========================================
+// Trash
+// ========================================
+// kind: 'transactions' or 'documents'
+async function restoreFromTrash(kind, id) {
+    try {
+        await api.post(`/trash/${kind}/${id}/restore`);
+        showToast(kind === 'documents' ? 'Document restored' : 'Transaction restored', 'success');
+
+        if (kind === 'documents') {
+            reloadDocumentsView();
+        } else {
+            refreshDashboard();
+            if (state.currentView === 'transactions') {
+                applyTransactionFilters();
+            }
+        }
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+async function openTrashModal() {
+    closeSettingsModal();
+    document.getElementById('trash-modal').style.display = 'flex';
+    await renderTrashList();
+}
+
+function closeTrashModal() {
+    document.getElementById('trash-modal').style.display = 'none';
+}
+
+async function renderTrashList() {
+    const container = document.getElementById('trash-list');
+
+    let trash;
+    try {
+        trash = await api.get('/trash');
+    } catch (err) {
+        container.innerHTML = '<p class="trash-empty">Failed to load trash</p>';
+        return;
+    }
+
+    document.getElementById('trash-retention').textContent =
+        `Items are deleted permanently ${trash.retentionDays} days after they were trashed.`;
+
+    const items = [
+        ...trash.transactions.map(tx => ({
+            kind: 'transactions',
+            id: tx.id,
+            icon: tx.category_icon,
+            title: `${tx.category_name}${tx.merchant ? ` • ${tx.merchant}` : ''}`,
+            meta: `${tx.type === 'income' ? '+' : '-'}${utils.formatCurrency(tx.amount)} • ${utils.formatDate(tx.date)}`,
+            deletedAt: tx.deleted_at,
+            purgeAt: tx.purge_at
+        })),
+        ...trash.documents.map(doc => ({
+            kind: 'documents',
+            id: doc.id,
+            icon: getDocIcon(doc.mime_type),
+            title: doc.name,
+            meta: `${doc.category} • ${utils.formatFileSize(doc.file_size)}`,
+            deletedAt: doc.deleted_at,
+            purgeAt: doc.purge_at
+        }))
+    ].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+    document.getElementById('empty-trash-btn').style.display = items.length > 0 ? '' : 'none';
+
+    if (items.length === 0) {
+        container.innerHTML = '<p class="trash-empty">Trash is empty</p>';
+        return;
+    }
+
+    container.innerHTML = items.map(item => `
+      <div class="trash-item" data-kind="${item.kind}" data-id="${item.id}">
+        <div class="trash-icon">${item.icon}</div>
+        <div class="trash-details">
+          <div class="trash-title">${item.title}</div>
+          <div class="trash-meta">${item.meta} • deleted for good ${utils.formatDate(item.purgeAt)}</div>
+        </div>
+        <button type="button" class="trash-restore btn btn-ghost btn-sm">Restore</button>
+        <button type="button" class="trash-purge btn btn-ghost btn-sm" title="Delete forever">✕</button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.trash-item').forEach(row => {
+        const { kind, id } = row.dataset;
+
+        row.querySelector('.trash-restore').addEventListener('click', async () => {
+            await restoreFromTrash(kind, id);
+            renderTrashList();
+        });
+
+        row.querySelector('.trash-purge').addEventListener('click', async () => {
+            if (!confirm('Delete this permanently? This cannot be undone.')) return;
+            try {
+                await api.delete(`/trash/${kind}/${id}`);
+                renderTrashList();
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    });
+}
+
+async function handleEmptyTrash() {
+    if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+
+    try {
+        await api.delete('/trash');
+        showToast('Trash emptied', 'success');
+        renderTrashList();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
+// ========================================
+// Backup & Restore
+// ========================================
+function formatAge(timestamp) {
+    const minutes = Math.round((Date.now() - new Date(timestamp)) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h ago`;
+    return `${Math.round(minutes / (24 * 60))} days ago`;
+}
+
+// Schedule and last snapshot taken on the server, shown in Settings
+async function loadBackupStatus() {
+    const statusEl = document.getElementById('backup-status');
+
+    try {
+        const info = await api.get('/backups');
+        const schedule = info.schedule === 'off' ? 'Automatic backups are off' : `Automatic backup nightly at ${info.schedule}`;
+        const lastGood = info.snapshots.find(s => s.createdAt === info.lastGoodAt);
+        const last = lastGood
+            ? `last good backup ${formatAge(lastGood.createdAt)} (${utils.formatFileSize(lastGood.size)})`
+            : 'no backup yet';
+        const failed = info.lastRun?.status === 'failed' ? `\n⚠️ Last backup failed: ${info.lastRun.error}` : '';
+
+        statusEl.textContent = `${schedule} · ${last}${failed}`;
+        statusEl.classList.toggle('warning', Boolean(failed) || !lastGood);
+    } catch (err) {
+        statusEl.textContent = '';
+    }
+}
+
+async function handleBackupNow() {
+    const btn = document.getElementById('backup-now-btn');
+    btn.disabled = true;
+
+    try {
+        const run = await api.post('/backups', {});
+        showToast(`Saved ${run.file}`, 'success');
+    } catch (err) {
+        showToast(err.message, 'error');
+    } finally {
+        btn.disabled = false;
+        loadBackupStatus();
+    }
+}
+
+function downloadBackup() {
+    const link = document.createElement('a');
+    link.href = '/api/backup';
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+async function handleRestoreBackup(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!confirm(`Restore from ${file.name}? All current transactions, settings and documents will be replaced. A copy of the current data is kept on the server.`)) return;
+
+    const btn = document.getElementById('restore-backup-btn');
+    btn.disabled = true;
+    btn.textContent = 'Restoring…';
+
+    try {
+        const result = await api.restoreBackup(file);
+        showToast(`Restored backup from ${utils.formatDate(result.backup.createdAt)}`, 'success');
+        // Everything in memory is stale now
+        setTimeout(() => window.location.reload(), 1500);
     } catch (err) {
-        showToast(err.message || 'Failed to reset password', 'error');
+        showToast(err.message, 'error');
+        btn.disabled = false;
+        btn.textContent = '♻️ Restore from Backup';
     }
 }
 
@@ -1199,11 +4314,22 @@ async function loadStats() {
     // Update total expense
     document.getElementById('stats-expense').textContent = utils.formatCurrency(summary.expense);
 
+    // Income, savings and savings rate
+    const savingsEl = document.getElementById('stats-savings');
+    document.getElementById('stats-income').textContent = utils.formatCurrency(summary.income);
+    savingsEl.textContent = utils.formatCurrency(summary.savings);
+    savingsEl.classList.toggle('negative', summary.savings < 0);
+    document.getElementById('stats-savings-rate').textContent =
+        summary.savingsRate !== null ? `${summary.savingsRate}% of income saved` : 'No income recorded';
+
+    // Home/office breakdowns cover expenses only
+    const expenseCategories = summary.categoryBreakdown.filter(c => c.type === 'expense');
+
     // Calculate home vs office totals
-    const homeTotal = summary.categoryBreakdown
+    const homeTotal = expenseCategories
         .filter(c => c.category_group === 'home')
         .reduce((sum, c) => sum + c.total, 0);
-    const officeTotal = summary.categoryBreakdown
+    const officeTotal = expenseCategories
         .filter(c => c.category_group === 'office')
         .reduce((sum, c) => sum + c.total, 0);
 
@@ -1211,12 +4337,18 @@ async function loadStats() {
     document.getElementById('stats-office').textContent = utils.formatCurrency(officeTotal);
 
     // Render breakdowns by group
-    const homeCategories = summary.categoryBreakdown.filter(c => c.category_group === 'home');
-    const officeCategories = summary.categoryBreakdown.filter(c => c.category_group === 'office');
+    const homeCategories = expenseCategories.filter(c => c.category_group === 'home');
+    const officeCategories = expenseCategories.filter(c => c.category_group === 'office');
 
     renderBreakdown(homeCategories, 'home-breakdown', homeTotal);
     renderBreakdown(officeCategories, 'office-breakdown', officeTotal);
 
+    // Render budget vs actual
+    renderBudgetSummary(summary.budgets);
+
+    // Render per-tag totals
+    loadTagTotals(dateRange);
+
     // Render per-person breakdown
     renderPersonBreakdown(summary.userBreakdown || [], summary.expense);
 
@@ -1277,13 +4409,49 @@ async function loadPaymentSummary() {
         // Update cash on hand
         document.getElementById('cash-on-hand').textContent = utils.formatCurrency(summary.cashOnHand);
 
-        // Update credit card due
-        document.getElementById('credit-card-due').textContent = utils.formatCurrency(summary.creditCard.currentDue);
-
-        // Format due date
-        const dueDate = new Date(summary.creditCard.dueDate);
-        const dueDateStr = dueDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
-        document.getElementById('credit-due-date').textContent = `Due: ${dueDateStr}`;
+        // One card per credit card, then bank and cash balances
+        const container = document.getElementById('payment-cards');
+        container.querySelectorAll('.account-card').forEach(card => card.remove());
+
+        const shortDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+        const cards = summary.cards.map(card => `
+      <div class="payment-card account-card">
+        <span class="payment-icon">💳</span>
+        <div class="payment-info">
+          <span class="payment-label">${card.name}${card.last4 ? ` ••${card.last4}` : ''}</span>
+          <span class="payment-value expense">${utils.formatCurrency(card.currentDue)}</span>
+          <span class="payment-due-date">Due: ${shortDate(card.dueDate)}</span>
+          <span class="payment-detail">Statement ${utils.formatCurrency(card.statementBalance)} • Unbilled ${utils.formatCurrency(card.unbilled)}</span>
+          ${card.paid > 0 ? `<span class="payment-detail">Paid ${utils.formatCurrency(card.paid)} this cycle</span>` : ''}
+          ${card.utilisation !== null ? `
+          <div class="utilisation-bar" title="${card.utilisation}% of ${utils.formatCurrency(card.creditLimit)} used">
+            <div class="utilisation-bar-fill${card.utilisation >= 80 ? ' over' : ''}" style="width: ${Math.min(card.utilisation, 100)}%"></div>
+          </div>
+          <span class="payment-detail">${card.utilisation}% of limit used</span>` : ''}
+        </div>
+      </div>
+    `);
+        const balances = summary.accounts.map(account => `
+      <div class="payment-card account-card">
+        <span class="payment-icon">${ACCOUNT_ICONS[account.type]}</span>
+        <div class="payment-info">
+          <span class="payment-label">${account.name}${account.last4 ? ` ••${account.last4}` : ''}</span>
+          <span class="payment-value${account.balance < 0 ? ' expense' : ''}">${utils.formatCurrency(account.balance)}</span>
+        </div>
+      </div>
+    `);
+        if (cards.length === 0) {
+            cards.push(`
+      <div class="payment-card account-card">
+        <span class="payment-icon">💳</span>
+        <div class="payment-info">
+          <span class="payment-label">Credit cards</span>
+          <span class="payment-detail">Add your cards in Settings → Accounts to track statements and due dates</span>
+        </div>
+      </div>
+    `);
+        }
+        container.insertAdjacentHTML('beforeend', [...cards, ...balances].join(''));
     } catch (err) {
         console.error('Failed to load payment summary:', err);
     }
@@ -1321,6 +4489,322 @@ function renderBreakdown(items, containerId, total) {
     }).join('');
 }
 
+// ========================================
+// Tags
+// ========================================
+// Comma-separated tag input with suggestions for the tag being typed (the text after the last comma)
+function setupTagInput(inputId, suggestionsId) {
+    const input = document.getElementById(inputId);
+    const suggestionsEl = document.getElementById(suggestionsId);
+
+    const currentFragment = () => input.value.split(',').pop().trim();
+
+    const showSuggestions = utils.debounce(async () => {
+        let tags;
+        try {
+            tags = await api.get(`/tags?q=${encodeURIComponent(currentFragment())}`);
+        } catch {
+            return;
+        }
+
+        // Don't suggest tags that are already in the input
+        const entered = input.value.split(',').map(t => t.trim().toLowerCase());
+        tags = tags.filter(t => !entered.includes(t.name.toLowerCase()) || t.name.toLowerCase() === currentFragment().toLowerCase());
+
+        if (tags.length === 0 || document.activeElement !== input) {
+            suggestionsEl.style.display = 'none';
+            return;
+        }
+
+        suggestionsEl.innerHTML = tags.map(t => `
+            <button type="button" class="merchant-suggestion" data-tag="${t.name}">
+                <span class="name">#${t.name}</span>
+                <span class="count">${t.usage_count}x</span>
+            </button>
+        `).join('');
+        suggestionsEl.style.display = 'block';
+
+        suggestionsEl.querySelectorAll('.merchant-suggestion').forEach(btn => {
+            // mousedown so the pick lands before the input's blur hides the list
+            btn.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                const parts = input.value.split(',').slice(0, -1).map(t => t.trim()).filter(Boolean);
+                input.value = [...parts, btn.dataset.tag].join(', ') + ', ';
+                suggestionsEl.style.display = 'none';
+                input.dispatchEvent(new Event('change'));
+            });
+        });
+    }, 200);
+
+    input.addEventListener('focus', showSuggestions);
+    input.addEventListener('input', showSuggestions);
+    input.addEventListener('blur', () => {
+        setTimeout(() => {
+            suggestionsEl.style.display = 'none';
+        }, 200);
+    });
+}
+
+function parseTagInput(value) {
+    return value.split(',').map(t => t.trim()).filter(Boolean);
+}
+
+// Open All Transactions filtered to one tag, across all months
+async function showTagTransactions(tag) {
+    await navigateToView('transactions');
+    document.getElementById('filter-tags').value = tag;
+    document.getElementById('filter-month').value = '';
+    applyTransactionFilters();
+}
+
+async function loadTagTotals(dateRange) {
+    const container = document.getElementById('tag-totals');
+    if (!container) return;
+
+    try {
+        const params = new URLSearchParams(dateRange);
+        const tags = await api.get(`/tags/totals?${params.toString()}`);
+        renderTagTotals(tags);
+    } catch (err) {
+        console.error('Failed to load tag totals:', err);
+    }
+}
+
+function renderTagTotals(tags) {
+    const container = document.getElementById('tag-totals');
+
+    if (tags.length === 0) {
+        container.innerHTML = `
+      <div class="empty-state" style="padding: 1rem;">
+        <p>No tagged transactions for this period</p>
+      </div>
+    `;
+        return;
+    }
+
+    container.innerHTML = tags.map(tag => `
+      <div class="breakdown-item tag-total-item" data-tag="${tag.name}">
+        <div class="breakdown-icon">🏷️</div>
+        <div class="breakdown-details">
+          <div class="breakdown-name">#${tag.name}</div>
+          <div class="tag-total-meta">${tag.count} transaction${tag.count === 1 ? '' : 's'}${tag.income > 0 ? ` · +${utils.formatCurrency(tag.income)}` : ''}</div>
+        </div>
+        <div class="breakdown-amount">${utils.formatCurrency(tag.expense)}</div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.tag-total-item').forEach(item => {
+        item.addEventListener('click', () => showTagTransactions(item.dataset.tag));
+    });
+}
+
+// ========================================
+// Budgets
+// ========================================
+async function loadBudgets() {
+    try {
+        const data = await api.get('/budgets');
+        state.budgets = data.budgets;
+    } catch {
+        state.budgets = [];
+    }
+    renderBudgetHint();
+}
+
+// Budgets that apply to categories: their own budgets plus their home/office group budgets
+function findBudgetsForCategories(budgets, categoryIds) {
+    const categories = [...state.categories, ...(state.allCategories || [])];
+    const groups = categoryIds.map(id => categories.find(c => c.id === id)?.category_group).filter(Boolean);
+
+    return budgets.filter(b =>
+        (b.scope === 'category' && categoryIds.includes(b.categoryId)) ||
+        (b.scope === 'group' && groups.includes(b.categoryGroup))
+    );
+}
+
+function formatBudgetUsage(budget) {
+    return `${budget.icon} ${budget.name}: ${utils.formatCurrency(budget.spent)} of ${utils.formatCurrency(budget.budget)} used (${Math.round(budget.percent)}%)`;
+}
+
+function renderBudgetHint() {
+    const hint = document.getElementById('category-budget-hint');
+    if (!hint) return;
+
+    const budgets = state.selectedCategory ? findBudgetsForCategories(state.budgets, [state.selectedCategory]) : [];
+    if (budgets.length === 0) {
+        hint.style.display = 'none';
+        return;
+    }
+
+    hint.innerHTML = budgets.map(b => `
+        <div class="budget-hint-line ${b.status}">${formatBudgetUsage(b)}</div>
+    `).join('');
+    hint.style.display = 'block';
+}
+
+// Reload budgets after an expense and return a warning if it pushed a budget past 80% or 100%
+async function checkBudgetThresholds(categoryIds) {
+    const before = findBudgetsForCategories(state.budgets, categoryIds);
+    await loadBudgets();
+    const after = findBudgetsForCategories(state.budgets, categoryIds);
+
+    const rank = { ok: 0, warning: 1, over: 2 };
+    const crossed = after
+        .filter(b => {
+            const previous = before.find(p => p.id === b.id);
+            return rank[b.status] > rank[previous ? previous.status : 'ok'];
+        })
+        .sort((a, b) => b.percent - a.percent)[0];
+
+    if (!crossed) return null;
+    return crossed.status === 'over'
+        ? `Over budget! ${formatBudgetUsage(crossed)}`
+        : `Heads up: ${formatBudgetUsage(crossed)}`;
+}
+
+function renderBudgetSummary(budgets) {
+    const container = document.getElementById('budget-list');
+    if (!container) return;
+
+    if (!budgets || budgets.length === 0) {
+        container.innerHTML = `
+      <div class="empty-state" style="padding: 1rem;">
+        <p>No budgets set for this period</p>
+      </div>
+    `;
+        return;
+    }
+
+    container.innerHTML = budgets.map(b => `
+      <div class="budget-item ${b.status}">
+        <div class="breakdown-icon" style="background: ${b.color}20">
+          ${b.icon}
+        </div>
+        <div class="breakdown-details">
+          <div class="budget-item-header">
+            <span class="breakdown-name">${b.name}</span>
+            <span class="budget-percent">${Math.round(b.percent)}%</span>
+          </div>
+          <div class="breakdown-bar">
+            <div class="breakdown-bar-fill budget-bar-fill" style="width: ${Math.min(b.percent, 100)}%"></div>
+          </div>
+          <div class="budget-item-amounts">
+            ${utils.formatCurrency(b.spent)} of ${utils.formatCurrency(b.budget)}
+            · ${b.remaining >= 0 ? `${utils.formatCurrency(b.remaining)} left` : `${utils.formatCurrency(-b.remaining)} over`}
+          </div>
+        </div>
+      </div>
+    `).join('');
+}
+
+async function openBudgetsModal() {
+    const modal = document.getElementById('budgets-modal');
+    const scopeSelect = document.getElementById('budget-scope');
+
+    try {
+        const categories = await api.get('/categories');
+        const options = group => categories
+            .filter(c => c.category_group === group)
+            .map(c => `<option value="category:${c.id}">${c.icon} ${c.name}</option>`)
+            .join('');
+
+        scopeSelect.innerHTML = `
+            <optgroup label="Groups">
+                <option value="group:home">🏠 All Home</option>
+                <option value="group:office">💼 All Office</option>
+            </optgroup>
+            <optgroup label="Home">${options('home')}</optgroup>
+            <optgroup label="Office">${options('office')}</optgroup>
+        `;
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+
+    const today = new Date();
+    document.getElementById('budget-month').value =
+        `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+    document.getElementById('budget-amount').value = '';
+    document.getElementById('budget-carry-forward').checked = true;
+
+    modal.style.display = 'flex';
+    await renderBudgetManageList();
+}
+
+function closeBudgetsModal() {
+    document.getElementById('budgets-modal').style.display = 'none';
+}
+
+async function renderBudgetManageList() {
+    const container = document.getElementById('budget-manage-list');
+    const month = document.getElementById('budget-month').value;
+
+    try {
+        const data = await api.get(`/budgets?month=${month}`);
+
+        if (data.budgets.length === 0) {
+            container.innerHTML = '<p class="settings-description">No budgets for this month</p>';
+            return;
+        }
+
+        container.innerHTML = data.budgets.map(b => `
+            <div class="budget-manage-item">
+                <span class="budget-manage-name">${b.icon} ${b.name}</span>
+                <span class="budget-manage-meta">
+                    ${utils.formatCurrency(b.budget)}${b.month !== month ? ` · from ${b.month}` : ''}${b.carryForward ? ' · 🔁' : ''}
+                </span>
+                <button class="btn btn-ghost btn-sm budget-delete-btn" data-id="${b.id}" title="Delete budget">🗑️</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.budget-delete-btn').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                if (!confirm('Delete this budget? Months it carried forward to will lose it too.')) return;
+                try {
+                    await api.delete(`/budgets/${btn.dataset.id}`);
+                    showToast('Budget deleted', 'success');
+                    await renderBudgetManageList();
+                    loadBudgets();
+                    loadStats();
+                } catch (err) {
+                    showToast(err.message, 'error');
+                }
+            });
+        });
+    } catch (err) {
+        container.innerHTML = '<p class="settings-description">Failed to load budgets</p>';
+    }
+}
+
+async function handleSaveBudget(e) {
+    e.preventDefault();
+
+    const [scope, value] = document.getElementById('budget-scope').value.split(':');
+    const data = {
+        month: document.getElementById('budget-month').value,
+        amount: parseFloat(document.getElementById('budget-amount').value),
+        carryForward: document.getElementById('budget-carry-forward').checked
+    };
+    if (scope === 'category') data.categoryId = parseInt(value);
+    else data.categoryGroup = value;
+
+    if (!data.amount || data.amount <= 0) {
+        showToast('Please enter an amount', 'error');
+        return;
+    }
+
+    try {
+        await api.post('/budgets', data);
+        showToast('Budget saved!', 'success');
+        document.getElementById('budget-amount').value = '';
+        await renderBudgetManageList();
+        loadBudgets();
+        loadStats();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+}
+
 // ========================================
 // Event Handlers Setup
 // ========================================
@@ -1370,6 +4854,11 @@ function setupMainHandlers() {
     // Logout
     document.getElementById('logout-btn').addEventListener('click', logout);
 
+    // Send transactions queued offline as soon as the connection is back
+    window.addEventListener('online', () => {
+        if (state.user) replayOutbox();
+    });
+
     // Settings modal
     const settingsBtn = document.getElementById('settings-btn');
     const settingsModal = document.getElementById('settings-modal');
@@ -1385,12 +4874,117 @@ function setupMainHandlers() {
         document.getElementById('reset-password-form').addEventListener('submit', handlePasswordReset);
     }
 
+    // Backup & restore
+    const restoreInput = document.getElementById('restore-backup-input');
+    document.getElementById('backup-now-btn').addEventListener('click', handleBackupNow);
+    document.getElementById('download-backup-btn').addEventListener('click', downloadBackup);
+    document.getElementById('restore-backup-btn').addEventListener('click', () => restoreInput.click());
+    restoreInput.addEventListener('change', handleRestoreBackup);
+
+    // Trash modal (opened from settings)
+    const trashModal = document.getElementById('trash-modal');
+    document.getElementById('open-trash-btn').addEventListener('click', openTrashModal);
+    trashModal.querySelector('.modal-backdrop').addEventListener('click', closeTrashModal);
+    trashModal.querySelector('.modal-close').addEventListener('click', closeTrashModal);
+    document.getElementById('empty-trash-btn').addEventListener('click', handleEmptyTrash);
+
+    // Rules modal (opened from settings)
+    const rulesModal = document.getElementById('rules-modal');
+    document.getElementById('open-rules-btn').addEventListener('click', openRulesModal);
+    rulesModal.querySelector('.modal-backdrop').addEventListener('click', closeRulesModal);
+    rulesModal.querySelector('.modal-close').addEventListener('click', closeRulesModal);
+    document.getElementById('rule-form').addEventListener('submit', handleRuleSubmit);
+    document.getElementById('rule-cancel-btn').addEventListener('click', resetRuleForm);
+
+    // Cash wallet modal (opened from the cash card in stats)
+    const cashModal = document.getElementById('cash-modal');
+    document.getElementById('cash-card').addEventListener('click', openCashModal);
+    cashModal.querySelector('.modal-backdrop').addEventListener('click', closeCashModal);
+    cashModal.querySelector('.modal-close').addEventListener('click', closeCashModal);
+    cashModal.querySelectorAll('[data-cash-action]').forEach(btn => {
+        btn.addEventListener('click', () => showCashForm(btn.dataset.cashAction));
+    });
+    document.getElementById('cash-form').addEventListener('submit', handleCashSubmit);
+    document.getElementById('cash-cancel-btn').addEventListener('click', hideCashForm);
+
+    // Accounts modal (opened from settings)
+    const accountsModal = document.getElementById('accounts-modal');
+    document.getElementById('open-accounts-btn').addEventListener('click', openAccountsModal);
+    accountsModal.querySelector('.modal-backdrop').addEventListener('click', closeAccountsModal);
+    accountsModal.querySelector('.modal-close').addEventListener('click', closeAccountsModal);
+    document.getElementById('account-form').addEventListener('submit', handleAccountSubmit);
+    document.getElementById('account-cancel-btn').addEventListener('click', resetAccountForm);
+    document.getElementById('account-type').addEventListener('change', updateAccountFormFields);
+
+    // Picking a card or cash account sets the payment mode to match
+    [['transaction-account', 'payment-mode'], ['edit-account', 'edit-payment-mode'], ['map-account', 'map-payment-mode'],
+        ['bill-account', 'bill-payment-mode'], ['bill-pay-account', 'bill-pay-payment-mode']]
+        .forEach(([accountId, modeId]) => {
+            document.getElementById(accountId).addEventListener('change', () => syncPaymentMode(accountId, modeId));
+        });
+
+    // Savings goal modal (opened from the dashboard's goal cards)
+    const goalModal = document.getElementById('goal-modal');
+    document.getElementById('new-goal-btn').addEventListener('click', () => openGoalModal());
+    goalModal.querySelector('.modal-backdrop').addEventListener('click', closeGoalModal);
+    goalModal.querySelector('.modal-close').addEventListener('click', closeGoalModal);
+    document.getElementById('goal-form').addEventListener('submit', handleGoalSubmit);
+    document.getElementById('goal-cancel-btn').addEventListener('click', () => {
+        document.getElementById('goal-form').style.display = 'none';
+    });
+    document.getElementById('goal-edit-btn').addEventListener('click', () => {
+        hideGoalContributionForm();
+        fillGoalForm(state.openGoal);
+    });
+    document.getElementById('goal-archive-btn').addEventListener('click', toggleGoalArchived);
+    document.getElementById('goal-delete-btn').addEventListener('click', deleteGoal);
+    document.getElementById('goal-contribute-btn').addEventListener('click', showGoalContributionForm);
+    document.getElementById('goal-contribution-form').addEventListener('submit', handleGoalContributionSubmit);
+    document.getElementById('goal-contribution-cancel-btn').addEventListener('click', hideGoalContributionForm);
+
+    // Bills modal (opened from the header's bell and the dashboard's bills widget)
+    const billsModal = document.getElementById('bills-modal');
+    document.getElementById('bills-btn').addEventListener('click', () => openBillsModal());
+    document.getElementById('manage-bills-btn').addEventListener('click', () => openBillsModal());
+    billsModal.querySelector('.modal-backdrop').addEventListener('click', closeBillsModal);
+    billsModal.querySelector('.modal-close').addEventListener('click', closeBillsModal);
+    document.getElementById('new-bill-btn').addEventListener('click', () => showBillForm());
+    document.getElementById('bill-form').addEventListener('submit', handleBillSubmit);
+    document.getElementById('bill-cancel-btn').addEventListener('click', hideBillForms);
+    document.getElementById('bill-pay-form').addEventListener('submit', handleBillPaySubmit);
+    document.getElementById('bill-pay-cancel-btn').addEventListener('click', hideBillForms);
+
+    // Currencies modal (opened from settings)
+    const currenciesModal = document.getElementById('currencies-modal');
+    document.getElementById('open-currencies-btn').addEventListener('click', openCurrenciesModal);
+    currenciesModal.querySelector('.modal-backdrop').addEventListener('click', closeCurrenciesModal);
+    currenciesModal.querySelector('.modal-close').addEventListener('click', closeCurrenciesModal);
+    document.getElementById('base-currency-form').addEventListener('submit', handleBaseCurrencySubmit);
+    document.getElementById('rate-form').addEventListener('submit', handleRateSubmit);
+    document.getElementById('rate-import-form').addEventListener('submit', handleRateImport);
+
+    // Merchants modal (opened from settings)
+    const merchantsModal = document.getElementById('merchants-modal');
+    document.getElementById('open-merchants-btn').addEventListener('click', openMerchantsModal);
+    merchantsModal.querySelector('.modal-backdrop').addEventListener('click', closeMerchantsModal);
+    merchantsModal.querySelector('.modal-close').addEventListener('click', closeMerchantsModal);
+    document.getElementById('merchant-form').addEventListener('submit', handleMerchantSubmit);
+    document.getElementById('merchant-cancel-btn').addEventListener('click', resetMerchantForm);
+    document.getElementById('merchant-merge-btn').addEventListener('click', handleMerchantMerge);
+
+    document.getElementById('merchant-search').addEventListener('input', utils.debounce(renderMerchantsList, 300));
+
+    // Pre-fill a known merchant's usual category and payment mode
+    document.getElementById('transaction-merchant').addEventListener('change', (e) => applyMerchantDefaults(e.target.value));
+
     // Edit transaction modal
     const editModal = document.getElementById('edit-transaction-modal');
     if (editModal) {
         editModal.querySelector('.modal-backdrop').addEventListener('click', closeEditTransactionModal);
         editModal.querySelector('.modal-close').addEventListener('click', closeEditTransactionModal);
         document.getElementById('edit-transaction-form').addEventListener('submit', handleEditTransaction);
+        document.getElementById('edit-attachments-input').addEventListener('change', handleEditAttachmentUpload);
+        setupTagInput('edit-tags', 'edit-tag-suggestions');
     }
 
     // Category group tabs (Home/Office)
@@ -1401,6 +4995,7 @@ function setupMainHandlers() {
 
             state.categoryGroup = btn.dataset.tab;  // 'home' or 'office'
             state.selectedCategory = null;
+            renderBudgetHint();
             document.getElementById('category-group').value = state.categoryGroup;
 
             loadCategories();
@@ -1432,42 +5027,105 @@ function setupMainHandlers() {
         e.preventDefault();
 
         const amount = parseFloat(document.getElementById('amount-input').value);
+        const currency = document.getElementById('transaction-currency').value || null;
         const date = document.getElementById('transaction-date').value;
         const note = document.getElementById('transaction-note').value;
         const merchant = document.getElementById('transaction-merchant').value;
         const paymentMode = document.getElementById('payment-mode').value;
+        const accountId = parseInt(document.getElementById('transaction-account').value) || null;
+        const repeat = document.getElementById('transaction-repeat').value;
+        const receipts = Array.from(document.getElementById('transaction-receipts').files);
 
         if (!amount || amount <= 0) {
             showToast('Please enter an amount', 'error');
             return;
         }
 
-        if (!state.selectedCategory) {
+        if (state.transactionType === 'transfer') {
+            await submitTransfer({ amount, currency, date, note, receipts });
+            return;
+        }
+
+        let splits;
+        try {
+            splits = getSplitLines('quick-split-editor');
+        } catch (err) {
+            showToast(err.message, 'error');
+            return;
+        }
+
+        if (!splits && !state.selectedCategory) {
             showToast('Please select a category', 'error');
             return;
         }
 
+        if (splits && repeat) {
+            showToast('Recurring expenses cannot be split', 'error');
+            return;
+        }
+
+        if (receipts.length > 0 && repeat) {
+            showToast('Attach receipts to the posted entries, not the recurring rule', 'error');
+            return;
+        }
+
+        const isIncome = state.transactionType === 'income';
+        const data = {
+            type: state.transactionType,
+            amount,
+            currency,
+            categoryId: splits ? null : state.selectedCategory,
+            merchant: merchant || null,
+            paymentMode,
+            accountId,
+            date,
+            note
+        };
+        if (splits) data.splits = splits;
+
         try {
-            await addTransaction({
-                type: 'expense',  // Always expense now
-                amount,
-                categoryId: state.selectedCategory,
-                merchant: merchant || null,
-                paymentMode,
-                date,
-                note
-            });
+            if (repeat) {
+                // Recurring: the server posts the first occurrence if it is due today or earlier
+                await api.post('/recurring', { ...data, frequency: repeat, startDate: date });
+                showToast(isIncome ? 'Recurring income saved!' : 'Recurring expense saved!', 'success');
+                loadRecurring();
+            } else {
+                const { id, appliedRules, queued } = await addTransaction(data);
+                const ruleNote = appliedRules.length > 0 ? ` ⚡ ${appliedRules.join(', ')}` : '';
+
+                // The transaction is saved either way; a failed upload can be retried from Edit
+                let uploadError = null;
+                if (receipts.length > 0 && !queued) {
+                    await api.uploadAttachments(id, receipts).catch(err => { uploadError = err; });
+                }
 
-            showToast('Expense added!', 'success');
+                if (queued) {
+                    showToast(queuedMessage(receipts), 'info');
+                } else if (uploadError) {
+                    showToast(`Saved, but receipts failed to upload: ${uploadError.message}`, 'error');
+                } else if (isIncome) {
+                    showToast(`Income added!${ruleNote}`, 'success');
+                } else {
+                    const warning = await checkBudgetThresholds(splits ? splits.map(l => l.categoryId) : [data.categoryId]);
+                    showToast(warning || `Expense added!${ruleNote}`, warning ? 'warning' : 'success');
+                }
+            }
 
             // Reset form
             document.getElementById('amount-input').value = '';
+            document.getElementById('transaction-currency').value = state.baseCurrency;
             document.getElementById('transaction-note').value = '';
             document.getElementById('transaction-merchant').value = '';
             document.getElementById('merchant-section').style.display = 'none';
             document.getElementById('category-select').value = '';
             document.getElementById('payment-mode').value = 'cash';
+            document.getElementById('transaction-account').value = '';
+            document.getElementById('transaction-repeat').value = '';
+            document.getElementById('transaction-receipts').value = '';
             state.selectedCategory = null;
+            renderBudgetHint();
+            closeSplitEditor('quick-split-editor');
+            setSplitMode('quick', false);
 
             refreshDashboard();
         } catch (err) {
@@ -1475,6 +5133,28 @@ function setupMainHandlers() {
         }
     });
 
+    // Expense / income / transfer toggle
+    document.querySelectorAll('.type-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.type !== state.transactionType) setTransactionType(btn.dataset.type);
+        });
+    });
+
+    // Split editors: switch modes and keep "left to allocate" in step with the total
+    document.getElementById('split-toggle-btn').addEventListener('click', () => {
+        toggleSplitMode('quick');
+        document.getElementById('merchant-section').style.display = 'block';
+    });
+    document.getElementById('edit-split-toggle-btn').addEventListener('click', () => toggleSplitMode('edit'));
+    document.getElementById('amount-input').addEventListener('input', () => updateSplitRemaining('quick-split-editor'));
+    document.getElementById('edit-amount').addEventListener('input', () => updateSplitRemaining('edit-split-editor'));
+
+    // Upcoming recurring: toggle between next few and all rules
+    document.getElementById('recurring-toggle-btn').addEventListener('click', () => {
+        state.showAllRecurring = !state.showAllRecurring;
+        renderRecurring();
+    });
+
     // View all transactions
     document.getElementById('view-all-btn').addEventListener('click', () => {
         navigateToView('transactions');
@@ -1494,7 +5174,7 @@ function setupTransactionsHandlers() {
         navigateToView('home');
     });
 
-    const filterMerchant = document.getElementById('filter-merchant');
+    const filterSearch = document.getElementById('filter-search');
     const filterType = document.getElementById('filter-type');
     const filterMonth = document.getElementById('filter-month');
     const advancedBtn = document.getElementById('filter-advanced-btn');
@@ -1513,13 +5193,15 @@ function setupTransactionsHandlers() {
 
     // Clear all filters
     clearFiltersBtn.addEventListener('click', () => {
-        filterMerchant.value = '';
+        filterSearch.value = '';
         filterType.value = '';
         filterMonth.value = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        document.getElementById('filter-tags').value = '';
         document.getElementById('filter-min-amount').value = '';
         document.getElementById('filter-max-amount').value = '';
         document.getElementById('filter-start-date').value = '';
         document.getElementById('filter-end-date').value = '';
+        document.getElementById('filter-account').value = '';
         applyTransactionFilters();
     });
 
@@ -1529,8 +5211,10 @@ function setupTransactionsHandlers() {
         applyTransactionFilters();
     });
 
+    setupTagInput('filter-tags', 'filter-tag-suggestions');
+
     // Real-time filtering for main inputs
-    filterMerchant.addEventListener('input', utils.debounce(applyTransactionFilters, 300));
+    filterSearch.addEventListener('input', utils.debounce(applyTransactionFilters, 300));
     filterType.addEventListener('change', applyTransactionFilters);
     filterMonth.addEventListener('change', async () => {
         applyTransactionFilters();
@@ -1548,15 +5232,18 @@ function setupTransactionsHandlers() {
     });
 }
 
-async function applyTransactionFilters() {
-    const filterMerchant = document.getElementById('filter-merchant');
+// The All Transactions filters as query options (no limit)
+function readTransactionFilters() {
+    const filterSearch = document.getElementById('filter-search');
     const filterType = document.getElementById('filter-type');
     const filterMonth = document.getElementById('filter-month');
 
-    const merchant = filterMerchant?.value || '';
+    const search = filterSearch?.value.trim() || '';
     const group = filterType?.value || '';
     const month = filterMonth?.value || '';
 
+    const tags = parseTagInput(document.getElementById('filter-tags')?.value || '');
+    const accountId = document.getElementById('filter-account')?.value || '';
     const minAmount = document.getElementById('filter-min-amount')?.value || '';
     const maxAmount = document.getElementById('filter-max-amount')?.value || '';
     const startDateCustom = document.getElementById('filter-start-date')?.value || '';
@@ -1577,31 +5264,122 @@ async function applyTransactionFilters() {
     }
 
     // Build query params
-    const params = {
-        startDate,
-        endDate,
-        type: 'expense',
-        limit: 200
-    };
+    const params = { startDate, endDate };
 
-    if (merchant) params.merchant = merchant;
+    // Full-text search over merchant, note and category (results come back ranked)
+    if (search) params.q = search;
+    if (tags.length > 0) params.tags = tags.join(',');
     if (minAmount) params.minAmount = minAmount;
     if (maxAmount) params.maxAmount = maxAmount;
-    if (group) params.categoryGroup = group;
+    if (accountId) params.accountId = accountId;
+    // Home/office narrow down expenses; income and transfers have no group
+    if (group === 'income' || group === 'transfer') {
+        params.type = group;
+    } else if (group) {
+        params.type = 'expense';
+        params.categoryGroup = group;
+    }
 
-    const transactions = await loadTransactions(params);
+    return params;
+}
+
+async function applyTransactionFilters() {
+    const transactions = await loadTransactions({ ...readTransactionFilters(), limit: 200 });
     renderTransactions(transactions, 'all-transactions-list');
 }
 
+// Download everything matching the current filters (no row limit)
+function exportTransactions(format) {
+    const link = document.createElement('a');
+    link.href = `/api/transactions/export?${transactionQuery(readTransactionFilters())}&format=${format}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    document.getElementById('export-modal').style.display = 'none';
+}
+
+function setupImportHandlers() {
+    document.getElementById('import-statement-btn').addEventListener('click', () => {
+        navigateToView('import');
+    });
+
+    // Export (transactions view header) - uses whatever filters are set
+    const exportModal = document.getElementById('export-modal');
+    document.getElementById('export-btn').addEventListener('click', () => {
+        exportModal.style.display = 'flex';
+    });
+    exportModal.querySelector('.modal-backdrop').addEventListener('click', () => { exportModal.style.display = 'none'; });
+    exportModal.querySelector('.modal-close').addEventListener('click', () => { exportModal.style.display = 'none'; });
+    exportModal.querySelectorAll('[data-format]').forEach(btn => {
+        btn.addEventListener('click', () => exportTransactions(btn.dataset.format));
+    });
+
+    document.getElementById('back-from-import').addEventListener('click', () => {
+        navigateToView('transactions');
+    });
+
+    const fileInput = document.getElementById('import-file');
+    document.getElementById('import-file-btn').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', () => {
+        if (!fileInput.files.length) return;
+        state.importFile = fileInput.files[0];
+        document.getElementById('import-file-name').textContent = state.importFile.name;
+        previewImport({ profileId: document.getElementById('import-profile').value || undefined });
+    });
+
+    // Switching saved mapping re-reads the file with that bank's columns
+    document.getElementById('import-profile').addEventListener('change', (e) => {
+        previewImport({ profileId: e.target.value || undefined });
+    });
+
+    document.getElementById('import-refresh-btn').addEventListener('click', () => {
+        previewImport({ mapping: readImportMapping() });
+    });
+
+    // Default category applies to rows that don't have one picked yet
+    document.getElementById('import-default-category').addEventListener('change', (e) => {
+        document.querySelectorAll('#import-preview-list .import-row-category').forEach(select => {
+            if (!select.value) select.value = e.target.value;
+        });
+    });
+
+    document.getElementById('import-save-profile-btn').addEventListener('click', async () => {
+        const name = document.getElementById('import-profile-name').value.trim();
+        if (!name || !state.importPreview) {
+            showToast('Enter a name for this mapping', 'error');
+            return;
+        }
+
+        try {
+            const profile = await api.post('/transactions/import/profiles', {
+                name,
+                headers: state.importPreview.headers,
+                mapping: readImportMapping()
+            });
+            await loadImportView();
+            document.getElementById('import-profile').value = profile.id;
+            showToast('Mapping saved', 'success');
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
+    });
+
+    document.getElementById('import-preview-list').addEventListener('change', (e) => {
+        if (e.target.classList.contains('import-row-check')) updateImportCount();
+    });
+
+    document.getElementById('import-commit-btn').addEventListener('click', commitImport);
+}
+
 function setupDocumentsHandlers() {
     document.getElementById('back-from-documents').addEventListener('click', () => {
         navigateToView('home');
     });
 
     // Upload button
-    document.getElementById('upload-doc-btn').addEventListener('click', () => {
-        document.getElementById('upload-modal').style.display = 'flex';
-    });
+    document.getElementById('upload-doc-btn').addEventListener('click', () => openDocumentForm());
 
     // Modal close
     document.querySelectorAll('.modal-close, .modal-backdrop').forEach(el => {
@@ -1665,22 +5443,33 @@ function setupDocumentsHandlers() {
     document.getElementById('upload-form').addEventListener('submit', async (e) => {
         e.preventDefault();
 
+        const editId = document.getElementById('doc-edit-id').value;
         const file = fileInput.files[0];
-        if (!file) {
+        if (!file && !editId) {
             showToast('Please select a file', 'error');
             return;
         }
 
         const name = document.getElementById('doc-name').value;
         const category = document.getElementById('doc-category').value;
+        const dates = {
+            issueDate: document.getElementById('doc-issue-date').value,
+            expiryDate: document.getElementById('doc-expiry-date').value,
+            reminderDays: document.getElementById('doc-reminder-days').value
+        };
 
         const submitBtn = document.getElementById('upload-submit-btn');
         submitBtn.disabled = true;
-        submitBtn.querySelector('span').textContent = 'Uploading...';
+        submitBtn.querySelector('span').textContent = editId ? 'Saving...' : 'Uploading...';
 
         try {
-            await api.uploadFile(file, name, category);
-            showToast('Document uploaded!', 'success');
+            if (editId) {
+                await api.patch(`/documents/${editId}`, { name, category, ...dates });
+                showToast('Document updated', 'success');
+            } else {
+                await api.uploadFile(file, name, category, dates);
+                showToast('Document uploaded!', 'success');
+            }
 
             // Reset form
             fileInput.value = '';
@@ -1689,14 +5478,12 @@ function setupDocumentsHandlers() {
             dropzone.style.display = 'flex';
             document.getElementById('upload-modal').style.display = 'none';
 
-            // Reload documents
-            loadDocCategories();
-            loadDocuments(state.docCategory === 'all' ? null : state.docCategory);
+            reloadDocumentsView();
         } catch (err) {
             showToast(err.message, 'error');
         } finally {
             submitBtn.disabled = false;
-            submitBtn.querySelector('span').textContent = 'Upload';
+            submitBtn.querySelector('span').textContent = editId ? 'Save' : 'Upload';
         }
     });
 }
@@ -1706,6 +5493,14 @@ function setupStatsHandlers() {
         navigateToView('home');
     });
 
+    // Budgets modal
+    const budgetsModal = document.getElementById('budgets-modal');
+    document.getElementById('manage-budgets-btn').addEventListener('click', openBudgetsModal);
+    budgetsModal.querySelector('.modal-backdrop').addEventListener('click', closeBudgetsModal);
+    budgetsModal.querySelector('.modal-close').addEventListener('click', closeBudgetsModal);
+    document.getElementById('budget-form').addEventListener('submit', handleSaveBudget);
+    document.getElementById('budget-month').addEventListener('change', renderBudgetManageList);
+
     document.querySelectorAll('.period-btn').forEach(btn => {
         btn.addEventListener('click', () => {
             document.querySelectorAll('.period-btn').forEach(b => b.classList.remove('active'));
@@ -1771,10 +5566,25 @@ async function navigateToView(view) {
             }
             break;
 
+        case 'import':
+            showScreen('import-view');
+            try {
+                await loadImportView();
+            } catch (err) {
+                console.error('Error loading import view:', err);
+            }
+            break;
+
+        case 'activity':
+            showScreen('activity-view');
+            await loadActivity();
+            break;
+
         case 'documents':
             showScreen('documents-view');
             await loadDocCategories();
             await loadDocuments();
+            await loadExpiringDocuments();
             break;
 
         case 'stats':
@@ -1793,14 +5603,23 @@ async function initApp() {
     // Set today's date as default
     document.getElementById('transaction-date').value = new Date().toISOString().split('T')[0];
 
+    // Everything is formatted in the base currency, so it comes first
+    await loadCurrencies();
+
     // Load initial data
     await Promise.all([
         loadCategories(),
         refreshDashboard(),
-        loadQuickActions()
+        loadQuickActions(),
+        loadRecurring(),
+        loadBudgets(),
+        loadAccounts()
     ]);
 
     showScreen('main-screen');
+
+    // Anything queued offline last time goes now (Background Sync may not have run)
+    replayOutbox();
 }
 
 // ========================================
@@ -1813,8 +5632,10 @@ async function main() {
     setupAuthHandlers();
     setupMainHandlers();
     setupTransactionsHandlers();
+    setupImportHandlers();
     setupDocumentsHandlers();
     setupStatsHandlers();
+    setupActivityHandlers();
 
     try {
         // Check if user is authenticated
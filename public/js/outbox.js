@@ -0,0 +1,108 @@
+/**
+ * D&S Expense Tracker - Offline outbox
+ * Transactions added while the server can't be reached wait here, in IndexedDB, and are
+ * sent in order once it can: by the service worker's Background Sync where the browser
+ * has it, otherwise by the page when it comes back online. Loaded by both the page and
+ * sw.js, so it uses nothing but IndexedDB and fetch.
+ *
+ * Each entry is always sent with the same Idempotency-Key, so one that reached the server
+ * but lost its response can be sent again without adding the transaction twice.
+ */
+const outbox = {
+    DB_NAME: 'dands-offline',
+    STORE: 'transactions',
+    SYNC_TAG: 'transactions-outbox',
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.STORE, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Runs fn(store) in one IndexedDB transaction and resolves with its request's result
+    async run(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, mode);
+            const request = fn(tx.objectStore(this.STORE));
+            tx.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            tx.onerror = tx.onabort = () => {
+                db.close();
+                reject(tx.error);
+            };
+        });
+    },
+
+    // randomUUID needs a secure context; the app is also reached over plain HTTP
+    newKey() {
+        if (crypto.randomUUID) return crypto.randomUUID();
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    // data is the POST /api/transactions body; preview is what the recent list shows meanwhile
+    async add(data, { key = this.newKey(), preview = {} } = {}) {
+        const entry = { key, data, preview, queuedAt: new Date().toISOString(), error: null };
+        await this.run('readwrite', store => store.put(entry));
+        return entry;
+    },
+
+    // Oldest first
+    async all() {
+        const entries = await this.run('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    },
+
+    remove(key) {
+        return this.run('readwrite', store => store.delete(key));
+    },
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    },
+
+    // Sends every waiting entry, oldest first. One the server refuses (say its category was
+    // deleted) is kept with the server's error, to be discarded by hand. A network failure,
+    // an expired session or a server error stops the run; those are tried again later.
+    // Resolves with { sent, failed, waiting }.
+    async replay() {
+        const entries = (await this.all()).filter(entry => !entry.error);
+        const result = { sent: 0, failed: 0, waiting: 0 };
+
+        for (const [i, entry] of entries.entries()) {
+            let response;
+            try {
+                response = await fetch('/api/transactions', {
+                    method: 'POST',
+                    credentials: 'same-origin',
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.key },
+                    body: JSON.stringify(entry.data)
+                });
+            } catch (err) {
+                response = null;
+            }
+
+            if (!response || response.status === 401 || response.status >= 500) {
+                result.waiting = entries.length - i;
+                break;
+            }
+
+            if (response.ok) {
+                await this.remove(entry.key);
+                result.sent++;
+            } else {
+                const body = await response.json().catch(() => ({}));
+                await this.run('readwrite', store => store.put({ ...entry, error: body.error || 'Refused by the server' }));
+                result.failed++;
+            }
+        }
+
+        return result;
+    }
+};
@@ -2,14 +2,34 @@
 // Provides offline caching for PWA functionality
 
 // UPDATE THIS VERSION NUMBER WHEN DEPLOYING CHANGES!
-const CACHE_VERSION = 'v7';
+const CACHE_VERSION = 'v34';
 const CACHE_NAME = `dands-expense-${CACHE_VERSION}`;
 
+// API reads kept for offline use. Not versioned: the data outlives app updates, and the
+// page deletes it on logout (see clearOfflineData in app.js, which uses the same name).
+const API_CACHE = 'dands-api-data';
+
+// Read endpoints behind the dashboard, the transaction lists and documents, plus what they
+// need to render. Document views are kept for images only (thumbnails).
+const CACHED_API = [
+    /^\/api\/auth\/me$/,
+    /^\/api\/categories(\/popular)?$/,
+    /^\/api\/transactions(\/(summary|payment-summary|monthly-summary|monthly-comparison))?$/,
+    /^\/api\/documents(\/(categories|expiring))?$/,
+    /^\/api\/documents\/\d+\/view$/,
+    /^\/api\/(accounts|currencies|goals|bills|budgets|recurring|cash)$/,
+    /^\/api\/bills\/upcoming$/
+];
+
+// Transactions queued while offline (shared with the page)
+importScripts('/js/outbox.js');
+
 const STATIC_ASSETS = [
     '/',
     '/index.html',
     '/css/styles.css',
     '/js/app.js',
+    '/js/outbox.js',
     '/manifest.json'
 ];
 
@@ -52,10 +72,76 @@ self.addEventListener('activate', (event) => {
     self.clients.claim();
 });
 
+// Keep a copy of an API response, stamped with when it was fetched so the page can say how
+// old the data it is showing is
+async function saveApiResponse(request, response) {
+    const isView = new URL(request.url).pathname.endsWith('/view');
+    if (isView && !(response.headers.get('Content-Type') || '').startsWith('image/')) return;
+
+    const headers = new Headers(response.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    const copy = new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+    const cache = await caches.open(API_CACHE);
+    await cache.put(request, copy);
+}
+
+// Tell the page that asked (or every page, if that's unknown) how a refresh went
+async function notifyClients(event, message) {
+    const client = event.clientId && await self.clients.get(event.clientId);
+    const clients = client ? [client] : await self.clients.matchAll();
+    clients.forEach(c => c.postMessage(message));
+}
+
+// API reads, stale-while-revalidate: the last copy answers at once and the network refreshes
+// it in the background, so a change made on another phone shows on the next load. The page
+// hears how the refresh went: API_ONLINE, API_OFFLINE (with when its copy is from) for the
+// offline banner, or API_UNAUTHORIZED once the session has ended, which also drops the copies.
+// Without a copy, the network answers.
+async function staleWhileRevalidate(event) {
+    const cached = await caches.match(event.request, { cacheName: API_CACHE });
+    const network = fetch(event.request).then(async (response) => {
+        if (response.ok) await saveApiResponse(event.request, response.clone());
+        return response;
+    });
+    if (!cached) return network;
+
+    event.waitUntil(network.then(
+        async (response) => {
+            if (response.status === 401) {
+                await caches.delete(API_CACHE);
+                return notifyClients(event, { type: 'API_UNAUTHORIZED' });
+            }
+            return notifyClients(event, { type: 'API_ONLINE' });
+        },
+        () => notifyClients(event, { type: 'API_OFFLINE', cachedAt: cached.headers.get('X-Cached-At') })
+    ));
+    return cached;
+}
+
+// API changes go straight to the server. Once one succeeds every copy may be out of date
+// (a new transaction moves the summaries, goals, budgets, bills...), so they are dropped
+// before the page reloads what it shows; the reads refill them.
+async function apiChange(event) {
+    const response = await fetch(event.request);
+    if (response.ok) await caches.delete(API_CACHE);
+    return response;
+}
+
 // Fetch - network first with cache fallback
 self.addEventListener('fetch', (event) => {
-    // Skip non-GET requests and API calls
-    if (event.request.method !== 'GET' || event.request.url.includes('/api/')) {
+    const url = new URL(event.request.url);
+
+    // Non-GET: API changes drop the cached reads, anything else is left to the browser
+    if (event.request.method !== 'GET') {
+        if (url.pathname.startsWith('/api/')) event.respondWith(apiChange(event));
+        return;
+    }
+
+    // API calls: only the reads above are kept
+    if (url.pathname.startsWith('/api/')) {
+        if (CACHED_API.some(pattern => pattern.test(url.pathname))) {
+            event.respondWith(staleWhileRevalidate(event));
+        }
         return;
     }
 
@@ -78,6 +164,23 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
+// Background Sync - send transactions queued while offline. A run that leaves some waiting
+// fails, so the browser tries again later. Open pages refresh to show what was sent.
+self.addEventListener('sync', (event) => {
+    if (event.tag !== outbox.SYNC_TAG) return;
+
+    event.waitUntil(
+        outbox.replay().then(async (result) => {
+            // Sent from here, so apiChange didn't see them
+            if (result.sent > 0) await caches.delete(API_CACHE);
+            return self.clients.matchAll().then(clients => {
+                clients.forEach(client => client.postMessage({ type: 'OUTBOX_REPLAYED', result }));
+                if (result.waiting > 0) throw new Error(`${result.waiting} queued transactions still waiting`);
+            });
+        })
+    );
+});
+
 // Listen for skip waiting message from client
 self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'SKIP_WAITING') {
@@ -8,270 +8,47 @@ const helmet = require('helmet');
 const compression = require('compression');
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { runMigrations, latestVersion } = require('./migrations');
+
+const APP_VERSION = '1.5.0';
+
+// Non-negative integer from the environment, or fallback when unset or invalid
+const envCount = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'dands-expense-secret-change-in-production';
 const DATA_DIR = process.env.DATA_DIR || './data';
 const DOCS_DIR = process.env.DOCS_DIR || './documents';
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const DB_PATH = path.join(DATA_DIR, 'expense.db');
+const SAFETY_BACKUP_DIR = path.join(DATA_DIR, 'backups'); // pre-migration and pre-restore copies
+const BACKUP_DIR = process.env.BACKUP_DIR || SAFETY_BACKUP_DIR; // nightly snapshots, e.g. on a USB drive
+const BACKUP_SCHEDULE = process.env.BACKUP_SCHEDULE || '02:30'; // daily at HH:MM server time, or 'off'
+const BACKUP_KEEP = { // how many daily, weekly and monthly snapshots survive rotation
+  daily: envCount('BACKUP_KEEP_DAILY', 7),
+  weekly: envCount('BACKUP_KEEP_WEEKLY', 4),
+  monthly: envCount('BACKUP_KEEP_MONTHLY', 6)
+};
+const TMP_DIR = path.join(DATA_DIR, 'tmp'); // restore uploads and staging, emptied at startup
 
 // Ensure directories exist
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 if (!fs.existsSync(DOCS_DIR)) fs.mkdirSync(DOCS_DIR, { recursive: true });
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+fs.mkdirSync(TMP_DIR, { recursive: true });
 
 // Initialize SQLite database
-const db = new Database(path.join(DATA_DIR, 'expense.db'));
-
-// Create tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE NOT NULL,
-    password TEXT NOT NULL,
-    display_name TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  CREATE TABLE IF NOT EXISTS categories (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    type TEXT NOT NULL CHECK(type IN ('expense', 'income', 'both')),
-    category_group TEXT DEFAULT 'home' CHECK(category_group IN ('home', 'office')),
-    icon TEXT DEFAULT '💰',
-    color TEXT DEFAULT '#6366f1',
-    user_id INTEGER,
-    is_default INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  CREATE TABLE IF NOT EXISTS transactions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    type TEXT NOT NULL CHECK(type IN ('expense', 'income')),
-    amount REAL NOT NULL,
-    category_id INTEGER NOT NULL,
-    merchant TEXT,
-    note TEXT,
-    date DATE NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id),
-    FOREIGN KEY (category_id) REFERENCES categories(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS documents (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    name TEXT NOT NULL,
-    original_name TEXT NOT NULL,
-    category TEXT DEFAULT 'General',
-    file_path TEXT NOT NULL,
-    file_size INTEGER,
-    mime_type TEXT,
-    uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_transactions_user ON transactions(user_id);
-  CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
-  CREATE INDEX IF NOT EXISTS idx_documents_user ON documents(user_id);
-`);
-
-// Migration: Add merchant column if it doesn't exist (for existing databases)
-try {
-  db.exec(`ALTER TABLE transactions ADD COLUMN merchant TEXT`);
-  console.log('Migration: Added merchant column');
-} catch (e) {
-  // Column already exists, ignore
-}
-
-// Migration: Add payment_mode column if it doesn't exist
-try {
-  db.exec(`ALTER TABLE transactions ADD COLUMN payment_mode TEXT DEFAULT 'cash'`);
-  console.log('Migration: Added payment_mode column');
-} catch (e) {
-  // Column already exists, ignore
-}
-
-// Create indexes after migrations
-try {
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant)`);
-  db.exec(`CREATE INDEX IF NOT EXISTS idx_transactions_payment_mode ON transactions(payment_mode)`);
-} catch (e) {
-  // Indexes might already exist
-}
-
-// Migration: Add category_group column if it doesn't exist
-try {
-  db.exec(`ALTER TABLE categories ADD COLUMN category_group TEXT DEFAULT 'home' CHECK(category_group IN ('home', 'office'))`);
-  console.log('Migration: Added category_group column');
-} catch (e) {
-  // Column already exists, ignore
-}
-
-// Migration: Update Office Expenses to have 'office' group
-try {
-  db.prepare("UPDATE categories SET category_group = 'office' WHERE name = 'Office Expenses'").run();
-  console.log('Migration: Updated Office Expenses to office group');
-} catch (e) {
-  // Ignore errors
-}
-
-// Migration: Add new categories if they don't exist (for existing databases)
-const newCategories = [
-  { name: 'Vegetables & Fruits', type: 'expense', icon: '🥬', color: '#16a34a', group: 'home' },
-  { name: 'Drinking Water', type: 'expense', icon: '💧', color: '#0ea5e9', group: 'home' },
-  { name: 'Office Expenses', type: 'expense', icon: '💼', color: '#6366f1', group: 'office' },
-  { name: 'Office Supplies', type: 'expense', icon: '📎', color: '#8b5cf6', group: 'office' },
-  { name: 'Office Travel', type: 'expense', icon: '🚌', color: '#f59e0b', group: 'office' },
-  // v1.5.0 - New categories based on spending analysis
-  { name: 'Jewellery', type: 'expense', icon: '💎', color: '#d946ef', group: 'home' },
-  { name: 'Personal Care', type: 'expense', icon: '💆', color: '#f472b6', group: 'home' },
-  { name: 'Insurance', type: 'expense', icon: '🛡️', color: '#0891b2', group: 'home' },
-  { name: 'Pharmacy', type: 'expense', icon: '💊', color: '#e11d48', group: 'home' },
-  // v1.5.0 - New categories based on July 2026 expense analysis
-  { name: 'Home Services', type: 'expense', icon: '🏠', color: '#a3754e', group: 'home' },
-  { name: 'Gifts', type: 'expense', icon: '🎁', color: '#e879a8', group: 'home' },
-  { name: 'Religious', type: 'expense', icon: '🛕', color: '#f59e0b', group: 'home' },
-];
-
-for (const cat of newCategories) {
-  const exists = db.prepare('SELECT id FROM categories WHERE name = ? AND is_default = 1').get(cat.name);
-  if (!exists) {
-    db.prepare('INSERT INTO categories (name, type, icon, color, category_group, is_default) VALUES (?, ?, ?, ?, ?, 1)')
-      .run(cat.name, cat.type, cat.icon, cat.color, cat.group);
-    console.log(`Migration: Added ${cat.name} category`);
-  }
-}
-
-// v1.5.0 Migration: Recategorize existing transactions based on merchant names
-// This runs once - moves transactions to more appropriate categories
-try {
-  const insuranceCat = db.prepare("SELECT id FROM categories WHERE name = 'Insurance' AND is_default = 1").get();
-  const jewCat = db.prepare("SELECT id FROM categories WHERE name = 'Jewellery' AND is_default = 1").get();
-  const pharmCat = db.prepare("SELECT id FROM categories WHERE name = 'Pharmacy' AND is_default = 1").get();
-  const persCat = db.prepare("SELECT id FROM categories WHERE name = 'Personal Care' AND is_default = 1").get();
-
-  if (insuranceCat) {
-    // Move insurance-related transactions
-    const insurancePatterns = ['%insurance%', '%ergo%', '%icici lombard%', '%lic%premium%'];
-    for (const pattern of insurancePatterns) {
-      const result = db.prepare(
-        "UPDATE transactions SET category_id = ? WHERE LOWER(merchant) LIKE ? AND category_id != ?"
-      ).run(insuranceCat.id, pattern, insuranceCat.id);
-      if (result.changes > 0) console.log(`Migration: Moved ${result.changes} transactions to Insurance (pattern: ${pattern})`);
-    }
-  }
-
-  if (jewCat) {
-    // Move jewellery-related transactions
-    const jewPatterns = ['%tanishq%', '%kalyan%', '%joyalukkas%', '%malabar%', '%jewel%'];
-    for (const pattern of jewPatterns) {
-      const result = db.prepare(
-        "UPDATE transactions SET category_id = ? WHERE LOWER(merchant) LIKE ? AND category_id != ?"
-      ).run(jewCat.id, pattern, jewCat.id);
-      if (result.changes > 0) console.log(`Migration: Moved ${result.changes} transactions to Jewellery (pattern: ${pattern})`);
-    }
-  }
-
-  if (pharmCat) {
-    // Move pharmacy-related transactions
-    const pharmPatterns = ['%pharmacy%', '%pharma%', '%medplus%', '%apollo pharmacy%', '%netmeds%'];
-    for (const pattern of pharmPatterns) {
-      const result = db.prepare(
-        "UPDATE transactions SET category_id = ? WHERE LOWER(merchant) LIKE ? AND category_id != ?"
-      ).run(pharmCat.id, pattern, pharmCat.id);
-      if (result.changes > 0) console.log(`Migration: Moved ${result.changes} transactions to Pharmacy (pattern: ${pattern})`);
-    }
-  }
-
-  if (persCat) {
-    // Move personal care-related transactions
-    const persPatterns = ['%hair cut%', '%haircut%', '%salon%', '%spa%', '%parlour%', '%parlor%'];
-    for (const pattern of persPatterns) {
-      const result = db.prepare(
-        "UPDATE transactions SET category_id = ? WHERE LOWER(merchant) LIKE ? AND category_id != ?"
-      ).run(persCat.id, pattern, persCat.id);
-      if (result.changes > 0) console.log(`Migration: Moved ${result.changes} transactions to Personal Care (pattern: ${pattern})`);
-    }
-  }
-
-  // v1.5.0 - Recategorize into new categories
-  const homeServCat = db.prepare("SELECT id FROM categories WHERE name = 'Home Services' AND is_default = 1").get();
-  const giftsCat = db.prepare("SELECT id FROM categories WHERE name = 'Gifts' AND is_default = 1").get();
-  const religiousCat = db.prepare("SELECT id FROM categories WHERE name = 'Religious' AND is_default = 1").get();
-
-  if (homeServCat) {
-    const homeServPatterns = ['%maid%', '%iron shop%', '%ironing%', '%laundry%', '%washing%', '%plumber%', '%electrician%', '%carpenter%'];
-    for (const pattern of homeServPatterns) {
-      const result = db.prepare(
-        "UPDATE transactions SET category_id = ? WHERE LOWER(merchant) LIKE ? AND category_id != ?"
-      ).run(homeServCat.id, pattern, homeServCat.id);
-      if (result.changes > 0) console.log(`Migration: Moved ${result.changes} transactions to Home Services (pattern: ${pattern})`);
-    }
-  }
-
-  if (giftsCat) {
-    const giftsPatterns = ['%gift%'];
-    for (const pattern of giftsPatterns) {
-      const result = db.prepare(
-        "UPDATE transactions SET category_id = ? WHERE LOWER(merchant) LIKE ? AND category_id != ?"
-      ).run(giftsCat.id, pattern, giftsCat.id);
-      if (result.changes > 0) console.log(`Migration: Moved ${result.changes} transactions to Gifts (pattern: ${pattern})`);
-    }
-  }
-
-  if (religiousCat) {
-    const religiousPatterns = ['%temple%', '%pooja%', '%puja%', '%archana%', '%prasad%'];
-    for (const pattern of religiousPatterns) {
-      const result = db.prepare(
-        "UPDATE transactions SET category_id = ? WHERE LOWER(merchant) LIKE ? AND category_id != ?"
-      ).run(religiousCat.id, pattern, religiousCat.id);
-      if (result.changes > 0) console.log(`Migration: Moved ${result.changes} transactions to Religious (pattern: ${pattern})`);
-    }
-  }
-} catch (e) {
-  console.log('Migration: Category recategorization skipped or already done -', e.message);
-}
+const db = new Database(DB_PATH);
 
-// Insert default categories if none exist
-const categoryCount = db.prepare('SELECT COUNT(*) as count FROM categories WHERE is_default = 1').get();
-if (categoryCount.count === 0) {
-  const defaultCategories = [
-    // Home expense categories
-    { name: 'Food & Dining', type: 'expense', icon: '🍔', color: '#ef4444', group: 'home' },
-    { name: 'Groceries', type: 'expense', icon: '🛒', color: '#f97316', group: 'home' },
-    { name: 'Vegetables & Fruits', type: 'expense', icon: '🥬', color: '#16a34a', group: 'home' },
-    { name: 'Drinking Water', type: 'expense', icon: '💧', color: '#0ea5e9', group: 'home' },
-    { name: 'Transport', type: 'expense', icon: '🚗', color: '#eab308', group: 'home' },
-    { name: 'Utilities', type: 'expense', icon: '💡', color: '#22c55e', group: 'home' },
-    { name: 'Entertainment', type: 'expense', icon: '🎬', color: '#3b82f6', group: 'home' },
-    { name: 'Shopping', type: 'expense', icon: '🛍️', color: '#8b5cf6', group: 'home' },
-    { name: 'Health', type: 'expense', icon: '🏥', color: '#ec4899', group: 'home' },
-    { name: 'Pharmacy', type: 'expense', icon: '💊', color: '#e11d48', group: 'home' },
-    { name: 'Insurance', type: 'expense', icon: '🛡️', color: '#0891b2', group: 'home' },
-    { name: 'Jewellery', type: 'expense', icon: '💎', color: '#d946ef', group: 'home' },
-    { name: 'Personal Care', type: 'expense', icon: '💆', color: '#f472b6', group: 'home' },
-    { name: 'Education', type: 'expense', icon: '📚', color: '#14b8a6', group: 'home' },
-    { name: 'Bills', type: 'expense', icon: '📄', color: '#64748b', group: 'home' },
-    { name: 'Other Expense', type: 'expense', icon: '📦', color: '#78716c', group: 'home' },
-    // v1.5.0 categories
-    { name: 'Home Services', type: 'expense', icon: '🏠', color: '#a3754e', group: 'home' },
-    { name: 'Gifts', type: 'expense', icon: '🎁', color: '#e879a8', group: 'home' },
-    { name: 'Religious', type: 'expense', icon: '🛕', color: '#f59e0b', group: 'home' },
-    // Office expense categories
-    { name: 'Office Expenses', type: 'expense', icon: '💼', color: '#6366f1', group: 'office' },
-    { name: 'Office Supplies', type: 'expense', icon: '📎', color: '#8b5cf6', group: 'office' },
-    { name: 'Office Travel', type: 'expense', icon: '🚌', color: '#f59e0b', group: 'office' },
-  ];
-
-  const insertCategory = db.prepare(
-    'INSERT INTO categories (name, type, icon, color, category_group, is_default) VALUES (?, ?, ?, ?, ?, 1)'
-  );
-
-  for (const cat of defaultCategories) {
-    insertCategory.run(cat.name, cat.type, cat.icon, cat.color, cat.group);
-  }
-}
+// Bring the schema up to date: numbered steps in migrations/, each applied once
+runMigrations(db, { backupDir: SAFETY_BACKUP_DIR });
 
 // Middleware - Minimal security for local network/Tailscale access
 // Helmet disabled to prevent HTTPS upgrade issues on local network
@@ -333,6 +110,360 @@ const upload = multer({
   }
 });
 
+// Statement CSV upload - kept in memory, never written to DOCS_DIR
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/octet-stream'];
+    if (allowedTypes.includes(file.mimetype) && path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files can be imported'));
+    }
+  }
+});
+
+// Backup archive upload for restore - written to TMP_DIR, removed once the restore finishes
+const backupUpload = multer({
+  dest: TMP_DIR,
+  limits: { fileSize: 2 * 1024 * 1024 * 1024 }, // 2GB limit
+  fileFilter: (req, file, cb) => {
+    if (/\.(tar\.gz|tgz)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Choose a .tar.gz backup file'));
+    }
+  }
+});
+
+// ========================
+// CSV STATEMENT HELPERS
+// ========================
+
+// Parse CSV text into rows of trimmed cells (quoted fields, escaped quotes, CRLF)
+const parseCsv = (text) => {
+  const clean = text.replace(/^\uFEFF/, '');
+
+  // Banks use comma, semicolon or tab - pick whichever appears most in the first lines
+  const sample = clean.split(/\r?\n/).slice(0, 10).join('\n');
+  const delimiter = [',', ';', '\t']
+    .map(d => ({ d, count: sample.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < clean.length; i++) {
+    const ch = clean[i];
+    if (inQuotes) {
+      if (ch === '"' && clean[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && clean[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows
+    .map(r => r.map(cell => cell.trim()))
+    .filter(r => r.some(cell => cell !== ''));
+};
+
+// Statements often start with account details - the header is the first row
+// with 3+ text cells that is followed by a row of the same width
+const findHeaderRow = (rows) => {
+  for (let i = 0; i < Math.min(rows.length - 1, 30); i++) {
+    const cells = rows[i].filter(c => c !== '');
+    const textCells = cells.filter(c => isNaN(parseFloat(c.replace(/,/g, ''))));
+    if (cells.length >= 3 && textCells.length === cells.length && rows[i + 1].length === rows[i].length) {
+      return i;
+    }
+  }
+  return 0;
+};
+
+const headerSignature = (headers) => headers.map(h => h.toLowerCase().replace(/\s+/g, ' ')).join('|');
+
+// Best guess at which header holds which field
+const guessMapping = (headers) => {
+  const find = (pattern, exclude) => headers.find(h => pattern.test(h) && !(exclude && exclude.test(h))) || null;
+  return {
+    date: find(/(txn|transaction|posting)?\s*date/i, /value/i) || find(/date/i),
+    description: find(/narration|description|particulars|details|merchant|remarks/i),
+    amount: find(/amount/i, /debit|credit|withdrawal|deposit|balance/i),
+    debit: find(/debit|withdrawal/i),
+    credit: find(/credit|deposit/i, /card/i),
+    direction: find(/^(dr\s*\/\s*cr|cr\s*\/\s*dr|type)$/i),
+    dateOrder: 'DMY',
+    amountSign: 'negative-debit',
+    paymentMode: 'bank_transfer'
+  };
+};
+
+const MAPPING_COLUMNS = ['date', 'description', 'amount', 'debit', 'credit', 'direction'];
+
+// A column mapping from the client: an object whose column fields are header names (or empty),
+// with known dateOrder and amountSign values. Returns an error message, or null if it's usable.
+const mappingError = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'Mapping must be an object';
+  }
+  const badColumn = MAPPING_COLUMNS.find(key => mapping[key] != null && typeof mapping[key] !== 'string');
+  if (badColumn) {
+    return `Mapping for ${badColumn} must be a column name`;
+  }
+  if (mapping.dateOrder != null && !['DMY', 'MDY'].includes(mapping.dateOrder)) {
+    return 'Date order must be DMY or MDY';
+  }
+  if (mapping.amountSign != null && !['negative-debit', 'positive-debit'].includes(mapping.amountSign)) {
+    return 'Amount sign must be negative-debit or positive-debit';
+  }
+  if (mapping.paymentMode != null && typeof mapping.paymentMode !== 'string') {
+    return 'Invalid payment mode';
+  }
+  return null;
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Parse the date formats seen on Indian bank and card statements into YYYY-MM-DD
+const parseStatementDate = (value, order = 'DMY') => {
+  if (!value) return null;
+  const str = value.trim();
+  let year, month, day, m;
+
+  if ((m = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) {
+    [year, month, day] = [m[1], m[2], m[3]];
+  } else if ((m = str.match(/^(\d{1,2})[-/. ]([A-Za-z]{3,})[-/., ]+(\d{2,4})/))) {
+    [day, month, year] = [m[1], MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1, m[3]];
+  } else if ((m = str.match(/^([A-Za-z]{3,})[ -](\d{1,2}),?[ -](\d{2,4})/))) {
+    [month, day, year] = [MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, m[2], m[3]];
+  } else if ((m = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/))) {
+    [day, month, year] = order === 'MDY' ? [m[2], m[1], m[3]] : [m[1], m[2], m[3]];
+  } else {
+    return null;
+  }
+
+  year = parseInt(year);
+  if (year < 100) year += 2000;
+  month = parseInt(month);
+  day = parseInt(day);
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+};
+
+// Parse "1,234.50", "(1,234.50)", "₹ 1234.50 Dr" etc. into a signed number plus Dr/Cr hint
+const parseStatementAmount = (value) => {
+  if (!value) return null;
+  let str = value.trim();
+  let hint = null;
+
+  const suffix = str.match(/\s*(dr|cr)\.?$/i);
+  if (suffix) {
+    hint = suffix[1].toLowerCase() === 'dr' ? 'debit' : 'credit';
+    str = str.slice(0, suffix.index);
+  }
+
+  const negative = /^\(.*\)$/.test(str) || str.startsWith('-');
+  const number = parseFloat(str.replace(/[^\d.]/g, ''));
+  if (isNaN(number)) return null;
+
+  return { value: negative ? -number : number, hint };
+};
+
+// Turn one CSV record into { date, amount, type, description } using a column mapping
+const normalizeStatementRow = (record, mapping) => {
+  const cell = (column) => (column && record[column] !== undefined ? record[column] : '');
+  const row = {
+    date: parseStatementDate(cell(mapping.date), mapping.dateOrder),
+    description: sanitize(cell(mapping.description), 100),
+    amount: null,
+    type: null
+  };
+
+  if (mapping.debit || mapping.credit) {
+    const debit = parseStatementAmount(cell(mapping.debit));
+    const credit = parseStatementAmount(cell(mapping.credit));
+    if (debit && debit.value !== 0) {
+      row.amount = Math.abs(debit.value);
+      row.type = 'expense';
+    } else if (credit && credit.value !== 0) {
+      row.amount = Math.abs(credit.value);
+      row.type = 'income';
+    }
+  } else {
+    const parsed = parseStatementAmount(cell(mapping.amount));
+    if (parsed && parsed.value !== 0) {
+      const direction = cell(mapping.direction).toLowerCase();
+      let isDebit;
+      if (/^(dr|d|debit|withdrawal)/.test(direction)) isDebit = true;
+      else if (/^(cr|c|credit|deposit)/.test(direction)) isDebit = false;
+      else if (parsed.hint) isDebit = parsed.hint === 'debit';
+      else isDebit = mapping.amountSign === 'positive-debit' ? parsed.value > 0 : parsed.value < 0;
+
+      row.amount = Math.abs(parsed.value);
+      row.type = isDebit ? 'expense' : 'income';
+    }
+  }
+
+  if (!row.date) row.error = 'Unrecognised date';
+  else if (!row.amount) row.error = 'No amount';
+
+  return row;
+};
+
+// ========================
+// EXPORT HELPERS (CSV, XLSX)
+// ========================
+
+// Quote a CSV cell when needed. Text starting with = + - @ is prefixed with ' so
+// spreadsheets don't run it as a formula.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let str = String(value);
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const xmlEscape = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// One worksheet row: numbers as numbers, everything else as inline strings.
+// style is an index into cellXfs in buildXlsx's styles.xml (1 = bold).
+const xlsxRow = (cells, style = 0) => `<row>${cells.map(value => {
+  const s = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') return `<c${s}/>`;
+  if (typeof value === 'number') return `<c${s}><v>${value}</v></c>`;
+  return `<c${s} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}).join('')}</row>`;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Minimal zip writer: files = [{ name, data: Buffer }], deflated, no directories
+const buildZip = (files) => {
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name);
+    const compressed = zlib.deflateRawSync(file.data);
+    const crc = crc32(file.data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);              // version needed
+    header.writeUInt16LE(0x0800, 6);          // UTF-8 names
+    header.writeUInt16LE(8, 8);               // deflate
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(file.data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    local.push(header, name, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);               // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(file.data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+
+    offset += header.length + name.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((sum, buf) => sum + buf.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...local, ...central, end]);
+};
+
+// Single-sheet workbook from a bold header row and xlsxRow() strings
+const buildXlsx = (sheetName, header, rows) => {
+  const file = (name, xml) => ({ name, data: Buffer.from(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${xml}`) });
+
+  return buildZip([
+    file('[Content_Types].xml', '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>'),
+    file('_rels/.rels', '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>'),
+    file('xl/workbook.xml', '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`),
+    file('xl/_rels/workbook.xml.rels', '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>'),
+    file('xl/styles.xml', '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>'),
+    file('xl/worksheets/sheet1.xml', '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<sheetData>${xlsxRow(header, 1)}${rows.join('')}</sheetData></worksheet>`)
+  ]);
+};
+
 // Auth middleware
 const authenticate = (req, res, next) => {
   const token = req.cookies.token || req.headers.authorization?.split(' ')[1];
@@ -350,6 +481,104 @@ const authenticate = (req, res, next) => {
   }
 };
 
+// ========================
+// AUDIT LOG
+// ========================
+// Entity types: transaction, document, category, user, rule, merchant, account, cash, rate, goal, bill
+// Actions: create, update, delete (to trash), restore, purge (permanent), merge (merchant folded into another)
+
+const recordAudit = (userId, entityType, entityId, action, before = null, after = null, source = null) => {
+  db.prepare(`
+    INSERT INTO audit_log (user_id, entity_type, entity_id, action, source, before_json, after_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    userId, entityType, entityId, action, source,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null
+  );
+};
+
+// Only the fields that differ, as { before, after }; null when nothing changed
+const diffSnapshots = (before, after) => {
+  const changed = Object.keys({ ...before, ...after })
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  if (changed.length === 0) return null;
+
+  return {
+    before: Object.fromEntries(changed.map(key => [key, before[key] ?? null])),
+    after: Object.fromEntries(changed.map(key => [key, after[key] ?? null]))
+  };
+};
+
+// Human-readable state of a transaction, with names rather than ids so history still
+// reads correctly after categories are renamed or documents purged
+const transactionSnapshot = (id) => {
+  const tx = db.prepare(`
+    SELECT t.type, t.amount, t.currency, t.original_amount, t.merchant, t.payment_mode, t.note, t.date,
+           c.name as category, a.name as account, ta.name as to_account
+    FROM transactions t
+    LEFT JOIN categories c ON t.category_id = c.id
+    LEFT JOIN accounts a ON t.account_id = a.id
+    LEFT JOIN accounts ta ON t.to_account_id = ta.id
+    WHERE t.id = ?
+  `).get(id);
+  if (!tx) return null;
+
+  return {
+    type: tx.type,
+    amount: tx.amount,
+    currency: tx.currency,
+    originalAmount: tx.original_amount,
+    category: tx.category,
+    merchant: tx.merchant,
+    paymentMode: tx.payment_mode,
+    account: tx.account,
+    toAccount: tx.to_account,
+    note: tx.note,
+    date: tx.date,
+    splits: db.prepare(`
+      SELECT c.name as category, s.amount
+      FROM transaction_splits s
+      JOIN categories c ON s.category_id = c.id
+      WHERE s.transaction_id = ?
+      ORDER BY s.amount DESC
+    `).all(id),
+    tags: db.prepare(`
+      SELECT tg.name FROM transaction_tags tt JOIN tags tg ON tt.tag_id = tg.id
+      WHERE tt.transaction_id = ? ORDER BY tg.name
+    `).all(id).map(t => t.name),
+    attachments: db.prepare(`
+      SELECT d.name FROM transaction_documents td JOIN documents d ON td.document_id = d.id
+      WHERE td.transaction_id = ? AND d.deleted_at IS NULL ORDER BY td.created_at
+    `).all(id).map(d => d.name)
+  };
+};
+
+const documentSnapshot = (id) => {
+  const doc = db.prepare(
+    'SELECT name, original_name, category, issue_date, expiry_date, reminder_days FROM documents WHERE id = ?'
+  ).get(id);
+  if (!doc) return null;
+
+  return {
+    name: doc.name,
+    originalName: doc.original_name,
+    category: doc.category,
+    issueDate: doc.issue_date,
+    expiryDate: doc.expiry_date,
+    reminderDays: doc.reminder_days
+  };
+};
+
+// Runs a change and records it as an update if the snapshot moved
+const auditedUpdate = (userId, entityType, id, snapshot, change, source = null) => {
+  const before = snapshot(id);
+  const result = change();
+  const diff = diffSnapshots(before || {}, snapshot(id) || {});
+  if (diff) recordAudit(userId, entityType, id, 'update', diff.before, diff.after, source);
+  return result;
+};
+
 // ========================
 // AUTH ROUTES
 // ========================
@@ -374,6 +603,9 @@ app.post('/api/auth/register', rateLimitAuth, (req, res) => {
       'INSERT INTO users (username, password, display_name) VALUES (?, ?, ?)'
     ).run(username.toLowerCase(), hashedPassword, displayName);
 
+    recordAudit(result.lastInsertRowid, 'user', result.lastInsertRowid, 'create', null,
+      { username: username.toLowerCase(), displayName });
+
     const token = jwt.sign({ id: result.lastInsertRowid, username: username.toLowerCase() }, JWT_SECRET, { expiresIn: '30d' });
 
     res.cookie('token', token, { httpOnly: true, maxAge: 30 * 24 * 60 * 60 * 1000 });
@@ -454,6 +686,8 @@ app.post('/api/auth/reset-password', authenticate, rateLimitAuth, (req, res) =>
   try {
     const hashedPassword = bcrypt.hashSync(newPassword, 10);
     db.prepare('UPDATE users SET password = ? WHERE id = ?').run(hashedPassword, userId);
+    // Never log the hash itself, just that it changed
+    recordAudit(req.user.id, 'user', user.id, 'update', null, { password: 'reset' });
     res.json({ success: true, message: `Password reset for ${user.username}` });
   } catch (err) {
     console.error('Password reset error:', err);
@@ -476,14 +710,20 @@ app.get('/api/categories', authenticate, (req, res) => {
     LEFT JOIN (
       SELECT category_id, COUNT(*) as count
       FROM transactions
+      WHERE deleted_at IS NULL
       GROUP BY category_id
     ) usage ON c.id = usage.category_id
     WHERE (c.is_default = 1 OR c.user_id = ?)
   `;
   const params = [req.user.id];
 
-  // Only show expense categories (income removed)
-  query += " AND c.type = 'expense'";
+  // Expense categories unless asked for income or all ('both' categories suit either)
+  if (type === 'income' || type === 'expense') {
+    query += " AND c.type IN (?, 'both')";
+    params.push(type);
+  } else if (type !== 'all') {
+    query += " AND c.type IN ('expense', 'both')";
+  }
 
   // Filter by category group if specified
   if (group && ['home', 'office'].includes(group)) {
@@ -509,37 +749,43 @@ app.post('/api/categories', authenticate, (req, res) => {
     'INSERT INTO categories (name, type, icon, color, user_id, is_default) VALUES (?, ?, ?, ?, ?, 0)'
   ).run(name, type, icon || '💰', color || '#6366f1', req.user.id);
 
+  recordAudit(req.user.id, 'category', result.lastInsertRowid, 'create', null, { name, type, icon, color });
+
   res.json({ id: result.lastInsertRowid, name, type, icon, color });
 });
 
 // Get most used categories for quick actions (learned from usage)
 app.get('/api/categories/popular', authenticate, (req, res) => {
   const limit = parseInt(req.query.limit) || 5;
+  const type = req.query.type === 'income' ? 'income' : 'expense';
 
   const popular = db.prepare(`
     SELECT c.*, COUNT(t.id) as usage_count
     FROM categories c
-    LEFT JOIN transactions t ON c.id = t.category_id
-    WHERE c.is_default = 1 AND c.type = 'expense'
+    LEFT JOIN transactions t ON c.id = t.category_id AND t.deleted_at IS NULL
+    WHERE c.is_default = 1 AND c.type = ?
     GROUP BY c.id
     HAVING usage_count > 0
     ORDER BY usage_count DESC
     LIMIT ?
-  `).all(limit);
+  `).all(type, limit);
 
   res.json(popular);
 });
 
 // Get suggested merchants for a category (HOUSEHOLD - learns from all users)
 app.get('/api/categories/:id/merchants', authenticate, (req, res) => {
-  const categoryId = req.params.id;
+  // line_category_id is a view expression with no type affinity, so compare against a number
+  const categoryId = parseInt(req.params.id);
 
-  // Get most frequently used merchants for this category (all household members)
+  // Get most frequently used merchants for this category (all household members).
+  // Spellings linked to the same directory merchant count together under its name.
   const merchants = db.prepare(`
-    SELECT merchant, COUNT(*) as usage_count, MAX(date) as last_used
-    FROM transactions
-    WHERE category_id = ? AND merchant IS NOT NULL AND merchant != ''
-    GROUP BY merchant
+    SELECT COALESCE(m.name, tl.merchant) as merchant, tl.merchant_id, COUNT(*) as usage_count, MAX(tl.date) as last_used
+    FROM transaction_lines tl
+    LEFT JOIN merchants m ON tl.merchant_id = m.id
+    WHERE tl.line_category_id = ? AND tl.merchant IS NOT NULL AND tl.merchant != ''
+    GROUP BY COALESCE('#' || tl.merchant_id, tl.merchant)
     ORDER BY usage_count DESC, last_used DESC
     LIMIT 10
   `).all(categoryId);
@@ -551,107 +797,564 @@ app.get('/api/categories/:id/merchants', authenticate, (req, res) => {
 // TRANSACTION ROUTES
 // ========================
 
-// Add transaction
-app.post('/api/transactions', authenticate, (req, res) => {
-  const { type, amount, categoryId, merchant, paymentMode, note, date } = req.body;
+const VALID_PAYMENT_MODES = ['cash', 'upi', 'bank_transfer', 'credit_card', 'debit_card'];
 
-  if (!type || !amount || !categoryId) {
-    return res.status(400).json({ error: 'Type, amount, and category are required' });
+// Income transactions take income categories, expenses take expense categories
+const categoryMatchesType = (category, type) => category.type === type || category.type === 'both';
+
+// A real YYYY-MM-DD date: the pattern alone lets through ones like 2026-13-45
+const isCalendarDate = (str) => {
+  if (typeof str !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(str)) return false;
+  const [year, month, day] = str.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+// Validate and normalise a transaction payload (shared by quick add and statement import)
+// Returns { error } or { value } ready for insertTransaction. Transfers move money from
+// accountId to toAccountId and have no category, merchant or splits. An amount in another
+// currency is converted to the base currency (see convertToBase).
+const validateTransaction = (input) => {
+  const { type, amount, merchant, paymentMode, note, date, splits } = input;
+  let { categoryId } = input;
+
+  // A split transaction's own category is its largest line
+  if (Array.isArray(splits) && splits.length > 0) {
+    categoryId = categoryId || splits.reduce((a, b) => (parseFloat(b.amount) > parseFloat(a.amount) ? b : a)).categoryId;
+  }
+
+  if (!type || !amount || (!categoryId && type !== 'transfer')) {
+    return { error: 'Type, amount, and category are required' };
+  }
+
+  if (!['expense', 'income', 'transfer'].includes(type)) {
+    return { error: 'Invalid type' };
   }
 
   // Validate amount
   const parsedAmount = parseFloat(amount);
   if (isNaN(parsedAmount) || parsedAmount <= 0 || parsedAmount > 10000000) {
-    return res.status(400).json({ error: 'Invalid amount' });
+    return { error: 'Invalid amount' };
+  }
+
+  if (date && !isCalendarDate(date)) {
+    return { error: 'Invalid date' };
+  }
+
+  const day = date || new Date().toISOString().split('T')[0];
+  const money = convertToBase(input.currency, parsedAmount, day);
+  if (money.error) {
+    return { error: money.error };
+  }
+
+  if (type === 'transfer') {
+    const { from, to, error } = findTransferAccounts(input.accountId, input.toAccountId);
+    if (error) {
+      return { error };
+    }
+
+    return {
+      value: {
+        type,
+        ...money.value,
+        categoryId: null,
+        splits: [],
+        merchant: null,
+        note: sanitize(note, 300),
+        accountId: from.id,
+        toAccountId: to.id,
+        paymentMode: accountPaymentMode(from, paymentMode),
+        date: day,
+        tags: normalizeTags(input.tags)
+      }
+    };
+  }
+
+  const category = db.prepare('SELECT id, type FROM categories WHERE id = ?').get(categoryId);
+  if (!category) {
+    return { error: 'Category not found' };
+  }
+
+  if (!categoryMatchesType(category, type)) {
+    return { error: `Category is not an ${type} category` };
+  }
+
+  const { account, error: accountError } = findAccount(input.accountId, paymentMode);
+  if (accountError) {
+    return { error: accountError };
+  }
+
+  let validSplits = [];
+  if (Array.isArray(splits) && splits.length > 0) {
+    if (money.value.currency) {
+      return { error: FOREIGN_SPLIT_ERROR };
+    }
+    const result = validateSplits(splits, parsedAmount, type);
+    if (result.error) {
+      return { error: result.error };
+    }
+    validSplits = result.value;
+  }
+
+  return {
+    value: {
+      type,
+      ...money.value,
+      categoryId: validSplits.length > 0 ? validSplits[0].categoryId : category.id,
+      splits: validSplits,
+      // Sanitize text inputs
+      merchant: sanitize(merchant, 100),
+      note: sanitize(note, 300),
+      accountId: account ? account.id : null,
+      paymentMode: accountPaymentMode(account, paymentMode),
+      date: day,
+      tags: normalizeTags(input.tags)
+    }
+  };
+};
+
+// Tags arrive as an array or a comma-separated string. Quotes and '#' are dropped
+// (the UI shows tags as #name inside attributes), then trimmed, de-duplicated
+// (case-insensitively) and capped so a paste can't create hundreds of tags.
+const normalizeTags = (input) => {
+  const names = Array.isArray(input) ? input : typeof input === 'string' ? input.split(',') : [];
+  const seen = new Set();
+  const tags = [];
+
+  for (const raw of names) {
+    const name = (sanitize(String(raw).replace(/["#]/g, ''), 30) || '').replace(/\s+/g, ' ');
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    tags.push(name);
+  }
+
+  return tags.slice(0, 10);
+};
+
+// Replace a transaction's tags, creating tags on first use
+const setTransactionTags = (transactionId, names) => {
+  db.prepare('DELETE FROM transaction_tags WHERE transaction_id = ?').run(transactionId);
+
+  const insertTag = db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+  const findTag = db.prepare('SELECT id FROM tags WHERE name = ?');
+  const link = db.prepare('INSERT OR IGNORE INTO transaction_tags (transaction_id, tag_id) VALUES (?, ?)');
+
+  for (const name of names) {
+    insertTag.run(name);
+    link.run(transactionId, findTag.get(name).id);
+  }
+};
+
+// Tag names for each transaction row, as an array (rows come from a query selecting tag_list)
+const TAG_LIST_SQL = `(
+  SELECT json_group_array(tg.name) FROM transaction_tags tt JOIN tags tg ON tt.tag_id = tg.id
+  WHERE tt.transaction_id = t.id
+) as tag_list`;
+
+// Category columns for transaction lists; transfers have no category and show as 'Transfer'
+const CATEGORY_COLUMNS_SQL = `COALESCE(c.name, 'Transfer') as category_name, COALESCE(c.icon, '🔁') as category_icon,
+  COALESCE(c.color, '#64748b') as category_color`;
+
+const withTags = (row) => {
+  const { tag_list, ...rest } = row;
+  return { ...rest, tags: JSON.parse(tag_list || '[]') };
+};
+
+// Validate split lines against the transaction total. Returns { error } or { value }
+// with lines sorted largest first (the first line's category becomes the parent's).
+const validateSplits = (splits, total, type) => {
+  if (!Array.isArray(splits) || splits.length < 2) {
+    return { error: 'A split needs at least two lines' };
+  }
+
+  if (splits.length > 20) {
+    return { error: 'Too many split lines (max 20)' };
+  }
+
+  const lines = [];
+  for (const split of splits) {
+    const amount = parseFloat(split.amount);
+    if (isNaN(amount) || amount <= 0) {
+      return { error: 'Invalid split amount' };
+    }
+
+    const category = db.prepare('SELECT id, type FROM categories WHERE id = ?').get(split.categoryId);
+    if (!category) {
+      return { error: 'Split category not found' };
+    }
+
+    if (!categoryMatchesType(category, type)) {
+      return { error: `Split category is not an ${type} category` };
+    }
+
+    lines.push({ categoryId: category.id, amount, note: sanitize(split.note, 100) });
+  }
+
+  // Compare in paise so 0.1 + 0.2 style float error doesn't reject a valid split
+  const sum = lines.reduce((acc, line) => acc + Math.round(line.amount * 100), 0);
+  if (sum !== Math.round(total * 100)) {
+    return { error: 'Split amounts must add up to the total' };
   }
 
-  // Validate payment mode
-  const validModes = ['cash', 'upi', 'bank_transfer', 'credit_card', 'debit_card'];
-  const mode = validModes.includes(paymentMode) ? paymentMode : 'cash';
+  return { value: lines.sort((a, b) => b.amount - a.amount) };
+};
 
-  // Sanitize text inputs
-  const safeMerchant = sanitize(merchant, 100);
-  const safeNote = sanitize(note, 300);
+const replaceSplits = (transactionId, splits) => {
+  db.prepare('DELETE FROM transaction_splits WHERE transaction_id = ?').run(transactionId);
 
-  const transactionDate = date || new Date().toISOString().split('T')[0];
+  const insert = db.prepare('INSERT INTO transaction_splits (transaction_id, category_id, amount, note) VALUES (?, ?, ?, ?)');
+  for (const split of splits) {
+    insert.run(transactionId, split.categoryId, split.amount, split.note);
+  }
+};
 
+// source marks entries not typed in by hand ('import', 'recurring') in the audit log.
+// The merchant is stored under its directory name, so "swiggy" and "SWIGGY BLR" (an alias) both save as "Swiggy".
+const insertTransaction = db.transaction((userId, tx, source = null) => {
+  const merchant = resolveMerchant(tx.merchant);
   const result = db.prepare(
-    'INSERT INTO transactions (user_id, type, amount, category_id, merchant, payment_mode, note, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
-  ).run(req.user.id, type, parsedAmount, categoryId, safeMerchant, mode, safeNote, transactionDate);
+    `INSERT INTO transactions (user_id, type, amount, currency, original_amount, category_id, merchant, merchant_id,
+      payment_mode, account_id, to_account_id, note, date, recurring_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(userId, tx.type, tx.amount, tx.currency || null, tx.originalAmount || null, tx.categoryId,
+    merchant ? merchant.name : null, merchant ? merchant.id : null,
+    tx.paymentMode, tx.accountId || null, tx.toAccountId || null, tx.note, tx.date, tx.recurringId || null);
+
+  if (tx.splits && tx.splits.length > 0) {
+    replaceSplits(result.lastInsertRowid, tx.splits);
+  }
 
-  res.json({ id: result.lastInsertRowid, success: true });
+  if (tx.tags && tx.tags.length > 0) {
+    setTransactionTags(result.lastInsertRowid, tx.tags);
+  }
+
+  recordAudit(userId, 'transaction', result.lastInsertRowid, 'create', null,
+    transactionSnapshot(result.lastInsertRowid), source);
+
+  return result.lastInsertRowid;
 });
 
-// Get transactions (HOUSEHOLD MODE - shows all users' transactions)
-app.get('/api/transactions', authenticate, (req, res) => {
-  const { startDate, endDate, type, limit = 50, offset = 0,
-    merchant, minAmount, maxAmount, categoryGroup, categoryIds } = req.query;
+// Transactions queued offline are replayed with an Idempotency-Key header (a UUID made on the
+// phone). Keys are kept long enough to outlast any queue, then forgotten.
+const IDEMPOTENCY_KEY = /^[A-Za-z0-9-]{16,64}$/;
+const IDEMPOTENCY_KEY_DAYS = 90;
 
-  let query = `
-    SELECT t.*, c.name as category_name, c.icon as category_icon, c.color as category_color,
-           c.category_group, u.display_name as added_by
-    FROM transactions t
-    JOIN categories c ON t.category_id = c.id
-    JOIN users u ON t.user_id = u.id
-    WHERE 1=1
-  `;
+const pruneIdempotencyKeys = () => {
+  db.prepare("DELETE FROM idempotency_keys WHERE created_at < datetime('now', ?)").run(`-${IDEMPOTENCY_KEY_DAYS} days`);
+};
+
+// Add transaction. A key already used returns the transaction it created, unchanged.
+app.post('/api/transactions', authenticate, (req, res) => {
+  const key = req.get('Idempotency-Key');
+  if (key !== undefined && !IDEMPOTENCY_KEY.test(key)) {
+    return res.status(400).json({ error: 'Invalid Idempotency-Key' });
+  }
+
+  // Immediate, so two replays of one key can't both miss it and add the transaction twice
+  const result = db.transaction(() => {
+    const seen = key && db.prepare('SELECT transaction_id FROM idempotency_keys WHERE user_id = ? AND key = ?')
+      .get(req.user.id, key);
+    if (seen) {
+      return { id: seen.transaction_id, appliedRules: [], replayed: true };
+    }
+
+    const { error, value } = validateTransaction(req.body);
+    if (error) {
+      return { error };
+    }
+
+    // Rules categorise spending and income; transfers have no category to set
+    const { value: tx, applied } = value.type === 'transfer' ? { value, applied: [] } : applyRules(value, loadActiveRules());
+    const id = insertTransaction(req.user.id, tx);
+    if (key) {
+      db.prepare('INSERT INTO idempotency_keys (key, transaction_id, user_id) VALUES (?, ?, ?)').run(key, id, req.user.id);
+    }
+    return { id, appliedRules: applied };
+  }).immediate();
+
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  res.json({ ...result, success: true });
+});
+
+// Turn a search box string into an FTS5 query: "quoted phrases" stay phrases, other
+// words become prefix matches, all terms must match. Everything is quoted so user input
+// can't inject FTS syntax. Returns null when there is nothing to search for.
+const buildSearchQuery = (input) => {
+  if (!input || typeof input !== 'string') return null;
+
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = pattern.exec(input.slice(0, 200))) !== null) {
+    if (m[1] !== undefined) {
+      const phrase = m[1].trim();
+      if (phrase) terms.push(`"${phrase}"`);
+    } else {
+      const word = m[2].replace(/"/g, '');
+      if (word) terms.push(`"${word}"*`);
+    }
+  }
+
+  return terms.length > 0 ? terms.join(' ') : null;
+};
+
+// Get transactions (HOUSEHOLD MODE - shows all users' transactions)
+// WHERE clause for the transaction filters shared by the list and export: date range,
+// type, merchant, account, amount range, category group/ids, tags and full-text search (q).
+// Follows FROM transactions t; when match is set the caller joins transactions_fts.
+const buildTransactionFilters = (filters) => {
+  const { startDate, endDate, type, merchant, minAmount, maxAmount, categoryGroup, categoryIds, tags, accountId } = filters;
+  const match = buildSearchQuery(filters.q);
+  let where = 'WHERE t.deleted_at IS NULL';
   const params = [];
 
+  if (match) {
+    where += ' AND transactions_fts MATCH ?';
+    params.push(match);
+  }
+
   if (startDate) {
-    query += ' AND t.date >= ?';
+    where += ' AND t.date >= ?';
     params.push(startDate);
   }
 
   if (endDate) {
-    query += ' AND t.date <= ?';
+    where += ' AND t.date <= ?';
     params.push(endDate);
   }
 
-  if (type && ['expense', 'income'].includes(type)) {
-    query += ' AND t.type = ?';
+  if (type && ['expense', 'income', 'transfer'].includes(type)) {
+    where += ' AND t.type = ?';
     params.push(type);
   }
 
   // Search by merchant (partial match)
   if (merchant) {
-    query += ' AND t.merchant LIKE ?';
+    where += ' AND t.merchant LIKE ?';
     params.push(`%${merchant}%`);
   }
 
+  // Either side of a transfer
+  if (accountId) {
+    where += ' AND (t.account_id = ? OR t.to_account_id = ?)';
+    params.push(parseInt(accountId), parseInt(accountId));
+  }
+
   // Amount range filters
   if (minAmount) {
-    query += ' AND t.amount >= ?';
+    where += ' AND t.amount >= ?';
     params.push(parseFloat(minAmount));
   }
   if (maxAmount) {
-    query += ' AND t.amount <= ?';
+    where += ' AND t.amount <= ?';
     params.push(parseFloat(maxAmount));
   }
 
+  // Category filters match any line of a split transaction, not just its main category
   // Category group filter (home/office)
   if (categoryGroup && ['home', 'office'].includes(categoryGroup)) {
-    query += ' AND c.category_group = ?';
+    where += ` AND t.id IN (
+      SELECT l.id FROM transaction_lines l JOIN categories lc ON l.line_category_id = lc.id
+      WHERE lc.category_group = ?
+    )`;
     params.push(categoryGroup);
   }
 
   // Multi-category filter
   if (categoryIds) {
-    const ids = categoryIds.split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
+    const ids = String(categoryIds).split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
     if (ids.length > 0) {
-      query += ` AND t.category_id IN (${ids.map(() => '?').join(',')})`;
+      where += ` AND t.id IN (SELECT id FROM transaction_lines WHERE line_category_id IN (${ids.map(() => '?').join(',')}))`;
       params.push(...ids);
     }
   }
 
-  query += ' ORDER BY t.date DESC, t.created_at DESC LIMIT ? OFFSET ?';
-  params.push(parseInt(limit), parseInt(offset));
+  // Tag filter (comma-separated) - transactions must carry every listed tag
+  for (const tag of normalizeTags(tags)) {
+    where += ` AND t.id IN (
+      SELECT tt.transaction_id FROM transaction_tags tt JOIN tags tg ON tt.tag_id = tg.id WHERE tg.name = ?
+    )`;
+    params.push(tag);
+  }
 
-  const transactions = db.prepare(query).all(...params);
-  res.json(transactions);
-});
+  return { match, where, params };
+};
 
-// Get summary (HOUSEHOLD MODE - combines all users)
-app.get('/api/transactions/summary', authenticate, (req, res) => {
+app.get('/api/transactions', authenticate, (req, res) => {
+  const { limit = 50, offset = 0 } = req.query;
+
+  // Full-text search: ranked by relevance with a highlighted snippet instead of by date
+  const { match, where, params } = buildTransactionFilters(req.query);
+
+  let query = `
+    SELECT t.*, ${CATEGORY_COLUMNS_SQL},
+           c.category_group, u.display_name as added_by, a.name as account_name, a.last4 as account_last4,
+           ta.name as to_account_name, ta.last4 as to_account_last4,
+           (SELECT COUNT(*) FROM transaction_splits s WHERE s.transaction_id = t.id) as split_count,
+           (SELECT COUNT(*) FROM transaction_documents td JOIN documents d ON td.document_id = d.id
+            WHERE td.transaction_id = t.id AND d.deleted_at IS NULL) as attachment_count,
+           ${TAG_LIST_SQL}
+           ${match ? `, snippet(transactions_fts, -1, '<mark>', '</mark>', '…', 10) as snippet` : ''}
+    FROM transactions t
+    LEFT JOIN categories c ON t.category_id = c.id
+    JOIN users u ON t.user_id = u.id
+    LEFT JOIN accounts a ON t.account_id = a.id
+    LEFT JOIN accounts ta ON t.to_account_id = ta.id
+    ${match ? 'JOIN transactions_fts ON transactions_fts.rowid = t.id' : ''}
+    ${where}
+  `;
+
+  // bm25 is lower-is-better; merchant hits outrank note hits, which outrank category hits
+  query += match
+    ? ' ORDER BY bm25(transactions_fts, 10.0, 5.0, 2.0), t.date DESC LIMIT ? OFFSET ?'
+    : ' ORDER BY t.date DESC, t.created_at DESC LIMIT ? OFFSET ?';
+
+  const transactions = db.prepare(query).all(...params, parseInt(limit), parseInt(offset)).map(withTags);
+  res.json(transactions);
+});
+
+const PAYMENT_MODE_LABELS = {
+  cash: 'Cash',
+  upi: 'UPI',
+  bank_transfer: 'Bank Transfer',
+  credit_card: 'Credit Card',
+  debit_card: 'Debit Card'
+};
+
+// Amount is in the base currency; Original Amount and Currency are filled for other currencies
+const EXPORT_COLUMNS = ['Date', 'Type', 'Amount', 'Original Amount', 'Currency', 'Category', 'Group', 'Merchant', 'Payment Mode',
+  'Account', 'Note', 'Tags', 'Splits', 'Added By'];
+
+// Rows read per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+// Export everything matching the list filters, oldest first, with no row limit.
+// CSV and JSON stream through pipeline, which waits whenever the client falls behind and
+// stops if it goes away; rows are read a batch at a time between writes rather than through
+// one open iterator, which would keep the shared connection busy while the export waits.
+// XLSX is NOT streamed: a zip needs each file's size and checksum before it can be written,
+// so the whole sheet is built in memory and sent in one go.
+// IMPORTANT: This must be defined BEFORE /api/transactions/:id to avoid route conflicts
+app.get('/api/transactions/export', authenticate, (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'xlsx', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be csv, xlsx or json' });
+  }
+  // Both dates also end up in the download's filename
+  for (const key of ['startDate', 'endDate']) {
+    if (req.query[key] && !isCalendarDate(req.query[key])) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+  }
+
+  const { match, where, params } = buildTransactionFilters(req.query);
+  // Each batch starts after the last row of the one before (keyset, so no OFFSET rescans)
+  const selectBatch = (after) => db.prepare(`
+    SELECT t.id, t.date, t.type, t.amount, t.currency, t.original_amount, t.merchant, t.payment_mode, t.note, a.name as account_name,
+           ta.name as to_account_name, c.name as category_name, c.category_group, u.display_name as added_by,
+           IFNULL(t.created_at, '') as sort_created,
+           (SELECT json_group_array(json_object('category', sc.name, 'amount', s.amount))
+            FROM transaction_splits s JOIN categories sc ON s.category_id = sc.id
+            WHERE s.transaction_id = t.id) as split_list,
+           ${TAG_LIST_SQL}
+    FROM transactions t
+    LEFT JOIN categories c ON t.category_id = c.id
+    JOIN users u ON t.user_id = u.id
+    LEFT JOIN accounts a ON t.account_id = a.id
+    LEFT JOIN accounts ta ON t.to_account_id = ta.id
+    ${match ? 'JOIN transactions_fts ON transactions_fts.rowid = t.id' : ''}
+    ${where}${after ? " AND (t.date, IFNULL(t.created_at, ''), t.id) > (?, ?, ?)" : ''}
+    ORDER BY t.date ASC, IFNULL(t.created_at, '') ASC, t.id ASC
+    LIMIT ${EXPORT_BATCH_SIZE}
+  `);
+  const firstBatch = selectBatch(false);
+  const nextBatch = selectBatch(true);
+  function* batches() {
+    let batch = firstBatch.all(...params);
+    while (batch.length > 0) {
+      yield batch;
+      if (batch.length < EXPORT_BATCH_SIZE) return;
+      const last = batch[batch.length - 1];
+      batch = nextBatch.all(...params, last.date, last.sort_created, last.id);
+    }
+  }
+
+  const exportRow = (row) => {
+    const { tags } = withTags(row);
+    const splits = JSON.parse(row.split_list || '[]');
+    return {
+      id: row.id,
+      date: row.date,
+      type: row.type,
+      amount: row.amount,
+      originalAmount: row.original_amount,
+      currency: row.currency,
+      category: row.category_name || '',
+      group: row.type === 'expense' ? (row.category_group === 'office' ? 'Office' : 'Home') : '',
+      merchant: row.merchant || '',
+      paymentMode: PAYMENT_MODE_LABELS[row.payment_mode] || row.payment_mode || '',
+      account: row.type === 'transfer' ? `${row.account_name} → ${row.to_account_name}` : row.account_name || '',
+      note: row.note || '',
+      tags,
+      splits,
+      addedBy: row.added_by
+    };
+  };
+  const cells = (tx) => [
+    tx.date, { income: 'Income', expense: 'Expense', transfer: 'Transfer' }[tx.type], tx.amount, tx.originalAmount, tx.currency || '',
+    tx.category, tx.group, tx.merchant,
+    tx.paymentMode, tx.account, tx.note, tx.tags.join(', '), tx.splits.map(s => `${s.category} ${s.amount}`).join('; '), tx.addedBy
+  ];
+
+  const range = [req.query.startDate, req.query.endDate].filter(Boolean).join('_to_');
+  const filename = `transactions${range ? `_${range}` : ''}.${format}`;
+
+  // Buffered in full (see above)
+  if (format === 'xlsx') {
+    const sheetRows = [];
+    for (const batch of batches()) {
+      for (const row of batch) sheetRows.push(xlsxRow(cells(exportRow(row))));
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return res.send(buildXlsx('Transactions', EXPORT_COLUMNS, sheetRows));
+  }
+
+  async function* jsonChunks() {
+    yield '[';
+    let first = true;
+    for (const batch of batches()) {
+      yield batch.map((row, i) => (first && i === 0 ? '\n' : ',\n') + JSON.stringify(exportRow(row))).join('');
+      first = false;
+    }
+    yield '\n]\n';
+  }
+
+  // BOM so Excel reads the file as UTF-8 (₹, emoji, non-English merchants)
+  async function* csvChunks() {
+    yield '\uFEFF' + EXPORT_COLUMNS.join(',') + '\r\n';
+    for (const batch of batches()) {
+      yield batch.map(row => cells(exportRow(row)).map(csvCell).join(',') + '\r\n').join('');
+    }
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+  pipeline(format === 'json' ? jsonChunks : csvChunks, res).catch((err) => {
+    // A client that went away is nothing to report; anything else cuts the download short
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Export error:', err);
+    res.destroy();
+  });
+});
+
+// Share of income not spent, as a percentage (null when there was no income)
+const savingsRate = (income, expense) =>
+  income > 0 ? Math.round(((income - expense) / income) * 1000) / 10 : null;
+
+// Get summary (HOUSEHOLD MODE - combines all users)
+app.get('/api/transactions/summary', authenticate, (req, res) => {
   const { startDate, endDate } = req.query;
 
   // Default to current month
@@ -665,7 +1368,7 @@ app.get('/api/transactions/summary', authenticate, (req, res) => {
       SUM(amount) as total,
       COUNT(*) as count
     FROM transactions
-    WHERE date >= ? AND date <= ?
+    WHERE type != 'transfer' AND date >= ? AND date <= ? AND deleted_at IS NULL
     GROUP BY type
   `).all(defaultStart, defaultEnd);
 
@@ -676,10 +1379,10 @@ app.get('/api/transactions/summary', authenticate, (req, res) => {
       c.color,
       c.category_group,
       t.type,
-      SUM(t.amount) as total,
+      SUM(t.line_amount) as total,
       COUNT(*) as count
-    FROM transactions t
-    JOIN categories c ON t.category_id = c.id
+    FROM transaction_lines t
+    JOIN categories c ON t.line_category_id = c.id
     WHERE t.date >= ? AND t.date <= ?
     GROUP BY c.id, t.type
     ORDER BY total DESC
@@ -693,7 +1396,7 @@ app.get('/api/transactions/summary', authenticate, (req, res) => {
       COUNT(*) as count
     FROM transactions t
     JOIN users u ON t.user_id = u.id
-    WHERE t.type = 'expense' AND t.date >= ? AND t.date <= ?
+    WHERE t.type = 'expense' AND t.date >= ? AND t.date <= ? AND t.deleted_at IS NULL
     GROUP BY t.user_id
     ORDER BY total DESC
   `).all(defaultStart, defaultEnd);
@@ -702,148 +1405,203 @@ app.get('/api/transactions/summary', authenticate, (req, res) => {
   const expense = summary.find(s => s.type === 'expense')?.total || 0;
 
   res.json({
+    income,
     expense,
     balance: income - expense,
+    savings: income - expense,
+    savingsRate: savingsRate(income, expense),
     startDate: defaultStart,
     endDate: defaultEnd,
     categoryBreakdown,
-    userBreakdown
+    userBreakdown,
+    budgets: budgetStatus(defaultStart, defaultEnd)
   });
 });
 
 // Get payment mode summary (cash on hand, credit card dues)
 app.get('/api/transactions/payment-summary', authenticate, (req, res) => {
-  // Get ATM Withdrawal category ID
-  const atmCategory = db.prepare("SELECT id FROM categories WHERE name = 'ATM Withdrawal' AND is_default = 1").get();
-  const atmCategoryId = atmCategory?.id;
-
-  // Calculate Cash on Hand: ATM withdrawals (income) - Cash expenses
-  let cashOnHand = 0;
-
-  if (atmCategoryId) {
-    // Total ATM withdrawals (adds to cash)
-    const atmWithdrawals = db.prepare(`
-      SELECT COALESCE(SUM(amount), 0) as total
-      FROM transactions
-      WHERE category_id = ? AND type = 'income'
-    `).get(atmCategoryId);
-    cashOnHand += atmWithdrawals.total;
-  }
-
-  // Subtract cash expenses
-  const cashExpenses = db.prepare(`
-    SELECT COALESCE(SUM(amount), 0) as total
-    FROM transactions
-    WHERE type = 'expense' AND payment_mode = 'cash'
-  `).get();
-  cashOnHand -= cashExpenses.total;
-
-  // Calculate Credit Card dues (expenses since last billing cycle)
-  // Billing cycle ends on 5th of each month
-  const now = new Date();
-  let billingStart, billingEnd;
-
-  if (now.getDate() >= 5) {
-    // Current billing cycle: 5th of this month to 4th of next month
-    billingStart = new Date(now.getFullYear(), now.getMonth(), 5);
-    billingEnd = new Date(now.getFullYear(), now.getMonth() + 1, 4);
-  } else {
-    // Previous billing cycle: 5th of last month to 4th of this month
-    billingStart = new Date(now.getFullYear(), now.getMonth() - 1, 5);
-    billingEnd = new Date(now.getFullYear(), now.getMonth(), 4);
-  }
-
-  const billingStartStr = billingStart.toISOString().split('T')[0];
-  const billingEndStr = billingEnd.toISOString().split('T')[0];
-
-  // Credit card expenses in current billing cycle
-  const creditCardExpenses = db.prepare(`
-    SELECT COALESCE(SUM(amount), 0) as total, COUNT(*) as count
-    FROM transactions
-    WHERE type = 'expense' AND payment_mode = 'credit_card'
-    AND date >= ? AND date <= ?
-  `).get(billingStartStr, billingEndStr);
-
-  // Calculate next due date (5th of next month)
-  let nextDueDate;
-  if (now.getDate() >= 5) {
-    nextDueDate = new Date(now.getFullYear(), now.getMonth() + 1, 5);
-  } else {
-    nextDueDate = new Date(now.getFullYear(), now.getMonth(), 5);
-  }
+  // Each card's statement, unbilled spend and next due date; bank balances. Cash accounts
+  // add up to cash on hand.
+  const accounts = db.prepare('SELECT * FROM accounts WHERE is_active = 1 ORDER BY name').all();
+  const cards = accounts.filter(account => account.type === 'credit_card').map(account => cardSummary(account));
+  const balances = accounts.filter(account => account.type === 'bank').map(account => ({
+    id: account.id,
+    name: account.name,
+    type: account.type,
+    last4: account.last4,
+    balance: accountBalance(account)
+  }));
+  const cashOnHand = accounts.filter(account => account.type === 'cash')
+    .reduce((sum, account) => sum + accountBalance(account), 0);
 
   // Payment mode breakdown
   const paymentBreakdown = db.prepare(`
     SELECT payment_mode, SUM(amount) as total, COUNT(*) as count
     FROM transactions
-    WHERE type = 'expense'
+    WHERE type = 'expense' AND deleted_at IS NULL
     GROUP BY payment_mode
     ORDER BY total DESC
   `).all();
 
   res.json({
-    cashOnHand: Math.max(0, cashOnHand),
-    creditCard: {
-      currentDue: creditCardExpenses.total,
-      transactionCount: creditCardExpenses.count,
-      billingStart: billingStartStr,
-      billingEnd: billingEndStr,
-      dueDate: nextDueDate.toISOString().split('T')[0]
-    },
+    cashOnHand: Math.round(cashOnHand * 100) / 100,
+    cards,
+    accounts: balances,
     paymentBreakdown
   });
 });
 
-// Delete transaction (any household member can delete)
+// Delete transaction (any household member can delete) - moves it to the trash
+// Attached documents stay in Documents unless ?deleteAttachments=true, and even then
+// a document still linked to another transaction is kept. Trashed attachments share
+// the transaction's deleted_at so restoring the transaction brings them back too.
 app.delete('/api/transactions/:id', authenticate, (req, res) => {
-  const result = db.prepare(
-    'DELETE FROM transactions WHERE id = ?'
-  ).run(req.params.id);
+  const deleteAttachments = req.query.deleteAttachments === 'true';
+  const deletedAt = trashTimestamp();
+
+  const orphans = deleteAttachments ? db.prepare(`
+    SELECT d.id FROM documents d
+    JOIN transaction_documents td ON td.document_id = d.id
+    WHERE td.transaction_id = ? AND d.deleted_at IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM transaction_documents other
+        WHERE other.document_id = d.id AND other.transaction_id != td.transaction_id
+      )
+  `).all(req.params.id) : [];
+
+  const result = db.transaction(() => {
+    const trashed = db.prepare(
+      'UPDATE transactions SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL'
+    ).run(deletedAt, req.params.id);
+    if (trashed.changes > 0) {
+      recordAudit(req.user.id, 'transaction', req.params.id, 'delete', transactionSnapshot(req.params.id));
+      for (const doc of orphans) {
+        db.prepare('UPDATE documents SET deleted_at = ? WHERE id = ?').run(deletedAt, doc.id);
+        recordAudit(req.user.id, 'document', doc.id, 'delete', documentSnapshot(doc.id));
+      }
+    }
+    return trashed;
+  })();
 
   if (result.changes === 0) {
     return res.status(404).json({ error: 'Transaction not found' });
   }
 
-  res.json({ success: true });
+  res.json({ success: true, deletedDocuments: orphans.length });
 });
 
 // Update transaction (any household member can edit)
 app.patch('/api/transactions/:id', authenticate, (req, res) => {
-  const { amount, categoryId, merchant, paymentMode, note, date } = req.body;
+  const { amount, currency, categoryId, merchant, paymentMode, accountId, toAccountId, note, date, splits, tags } = req.body;
 
-  // Validate transaction exists
-  const existing = db.prepare('SELECT * FROM transactions WHERE id = ?').get(req.params.id);
+  // Validate transaction exists (trashed ones must be restored before editing)
+  const existing = db.prepare('SELECT * FROM transactions WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
   if (!existing) {
     return res.status(404).json({ error: 'Transaction not found' });
   }
 
+  const isTransfer = existing.type === 'transfer';
+  if (isTransfer && (categoryId !== undefined || merchant !== undefined || (splits !== undefined && splits !== null))) {
+    return res.status(400).json({ error: 'Transfers have no category, merchant or splits' });
+  }
+
   // Build dynamic update query
   const updates = [];
   const params = [];
 
-  if (amount !== undefined) {
-    const parsedAmount = parseFloat(amount);
-    if (isNaN(parsedAmount) || parsedAmount <= 0 || parsedAmount > 10000000) {
-      return res.status(400).json({ error: 'Invalid amount' });
+  if (date !== undefined && !isCalendarDate(date)) {
+    return res.status(400).json({ error: 'Invalid date' });
+  }
+
+  // amount is typed in the transaction's currency. A new amount or currency, or a new date
+  // for one in another currency, converts it again.
+  let total = existing.amount;
+  let foreignCurrency = existing.currency;
+  if (amount !== undefined || currency !== undefined || (date !== undefined && existing.currency)) {
+    const money = convertToBase(
+      currency !== undefined ? currency : existing.currency,
+      amount !== undefined ? amount : (existing.original_amount ?? existing.amount),
+      date !== undefined ? date : existing.date
+    );
+    if (money.error) {
+      return res.status(400).json({ error: money.error });
+    }
+    updates.push('amount = ?', 'currency = ?', 'original_amount = ?');
+    params.push(money.value.amount, money.value.currency, money.value.originalAmount);
+    total = money.value.amount;
+    foreignCurrency = money.value.currency;
+  }
+
+  // Splits: an array replaces the lines, null or [] makes it a single-category transaction again.
+  // Existing lines must still add up if only the amount changes.
+  let newSplits = null;
+  const hasSplits = db.prepare('SELECT COUNT(*) as count FROM transaction_splits WHERE transaction_id = ?').get(existing.id).count > 0;
+
+  if (foreignCurrency && (Array.isArray(splits) ? splits.length > 0 : splits === undefined && hasSplits)) {
+    return res.status(400).json({ error: FOREIGN_SPLIT_ERROR });
+  }
+
+  if (Array.isArray(splits) && splits.length > 0) {
+    const result = validateSplits(splits, total, existing.type);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    newSplits = result.value;
+  } else if (splits === undefined && hasSplits && total !== existing.amount) {
+    const current = db.prepare('SELECT category_id as categoryId, amount, note FROM transaction_splits WHERE transaction_id = ?').all(existing.id);
+    const result = validateSplits(current, total, existing.type);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
-    updates.push('amount = ?');
-    params.push(parsedAmount);
   }
 
-  if (categoryId !== undefined) {
+  if (newSplits) {
+    updates.push('category_id = ?');
+    params.push(newSplits[0].categoryId);
+  } else if (categoryId !== undefined && !(hasSplits && splits === undefined)) {
+    const category = db.prepare('SELECT id, type FROM categories WHERE id = ?').get(categoryId);
+    if (!category) {
+      return res.status(400).json({ error: 'Category not found' });
+    }
+    if (!categoryMatchesType(category, existing.type)) {
+      return res.status(400).json({ error: `Category is not an ${existing.type} category` });
+    }
     updates.push('category_id = ?');
-    params.push(categoryId);
+    params.push(category.id);
   }
 
   if (merchant !== undefined) {
-    updates.push('merchant = ?');
-    params.push(sanitize(merchant, 100));
+    const linked = resolveMerchant(sanitize(merchant, 100));
+    updates.push('merchant = ?', 'merchant_id = ?');
+    params.push(linked ? linked.name : null, linked ? linked.id : null);
   }
 
-  if (paymentMode !== undefined) {
-    const validModes = ['cash', 'upi', 'bank_transfer', 'credit_card', 'debit_card'];
-    updates.push('payment_mode = ?');
-    params.push(validModes.includes(paymentMode) ? paymentMode : 'cash');
+  if (isTransfer && (paymentMode !== undefined || accountId !== undefined || toAccountId !== undefined)) {
+    const { from, to, error } = findTransferAccounts(
+      accountId !== undefined ? accountId : existing.account_id,
+      toAccountId !== undefined ? toAccountId : existing.to_account_id
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    updates.push('account_id = ?', 'to_account_id = ?', 'payment_mode = ?');
+    params.push(from.id, to.id, accountPaymentMode(from, paymentMode !== undefined ? paymentMode : existing.payment_mode));
+  } else if (paymentMode !== undefined || accountId !== undefined) {
+    // Moving to a card or cash account changes the payment mode with it
+    let targetId = accountId !== undefined ? accountId : existing.account_id;
+    // A new payment mode the current account can't take (UPI on the cash wallet) unlinks it
+    if (accountId === undefined && paymentMode !== undefined && targetId) {
+      const current = db.prepare('SELECT * FROM accounts WHERE id = ?').get(targetId);
+      if (current && accountPaymentMode(current, paymentMode) !== paymentMode) targetId = null;
+    }
+
+    const { account, error } = findAccount(targetId, paymentMode !== undefined ? paymentMode : existing.payment_mode);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    updates.push('account_id = ?', 'payment_mode = ?');
+    params.push(account ? account.id : null,
+      accountPaymentMode(account, paymentMode !== undefined ? paymentMode : existing.payment_mode));
   }
 
   if (note !== undefined) {
@@ -856,12 +1614,23 @@ app.patch('/api/transactions/:id', authenticate, (req, res) => {
     params.push(date);
   }
 
-  if (updates.length === 0) {
+  const clearSplits = hasSplits && (splits === null || (Array.isArray(splits) && splits.length === 0));
+
+  if (updates.length === 0 && !clearSplits && tags === undefined) {
     return res.status(400).json({ error: 'No fields to update' });
   }
 
-  params.push(req.params.id);
-  db.prepare(`UPDATE transactions SET ${updates.join(', ')} WHERE id = ?`).run(...params);
+  db.transaction(() => auditedUpdate(req.user.id, 'transaction', existing.id, transactionSnapshot, () => {
+    if (updates.length > 0) {
+      db.prepare(`UPDATE transactions SET ${updates.join(', ')} WHERE id = ?`).run(...params, existing.id);
+    }
+    if (newSplits || clearSplits) {
+      replaceSplits(existing.id, newSplits || []);
+    }
+    if (tags !== undefined) {
+      setTransactionTags(existing.id, normalizeTags(tags));
+    }
+  }))();
 
   res.json({ success: true });
 });
@@ -887,7 +1656,7 @@ app.get('/api/transactions/monthly-summary', authenticate, (req, res) => {
       COALESCE(SUM(amount), 0) as total_expense,
       COUNT(*) as transaction_count
     FROM transactions
-    WHERE type = 'expense' AND date >= ? AND date <= ?
+    WHERE type = 'expense' AND date >= ? AND date <= ? AND deleted_at IS NULL
   `).get(startDate, endDate);
 
   // Get breakdown by category
@@ -897,23 +1666,39 @@ app.get('/api/transactions/monthly-summary', authenticate, (req, res) => {
       c.icon,
       c.color,
       c.category_group,
-      SUM(t.amount) as total,
+      SUM(t.line_amount) as total,
       COUNT(*) as count
-    FROM transactions t
-    JOIN categories c ON t.category_id = c.id
+    FROM transaction_lines t
+    JOIN categories c ON t.line_category_id = c.id
     WHERE t.type = 'expense' AND t.date >= ? AND t.date <= ?
     GROUP BY c.id
     ORDER BY total DESC
   `).all(startDate, endDate);
 
+  // Income for the month, by category
+  const incomeTotals = db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) as total_income, COUNT(*) as transaction_count
+    FROM transactions
+    WHERE type = 'income' AND date >= ? AND date <= ? AND deleted_at IS NULL
+  `).get(startDate, endDate);
+
+  const incomeBreakdown = db.prepare(`
+    SELECT c.name, c.icon, c.color, SUM(t.line_amount) as total, COUNT(*) as count
+    FROM transaction_lines t
+    JOIN categories c ON t.line_category_id = c.id
+    WHERE t.type = 'income' AND t.date >= ? AND t.date <= ?
+    GROUP BY c.id
+    ORDER BY total DESC
+  `).all(startDate, endDate);
+
   // Get breakdown by group (home vs office)
   const groupBreakdown = db.prepare(`
     SELECT 
       c.category_group as group_name,
-      SUM(t.amount) as total,
-      COUNT(*) as count
-    FROM transactions t
-    JOIN categories c ON t.category_id = c.id
+      SUM(t.line_amount) as total,
+      COUNT(DISTINCT t.id) as count
+    FROM transaction_lines t
+    JOIN categories c ON t.line_category_id = c.id
     WHERE t.type = 'expense' AND t.date >= ? AND t.date <= ?
     GROUP BY c.category_group
     ORDER BY c.category_group ASC
@@ -925,7 +1710,7 @@ app.get('/api/transactions/monthly-summary', authenticate, (req, res) => {
       date,
       SUM(amount) as total
     FROM transactions
-    WHERE type = 'expense' AND date >= ? AND date <= ?
+    WHERE type = 'expense' AND date >= ? AND date <= ? AND deleted_at IS NULL
     GROUP BY date
     ORDER BY date ASC
   `).all(startDate, endDate);
@@ -936,7 +1721,7 @@ app.get('/api/transactions/monthly-summary', authenticate, (req, res) => {
       strftime('%Y', date) as year,
       strftime('%m', date) as month
     FROM transactions
-    WHERE type = 'expense'
+    WHERE deleted_at IS NULL
     ORDER BY year DESC, month DESC
     LIMIT 12
   `).all();
@@ -948,11 +1733,17 @@ app.get('/api/transactions/monthly-summary', authenticate, (req, res) => {
     startDate,
     endDate,
     totalExpense: totals.total_expense,
+    totalIncome: incomeTotals.total_income,
+    savings: incomeTotals.total_income - totals.total_expense,
+    savingsRate: savingsRate(incomeTotals.total_income, totals.total_expense),
     transactionCount: totals.transaction_count,
+    incomeTransactionCount: incomeTotals.transaction_count,
     categoryBreakdown,
+    incomeBreakdown,
     groupBreakdown,
     dailySpending,
-    availableMonths
+    availableMonths,
+    budgets: budgetStatus(startDate, endDate)
   });
 });
 
@@ -961,170 +1752,3772 @@ app.get('/api/transactions/monthly-summary', authenticate, (req, res) => {
 app.get('/api/transactions/monthly-comparison', authenticate, (req, res) => {
   const months = parseInt(req.query.months) || 6;
 
+  // Expense rows per home/office group, plus one income row per month (category_group null)
   const data = db.prepare(`
     SELECT
       strftime('%Y-%m', date) as month,
-      c.category_group,
-      SUM(amount) as total
-    FROM transactions t
-    JOIN categories c ON t.category_id = c.id
-    WHERE t.type = 'expense'
-      AND date >= date('now', '-' || ? || ' months')
-    GROUP BY strftime('%Y-%m', date), c.category_group
+      t.type,
+      CASE WHEN t.type = 'expense' THEN c.category_group END as category_group,
+      SUM(t.line_amount) as total
+    FROM transaction_lines t
+    JOIN categories c ON t.line_category_id = c.id
+    WHERE t.type != 'transfer' AND date >= date('now', '-' || ? || ' months')
+    GROUP BY strftime('%Y-%m', date), t.type, CASE WHEN t.type = 'expense' THEN c.category_group END
     ORDER BY month ASC
   `).all(months);
 
   res.json(data);
 });
 
+// Preview a bank/card statement CSV: detect headers, apply a column mapping and flag duplicates
+// Mapping comes from the request, else a saved profile with the same headers, else a best guess
+// IMPORTANT: Import routes must be defined BEFORE /api/transactions/:id to avoid route conflicts
+app.post('/api/transactions/import/preview', authenticate, csvUpload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const rows = parseCsv(req.file.buffer.toString('utf8'));
+  if (rows.length < 2) {
+    return res.status(400).json({ error: 'No rows found in CSV' });
+  }
+
+  const headerIndex = findHeaderRow(rows);
+  const headers = rows[headerIndex].map((h, i) => h || `Column ${i + 1}`);
+  const signature = headerSignature(headers);
+
+  let mapping = null;
+  let profile = null;
+
+  if (req.body.mapping) {
+    try {
+      mapping = JSON.parse(req.body.mapping);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid mapping' });
+    }
+    const error = mappingError(mapping);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+  } else {
+    profile = req.body.profileId
+      ? db.prepare('SELECT * FROM import_profiles WHERE id = ?').get(req.body.profileId)
+      : db.prepare('SELECT * FROM import_profiles WHERE header_signature = ? ORDER BY updated_at DESC').get(signature);
+    mapping = profile ? JSON.parse(profile.mapping) : guessMapping(headers);
+  }
+
+  const preview = rows.slice(headerIndex + 1).map((cells, index) => {
+    const record = Object.fromEntries(headers.map((h, i) => [h, cells[i] || '']));
+    return { index, ...normalizeStatementRow(record, mapping) };
+  });
+
+  // Likely duplicates: same type and amount within 2 days of an existing transaction
+  const dates = preview.filter(r => r.date).map(r => r.date).sort();
+  const existing = dates.length > 0 ? db.prepare(`
+    SELECT id, type, amount, merchant, date
+    FROM transactions
+    WHERE date >= date(?, '-2 days') AND date <= date(?, '+2 days') AND deleted_at IS NULL
+  `).all(dates[0], dates[dates.length - 1]) : [];
+
+  const rules = loadActiveRules();
+  const seen = new Set();
+  for (const row of preview) {
+    if (row.error) continue;
+
+    // Suggest the category a rule would pick; the user can still change it before importing
+    const suggestion = applyRules(
+      { type: row.type, amount: row.amount, merchant: row.description, paymentMode: mapping.paymentMode },
+      rules
+    );
+    if (suggestion.categoryRule) {
+      row.ruleCategoryId = suggestion.value.categoryId;
+      row.rule = suggestion.categoryRule;
+    }
+
+    const rowTime = new Date(row.date).getTime();
+    const match = existing.find(t =>
+      t.type === row.type &&
+      Math.abs(t.amount - row.amount) < 0.01 &&
+      Math.abs(new Date(t.date).getTime() - rowTime) <= 2 * 24 * 60 * 60 * 1000
+    );
+    if (match) {
+      row.duplicate = { id: match.id, date: match.date, merchant: match.merchant, amount: match.amount };
+    }
+
+    const key = `${row.date}|${row.amount}|${row.description}`;
+    if (seen.has(key)) row.duplicateInFile = true;
+    seen.add(key);
+  }
+
+  res.json({
+    headers,
+    mapping,
+    profile: profile ? { id: profile.id, name: profile.name } : null,
+    rows: preview
+  });
+});
+
+// Commit selected statement rows - all or nothing, same validation as POST /api/transactions
+app.post('/api/transactions/import/commit', authenticate, (req, res) => {
+  const { rows } = req.body;
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ error: 'No rows to import' });
+  }
+
+  if (rows.length > 1000) {
+    return res.status(400).json({ error: 'Too many rows (max 1000 per import)' });
+  }
+
+  const validated = [];
+  for (let i = 0; i < rows.length; i++) {
+    const { error, value } = validateTransaction(rows[i]);
+    if (error) {
+      return res.status(400).json({ error: `Row ${i + 1}: ${error}`, row: i });
+    }
+    validated.push(value);
+  }
+
+  // Categories were reviewed in the preview (which already suggested rule categories),
+  // so only the rules' tags and notes are added here
+  const rules = loadActiveRules();
+  const importAll = db.transaction((items) => {
+    for (const tx of items) insertTransaction(req.user.id, applyRules(tx, rules, { keepCategory: true }).value, 'import');
+  });
+  importAll(validated);
+
+  res.json({ success: true, imported: validated.length });
+});
+
+// Saved column mappings, one per bank/card
+app.get('/api/transactions/import/profiles', authenticate, (req, res) => {
+  const profiles = db.prepare('SELECT * FROM import_profiles ORDER BY name ASC').all();
+  res.json(profiles.map(p => ({ ...p, mapping: JSON.parse(p.mapping) })));
+});
+
+app.post('/api/transactions/import/profiles', authenticate, (req, res) => {
+  const { name, headers, mapping } = req.body;
+
+  if (!name || !Array.isArray(headers) || !mapping) {
+    return res.status(400).json({ error: 'Name, headers and mapping are required' });
+  }
+  // Saved profiles are used as-is by later previews
+  const error = mappingError(mapping);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const safeName = sanitize(name, 50);
+  const signature = headerSignature(headers);
+
+  // Saving under an existing name updates that bank's mapping
+  db.prepare(`
+    INSERT INTO import_profiles (name, header_signature, mapping, user_id) VALUES (?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET
+      header_signature = excluded.header_signature,
+      mapping = excluded.mapping,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(safeName, signature, JSON.stringify(mapping), req.user.id);
+
+  const profile = db.prepare('SELECT id, name FROM import_profiles WHERE name = ?').get(safeName);
+  res.json({ ...profile, success: true });
+});
+
+app.delete('/api/transactions/import/profiles/:id', authenticate, (req, res) => {
+  const result = db.prepare('DELETE FROM import_profiles WHERE id = ?').run(req.params.id);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+
+  res.json({ success: true });
+});
+
 // Get single transaction (for edit form)
 // IMPORTANT: This wildcard :id route must come AFTER all named routes like monthly-summary
 app.get('/api/transactions/:id', authenticate, (req, res) => {
-  const transaction = db.prepare(`
-    SELECT t.*, c.name as category_name, c.icon as category_icon, c.category_group
+  const row = db.prepare(`
+    SELECT t.*, ${CATEGORY_COLUMNS_SQL}, c.category_group, ${TAG_LIST_SQL}
     FROM transactions t
-    JOIN categories c ON t.category_id = c.id
-    WHERE t.id = ?
+    LEFT JOIN categories c ON t.category_id = c.id
+    WHERE t.id = ? AND t.deleted_at IS NULL
   `).get(req.params.id);
 
-  if (!transaction) {
+  if (!row) {
     return res.status(404).json({ error: 'Transaction not found' });
   }
 
+  const transaction = withTags(row);
+
+  transaction.splits = db.prepare(`
+    SELECT s.id, s.category_id, s.amount, s.note, c.name as category_name, c.icon as category_icon
+    FROM transaction_splits s
+    JOIN categories c ON s.category_id = c.id
+    WHERE s.transaction_id = ?
+    ORDER BY s.amount DESC
+  `).all(transaction.id);
+
+  transaction.attachments = db.prepare(`
+    SELECT d.id, d.name, d.original_name, d.mime_type, d.file_size
+    FROM transaction_documents td
+    JOIN documents d ON td.document_id = d.id
+    WHERE td.transaction_id = ? AND d.deleted_at IS NULL
+    ORDER BY td.created_at ASC
+  `).all(transaction.id);
+
   res.json(transaction);
 });
 
 // ========================
-// DOCUMENT ROUTES
+// RECURRING TRANSACTION ROUTES
 // ========================
 
-// Upload document
-app.post('/api/documents', authenticate, upload.single('file'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
-  }
+const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
 
-  const { name, category } = req.body;
+// Local calendar date as YYYY-MM-DD (container runs with TZ set, see docker-compose.yml)
+const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 
-  const result = db.prepare(
-    'INSERT INTO documents (user_id, name, original_name, category, file_path, file_size, mime_type) VALUES (?, ?, ?, ?, ?, ?, ?)'
-  ).run(
-    req.user.id,
-    name || req.file.originalname,
-    req.file.originalname,
-    category || 'General',
-    req.file.filename,
-    req.file.size,
-    req.file.mimetype
-  );
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-  res.json({ id: result.lastInsertRowid, success: true });
-});
+// Occurrence after dateStr. Monthly/yearly rules keep the start date's day, clamped for short months
+// (a rule starting on the 31st posts on 30 Apr, 28 Feb, then 31 May again)
+const nextOccurrence = (dateStr, frequency, anchorDay) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
 
-// Get documents (HOUSEHOLD MODE - shows all users' documents)
-app.get('/api/documents', authenticate, (req, res) => {
-  const { category } = req.query;
+  switch (frequency) {
+    case 'daily':
+      return toDateString(new Date(year, month - 1, day + 1));
+    case 'weekly':
+      return toDateString(new Date(year, month - 1, day + 7));
+    case 'monthly': {
+      const lastDay = new Date(year, month + 1, 0).getDate();
+      return toDateString(new Date(year, month, Math.min(anchorDay, lastDay)));
+    }
+    case 'yearly': {
+      const lastDay = new Date(year + 1, month, 0).getDate();
+      return toDateString(new Date(year + 1, month - 1, Math.min(anchorDay, lastDay)));
+    }
+    default:
+      throw new Error(`Unknown frequency: ${frequency}`);
+  }
+};
 
-  let query = `
-    SELECT d.*, u.display_name as uploaded_by
-    FROM documents d
-    JOIN users u ON d.user_id = u.id
-    WHERE 1=1
-  `;
-  const params = [];
+// Create every due transaction for active rules, catching up on days the Pi was off.
+// Each rule posts and advances next_date in one SQLite transaction, so a crash or
+// overlapping run can't post the same occurrence twice. A rule in another currency
+// converts each occurrence with that day's rate; with no rate yet it waits and retries.
+const postDueRecurring = () => {
+  const today = toDateString(new Date());
+  const rules = db.prepare(
+    'SELECT * FROM recurring_transactions WHERE is_paused = 0 AND next_date <= ?'
+  ).all(today);
+
+  const postRule = db.transaction((rule) => {
+    const anchorDay = parseInt(rule.start_date.slice(8, 10));
+    let next = rule.next_date;
+    let posted = 0;
+
+    while (next <= today && (!rule.end_date || next <= rule.end_date)) {
+      const money = convertToBase(rule.currency, rule.amount, next);
+      if (money.error) throw new Error(money.error);
+
+      insertTransaction(rule.user_id, {
+        type: rule.type,
+        ...money.value,
+        categoryId: rule.category_id,
+        merchant: rule.merchant,
+        paymentMode: rule.payment_mode,
+        accountId: rule.account_id,
+        note: rule.note,
+        date: next,
+        recurringId: rule.id
+      }, 'recurring');
+      posted++;
+      next = nextOccurrence(next, rule.frequency, anchorDay);
+    }
 
-  if (category) {
-    query += ' AND d.category = ?';
-    params.push(category);
+    db.prepare('UPDATE recurring_transactions SET next_date = ? WHERE id = ?').run(next, rule.id);
+    return posted;
+  });
+
+  let total = 0;
+  for (const rule of rules) {
+    try {
+      total += postRule(rule);
+    } catch (err) {
+      console.error(`Recurring: Failed to post rule ${rule.id}:`, err.message);
+    }
   }
 
-  query += ' ORDER BY d.uploaded_at DESC';
+  if (total > 0) console.log(`Recurring: Posted ${total} transactions`);
+  return total;
+};
 
-  const documents = db.prepare(query).all(...params);
-  res.json(documents);
+// List recurring rules (HOUSEHOLD MODE) - active rules by next due date, then paused/ended
+app.get('/api/recurring', authenticate, (req, res) => {
+  const rules = db.prepare(`
+    SELECT r.*, c.name as category_name, c.icon as category_icon, c.color as category_color,
+           c.category_group, u.display_name as added_by,
+           (SELECT COUNT(*) FROM transactions t WHERE t.recurring_id = r.id AND t.deleted_at IS NULL) as posted_count
+    FROM recurring_transactions r
+    JOIN categories c ON r.category_id = c.id
+    JOIN users u ON r.user_id = u.id
+    ORDER BY r.is_paused ASC, r.next_date ASC
+  `).all();
+
+  res.json(rules.map(r => ({
+    ...r,
+    status: r.is_paused ? 'paused' : (r.end_date && r.next_date > r.end_date ? 'ended' : 'active')
+  })));
 });
 
-// Download document (any household member can download)
-app.get('/api/documents/:id/download', authenticate, (req, res) => {
-  const doc = db.prepare(
-    'SELECT * FROM documents WHERE id = ?'
-  ).get(req.params.id);
+// Create recurring rule - occurrences from startDate up to today are posted immediately
+app.post('/api/recurring', authenticate, (req, res) => {
+  const { frequency, startDate, endDate } = req.body;
 
-  if (!doc) {
-    return res.status(404).json({ error: 'Document not found' });
+  if (!RECURRING_FREQUENCIES.includes(frequency)) {
+    return res.status(400).json({ error: 'Frequency must be daily, weekly, monthly or yearly' });
   }
 
-  const filePath = path.join(DOCS_DIR, doc.file_path);
+  if (Array.isArray(req.body.splits) && req.body.splits.length > 0) {
+    return res.status(400).json({ error: 'Recurring transactions cannot be split' });
+  }
 
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'File not found on disk' });
+  if (req.body.type === 'transfer') {
+    return res.status(400).json({ error: 'Transfers cannot repeat' });
   }
 
-  res.download(filePath, doc.original_name);
-});
+  // Everything from startDate to today posts synchronously, so keep the backfill to a year
+  const now = new Date();
+  const earliestStart = toDateString(new Date(now.getFullYear() - 1, now.getMonth(), now.getDate()));
+  if (!isCalendarDate(startDate) || startDate < earliestStart) {
+    return res.status(400).json({ error: 'Start date must be a valid date within the last year' });
+  }
 
-// View document (any household member can view)
-app.get('/api/documents/:id/view', authenticate, (req, res) => {
-  const doc = db.prepare(
-    'SELECT * FROM documents WHERE id = ?'
-  ).get(req.params.id);
+  const { error, value } = validateTransaction({ ...req.body, date: startDate });
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-  if (!doc) {
-    return res.status(404).json({ error: 'Document not found' });
+  if (endDate && (!isCalendarDate(endDate) || endDate < value.date)) {
+    return res.status(400).json({ error: 'Invalid end date' });
   }
 
-  const filePath = path.join(DOCS_DIR, doc.file_path);
+  // The rule keeps the amount as typed; each occurrence is converted when it posts
+  const result = db.prepare(`
+    INSERT INTO recurring_transactions
+      (user_id, type, amount, currency, category_id, merchant, payment_mode, account_id, note, frequency, start_date, end_date, next_date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(req.user.id, value.type, value.originalAmount || value.amount, value.currency, value.categoryId, value.merchant,
+    value.paymentMode, value.accountId, value.note, frequency, value.date, endDate || null, value.date);
 
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'File not found on disk' });
-  }
+  const posted = postDueRecurring();
 
-  res.contentType(doc.mime_type);
-  res.sendFile(path.resolve(filePath));
+  res.json({ id: result.lastInsertRowid, posted, success: true });
 });
 
-// Delete document (any household member can delete)
-app.delete('/api/documents/:id', authenticate, (req, res) => {
-  const doc = db.prepare(
-    'SELECT * FROM documents WHERE id = ?'
-  ).get(req.params.id);
+// Pause or resume a rule. Resuming skips occurrences missed while paused.
+app.patch('/api/recurring/:id', authenticate, (req, res) => {
+  const { isPaused } = req.body;
 
-  if (!doc) {
-    return res.status(404).json({ error: 'Document not found' });
+  const rule = db.prepare('SELECT * FROM recurring_transactions WHERE id = ?').get(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: 'Recurring transaction not found' });
   }
 
-  // Delete file from disk
-  const filePath = path.join(DOCS_DIR, doc.file_path);
-  if (fs.existsSync(filePath)) {
-    fs.unlinkSync(filePath);
+  if (isPaused === undefined) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  let nextDate = rule.next_date;
+  if (!isPaused && rule.is_paused) {
+    const today = toDateString(new Date());
+    const anchorDay = parseInt(rule.start_date.slice(8, 10));
+    while (nextDate < today) {
+      nextDate = nextOccurrence(nextDate, rule.frequency, anchorDay);
+    }
   }
 
-  // Delete from database
-  db.prepare('DELETE FROM documents WHERE id = ?').run(req.params.id);
+  db.prepare('UPDATE recurring_transactions SET is_paused = ?, next_date = ? WHERE id = ?')
+    .run(isPaused ? 1 : 0, nextDate, rule.id);
+
+  if (!isPaused) postDueRecurring();
 
   res.json({ success: true });
 });
 
-// Get document categories (HOUSEHOLD MODE - counts all users' documents)
+// Delete rule - transactions it already posted are kept
+app.delete('/api/recurring/:id', authenticate, (req, res) => {
+  const removeRule = db.transaction((id) => {
+    db.prepare('UPDATE transactions SET recurring_id = NULL WHERE recurring_id = ?').run(id);
+    return db.prepare('DELETE FROM recurring_transactions WHERE id = ?').run(id);
+  });
+
+  const result = removeRule(req.params.id);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Recurring transaction not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// ========================
+// BILL ROUTES
+// ========================
+// Bills fall due on a schedule but are paid by hand, as the amount is only expected: marking
+// one paid adds an expense for what was actually paid and moves the bill to its next due
+// date. A bill is overdue once its due date has passed, due from BILL_DUE_SOON_DAYS before
+// it, and upcoming until then.
+
+// Months between due dates
+const BILL_FREQUENCIES = { monthly: 1, quarterly: 3, half_yearly: 6, yearly: 12 };
+const BILL_DUE_SOON_DAYS = 3;
+
+// dueDay in the month `frequency` after dateStr's (clamped for short months)
+const billDueAfter = (dateStr, frequency, dueDay) => {
+  const [year, month] = dateStr.split('-').map(Number);
+  return toDateString(clampedDate(year, month - 1 + BILL_FREQUENCIES[frequency], dueDay));
+};
+
+// The first dueDay on or after today
+const firstBillDue = (dueDay, today = toDateString(new Date())) => {
+  const [year, month] = today.split('-').map(Number);
+  const thisMonth = toDateString(clampedDate(year, month - 1, dueDay));
+  return thisMonth >= today ? thisMonth : toDateString(clampedDate(year, month, dueDay));
+};
+
+const billStatus = (bill, today = toDateString(new Date())) => {
+  const daysUntilDue = Math.round((Date.parse(bill.next_due_date) - Date.parse(today)) / DAY_MS);
+  const status = !bill.is_active ? 'paused'
+    : daysUntilDue < 0 ? 'overdue'
+      : daysUntilDue <= BILL_DUE_SOON_DAYS ? 'due' : 'upcoming';
+  return { daysUntilDue, status };
+};
+
+// Bills with their category, account and most recent payment
+const BILL_SELECT = `
+  SELECT b.*, c.name as category_name, c.icon as category_icon, c.color as category_color,
+         a.name as account_name, lp.amount as last_paid_amount, lp.date as last_paid_date
+  FROM bills b
+  JOIN categories c ON b.category_id = c.id
+  LEFT JOIN accounts a ON b.account_id = a.id
+  LEFT JOIN transactions lp ON lp.id = (
+    SELECT p.transaction_id FROM bill_payments p JOIN transactions t ON p.transaction_id = t.id
+    WHERE p.bill_id = b.id AND t.deleted_at IS NULL
+    ORDER BY p.due_date DESC, p.id DESC LIMIT 1
+  )
+`;
+
+const formatBill = (bill) => ({ ...bill, is_active: !!bill.is_active, ...billStatus(bill) });
+
+const billSnapshot = (id) => {
+  const bill = db.prepare(`
+    SELECT b.*, c.name as category, a.name as account
+    FROM bills b JOIN categories c ON b.category_id = c.id LEFT JOIN accounts a ON b.account_id = a.id
+    WHERE b.id = ?
+  `).get(id);
+  if (!bill) return null;
+
+  return {
+    name: bill.payee,
+    amount: bill.amount,
+    category: bill.category,
+    account: bill.account,
+    paymentMode: bill.payment_mode,
+    frequency: bill.frequency,
+    dueDay: bill.due_day,
+    nextDueDate: bill.next_due_date,
+    note: bill.note,
+    isActive: !!bill.is_active
+  };
+};
+
+// Validate a bill payload. For updates, fields left out keep their current values. Without
+// a next due date, a new bill is next due on its due day this month (next month once that
+// has passed); changing an existing bill's due day moves it within the same month.
+const validateBill = (input, existing = null) => {
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : existing ? existing[column] : undefined);
+  const value = {};
+
+  value.payee = sanitize(pick('payee', 'payee'), 100);
+  if (!value.payee) {
+    return { error: 'Payee is required' };
+  }
+
+  value.amount = parseFloat(pick('amount', 'amount'));
+  if (isNaN(value.amount) || value.amount <= 0 || value.amount > 10000000) {
+    return { error: 'Invalid amount' };
+  }
+
+  const category = db.prepare('SELECT id, type FROM categories WHERE id = ?').get(pick('categoryId', 'category_id'));
+  if (!category) {
+    return { error: 'Category not found' };
+  }
+  if (!categoryMatchesType(category, 'expense')) {
+    return { error: 'Category is not an expense category' };
+  }
+  value.category_id = category.id;
+
+  value.frequency = pick('frequency', 'frequency');
+  if (!BILL_FREQUENCIES[value.frequency]) {
+    return { error: 'Frequency must be monthly, quarterly, half_yearly or yearly' };
+  }
+
+  value.due_day = parseInt(pick('dueDay', 'due_day'));
+  if (!(value.due_day >= 1 && value.due_day <= 31)) {
+    return { error: 'Due day must be 1-31' };
+  }
+
+  if (input.nextDueDate !== undefined) {
+    value.next_due_date = input.nextDueDate;
+  } else if (!existing) {
+    value.next_due_date = firstBillDue(value.due_day);
+  } else if (existing.due_day !== value.due_day) {
+    const [year, month] = existing.next_due_date.split('-').map(Number);
+    value.next_due_date = toDateString(clampedDate(year, month - 1, value.due_day));
+  } else {
+    value.next_due_date = existing.next_due_date;
+  }
+  if (!isCalendarDate(value.next_due_date)) {
+    return { error: 'Invalid next due date' };
+  }
+
+  const { account, error } = findAccount(pick('accountId', 'account_id'), pick('paymentMode', 'payment_mode'));
+  if (error) {
+    return { error };
+  }
+  value.account_id = account ? account.id : null;
+  value.payment_mode = accountPaymentMode(account, pick('paymentMode', 'payment_mode'));
+
+  value.note = sanitize(pick('note', 'note'), 300);
+
+  const isActive = pick('isActive', 'is_active');
+  value.is_active = isActive === undefined || isActive ? 1 : 0;
+
+  return { value };
+};
+
+// Record the bill's current due date as settled (paid by transactionId, or skipped when
+// that's null) and move the bill on. Returns the new due date.
+const settleBill = (userId, bill, transactionId) => {
+  db.prepare('INSERT INTO bill_payments (bill_id, due_date, transaction_id, user_id) VALUES (?, ?, ?, ?)')
+    .run(bill.id, bill.next_due_date, transactionId, userId);
+
+  const next = billDueAfter(bill.next_due_date, bill.frequency, bill.due_day);
+  auditedUpdate(userId, 'bill', bill.id, billSnapshot, () => {
+    db.prepare('UPDATE bills SET next_due_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(next, bill.id);
+  });
+  return next;
+};
+
+// Every bill, active ones by due date
+app.get('/api/bills', authenticate, (req, res) => {
+  const bills = db.prepare(`${BILL_SELECT} ORDER BY b.is_active DESC, b.next_due_date, b.payee`).all();
+  res.json(bills.map(formatBill));
+});
+
+// Active bills due in the next `days` days (14 by default) or overdue, and how many of
+// them need attention now (due or overdue)
+app.get('/api/bills/upcoming', authenticate, (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 90);
+  const today = new Date();
+  const until = toDateString(new Date(today.getFullYear(), today.getMonth(), today.getDate() + days));
+
+  const bills = db.prepare(`${BILL_SELECT} WHERE b.is_active = 1 AND b.next_due_date <= ? ORDER BY b.next_due_date, b.payee`)
+    .all(until).map(formatBill);
+
+  res.json({ bills, alertCount: bills.filter(b => b.status === 'due' || b.status === 'overdue').length });
+});
+
+app.post('/api/bills', authenticate, (req, res) => {
+  const { error, value } = validateBill(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const id = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO bills (payee, amount, category_id, account_id, payment_mode, frequency, due_day, next_due_date, note,
+        is_active, user_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(value.payee, value.amount, value.category_id, value.account_id, value.payment_mode, value.frequency,
+      value.due_day, value.next_due_date, value.note, value.is_active, req.user.id);
+
+    recordAudit(req.user.id, 'bill', result.lastInsertRowid, 'create', null, billSnapshot(result.lastInsertRowid));
+    return result.lastInsertRowid;
+  })();
+
+  res.json({ id, success: true });
+});
+
+app.patch('/api/bills/:id', authenticate, (req, res) => {
+  const existing = db.prepare('SELECT * FROM bills WHERE id = ?').get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Bill not found' });
+  }
+
+  const { error, value } = validateBill(req.body, existing);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.transaction(() => auditedUpdate(req.user.id, 'bill', existing.id, billSnapshot, () => {
+    db.prepare(`
+      UPDATE bills SET payee = ?, amount = ?, category_id = ?, account_id = ?, payment_mode = ?, frequency = ?,
+        due_day = ?, next_due_date = ?, note = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(value.payee, value.amount, value.category_id, value.account_id, value.payment_mode, value.frequency,
+      value.due_day, value.next_due_date, value.note, value.is_active, existing.id);
+  }))();
+
+  res.json({ success: true });
+});
+
+// Payments already made stay as ordinary transactions
+app.delete('/api/bills/:id', authenticate, (req, res) => {
+  const before = billSnapshot(req.params.id);
+  if (!before) {
+    return res.status(404).json({ error: 'Bill not found' });
+  }
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM bill_payments WHERE bill_id = ?').run(req.params.id);
+    db.prepare('DELETE FROM bills WHERE id = ?').run(req.params.id);
+    recordAudit(req.user.id, 'bill', req.params.id, 'delete', before);
+  })();
+
+  res.json({ success: true });
+});
+
+// Mark the current due date paid: adds the expense (the expected amount, from the bill's
+// account, today, unless given) and moves the bill to its next due date
+app.post('/api/bills/:id/pay', authenticate, (req, res) => {
+  const bill = db.prepare('SELECT * FROM bills WHERE id = ?').get(req.params.id);
+  if (!bill) {
+    return res.status(404).json({ error: 'Bill not found' });
+  }
+  if (!bill.is_active) {
+    return res.status(400).json({ error: 'This bill is inactive' });
+  }
+
+  const { error, value } = validateTransaction({
+    type: 'expense',
+    amount: req.body.amount || bill.amount,
+    categoryId: bill.category_id,
+    merchant: bill.payee,
+    accountId: req.body.accountId !== undefined ? req.body.accountId : bill.account_id,
+    paymentMode: req.body.paymentMode || bill.payment_mode,
+    date: req.body.date,
+    note: req.body.note !== undefined ? req.body.note : bill.note
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { id, nextDueDate } = db.transaction(() => {
+    const id = insertTransaction(req.user.id, value, 'bill');
+    return { id, nextDueDate: settleBill(req.user.id, bill, id) };
+  })();
+
+  res.json({ id, nextDueDate, success: true });
+});
+
+// Nothing to pay this time (a waived fee, a premium paid some other way)
+app.post('/api/bills/:id/skip', authenticate, (req, res) => {
+  const bill = db.prepare('SELECT * FROM bills WHERE id = ?').get(req.params.id);
+  if (!bill) {
+    return res.status(404).json({ error: 'Bill not found' });
+  }
+  if (!bill.is_active) {
+    return res.status(400).json({ error: 'This bill is inactive' });
+  }
+
+  const nextDueDate = db.transaction(() => settleBill(req.user.id, bill, null))();
+  res.json({ nextDueDate, success: true });
+});
+
+// ========================
+// TAG ROUTES
+// ========================
+
+// Tag suggestions (HOUSEHOLD - learns from all users), most used first
+app.get('/api/tags', authenticate, (req, res) => {
+  const q = sanitize(req.query.q, 30) || '';
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+  const tags = db.prepare(`
+    SELECT tg.id, tg.name, COUNT(t.id) as usage_count, MAX(t.date) as last_used
+    FROM tags tg
+    JOIN transaction_tags tt ON tt.tag_id = tg.id
+    JOIN transactions t ON tt.transaction_id = t.id
+    WHERE tg.name LIKE ? AND t.deleted_at IS NULL
+    GROUP BY tg.id
+    ORDER BY usage_count DESC, last_used DESC
+    LIMIT ?
+  `).all(`%${q}%`, limit);
+
+  res.json(tags);
+});
+
+// Totals per tag for a date range (defaults to all time)
+app.get('/api/tags/totals', authenticate, (req, res) => {
+  const startDate = req.query.startDate || '0000-01-01';
+  const endDate = req.query.endDate || '9999-12-31';
+
+  const rows = db.prepare(`
+    SELECT tg.id, tg.name,
+           SUM(CASE WHEN t.type = 'expense' THEN t.amount ELSE 0 END) as expense,
+           SUM(CASE WHEN t.type = 'income' THEN t.amount ELSE 0 END) as income,
+           COUNT(*) as count,
+           MIN(t.date) as first_date,
+           MAX(t.date) as last_date
+    FROM tags tg
+    JOIN transaction_tags tt ON tt.tag_id = tg.id
+    JOIN transactions t ON tt.transaction_id = t.id
+    WHERE t.date >= ? AND t.date <= ? AND t.deleted_at IS NULL
+    GROUP BY tg.id
+    ORDER BY expense DESC, income DESC
+  `).all(startDate, endDate);
+
+  res.json(rows);
+});
+
+// ========================
+// CATEGORIZATION RULE ROUTES
+// ========================
+
+const RULE_SELECT = `
+  SELECT r.*, c.name as category_name, c.icon as category_icon, c.type as category_type
+  FROM categorization_rules r
+  LEFT JOIN categories c ON r.set_category_id = c.id
+`;
+
+const parseRule = (row) => {
+  let regex = null;
+  if (row.merchant_regex) {
+    try {
+      regex = new RegExp(row.merchant_regex, 'i');
+    } catch (e) {
+      // Saved before validation or edited by hand - treat as never matching
+      regex = /(?!)/;
+    }
+  }
+  return { ...row, addTags: row.add_tags ? JSON.parse(row.add_tags) : [], regex };
+};
+
+const loadActiveRules = () =>
+  db.prepare(`${RULE_SELECT} WHERE r.is_active = 1 ORDER BY r.priority ASC, r.id ASC`).all().map(parseRule);
+
+// tx uses the validateTransaction shape ({ type, amount, merchant, paymentMode })
+const ruleMatches = (rule, tx) => {
+  const merchant = (tx.merchant || '').toLowerCase();
+
+  if (rule.match_type && rule.match_type !== tx.type) return false;
+  if (rule.merchant_contains && !merchant.includes(rule.merchant_contains.toLowerCase())) return false;
+  if (rule.regex && !rule.regex.test(merchant)) return false;
+  if (rule.min_amount !== null && tx.amount < rule.min_amount) return false;
+  if (rule.max_amount !== null && tx.amount > rule.max_amount) return false;
+  if (rule.payment_mode && rule.payment_mode !== tx.paymentMode) return false;
+  return true;
+};
+
+// Returns the transaction with every matching rule applied, the names of the rules that changed
+// something, and the rule that picked the category.
+// The first matching rule with a category wins; tags add up; a note only fills an empty one.
+// Split transactions keep their categories, and keepCategory leaves an already-reviewed one alone.
+const applyRules = (tx, rules, { keepCategory = false } = {}) => {
+  const result = { ...tx, tags: [...(tx.tags || [])] };
+  const applied = [];
+  let categoryRule = null;
+  let categorySet = keepCategory || (tx.splits && tx.splits.length > 0);
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, tx)) continue;
+    let used = false;
+
+    if (!categorySet && rule.set_category_id && categoryMatchesType({ type: rule.category_type }, tx.type)) {
+      if (result.categoryId !== rule.set_category_id) used = true;
+      result.categoryId = rule.set_category_id;
+      categoryRule = rule.name;
+      categorySet = true;
+    }
+
+    const newTags = rule.addTags.filter(tag => !result.tags.some(t => t.toLowerCase() === tag.toLowerCase()));
+    if (newTags.length > 0) {
+      result.tags = normalizeTags([...result.tags, ...newTags]);
+      used = true;
+    }
+
+    if (rule.set_note && !result.note) {
+      result.note = rule.set_note;
+      used = true;
+    }
+
+    if (used) applied.push(rule.name);
+  }
+
+  return { value: result, applied, categoryRule };
+};
+
+// For edits, a field missing from input keeps its stored value; an explicit null clears it
+const validateRule = (input, existing = {}) => {
+  const pick = (key, field) => (key in input ? input[key] : existing[field]);
+  const value = {};
+
+  value.name = sanitize(pick('name', 'name'), 60);
+  if (!value.name) return { error: 'Rule name is required' };
+
+  const matchType = pick('matchType', 'match_type');
+  value.match_type = ['expense', 'income'].includes(matchType) ? matchType : null;
+  value.merchant_contains = sanitize(pick('merchantContains', 'merchant_contains'), 100);
+
+  // Not sanitized: < and > are regex syntax ((?<name>...), (?<=...)); the UI escapes it
+  const merchantRegex = pick('merchantRegex', 'merchant_regex');
+  value.merchant_regex = typeof merchantRegex === 'string' && merchantRegex.trim() ? merchantRegex.trim() : null;
+  if (value.merchant_regex) {
+    if (value.merchant_regex.length > 200) {
+      return { error: 'Merchant pattern is too long' };
+    }
+    try {
+      new RegExp(value.merchant_regex, 'i');
+    } catch (e) {
+      return { error: 'Merchant pattern is not a valid regular expression' };
+    }
+  }
+
+  for (const [key, field] of [['minAmount', 'min_amount'], ['maxAmount', 'max_amount']]) {
+    const raw = pick(key, field);
+    value[field] = raw === null || raw === undefined || raw === '' ? null : parseFloat(raw);
+    if (value[field] !== null && (isNaN(value[field]) || value[field] < 0)) {
+      return { error: 'Invalid amount range' };
+    }
+  }
+  if (value.min_amount !== null && value.max_amount !== null && value.min_amount > value.max_amount) {
+    return { error: 'Minimum amount is above the maximum' };
+  }
+
+  const paymentMode = pick('paymentMode', 'payment_mode');
+  value.payment_mode = VALID_PAYMENT_MODES.includes(paymentMode) ? paymentMode : null;
+
+  const categoryId = pick('setCategoryId', 'set_category_id');
+  value.set_category_id = categoryId ? parseInt(categoryId) : null;
+  if (value.set_category_id) {
+    const category = db.prepare('SELECT id, type FROM categories WHERE id = ?').get(value.set_category_id);
+    if (!category) return { error: 'Category not found' };
+    if (value.match_type && !categoryMatchesType(category, value.match_type)) {
+      return { error: `Category is not an ${value.match_type} category` };
+    }
+  }
+
+  const tags = 'addTags' in input ? input.addTags : (existing.add_tags ? JSON.parse(existing.add_tags) : []);
+  value.add_tags = normalizeTags(tags || []);
+  value.add_tags = value.add_tags.length > 0 ? JSON.stringify(value.add_tags) : null;
+  value.set_note = sanitize(pick('setNote', 'set_note'), 300);
+
+  value.priority = parseInt(pick('priority', 'priority') ?? 100);
+  if (isNaN(value.priority)) value.priority = 100;
+  value.is_active = (pick('isActive', 'is_active') ?? true) ? 1 : 0;
+
+  const hasCondition = value.match_type || value.merchant_contains || value.merchant_regex ||
+    value.min_amount !== null || value.max_amount !== null || value.payment_mode;
+  if (!hasCondition) return { error: 'Add at least one condition' };
+
+  if (!value.set_category_id && !value.add_tags && !value.set_note) {
+    return { error: 'Add at least one action (category, tags or note)' };
+  }
+
+  return { value };
+};
+
+const ruleSnapshot = (id) => {
+  const rule = db.prepare(`
+    SELECT r.name, r.priority, r.is_active, r.match_type, r.merchant_contains, r.merchant_regex,
+           r.min_amount, r.max_amount, r.payment_mode, c.name as category, r.add_tags, r.set_note
+    FROM categorization_rules r
+    LEFT JOIN categories c ON r.set_category_id = c.id
+    WHERE r.id = ?
+  `).get(id);
+  if (!rule) return null;
+  return { ...rule, add_tags: rule.add_tags ? JSON.parse(rule.add_tags) : [] };
+};
+
+// Past, non-trashed transactions a rule would change, with what it would do to each
+const previewRule = (rule) => {
+  const rows = db.prepare(`
+    SELECT t.id, t.type, t.amount, t.merchant, t.payment_mode, t.note, t.date, t.category_id,
+           c.name as category_name,
+           (SELECT COUNT(*) FROM transaction_splits s WHERE s.transaction_id = t.id) as split_count,
+           ${TAG_LIST_SQL}
+    FROM transactions t
+    JOIN categories c ON t.category_id = c.id
+    WHERE t.deleted_at IS NULL
+    ORDER BY t.date DESC
+  `).all().map(withTags);
+
+  const changes = [];
+  for (const row of rows) {
+    const tx = {
+      type: row.type, amount: row.amount, merchant: row.merchant, paymentMode: row.payment_mode,
+      note: row.note, categoryId: row.category_id, tags: row.tags,
+      splits: row.split_count > 0 ? [{}] : []
+    };
+    const { value, applied } = applyRules(tx, [rule]);
+    if (applied.length === 0) continue;
+
+    changes.push({
+      id: row.id,
+      date: row.date,
+      merchant: row.merchant,
+      amount: row.amount,
+      type: row.type,
+      fromCategory: row.category_name,
+      categoryId: value.categoryId !== row.category_id ? value.categoryId : null,
+      toCategory: value.categoryId !== row.category_id ? rule.category_name : null,
+      addTags: value.tags.filter(tag => !row.tags.includes(tag)),
+      note: value.note !== row.note ? value.note : null
+    });
+  }
+  return changes;
+};
+
+app.get('/api/rules', authenticate, (req, res) => {
+  const rules = db.prepare(`${RULE_SELECT} ORDER BY r.priority ASC, r.id ASC`).all();
+  res.json(rules.map(rule => ({ ...rule, add_tags: rule.add_tags ? JSON.parse(rule.add_tags) : [] })));
+});
+
+app.post('/api/rules', authenticate, (req, res) => {
+  const { error, value } = validateRule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const result = db.prepare(`
+    INSERT INTO categorization_rules
+      (name, priority, is_active, match_type, merchant_contains, merchant_regex, min_amount, max_amount,
+       payment_mode, set_category_id, add_tags, set_note, user_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    value.name, value.priority, value.is_active, value.match_type, value.merchant_contains, value.merchant_regex,
+    value.min_amount, value.max_amount, value.payment_mode, value.set_category_id, value.add_tags, value.set_note,
+    req.user.id
+  );
+
+  recordAudit(req.user.id, 'rule', result.lastInsertRowid, 'create', null, ruleSnapshot(result.lastInsertRowid));
+
+  res.json({ id: result.lastInsertRowid, success: true });
+});
+
+// Partial update: omitted fields keep their current value
+app.patch('/api/rules/:id', authenticate, (req, res) => {
+  const existing = db.prepare('SELECT * FROM categorization_rules WHERE id = ?').get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+
+  const { error, value } = validateRule(req.body, existing);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  auditedUpdate(req.user.id, 'rule', existing.id, ruleSnapshot, () => db.prepare(`
+    UPDATE categorization_rules SET
+      name = ?, priority = ?, is_active = ?, match_type = ?, merchant_contains = ?, merchant_regex = ?,
+      min_amount = ?, max_amount = ?, payment_mode = ?, set_category_id = ?, add_tags = ?, set_note = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    value.name, value.priority, value.is_active, value.match_type, value.merchant_contains, value.merchant_regex,
+    value.min_amount, value.max_amount, value.payment_mode, value.set_category_id, value.add_tags, value.set_note,
+    existing.id
+  ));
+
+  res.json({ success: true });
+});
+
+app.delete('/api/rules/:id', authenticate, (req, res) => {
+  const before = ruleSnapshot(req.params.id);
+  const result = db.prepare('DELETE FROM categorization_rules WHERE id = ?').run(req.params.id);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+
+  recordAudit(req.user.id, 'rule', req.params.id, 'delete', before);
+  res.json({ success: true });
+});
+
+// How many past transactions a rule would change, with a sample, before applying it
+app.get('/api/rules/:id/preview', authenticate, (req, res) => {
+  const rule = db.prepare(`${RULE_SELECT} WHERE r.id = ?`).get(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+
+  const changes = previewRule(parseRule(rule));
+  res.json({ count: changes.length, transactions: changes.slice(0, 20) });
+});
+
+// Apply a rule to past transactions (each change is audited like a manual edit)
+app.post('/api/rules/:id/apply', authenticate, (req, res) => {
+  const rule = db.prepare(`${RULE_SELECT} WHERE r.id = ?`).get(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+
+  const changes = previewRule(parseRule(rule));
+
+  db.transaction(() => {
+    for (const change of changes) {
+      auditedUpdate(req.user.id, 'transaction', change.id, transactionSnapshot, () => {
+        if (change.categoryId) {
+          db.prepare('UPDATE transactions SET category_id = ? WHERE id = ?').run(change.categoryId, change.id);
+        }
+        if (change.note) {
+          db.prepare('UPDATE transactions SET note = ? WHERE id = ?').run(change.note, change.id);
+        }
+        if (change.addTags.length > 0) {
+          const current = db.prepare(`
+            SELECT tg.name FROM transaction_tags tt JOIN tags tg ON tt.tag_id = tg.id WHERE tt.transaction_id = ?
+          `).all(change.id).map(t => t.name);
+          setTransactionTags(change.id, normalizeTags([...current, ...change.addTags]));
+        }
+      }, 'rule');
+    }
+  })();
+
+  res.json({ success: true, updated: changes.length });
+});
+
+// ========================
+// MERCHANT ROUTES
+// ========================
+
+// Lookup key for merchant names: "SWIGGY, Bangalore." -> "swiggy bangalore".
+// migrations/014-merchants.js keeps its own copy for the backfill; leave that one as it is.
+const normalizeMerchant = (name) => (name || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// The merchant a name or alias belongs to, or null
+const findMerchant = (name) => {
+  const key = normalizeMerchant(name);
+  if (!key) return null;
+
+  return db.prepare(`
+    SELECT * FROM merchants WHERE normalized_name = ?
+    UNION ALL
+    SELECT m.* FROM merchant_aliases a JOIN merchants m ON a.merchant_id = m.id WHERE a.normalized_alias = ?
+    LIMIT 1
+  `).get(key, key) || null;
+};
+
+// Finds or creates the directory entry for a typed merchant; null for a blank name
+const resolveMerchant = (name) => {
+  const key = normalizeMerchant(name);
+  if (!key) return null;
+
+  const existing = findMerchant(name);
+  if (existing) return existing;
+
+  const result = db.prepare('INSERT INTO merchants (name, normalized_name) VALUES (?, ?)').run(name.trim(), key);
+  return db.prepare('SELECT * FROM merchants WHERE id = ?').get(result.lastInsertRowid);
+};
+
+const MERCHANT_SELECT = `
+  SELECT m.*, c.name as default_category_name, c.icon as default_category_icon, c.type as default_category_type,
+         (SELECT json_group_array(alias) FROM merchant_aliases WHERE merchant_id = m.id) as alias_list,
+         (SELECT COUNT(*) FROM transactions WHERE merchant_id = m.id AND deleted_at IS NULL) as transaction_count,
+         (SELECT COALESCE(SUM(amount), 0) FROM transactions
+          WHERE merchant_id = m.id AND type = 'expense' AND deleted_at IS NULL) as total_spent,
+         (SELECT MAX(date) FROM transactions WHERE merchant_id = m.id AND deleted_at IS NULL) as last_used
+  FROM merchants m
+  LEFT JOIN categories c ON m.default_category_id = c.id
+`;
+
+const withAliases = ({ alias_list, ...rest }) => ({ ...rest, aliases: JSON.parse(alias_list || '[]') });
+
+const merchantSnapshot = (id) => {
+  const merchant = db.prepare(`
+    SELECT m.name, m.default_payment_mode, c.name as category
+    FROM merchants m
+    LEFT JOIN categories c ON m.default_category_id = c.id
+    WHERE m.id = ?
+  `).get(id);
+  if (!merchant) return null;
+
+  return {
+    name: merchant.name,
+    defaultCategory: merchant.category,
+    defaultPaymentMode: merchant.default_payment_mode,
+    aliases: db.prepare('SELECT alias FROM merchant_aliases WHERE merchant_id = ? ORDER BY alias').all(id).map(a => a.alias)
+  };
+};
+
+// Validate a merchant payload. For updates, fields left out keep their current values.
+// Returns { error } or { value } with aliases de-duplicated by their normalized form.
+const validateMerchant = (input, existing = null) => {
+  const value = {};
+
+  value.name = input.name !== undefined || !existing ? sanitize(input.name, 100) : existing.name;
+  if (!normalizeMerchant(value.name)) {
+    return { error: 'Merchant name is required' };
+  }
+
+  const owner = findMerchant(value.name);
+  if (owner && (!existing || owner.id !== existing.id)) {
+    return { error: `"${value.name}" already belongs to ${owner.name}` };
+  }
+
+  if (input.defaultCategoryId !== undefined) {
+    value.default_category_id = input.defaultCategoryId || null;
+    if (value.default_category_id && !db.prepare('SELECT id FROM categories WHERE id = ?').get(value.default_category_id)) {
+      return { error: 'Category not found' };
+    }
+  } else {
+    value.default_category_id = existing ? existing.default_category_id : null;
+  }
+
+  if (input.defaultPaymentMode !== undefined) {
+    value.default_payment_mode = input.defaultPaymentMode || null;
+    if (value.default_payment_mode && !VALID_PAYMENT_MODES.includes(value.default_payment_mode)) {
+      return { error: 'Invalid payment mode' };
+    }
+  } else {
+    value.default_payment_mode = existing ? existing.default_payment_mode : null;
+  }
+
+  if (input.aliases !== undefined) {
+    if (!Array.isArray(input.aliases) || input.aliases.length > 50) {
+      return { error: 'Aliases must be a list (max 50)' };
+    }
+
+    const nameKey = normalizeMerchant(value.name);
+    const aliases = new Map();
+    for (const raw of input.aliases) {
+      const alias = sanitize(raw, 100);
+      const key = normalizeMerchant(alias);
+      if (!key || key === nameKey || aliases.has(key)) continue;
+
+      const aliasOwner = findMerchant(alias);
+      if (aliasOwner && (!existing || aliasOwner.id !== existing.id)) {
+        return { error: `"${alias}" already belongs to ${aliasOwner.name}` };
+      }
+      aliases.set(key, alias);
+    }
+    value.aliases = aliases;
+  }
+
+  return { value };
+};
+
+const replaceAliases = (merchantId, aliases) => {
+  db.prepare('DELETE FROM merchant_aliases WHERE merchant_id = ?').run(merchantId);
+
+  const insert = db.prepare('INSERT INTO merchant_aliases (merchant_id, alias, normalized_alias) VALUES (?, ?, ?)');
+  for (const [key, alias] of aliases) {
+    insert.run(merchantId, alias, key);
+  }
+};
+
+// Point a merchant's transactions at its current name (each rewrite is audited like an edit)
+const rewriteMerchantTransactions = (userId, merchant) => {
+  const rows = db.prepare(`
+    SELECT id FROM transactions WHERE merchant_id = ? AND (merchant IS NULL OR merchant != ?)
+  `).all(merchant.id, merchant.name);
+
+  for (const row of rows) {
+    auditedUpdate(userId, 'transaction', row.id, transactionSnapshot, () => {
+      db.prepare('UPDATE transactions SET merchant = ? WHERE id = ?').run(merchant.name, row.id);
+    }, 'merchant');
+  }
+  return rows.length;
+};
+
+app.get('/api/merchants', authenticate, (req, res) => {
+  const { q } = req.query;
+  const key = normalizeMerchant(q);
+
+  const merchants = key
+    ? db.prepare(`
+        ${MERCHANT_SELECT}
+        WHERE m.normalized_name LIKE ?
+           OR EXISTS (SELECT 1 FROM merchant_aliases a WHERE a.merchant_id = m.id AND a.normalized_alias LIKE ?)
+        ORDER BY transaction_count DESC, m.name
+      `).all(`%${key}%`, `%${key}%`)
+    : db.prepare(`${MERCHANT_SELECT} ORDER BY transaction_count DESC, m.name`).all();
+
+  res.json(merchants.map(withAliases));
+});
+
+// The directory entry a typed name resolves to (by name or alias), for pre-filling defaults.
+// IMPORTANT: This must be defined BEFORE /api/merchants/:id routes
+app.get('/api/merchants/match', authenticate, (req, res) => {
+  const merchant = findMerchant(req.query.name);
+  res.json(merchant ? withAliases(db.prepare(`${MERCHANT_SELECT} WHERE m.id = ?`).get(merchant.id)) : null);
+});
+
+app.post('/api/merchants', authenticate, (req, res) => {
+  const { error, value } = validateMerchant(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const id = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO merchants (name, normalized_name, default_category_id, default_payment_mode)
+      VALUES (?, ?, ?, ?)
+    `).run(value.name, normalizeMerchant(value.name), value.default_category_id, value.default_payment_mode);
+
+    if (value.aliases) replaceAliases(result.lastInsertRowid, value.aliases);
+    recordAudit(req.user.id, 'merchant', result.lastInsertRowid, 'create', null, merchantSnapshot(result.lastInsertRowid));
+    return result.lastInsertRowid;
+  })();
+
+  res.json({ id, success: true });
+});
+
+// Renaming keeps the old spelling as an alias and rewrites the merchant's transactions
+app.patch('/api/merchants/:id', authenticate, (req, res) => {
+  const existing = db.prepare('SELECT * FROM merchants WHERE id = ?').get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Merchant not found' });
+  }
+
+  const { error, value } = validateMerchant(req.body, existing);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const nameKey = normalizeMerchant(value.name);
+  if (nameKey !== existing.normalized_name) {
+    const aliases = value.aliases || new Map(
+      db.prepare('SELECT normalized_alias, alias FROM merchant_aliases WHERE merchant_id = ?').all(existing.id)
+        .map(a => [a.normalized_alias, a.alias])
+    );
+    aliases.delete(nameKey);
+    aliases.set(existing.normalized_name, existing.name);
+    value.aliases = aliases;
+  }
+
+  let updated = 0;
+  db.transaction(() => {
+    auditedUpdate(req.user.id, 'merchant', existing.id, merchantSnapshot, () => {
+      db.prepare(`
+        UPDATE merchants SET name = ?, normalized_name = ?, default_category_id = ?, default_payment_mode = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(value.name, nameKey, value.default_category_id, value.default_payment_mode, existing.id);
+      if (value.aliases) replaceAliases(existing.id, value.aliases);
+    });
+
+    if (value.name !== existing.name) {
+      updated = rewriteMerchantTransactions(req.user.id, { id: existing.id, name: value.name });
+    }
+  })();
+
+  res.json({ success: true, updated });
+});
+
+// Transactions keep their merchant text but are no longer linked
+app.delete('/api/merchants/:id', authenticate, (req, res) => {
+  const before = merchantSnapshot(req.params.id);
+  if (!before) {
+    return res.status(404).json({ error: 'Merchant not found' });
+  }
+
+  db.transaction(() => {
+    db.prepare('UPDATE transactions SET merchant_id = NULL WHERE merchant_id = ?').run(req.params.id);
+    db.prepare('DELETE FROM merchant_aliases WHERE merchant_id = ?').run(req.params.id);
+    db.prepare('DELETE FROM merchants WHERE id = ?').run(req.params.id);
+    recordAudit(req.user.id, 'merchant', req.params.id, 'delete', before);
+  })();
+
+  res.json({ success: true });
+});
+
+// Fold duplicates into this merchant: their names and aliases become its aliases, their
+// transactions are relinked and renamed, and defaults it lacks are taken from them
+app.post('/api/merchants/:id/merge', authenticate, (req, res) => {
+  const target = db.prepare('SELECT * FROM merchants WHERE id = ?').get(req.params.id);
+  if (!target) {
+    return res.status(404).json({ error: 'Merchant not found' });
+  }
+
+  const { merchantIds } = req.body;
+  if (!Array.isArray(merchantIds) || merchantIds.length === 0) {
+    return res.status(400).json({ error: 'Pick merchants to merge' });
+  }
+
+  const sources = [];
+  for (const id of new Set(merchantIds.map(Number))) {
+    if (id === target.id) continue;
+    const source = db.prepare('SELECT * FROM merchants WHERE id = ?').get(id);
+    if (!source) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+    sources.push(source);
+  }
+
+  let updated = 0;
+  db.transaction(() => {
+    auditedUpdate(req.user.id, 'merchant', target.id, merchantSnapshot, () => {
+      for (const source of sources) {
+        const before = merchantSnapshot(source.id);
+
+        db.prepare('UPDATE merchant_aliases SET merchant_id = ? WHERE merchant_id = ?').run(target.id, source.id);
+        db.prepare('UPDATE transactions SET merchant_id = ? WHERE merchant_id = ?').run(target.id, source.id);
+        db.prepare('DELETE FROM merchants WHERE id = ?').run(source.id);
+        db.prepare('INSERT INTO merchant_aliases (merchant_id, alias, normalized_alias) VALUES (?, ?, ?)')
+          .run(target.id, source.name, source.normalized_name);
+
+        db.prepare(`
+          UPDATE merchants SET
+            default_category_id = COALESCE(default_category_id, ?),
+            default_payment_mode = COALESCE(default_payment_mode, ?),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(source.default_category_id, source.default_payment_mode, target.id);
+
+        recordAudit(req.user.id, 'merchant', source.id, 'merge', before, { ...before, mergedInto: target.name });
+      }
+    });
+
+    updated = rewriteMerchantTransactions(req.user.id, target);
+  })();
+
+  res.json({ success: true, merged: sources.length, updated });
+});
+
+// ========================
+// ACCOUNT ROUTES
+// ========================
+
+// bank: savings/current accounts (UPI, debit card, transfers); credit_card: has a statement
+// cycle; cash: money in hand. Accounts are shared by the household.
+const ACCOUNT_TYPES = ['bank', 'credit_card', 'cash'];
+
+// Cards and cash fix the payment mode; bank accounts keep the one picked, if it fits
+const accountPaymentMode = (account, paymentMode) => {
+  if (account && account.type === 'credit_card') return 'credit_card';
+  if (account && account.type === 'cash') return 'cash';
+  if (account && !['upi', 'bank_transfer', 'debit_card'].includes(paymentMode)) return 'bank_transfer';
+  return VALID_PAYMENT_MODES.includes(paymentMode) ? paymentMode : 'cash';
+};
+
+// The household's cash wallet: the first active cash account
+const cashWallet = () =>
+  db.prepare("SELECT * FROM accounts WHERE type = 'cash' AND is_active = 1 ORDER BY id LIMIT 1").get();
+
+// The account a transaction payload points at: { account } (null when none) or { error }.
+// Cash paid or received without naming an account goes through the wallet.
+const findAccount = (accountId, paymentMode) => {
+  if (!accountId) return { account: (paymentMode === 'cash' && cashWallet()) || null };
+  const account = db.prepare('SELECT * FROM accounts WHERE id = ?').get(accountId);
+  return account ? { account } : { error: 'Account not found' };
+};
+
+// Both ends of a transfer: { from, to } or { error }
+const findTransferAccounts = (fromId, toId) => {
+  if (!fromId || !toId) {
+    return { error: 'A transfer needs a from and a to account' };
+  }
+  if (parseInt(fromId) === parseInt(toId)) {
+    return { error: 'Transfer to a different account' };
+  }
+
+  const from = db.prepare('SELECT * FROM accounts WHERE id = ?').get(fromId);
+  const to = db.prepare('SELECT * FROM accounts WHERE id = ?').get(toId);
+  return from && to ? { from, to } : { error: 'Account not found' };
+};
+
+const accountSnapshot = (id) => {
+  const account = db.prepare('SELECT * FROM accounts WHERE id = ?').get(id);
+  if (!account) return null;
+
+  return {
+    name: account.name,
+    type: account.type,
+    last4: account.last4,
+    statementDay: account.statement_day,
+    dueDay: account.due_day,
+    creditLimit: account.credit_limit,
+    openingBalance: account.opening_balance,
+    isActive: !!account.is_active
+  };
+};
+
+// Validate an account payload. For updates, fields left out keep their current values.
+// Statement and due days only apply to cards; opening balances only to bank and cash.
+const validateAccount = (input, existing = null) => {
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : existing ? existing[column] : undefined);
+  const value = {};
+
+  value.name = sanitize(pick('name', 'name'), 50);
+  if (!value.name) {
+    return { error: 'Account name is required' };
+  }
+
+  value.type = pick('type', 'type');
+  if (!ACCOUNT_TYPES.includes(value.type)) {
+    return { error: 'Type must be bank, credit_card or cash' };
+  }
+
+  const last4 = pick('last4', 'last4');
+  value.last4 = last4 ? String(last4).trim() : null;
+  if (value.last4 && !/^\d{4}$/.test(value.last4)) {
+    return { error: 'Last 4 digits must be 4 digits' };
+  }
+
+  if (value.type === 'credit_card') {
+    value.statement_day = parseInt(pick('statementDay', 'statement_day'));
+    value.due_day = parseInt(pick('dueDay', 'due_day'));
+    if (!(value.statement_day >= 1 && value.statement_day <= 31) || !(value.due_day >= 1 && value.due_day <= 31)) {
+      return { error: 'Cards need a statement day and a due day (1-31)' };
+    }
+
+    const limit = pick('creditLimit', 'credit_limit');
+    value.credit_limit = limit === null || limit === undefined || limit === '' ? null : parseFloat(limit);
+    if (value.credit_limit !== null && !(value.credit_limit > 0)) {
+      return { error: 'Invalid credit limit' };
+    }
+    value.opening_balance = 0;
+  } else {
+    value.statement_day = null;
+    value.due_day = null;
+    value.credit_limit = null;
+    value.opening_balance = parseFloat(pick('openingBalance', 'opening_balance') || 0);
+    if (isNaN(value.opening_balance)) {
+      return { error: 'Invalid opening balance' };
+    }
+  }
+
+  const isActive = pick('isActive', 'is_active');
+  value.is_active = isActive === undefined || isActive ? 1 : 0;
+
+  const duplicate = db.prepare('SELECT id FROM accounts WHERE name = ? COLLATE NOCASE AND id != ?')
+    .get(value.name, existing ? existing.id : 0);
+  if (duplicate) {
+    return { error: `There is already an account called "${value.name}"` };
+  }
+
+  return { value };
+};
+
+// day of (year, month), clamped to the month's length; month may run past 0-11
+const clampedDate = (year, month, day) =>
+  new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+
+// Where a card is in its billing cycle on a given day. A statement closes at the end of
+// statement_day, so on that day the cycle is still open. Each statement is due on the
+// first due_day after it closes.
+const cardCycle = (account, today = new Date()) => {
+  const todayStr = toDateString(today);
+  const statementFor = (year, month) => clampedDate(year, month, account.statement_day);
+  const dueFor = (statement) => {
+    const due = clampedDate(statement.getFullYear(), statement.getMonth(), account.due_day);
+    return due > statement ? due : clampedDate(statement.getFullYear(), statement.getMonth() + 1, account.due_day);
+  };
+
+  let last = statementFor(today.getFullYear(), today.getMonth());
+  if (toDateString(last) >= todayStr) last = statementFor(today.getFullYear(), today.getMonth() - 1);
+  const previous = statementFor(last.getFullYear(), last.getMonth() - 1);
+  const next = statementFor(last.getFullYear(), last.getMonth() + 1);
+  const dayAfter = (date) => toDateString(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+
+  return {
+    statementStart: dayAfter(previous),
+    statementDate: toDateString(last),
+    statementDueDate: toDateString(dueFor(last)),
+    cycleStart: dayAfter(last),
+    cycleEnd: toDateString(next),
+    nextDueDate: toDateString(dueFor(next))
+  };
+};
+
+// Spending on an account between two dates, less refunds. Money moved off a card
+// (a transfer from it, like a cash advance) is a charge too.
+const netCharges = (accountId, startDate, endDate) => db.prepare(`
+  SELECT COALESCE(SUM(CASE WHEN type = 'income' THEN -amount ELSE amount END), 0) as total, COUNT(*) as count
+  FROM transactions
+  WHERE account_id = ? AND date >= ? AND date <= ? AND deleted_at IS NULL
+`).get(accountId, startDate, endDate);
+
+// Transfers into a card between two dates: bill payments
+const cardPayments = (accountId, startDate, endDate) => db.prepare(`
+  SELECT COALESCE(SUM(amount), 0) as total
+  FROM transactions
+  WHERE type = 'transfer' AND to_account_id = ? AND date >= ? AND date <= ? AND deleted_at IS NULL
+`).get(accountId, startDate, endDate).total;
+
+// What a card owes: the last statement less payments made since it closed, until its due
+// date has passed (it's then taken as paid), plus everything charged since
+const cardSummary = (account, today = new Date()) => {
+  const cycle = cardCycle(account, today);
+  const statement = netCharges(account.id, cycle.statementStart, cycle.statementDate);
+  const unbilled = netCharges(account.id, cycle.cycleStart, cycle.cycleEnd);
+  const paid = cardPayments(account.id, cycle.cycleStart, toDateString(today));
+  const statementOpen = toDateString(today) <= cycle.statementDueDate;
+  const statementBalance = Math.round(statement.total * 100) / 100;
+  const statementLeft = Math.max(0, Math.round((statement.total - paid) * 100) / 100);
+  const outstanding = statementOpen
+    ? Math.max(0, Math.round((statement.total + unbilled.total - paid) * 100) / 100)
+    : Math.round(unbilled.total * 100) / 100;
+
+  return {
+    id: account.id,
+    name: account.name,
+    last4: account.last4,
+    creditLimit: account.credit_limit,
+    statementDate: cycle.statementDate,
+    statementBalance,
+    paid: Math.round(paid * 100) / 100,
+    cycleStart: cycle.cycleStart,
+    cycleEnd: cycle.cycleEnd,
+    unbilled: Math.round(unbilled.total * 100) / 100,
+    unbilledCount: unbilled.count,
+    outstanding,
+    utilisation: account.credit_limit ? Math.round((outstanding / account.credit_limit) * 1000) / 10 : null,
+    // What to pay next, and by when
+    currentDue: statementOpen ? statementLeft : Math.round(unbilled.total * 100) / 100,
+    dueDate: statementOpen ? cycle.statementDueDate : cycle.nextDueDate
+  };
+};
+
+// Opening balance plus income and transfers in, less spending and transfers out, for bank
+// and cash accounts. Cash movements add to the wallet.
+// With asOf (YYYY-MM-DD), the balance at the end of that day.
+const accountBalance = (account, asOf = '9999-12-31') => {
+  const { total } = db.prepare(`
+    SELECT
+      (SELECT COALESCE(SUM(CASE WHEN type = 'income' THEN amount ELSE -amount END), 0)
+       FROM transactions WHERE account_id = @id AND date <= @asOf AND deleted_at IS NULL)
+      + (SELECT COALESCE(SUM(amount), 0)
+         FROM transactions WHERE to_account_id = @id AND date <= @asOf AND deleted_at IS NULL)
+      + (SELECT COALESCE(SUM(amount), 0) FROM cash_movements WHERE account_id = @id AND date <= @asOf)
+      as total
+  `).get({ id: account.id, asOf });
+  return Math.round((account.opening_balance + total) * 100) / 100;
+};
+
+app.get('/api/accounts', authenticate, (req, res) => {
+  const accounts = db.prepare(`
+    SELECT a.*,
+           (SELECT COUNT(*) FROM transactions WHERE account_id = a.id AND deleted_at IS NULL) as transaction_count
+    FROM accounts a
+    ORDER BY a.is_active DESC, CASE a.type WHEN 'credit_card' THEN 0 WHEN 'bank' THEN 1 ELSE 2 END, a.name
+  `).all();
+
+  res.json(accounts.map(account => ({
+    ...account,
+    is_active: !!account.is_active,
+    balance: account.type === 'credit_card' ? null : accountBalance(account)
+  })));
+});
+
+app.post('/api/accounts', authenticate, (req, res) => {
+  const { error, value } = validateAccount(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const id = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO accounts (name, type, last4, statement_day, due_day, credit_limit, opening_balance, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(value.name, value.type, value.last4, value.statement_day, value.due_day, value.credit_limit,
+      value.opening_balance, value.is_active);
+
+    recordAudit(req.user.id, 'account', result.lastInsertRowid, 'create', null, accountSnapshot(result.lastInsertRowid));
+    return result.lastInsertRowid;
+  })();
+
+  res.json({ id, success: true });
+});
+
+app.patch('/api/accounts/:id', authenticate, (req, res) => {
+  const existing = db.prepare('SELECT * FROM accounts WHERE id = ?').get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+
+  const { error, value } = validateAccount(req.body, existing);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.transaction(() => auditedUpdate(req.user.id, 'account', existing.id, accountSnapshot, () => {
+    db.prepare(`
+      UPDATE accounts SET name = ?, type = ?, last4 = ?, statement_day = ?, due_day = ?, credit_limit = ?,
+        opening_balance = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(value.name, value.type, value.last4, value.statement_day, value.due_day, value.credit_limit,
+      value.opening_balance, value.is_active, existing.id);
+  }))();
+
+  res.json({ success: true });
+});
+
+// Transactions keep their payment mode but are no longer linked, and a cash account's
+// movements go with it. To keep an account's history, mark it inactive instead.
+app.delete('/api/accounts/:id', authenticate, (req, res) => {
+  const before = accountSnapshot(req.params.id);
+  if (!before) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+
+  // A transfer can't lose one of its ends (trashed ones count until purged)
+  const transfers = db.prepare(`
+    SELECT COUNT(*) as count FROM transactions
+    WHERE type = 'transfer' AND (account_id = ? OR to_account_id = ?)
+  `).get(req.params.id, req.params.id).count;
+  if (transfers > 0) {
+    return res.status(409).json({
+      error: `This account has ${transfers} transfer${transfers === 1 ? '' : 's'}. Mark it inactive instead, or delete them (and empty them from Trash) first.`
+    });
+  }
+
+  db.transaction(() => {
+    db.prepare('UPDATE transactions SET account_id = NULL WHERE account_id = ?').run(req.params.id);
+    db.prepare('UPDATE recurring_transactions SET account_id = NULL WHERE account_id = ?').run(req.params.id);
+    db.prepare('DELETE FROM cash_movements WHERE account_id = ?').run(req.params.id);
+    db.prepare('UPDATE savings_goals SET account_id = NULL WHERE account_id = ?').run(req.params.id);
+    db.prepare('UPDATE bills SET account_id = NULL WHERE account_id = ?').run(req.params.id);
+    db.prepare('DELETE FROM accounts WHERE id = ?').run(req.params.id);
+    recordAudit(req.user.id, 'account', req.params.id, 'delete', before);
+  })();
+
+  res.json({ success: true });
+});
+
+// ========================
+// CASH WALLET ROUTES
+// ========================
+// The wallet is a cash account. Its ledger is the cash transactions and transfers on it
+// plus cash_movements: withdrawals from no account of ours, cash received that isn't
+// income, and the adjustments posted when the cash is counted. ?accountId= picks another
+// cash account.
+
+const CASH_MOVEMENT_LABELS = { withdrawal: 'withdrawal', received: 'top-up', adjustment: 'count' };
+
+// { wallet } or { status, error }
+const findWallet = (accountId) => {
+  const wallet = accountId
+    ? db.prepare("SELECT * FROM accounts WHERE id = ? AND type = 'cash'").get(accountId)
+    : cashWallet();
+  if (!wallet) {
+    return accountId
+      ? { status: 404, error: 'Cash account not found' }
+      : { status: 404, error: 'No cash account yet. Add one in Settings → Accounts.' };
+  }
+  return { wallet };
+};
+
+const cashMovementSnapshot = (id) => {
+  const movement = db.prepare('SELECT * FROM cash_movements WHERE id = ?').get(id);
+  if (!movement) return null;
+
+  return {
+    name: CASH_MOVEMENT_LABELS[movement.kind],
+    amount: movement.amount,
+    counted: movement.counted,
+    date: movement.date,
+    note: movement.note
+  };
+};
+
+// Everything that changed the wallet: transactions and transfers as signed amounts, then movements
+const CASH_LEDGER = `
+  SELECT 'transaction' as source, t.id as id,
+         CASE WHEN t.type = 'transfer' THEN 'transfer' WHEN t.type = 'income' THEN 'income' ELSE 'spent' END as kind,
+         CASE WHEN t.type = 'income' OR t.to_account_id = @id THEN t.amount ELSE -t.amount END as amount,
+         NULL as counted, t.date as date, t.created_at as created_at,
+         CASE
+           WHEN t.type != 'transfer' THEN COALESCE(t.merchant, c.name)
+           WHEN t.to_account_id = @id THEN 'From ' || fa.name
+           ELSE 'To ' || ta.name
+         END as description,
+         COALESCE(c.icon, '🔁') as icon, u.display_name as user_name
+  FROM transactions t
+  LEFT JOIN categories c ON t.category_id = c.id
+  LEFT JOIN accounts fa ON t.account_id = fa.id
+  LEFT JOIN accounts ta ON t.to_account_id = ta.id
+  LEFT JOIN users u ON t.user_id = u.id
+  WHERE (t.account_id = @id OR t.to_account_id = @id) AND t.deleted_at IS NULL
+  UNION ALL
+  SELECT 'movement', m.id, m.kind, m.amount, m.counted, m.date, m.created_at, m.note, NULL, u.display_name
+  FROM cash_movements m
+  LEFT JOIN users u ON m.user_id = u.id
+  WHERE m.account_id = @id
+`;
+
+app.get('/api/cash', authenticate, (req, res) => {
+  const { wallet, status, error } = findWallet(req.query.accountId);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const entries = db.prepare(`${CASH_LEDGER} ORDER BY date DESC, created_at DESC, source, id DESC LIMIT @limit`)
+    .all({ id: wallet.id, limit });
+
+  // Running balance after each entry, walking back from today's
+  const balance = accountBalance(wallet);
+  let running = balance;
+  for (const entry of entries) {
+    entry.balance = Math.round(running * 100) / 100;
+    running -= entry.amount;
+  }
+
+  const lastCount = db.prepare(`
+    SELECT m.date, m.counted, m.amount as difference, u.display_name as user_name
+    FROM cash_movements m LEFT JOIN users u ON m.user_id = u.id
+    WHERE m.account_id = ? AND m.kind = 'adjustment'
+    ORDER BY m.date DESC, m.id DESC LIMIT 1
+  `).get(wallet.id);
+
+  res.json({
+    wallet: { id: wallet.id, name: wallet.name },
+    balance,
+    lastCount: lastCount || null,
+    entries
+  });
+});
+
+// Cash coming in that isn't income: a withdrawal or cash received, e.g. from family. Cash
+// income and spending are transactions, and so is a withdrawal from one of our accounts:
+// it is recorded as a transfer from that account to the wallet.
+app.post('/api/cash/movements', authenticate, (req, res) => {
+  const { wallet, status, error } = findWallet(req.body.accountId);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const { kind, sourceAccountId, date } = req.body;
+  const amount = parseFloat(req.body.amount);
+
+  if (!['withdrawal', 'received'].includes(kind)) {
+    return res.status(400).json({ error: 'Kind must be withdrawal or received' });
+  }
+  if (isNaN(amount) || amount <= 0 || amount > 99999999) {
+    return res.status(400).json({ error: 'Invalid amount' });
+  }
+  if (date && !isCalendarDate(date)) {
+    return res.status(400).json({ error: 'Invalid date format' });
+  }
+
+  if (sourceAccountId) {
+    if (kind !== 'withdrawal') {
+      return res.status(400).json({ error: 'Only withdrawals come from an account' });
+    }
+    const { value, error: transferError } = validateTransaction({
+      type: 'transfer', amount, accountId: sourceAccountId, toAccountId: wallet.id,
+      date, note: req.body.note || 'ATM withdrawal'
+    });
+    if (transferError) {
+      return res.status(400).json({ error: transferError });
+    }
+    const id = insertTransaction(req.user.id, value);
+    return res.json({ id, source: 'transaction', success: true, balance: accountBalance(wallet) });
+  }
+
+  const id = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO cash_movements (account_id, kind, amount, date, note, user_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(wallet.id, kind, Math.round(amount * 100) / 100, date || toDateString(new Date()),
+      sanitize(req.body.note, 300), req.user.id);
+
+    recordAudit(req.user.id, 'cash', result.lastInsertRowid, 'create', null, cashMovementSnapshot(result.lastInsertRowid));
+    return result.lastInsertRowid;
+  })();
+
+  res.json({ id, source: 'movement', success: true, balance: accountBalance(wallet) });
+});
+
+// Count my cash: record what is physically there today and post the difference from the
+// ledger as an adjustment (recorded even when nothing is off, as the last count)
+app.post('/api/cash/count', authenticate, (req, res) => {
+  const { wallet, status, error } = findWallet(req.body.accountId);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const counted = parseFloat(req.body.counted);
+  if (isNaN(counted) || counted < 0 || counted > 99999999) {
+    return res.status(400).json({ error: 'Enter the amount you counted' });
+  }
+
+  const today = toDateString(new Date());
+  const result = db.transaction(() => {
+    const expected = accountBalance(wallet, today);
+    const difference = Math.round((counted - expected) * 100) / 100;
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO cash_movements (account_id, kind, amount, counted, date, note, user_id)
+      VALUES (?, 'adjustment', ?, ?, ?, ?, ?)
+    `).run(wallet.id, difference, Math.round(counted * 100) / 100, today, sanitize(req.body.note, 300), req.user.id);
+
+    recordAudit(req.user.id, 'cash', lastInsertRowid, 'create', null, cashMovementSnapshot(lastInsertRowid));
+    return { id: lastInsertRowid, expected, difference };
+  })();
+
+  res.json({ success: true, ...result, balance: accountBalance(wallet) });
+});
+
+app.delete('/api/cash/movements/:id', authenticate, (req, res) => {
+  const before = cashMovementSnapshot(req.params.id);
+  if (!before) {
+    return res.status(404).json({ error: 'Cash entry not found' });
+  }
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM cash_movements WHERE id = ?').run(req.params.id);
+    recordAudit(req.user.id, 'cash', req.params.id, 'delete', before);
+  })();
+
+  res.json({ success: true });
+});
+
+// End-of-day wallet balance for each of the last `days` days, for the stats chart
+app.get('/api/cash/history', authenticate, (req, res) => {
+  const { wallet, status, error } = findWallet(req.query.accountId);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  const days = Math.min(Math.max(parseInt(req.query.days) || 90, 7), 730);
+  const today = new Date();
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1);
+  const dayBefore = toDateString(new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1));
+
+  const changes = new Map(db.prepare(`
+    SELECT date, SUM(amount) as total FROM (${CASH_LEDGER})
+    WHERE date >= @start AND date <= @end
+    GROUP BY date
+  `).all({ id: wallet.id, start: toDateString(start), end: toDateString(today) }).map(row => [row.date, row.total]));
+
+  let balance = accountBalance(wallet, dayBefore);
+  const history = [];
+  for (let date = start; date <= today; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+    const day = toDateString(date);
+    balance += changes.get(day) || 0;
+    history.push({ date: day, balance: Math.round(balance * 100) / 100 });
+  }
+
+  res.json(history);
+});
+
+// ========================
+// CURRENCY ROUTES
+// ========================
+// Reports sum transactions.amount, which is always in the household's base currency. A
+// transaction typed in another currency keeps that figure in original_amount and currency
+// (NULL for the base currency) and is converted with the latest rate on or before its date.
+// Rates are kept locally, entered by hand or imported from CSV: 1 unit = rate in base.
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const FOREIGN_SPLIT_ERROR = 'Transactions in another currency cannot be split';
+
+const baseCurrency = () => db.prepare("SELECT value FROM settings WHERE key = 'base_currency'").get().value;
+
+const normalizeCurrency = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// A rate carries forward until the next one, so weekends and gaps use the last known rate
+const rateOn = (currency, date) => db.prepare(`
+  SELECT rate, date FROM exchange_rates WHERE currency = ? AND date <= ? ORDER BY date DESC LIMIT 1
+`).get(currency, date);
+
+// Validate an amount typed in currency (blank or the base currency means base) and convert it
+// at date's rate. Returns { error } or { value: { amount, currency, originalAmount } } with
+// currency and originalAmount null for the base currency.
+const convertToBase = (currency, amount, date) => {
+  const parsedAmount = parseFloat(amount);
+  if (isNaN(parsedAmount) || parsedAmount <= 0 || parsedAmount > 10000000) {
+    return { error: 'Invalid amount' };
+  }
+
+  const code = normalizeCurrency(currency);
+  if (!code || code === baseCurrency()) {
+    return { value: { amount: parsedAmount, currency: null, originalAmount: null } };
+  }
+  if (!CURRENCY_CODE.test(code)) {
+    return { error: 'Currency must be a 3-letter code like USD' };
+  }
+
+  const rate = rateOn(code, date);
+  if (!rate) {
+    return { error: `No ${code} exchange rate on or before ${date}. Add one in Settings → Currencies.` };
+  }
+  return { value: { amount: Math.round(parsedAmount * rate.rate * 100) / 100, currency: code, originalAmount: parsedAmount } };
+};
+
+// Convert a currency's transactions again after its rates change, logged with source 'rate'.
+// One left with no rate on or before its date keeps its last converted amount.
+const revalueTransactions = (userId, currency) => {
+  const transactions = db.prepare('SELECT id, amount, original_amount, date FROM transactions WHERE currency = ?').all(currency);
+  let changed = 0;
+
+  for (const tx of transactions) {
+    const rate = rateOn(currency, tx.date);
+    if (!rate) continue;
+
+    const amount = Math.round(tx.original_amount * rate.rate * 100) / 100;
+    if (amount === tx.amount) continue;
+
+    auditedUpdate(userId, 'transaction', tx.id, transactionSnapshot, () => {
+      db.prepare('UPDATE transactions SET amount = ? WHERE id = ?').run(amount, tx.id);
+    }, 'rate');
+    changed++;
+  }
+
+  return changed;
+};
+
+const rateSnapshot = (id) => {
+  const rate = db.prepare('SELECT currency, date, rate FROM exchange_rates WHERE id = ?').get(id);
+  return rate ? { name: `${rate.currency} on ${rate.date}`, rate: rate.rate } : null;
+};
+
+// Add a rate, or replace the one already set for that currency and day. Returns the rate id.
+const saveRate = (userId, { currency, date, rate }, source = null) => {
+  const existing = db.prepare('SELECT id FROM exchange_rates WHERE currency = ? AND date = ?').get(currency, date);
+  if (existing) {
+    auditedUpdate(userId, 'rate', existing.id, rateSnapshot, () => {
+      db.prepare('UPDATE exchange_rates SET rate = ?, source = ? WHERE id = ?').run(rate, source || 'manual', existing.id);
+    }, source);
+    return existing.id;
+  }
+
+  const result = db.prepare('INSERT INTO exchange_rates (currency, date, rate, source) VALUES (?, ?, ?, ?)')
+    .run(currency, date, rate, source || 'manual');
+  recordAudit(userId, 'rate', result.lastInsertRowid, 'create', null, rateSnapshot(result.lastInsertRowid), source);
+  return result.lastInsertRowid;
+};
+
+// Returns { error } or { value } ready for saveRate
+const validateRate = (input) => {
+  const currency = normalizeCurrency(input.currency);
+  if (!CURRENCY_CODE.test(currency)) {
+    return { error: 'Currency must be a 3-letter code like USD' };
+  }
+  if (currency === baseCurrency()) {
+    return { error: `${currency} is the base currency` };
+  }
+
+  if (!isCalendarDate(input.date)) {
+    return { error: 'Invalid date' };
+  }
+
+  const rate = parseFloat(input.rate);
+  if (isNaN(rate) || rate <= 0 || rate > 1000000) {
+    return { error: 'Invalid rate' };
+  }
+
+  return { value: { currency, date: input.date, rate } };
+};
+
+// The base currency, and each other currency with its latest rate and how much uses it
+app.get('/api/currencies', authenticate, (req, res) => {
+  const currencies = db.prepare(`
+    SELECT r.currency, COUNT(*) as rate_count, MAX(r.date) as latest_date,
+           (SELECT rate FROM exchange_rates WHERE currency = r.currency ORDER BY date DESC LIMIT 1) as latest_rate,
+           (SELECT COUNT(*) FROM transactions WHERE currency = r.currency AND deleted_at IS NULL) as transaction_count
+    FROM exchange_rates r
+    GROUP BY r.currency
+    ORDER BY r.currency
+  `).all();
+
+  res.json({ base: baseCurrency(), currencies });
+});
+
+// Only while everything is in the base currency: changing it relabels existing amounts,
+// and rates are quoted against it
+app.put('/api/currencies/base', authenticate, (req, res) => {
+  const currency = normalizeCurrency(req.body.currency);
+  if (!CURRENCY_CODE.test(currency)) {
+    return res.status(400).json({ error: 'Currency must be a 3-letter code like USD' });
+  }
+
+  const inUse = db.prepare(`
+    SELECT (SELECT COUNT(*) FROM exchange_rates)
+         + (SELECT COUNT(*) FROM transactions WHERE currency IS NOT NULL)
+         + (SELECT COUNT(*) FROM recurring_transactions WHERE currency IS NOT NULL) as count
+  `).get().count;
+  if (inUse > 0) {
+    return res.status(409).json({ error: 'The base currency can only change before any exchange rates or foreign-currency transactions are added' });
+  }
+
+  db.prepare("UPDATE settings SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE key = 'base_currency'").run(currency);
+  res.json({ success: true, base: currency });
+});
+
+// Rates for one currency, newest first
+app.get('/api/currencies/rates', authenticate, (req, res) => {
+  const currency = normalizeCurrency(req.query.currency);
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  const rates = db.prepare(`
+    SELECT * FROM exchange_rates WHERE currency = ? ORDER BY date DESC LIMIT ?
+  `).all(currency, limit);
+
+  res.json(rates);
+});
+
+app.post('/api/currencies/rates', authenticate, (req, res) => {
+  const { error, value } = validateRate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const result = db.transaction(() => {
+    const id = saveRate(req.user.id, value);
+    return { id, revalued: revalueTransactions(req.user.id, value.currency) };
+  })();
+
+  res.json({ ...result, success: true });
+});
+
+// Transactions that relied on the rate are converted with the one before it, if any
+app.delete('/api/currencies/rates/:id', authenticate, (req, res) => {
+  const rate = db.prepare('SELECT * FROM exchange_rates WHERE id = ?').get(req.params.id);
+  if (!rate) {
+    return res.status(404).json({ error: 'Rate not found' });
+  }
+
+  const revalued = db.transaction(() => {
+    const before = rateSnapshot(rate.id);
+    db.prepare('DELETE FROM exchange_rates WHERE id = ?').run(rate.id);
+    recordAudit(req.user.id, 'rate', rate.id, 'delete', before);
+    return revalueTransactions(req.user.id, rate.currency);
+  })();
+
+  res.json({ success: true, revalued });
+});
+
+// Import rates from a CSV with Date and Rate columns, plus a Currency column unless the
+// whole file is for the currency given in the form. Rows that don't parse are skipped and
+// reported; a rate already set for that day is replaced.
+app.post('/api/currencies/rates/import', authenticate, csvUpload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const rows = parseCsv(req.file.buffer.toString('utf8'));
+  if (rows.length < 2) {
+    return res.status(400).json({ error: 'No rows found in CSV' });
+  }
+
+  const headers = rows[0];
+  const date = headers.findIndex(h => /date/i.test(h));
+  const column = (pattern) => headers.findIndex((h, i) => i !== date && pattern.test(h));
+  const columns = { currency: column(/currency|code|ccy/i), date, rate: column(/rate|price|close|value/i) };
+  if (columns.date < 0 || columns.rate < 0) {
+    return res.status(400).json({ error: 'The CSV needs a Date and a Rate column' });
+  }
+  if (columns.currency < 0 && !req.body.currency) {
+    return res.status(400).json({ error: 'The CSV has no Currency column - choose the currency it is for' });
+  }
+
+  const valid = [];
+  const skipped = [];
+  rows.slice(1).forEach((cells, index) => {
+    const parsedRate = parseStatementAmount(cells[columns.rate]);
+    const { error, value } = validateRate({
+      currency: columns.currency >= 0 ? cells[columns.currency] : req.body.currency,
+      date: parseStatementDate(cells[columns.date], req.body.dateOrder === 'MDY' ? 'MDY' : 'DMY'),
+      rate: parsedRate ? parsedRate.value : null
+    });
+    if (error) skipped.push({ row: index + 2, error });
+    else valid.push(value);
+  });
+
+  const revalued = db.transaction(() => {
+    for (const rate of valid) saveRate(req.user.id, rate, 'import');
+    return [...new Set(valid.map(rate => rate.currency))]
+      .reduce((total, currency) => total + revalueTransactions(req.user.id, currency), 0);
+  })();
+
+  res.json({ imported: valid.length, skipped: skipped.length, errors: skipped.slice(0, 10), revalued, success: true });
+});
+
+// ========================
+// BUDGET ROUTES
+// ========================
+
+const monthsBetween = (startDate, endDate) => {
+  const months = [];
+  let [year, month] = startDate.split('-').map(Number);
+  const [endYear, endMonth] = endDate.split('-').map(Number);
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return months;
+};
+
+// Budgets in force for a month: that month's own budget, else the most recent
+// earlier budget marked carry_forward (a one-off budget only covers its month)
+// `rows` is every budget row, newest month first
+const getEffectiveBudgets = (month, rows) => {
+  const effective = new Map();
+
+  for (const row of rows) {
+    if (row.month > month) continue;
+    const key = row.category_id ? `category:${row.category_id}` : `group:${row.category_group}`;
+    if (effective.has(key)) continue;
+    if (row.month === month || row.carry_forward) effective.set(key, row);
+  }
+
+  return [...effective.values()];
+};
+
+// Budget vs actual for a date range. Budgets are summed over every month the range
+// touches, and only spending in months where a budget was in force counts against it.
+const budgetStatus = (startDate, endDate) => {
+  const rows = db.prepare('SELECT * FROM budgets ORDER BY month DESC').all();
+  if (rows.length === 0) return [];
+
+  const categorySpend = db.prepare(`
+    SELECT strftime('%Y-%m', date) as month, line_category_id as category_id, SUM(line_amount) as total
+    FROM transaction_lines
+    WHERE type = 'expense' AND date >= ? AND date <= ?
+    GROUP BY month, line_category_id
+  `).all(startDate, endDate);
+
+  const groupSpend = db.prepare(`
+    SELECT strftime('%Y-%m', t.date) as month, c.category_group, SUM(t.line_amount) as total
+    FROM transaction_lines t
+    JOIN categories c ON t.line_category_id = c.id
+    WHERE t.type = 'expense' AND t.date >= ? AND t.date <= ?
+    GROUP BY month, c.category_group
+  `).all(startDate, endDate);
+
+  const totals = new Map();
+
+  for (const month of monthsBetween(startDate, endDate)) {
+    for (const budget of getEffectiveBudgets(month, rows)) {
+      const key = budget.category_id ? `category:${budget.category_id}` : `group:${budget.category_group}`;
+      const entry = totals.get(key) || { budget: 0, spent: 0, latest: null };
+      entry.budget += budget.amount;
+      entry.spent += budget.category_id
+        ? categorySpend.find(s => s.month === month && s.category_id === budget.category_id)?.total || 0
+        : groupSpend.find(s => s.month === month && s.category_group === budget.category_group)?.total || 0;
+      entry.latest = budget;
+      totals.set(key, entry);
+    }
+  }
+
+  const categories = db.prepare('SELECT id, name, icon, color, category_group FROM categories').all();
+
+  return [...totals.values()].map(({ budget, spent, latest }) => {
+    const category = latest.category_id ? categories.find(c => c.id === latest.category_id) : null;
+    const percent = budget > 0 ? (spent / budget) * 100 : 0;
+
+    return {
+      id: latest.id,
+      scope: latest.category_id ? 'category' : 'group',
+      categoryId: latest.category_id,
+      categoryGroup: latest.category_id ? category?.category_group : latest.category_group,
+      name: category ? category.name : (latest.category_group === 'office' ? 'Office' : 'Home'),
+      icon: category ? category.icon : (latest.category_group === 'office' ? '💼' : '🏠'),
+      color: category ? category.color : (latest.category_group === 'office' ? '#8b5cf6' : '#3b82f6'),
+      month: latest.month,
+      carryForward: !!latest.carry_forward,
+      budget,
+      spent,
+      remaining: budget - spent,
+      percent: Math.round(percent * 10) / 10,
+      status: percent >= 100 ? 'over' : percent >= 80 ? 'warning' : 'ok'
+    };
+  }).sort((a, b) => b.percent - a.percent);
+};
+
+// Budget vs actual for one month (defaults to current month)
+app.get('/api/budgets', authenticate, (req, res) => {
+  const now = new Date();
+  const month = /^\d{4}-\d{2}$/.test(req.query.month || '')
+    ? req.query.month
+    : `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+  const [year, monthNum] = month.split('-').map(Number);
+  const lastDay = new Date(year, monthNum, 0).getDate();
+
+  res.json({ month, budgets: budgetStatus(`${month}-01`, `${month}-${lastDay}`) });
+});
+
+// Set a budget for a category or a home/office group from a month onwards.
+// Setting the same scope and month again replaces that month's amount.
+app.post('/api/budgets', authenticate, (req, res) => {
+  const { categoryId, categoryGroup, month, amount, carryForward = true } = req.body;
+
+  if (!categoryId === !categoryGroup) {
+    return res.status(400).json({ error: 'Choose either a category or a group' });
+  }
+
+  if (categoryGroup && !['home', 'office'].includes(categoryGroup)) {
+    return res.status(400).json({ error: 'Invalid group' });
+  }
+
+  if (categoryId && !db.prepare("SELECT id FROM categories WHERE id = ? AND type != 'income'").get(categoryId)) {
+    return res.status(400).json({ error: 'Category not found' });
+  }
+
+  if (!/^\d{4}-\d{2}$/.test(month || '')) {
+    return res.status(400).json({ error: 'Month must be YYYY-MM' });
+  }
+
+  const parsedAmount = parseFloat(amount);
+  if (isNaN(parsedAmount) || parsedAmount <= 0 || parsedAmount > 10000000) {
+    return res.status(400).json({ error: 'Invalid amount' });
+  }
+
+  const existing = db.prepare(`
+    SELECT id FROM budgets
+    WHERE month = ? AND ${categoryId ? 'category_id = ?' : 'category_group = ?'}
+  `).get(month, categoryId || categoryGroup);
+
+  if (existing) {
+    db.prepare('UPDATE budgets SET amount = ?, carry_forward = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(parsedAmount, carryForward ? 1 : 0, existing.id);
+    return res.json({ id: existing.id, success: true });
+  }
+
+  const result = db.prepare(
+    'INSERT INTO budgets (category_id, category_group, month, amount, carry_forward, user_id) VALUES (?, ?, ?, ?, ?, ?)'
+  ).run(categoryId || null, categoryId ? null : categoryGroup, month, parsedAmount, carryForward ? 1 : 0, req.user.id);
+
+  res.json({ id: result.lastInsertRowid, success: true });
+});
+
+app.patch('/api/budgets/:id', authenticate, (req, res) => {
+  const { amount, carryForward } = req.body;
+
+  const updates = [];
+  const params = [];
+
+  if (amount !== undefined) {
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0 || parsedAmount > 10000000) {
+      return res.status(400).json({ error: 'Invalid amount' });
+    }
+    updates.push('amount = ?');
+    params.push(parsedAmount);
+  }
+
+  if (carryForward !== undefined) {
+    updates.push('carry_forward = ?');
+    params.push(carryForward ? 1 : 0);
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  params.push(req.params.id);
+  const result = db.prepare(
+    `UPDATE budgets SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`
+  ).run(...params);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Budget not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// Delete a budget row - earlier carried-forward budgets for the same scope apply again
+app.delete('/api/budgets/:id', authenticate, (req, res) => {
+  const result = db.prepare('DELETE FROM budgets WHERE id = ?').run(req.params.id);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Budget not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// ========================
+// SAVINGS GOAL ROUTES
+// ========================
+// A goal counts the transactions carrying its tag: transfers into its savings account, or any
+// transaction tagged by hand. A transfer out of the goal's account takes money back out of it.
+// Progress is measured against a straight line from the starting amount on the start date to
+// the target on the target date.
+
+const goalSnapshot = (id) => {
+  const goal = db.prepare(`
+    SELECT g.*, tg.name as tag, a.name as account
+    FROM savings_goals g JOIN tags tg ON g.tag_id = tg.id LEFT JOIN accounts a ON g.account_id = a.id
+    WHERE g.id = ?
+  `).get(id);
+  if (!goal) return null;
+
+  return {
+    name: goal.name,
+    icon: goal.icon,
+    targetAmount: goal.target_amount,
+    targetDate: goal.target_date,
+    startDate: goal.start_date,
+    startingAmount: goal.starting_amount,
+    tag: goal.tag,
+    account: goal.account,
+    isArchived: !!goal.is_archived
+  };
+};
+
+// Contributions are signed: withdrawals from the goal's account count against it
+const GOAL_CONTRIBUTION_SQL = `
+  CASE WHEN t.type = 'transfer' AND t.account_id = @accountId THEN -t.amount ELSE t.amount END
+`;
+
+const goalContributions = (goal) => db.prepare(`
+  SELECT t.id, t.type, t.date, t.amount, t.currency, t.original_amount, t.merchant, t.note,
+         ${GOAL_CONTRIBUTION_SQL} as contribution,
+         ${CATEGORY_COLUMNS_SQL}, a.name as account_name, ta.name as to_account_name
+  FROM transactions t
+  JOIN transaction_tags tt ON tt.transaction_id = t.id
+  LEFT JOIN categories c ON t.category_id = c.id
+  LEFT JOIN accounts a ON t.account_id = a.id
+  LEFT JOIN accounts ta ON t.to_account_id = ta.id
+  WHERE tt.tag_id = @tagId AND t.deleted_at IS NULL
+  ORDER BY t.date DESC, t.id DESC
+`).all({ tagId: goal.tag_id, accountId: goal.account_id || 0 });
+
+// Where a goal stands today. requiredMonthly spreads what's left over the months up to the
+// target date, this month included. status: reached, overdue (target date passed short of
+// the target), on_track (at or above the straight line) or behind.
+const goalProgress = (goal, today = toDateString(new Date())) => {
+  const { contributed, count } = db.prepare(`
+    SELECT COALESCE(SUM(${GOAL_CONTRIBUTION_SQL}), 0) as contributed, COUNT(*) as count
+    FROM transactions t
+    JOIN transaction_tags tt ON tt.transaction_id = t.id
+    WHERE tt.tag_id = @tagId AND t.deleted_at IS NULL
+  `).get({ tagId: goal.tag_id, accountId: goal.account_id || 0 });
+
+  const round = (n) => Math.round(n * 100) / 100;
+  const saved = round(goal.starting_amount + contributed);
+  const remaining = round(Math.max(0, goal.target_amount - saved));
+  const monthsLeft = today > goal.target_date ? 0 : monthsBetween(today, goal.target_date).length;
+
+  const span = Date.parse(goal.target_date) - Date.parse(goal.start_date);
+  const elapsed = Math.min(1, Math.max(0, (Date.parse(today) - Date.parse(goal.start_date)) / span));
+  const expected = round(goal.starting_amount + (goal.target_amount - goal.starting_amount) * elapsed);
+
+  const status = remaining === 0 ? 'reached'
+    : today > goal.target_date ? 'overdue'
+      : saved >= expected ? 'on_track' : 'behind';
+
+  return {
+    saved,
+    contributed: round(contributed),
+    contributionCount: count,
+    remaining,
+    percent: Math.round(Math.min(100, (saved / goal.target_amount) * 100) * 10) / 10,
+    daysLeft: Math.max(0, Math.round((Date.parse(goal.target_date) - Date.parse(today)) / DAY_MS)),
+    monthsLeft,
+    requiredMonthly: remaining === 0 ? 0 : round(remaining / Math.max(monthsLeft, 1)),
+    expected,
+    status,
+    onTrack: status === 'reached' || status === 'on_track'
+  };
+};
+
+const GOAL_SELECT = `
+  SELECT g.*, tg.name as tag, a.name as account
+  FROM savings_goals g
+  JOIN tags tg ON g.tag_id = tg.id
+  LEFT JOIN accounts a ON g.account_id = a.id
+`;
+
+const formatGoal = (goal) => ({
+  id: goal.id,
+  name: goal.name,
+  icon: goal.icon,
+  targetAmount: goal.target_amount,
+  targetDate: goal.target_date,
+  startDate: goal.start_date,
+  startingAmount: goal.starting_amount,
+  tag: goal.tag,
+  accountId: goal.account_id,
+  account: goal.account,
+  isArchived: !!goal.is_archived,
+  ...goalProgress(goal)
+});
+
+// Validate a goal payload. For updates, fields left out keep their current values.
+// The tag defaults to the goal's name and is created when the goal is saved.
+const validateGoal = (input, existing = null) => {
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : existing ? existing[column] : undefined);
+  const value = {};
+
+  value.name = sanitize(pick('name', 'name'), 50);
+  if (!value.name) {
+    return { error: 'Goal name is required' };
+  }
+
+  value.icon = sanitize(pick('icon', 'icon'), 10) || '🎯';
+
+  value.target_amount = parseFloat(pick('targetAmount', 'target_amount'));
+  if (isNaN(value.target_amount) || value.target_amount <= 0 || value.target_amount > 100000000) {
+    return { error: 'Invalid target amount' };
+  }
+
+  value.start_date = pick('startDate', 'start_date') || toDateString(new Date());
+  value.target_date = pick('targetDate', 'target_date');
+  if (!isCalendarDate(value.start_date) || !isCalendarDate(value.target_date)) {
+    return { error: 'Invalid date' };
+  }
+  if (value.target_date <= value.start_date) {
+    return { error: 'The target date must be after the start date' };
+  }
+
+  value.starting_amount = parseFloat(pick('startingAmount', 'starting_amount') || 0);
+  if (isNaN(value.starting_amount) || value.starting_amount < 0) {
+    return { error: 'Invalid starting amount' };
+  }
+
+  const accountId = pick('accountId', 'account_id');
+  value.account_id = accountId ? parseInt(accountId) : null;
+  if (value.account_id) {
+    const account = db.prepare('SELECT type FROM accounts WHERE id = ?').get(value.account_id);
+    if (!account) {
+      return { error: 'Account not found' };
+    }
+    if (account.type === 'credit_card') {
+      return { error: 'Goal savings go in a bank or cash account' };
+    }
+  }
+
+  const currentTag = existing
+    ? db.prepare('SELECT name FROM tags WHERE id = ?').get(existing.tag_id).name
+    : value.name;
+  value.tag = normalizeTags([input.tag !== undefined ? input.tag : currentTag])[0];
+  if (!value.tag) {
+    return { error: 'Goal tag is required' };
+  }
+
+  const taken = db.prepare(`
+    SELECT g.name FROM savings_goals g JOIN tags tg ON g.tag_id = tg.id
+    WHERE tg.name = ? AND g.id != ?
+  `).get(value.tag, existing ? existing.id : 0);
+  if (taken) {
+    return { error: `#${value.tag} already tracks the goal "${taken.name}"` };
+  }
+
+  const isArchived = pick('isArchived', 'is_archived');
+  value.is_archived = isArchived ? 1 : 0;
+
+  return { value };
+};
+
+// The tag's id, creating it if this is its first use
+const goalTagId = (name) => {
+  db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)').run(name);
+  return db.prepare('SELECT id FROM tags WHERE name = ?').get(name).id;
+};
+
+// Goals with their progress, active ones first
+app.get('/api/goals', authenticate, (req, res) => {
+  const goals = db.prepare(`${GOAL_SELECT} ORDER BY g.is_archived, g.target_date, g.name`).all();
+  res.json(goals.map(formatGoal));
+});
+
+app.get('/api/goals/:id', authenticate, (req, res) => {
+  const goal = db.prepare(`${GOAL_SELECT} WHERE g.id = ?`).get(req.params.id);
+  if (!goal) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+
+  res.json({ ...formatGoal(goal), contributions: goalContributions(goal) });
+});
+
+app.post('/api/goals', authenticate, (req, res) => {
+  const { error, value } = validateGoal(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const id = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO savings_goals (name, icon, target_amount, target_date, start_date, starting_amount, tag_id,
+        account_id, is_archived, user_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(value.name, value.icon, value.target_amount, value.target_date, value.start_date, value.starting_amount,
+      goalTagId(value.tag), value.account_id, value.is_archived, req.user.id);
+
+    recordAudit(req.user.id, 'goal', result.lastInsertRowid, 'create', null, goalSnapshot(result.lastInsertRowid));
+    return result.lastInsertRowid;
+  })();
+
+  res.json({ id, success: true });
+});
+
+// Changing the tag changes which transactions count towards the goal
+app.patch('/api/goals/:id', authenticate, (req, res) => {
+  const existing = db.prepare('SELECT * FROM savings_goals WHERE id = ?').get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+
+  const { error, value } = validateGoal(req.body, existing);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  db.transaction(() => auditedUpdate(req.user.id, 'goal', existing.id, goalSnapshot, () => {
+    db.prepare(`
+      UPDATE savings_goals SET name = ?, icon = ?, target_amount = ?, target_date = ?, start_date = ?,
+        starting_amount = ?, tag_id = ?, account_id = ?, is_archived = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(value.name, value.icon, value.target_amount, value.target_date, value.start_date, value.starting_amount,
+      goalTagId(value.tag), value.account_id, value.is_archived, existing.id);
+  }))();
+
+  res.json({ success: true });
+});
+
+// The contributions stay, tagged, as ordinary transactions
+app.delete('/api/goals/:id', authenticate, (req, res) => {
+  const before = goalSnapshot(req.params.id);
+  if (!before) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM savings_goals WHERE id = ?').run(req.params.id);
+    recordAudit(req.user.id, 'goal', req.params.id, 'delete', before);
+  })();
+
+  res.json({ success: true });
+});
+
+// Add a contribution: { transactionId } tags an existing transaction; otherwise
+// { amount, fromAccountId, date, note, currency } records a transfer into the goal's account
+app.post('/api/goals/:id/contributions', authenticate, (req, res) => {
+  const goal = db.prepare(`${GOAL_SELECT} WHERE g.id = ?`).get(req.params.id);
+  if (!goal) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+
+  if (req.body.transactionId) {
+    const tx = db.prepare('SELECT id FROM transactions WHERE id = ? AND deleted_at IS NULL').get(req.body.transactionId);
+    if (!tx) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const tags = db.prepare(`
+      SELECT tg.id, tg.name FROM transaction_tags tt JOIN tags tg ON tt.tag_id = tg.id WHERE tt.transaction_id = ?
+    `).all(tx.id);
+    if (tags.some(tag => tag.id === goal.tag_id)) {
+      return res.status(409).json({ error: 'Already counted towards this goal' });
+    }
+    const other = db.prepare(`SELECT name FROM savings_goals WHERE tag_id IN (${tags.map(() => '?').join(',') || 'NULL'})`)
+      .get(...tags.map(tag => tag.id));
+    if (other) {
+      return res.status(409).json({ error: `Already counted towards "${other.name}"` });
+    }
+    if (tags.length >= 10) {
+      return res.status(400).json({ error: 'This transaction already has 10 tags' });
+    }
+
+    db.transaction(() => auditedUpdate(req.user.id, 'transaction', tx.id, transactionSnapshot, () => {
+      setTransactionTags(tx.id, [...tags.map(tag => tag.name), goal.tag]);
+    }))();
+
+    return res.json({ id: tx.id, success: true });
+  }
+
+  if (!goal.account_id) {
+    return res.status(400).json({ error: 'Give the goal a savings account to transfer into, or link an existing transaction' });
+  }
+
+  const { error, value } = validateTransaction({
+    type: 'transfer',
+    amount: req.body.amount,
+    currency: req.body.currency,
+    accountId: req.body.fromAccountId,
+    toAccountId: goal.account_id,
+    date: req.body.date,
+    note: req.body.note || `Towards ${goal.name}`,
+    tags: [goal.tag]
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const id = insertTransaction(req.user.id, value);
+  res.json({ id, success: true });
+});
+
+// Stop counting a transaction towards the goal; the transaction itself stays
+app.delete('/api/goals/:id/contributions/:transactionId', authenticate, (req, res) => {
+  const goal = db.prepare(`${GOAL_SELECT} WHERE g.id = ?`).get(req.params.id);
+  if (!goal) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+
+  const linked = db.prepare('SELECT 1 FROM transaction_tags WHERE transaction_id = ? AND tag_id = ?')
+    .get(req.params.transactionId, goal.tag_id);
+  if (!linked) {
+    return res.status(404).json({ error: 'Contribution not found' });
+  }
+
+  db.transaction(() => auditedUpdate(req.user.id, 'transaction', parseInt(req.params.transactionId), transactionSnapshot, () => {
+    db.prepare('DELETE FROM transaction_tags WHERE transaction_id = ? AND tag_id = ?')
+      .run(req.params.transactionId, goal.tag_id);
+  }))();
+
+  res.json({ success: true });
+});
+
+// ========================
+// DOCUMENT ROUTES
+// ========================
+
+const removeDocumentFile = (doc) => {
+  const filePath = path.join(DOCS_DIR, doc.file_path);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+// dates: validateDocumentDates' value, for documents with an issue or expiry date
+const insertDocument = (userId, file, name, category, dates = {}) => db.prepare(`
+  INSERT INTO documents (user_id, name, original_name, category, file_path, file_size, mime_type, issue_date, expiry_date,
+    reminder_days)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`).run(
+  userId,
+  name || file.originalname,
+  file.originalname,
+  category || 'General',
+  file.filename,
+  file.size,
+  file.mimetype,
+  dates.issue_date || null,
+  dates.expiry_date || null,
+  dates.reminder_days ?? null
+).lastInsertRowid;
+
+// How long before its expiry date a document shows as expiring, unless it sets its own
+const DOCUMENT_REMINDER_DAYS = 30;
+
+// Validate a document's optional issue date, expiry date and reminder lead time (days
+// before expiry). For updates, fields left out keep their current values; empty clears one.
+const validateDocumentDates = (input, existing = null) => {
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : existing ? existing[column] : null);
+  const value = {};
+
+  for (const [key, column, label] of [['issueDate', 'issue_date', 'issue'], ['expiryDate', 'expiry_date', 'expiry']]) {
+    value[column] = pick(key, column) || null;
+    if (value[column] && !isCalendarDate(value[column])) {
+      return { error: `Invalid ${label} date` };
+    }
+  }
+  if (value.issue_date && value.expiry_date && value.expiry_date < value.issue_date) {
+    return { error: 'Expiry date is before the issue date' };
+  }
+
+  const reminderDays = pick('reminderDays', 'reminder_days');
+  value.reminder_days = reminderDays === null || reminderDays === '' ? null : parseInt(reminderDays);
+  if (value.reminder_days !== null && !(value.reminder_days >= 0 && value.reminder_days <= 365)) {
+    return { error: 'Reminder must be 0-365 days before expiry' };
+  }
+
+  return { value };
+};
+
+// expiryStatus is 'expired', 'expiring' (within the reminder lead time) or 'valid', and null
+// with daysUntilExpiry for a document without an expiry date
+const documentExpiry = (doc, today = toDateString(new Date())) => {
+  if (!doc.expiry_date) return { daysUntilExpiry: null, expiryStatus: null };
+
+  const daysUntilExpiry = Math.round((Date.parse(doc.expiry_date) - Date.parse(today)) / DAY_MS);
+  const leadDays = doc.reminder_days ?? DOCUMENT_REMINDER_DAYS;
+  const expiryStatus = daysUntilExpiry < 0 ? 'expired' : daysUntilExpiry <= leadDays ? 'expiring' : 'valid';
+  return { daysUntilExpiry, expiryStatus };
+};
+
+const formatDocument = (doc) => ({ ...doc, ...documentExpiry(doc) });
+
+const DOCUMENT_SELECT = `
+  SELECT d.*, u.display_name as uploaded_by,
+         (SELECT COUNT(*) FROM transaction_documents td JOIN transactions t ON td.transaction_id = t.id
+          WHERE td.document_id = d.id AND t.deleted_at IS NULL) as transaction_count
+  FROM documents d
+  JOIN users u ON d.user_id = u.id
+  WHERE d.deleted_at IS NULL
+`;
+
+// Upload document, optionally with issueDate, expiryDate and reminderDays
+app.post('/api/documents', authenticate, upload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const { name, category } = req.body;
+
+  const { error, value: dates } = validateDocumentDates(req.body);
+  if (error) {
+    removeDocumentFile({ file_path: req.file.filename });
+    return res.status(400).json({ error });
+  }
+
+  const id = insertDocument(req.user.id, req.file, name, category, dates);
+  recordAudit(req.user.id, 'document', id, 'create', null, documentSnapshot(id));
+
+  res.json({ id, success: true });
+});
+
+// Get documents (HOUSEHOLD MODE - shows all users' documents)
+app.get('/api/documents', authenticate, (req, res) => {
+  const { category } = req.query;
+
+  let query = DOCUMENT_SELECT;
+  const params = [];
+
+  if (category) {
+    query += ' AND d.category = ?';
+    params.push(category);
+  }
+
+  query += ' ORDER BY d.uploaded_at DESC';
+
+  const documents = db.prepare(query).all(...params).map(formatDocument);
+  res.json(documents);
+});
+
+// Documents already expired or within their reminder lead time, soonest expiry first
+app.get('/api/documents/expiring', authenticate, (req, res) => {
+  const documents = db.prepare(`${DOCUMENT_SELECT} AND d.expiry_date IS NOT NULL ORDER BY d.expiry_date`).all()
+    .map(formatDocument)
+    .filter(doc => doc.expiryStatus !== 'valid');
+  res.json(documents);
+});
+
+// Edit a document's name, category and dates (the file itself stays as uploaded)
+app.patch('/api/documents/:id', authenticate, (req, res) => {
+  const existing = db.prepare('SELECT * FROM documents WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  const name = req.body.name !== undefined ? sanitize(req.body.name, 100) : existing.name;
+  if (!name) {
+    return res.status(400).json({ error: 'Document name is required' });
+  }
+  const category = req.body.category !== undefined ? sanitize(req.body.category, 50) || 'General' : existing.category;
+
+  const { error, value } = validateDocumentDates(req.body, existing);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  auditedUpdate(req.user.id, 'document', existing.id, documentSnapshot, () => {
+    db.prepare(`
+      UPDATE documents SET name = ?, category = ?, issue_date = ?, expiry_date = ?, reminder_days = ? WHERE id = ?
+    `).run(name, category, value.issue_date, value.expiry_date, value.reminder_days, existing.id);
+  });
+
+  res.json({ success: true });
+});
+
+// Download document (any household member can download)
+app.get('/api/documents/:id/download', authenticate, (req, res) => {
+  // Trashed documents aren't served (here or by /view); restore one to open it
+  const doc = db.prepare(
+    'SELECT * FROM documents WHERE id = ? AND deleted_at IS NULL'
+  ).get(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  const filePath = path.join(DOCS_DIR, doc.file_path);
+
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found on disk' });
+  }
+
+  res.download(filePath, doc.original_name);
+});
+
+// View document (any household member can view)
+app.get('/api/documents/:id/view', authenticate, (req, res) => {
+  const doc = db.prepare(
+    'SELECT * FROM documents WHERE id = ? AND deleted_at IS NULL'
+  ).get(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  const filePath = path.join(DOCS_DIR, doc.file_path);
+
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found on disk' });
+  }
+
+  res.contentType(doc.mime_type);
+  res.sendFile(path.resolve(filePath));
+});
+
+// Delete document (any household member can delete) - moves it to the trash.
+// The file and its transaction links stay until the trash is purged.
+app.delete('/api/documents/:id', authenticate, (req, res) => {
+  const result = db.transaction(() => {
+    const before = documentSnapshot(req.params.id);
+    const trashed = db.prepare(
+      'UPDATE documents SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL'
+    ).run(trashTimestamp(), req.params.id);
+    if (trashed.changes > 0) {
+      recordAudit(req.user.id, 'document', req.params.id, 'delete', before);
+    }
+    return trashed;
+  })();
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// Get document categories (HOUSEHOLD MODE - counts all users' documents)
 app.get('/api/documents/categories', authenticate, (req, res) => {
   const categories = db.prepare(`
     SELECT DISTINCT category, COUNT(*) as count
     FROM documents
-    GROUP BY category
-    ORDER BY category
+    WHERE deleted_at IS NULL
+    GROUP BY category
+    ORDER BY category
+  `).all();
+
+  // Add default categories
+  const defaults = ['ID Documents', 'Licenses', 'Insurance', 'Medical', 'Financial', 'Receipts', 'General'];
+  const existing = categories.map(c => c.category);
+
+  for (const def of defaults) {
+    if (!existing.includes(def)) {
+      categories.push({ category: def, count: 0 });
+    }
+  }
+
+  res.json(categories.sort((a, b) => a.category.localeCompare(b.category)));
+});
+
+// ========================
+// ATTACHMENT ROUTES (transaction <-> document links)
+// ========================
+
+const linkDocument = (transactionId, documentId) => db.prepare(
+  'INSERT OR IGNORE INTO transaction_documents (transaction_id, document_id) VALUES (?, ?)'
+).run(transactionId, documentId);
+
+const unlinkDocument = (transactionId, documentId) => db.prepare(
+  'DELETE FROM transaction_documents WHERE transaction_id = ? AND document_id = ?'
+).run(transactionId, documentId);
+
+// Documents attached to a transaction
+app.get('/api/transactions/:id/documents', authenticate, (req, res) => {
+  const documents = db.prepare(`
+    SELECT d.*, u.display_name as uploaded_by
+    FROM transaction_documents td
+    JOIN documents d ON td.document_id = d.id
+    JOIN users u ON d.user_id = u.id
+    WHERE td.transaction_id = ? AND d.deleted_at IS NULL
+    ORDER BY td.created_at ASC
+  `).all(req.params.id);
+
+  res.json(documents);
+});
+
+// Attach receipts: upload new files (multipart "files", saved to Documents under
+// "Receipts" unless a category is given) or link an existing document ({ documentId })
+app.post('/api/transactions/:id/documents', authenticate, upload.array('files', 5), (req, res) => {
+  const files = req.files || [];
+  const transaction = db.prepare(
+    'SELECT id, merchant, date FROM transactions WHERE id = ? AND deleted_at IS NULL'
+  ).get(req.params.id);
+
+  if (!transaction) {
+    files.forEach(file => removeDocumentFile({ file_path: file.filename }));
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+
+  if (files.length > 0) {
+    const category = sanitize(req.body.category, 50) || 'Receipts';
+    const ids = db.transaction(() => auditedUpdate(req.user.id, 'transaction', transaction.id, transactionSnapshot, () =>
+      files.map((file, i) => {
+        // Name receipts after the transaction so they're findable in Documents
+        const name = transaction.merchant
+          ? `${transaction.merchant} ${transaction.date}${files.length > 1 ? ` (${i + 1})` : ''}`
+          : null;
+        const documentId = insertDocument(req.user.id, file, name, category);
+        recordAudit(req.user.id, 'document', documentId, 'create', null, documentSnapshot(documentId));
+        linkDocument(transaction.id, documentId);
+        return documentId;
+      })
+    ))();
+
+    return res.json({ documentIds: ids, success: true });
+  }
+
+  const { documentId } = req.body;
+  if (!documentId) {
+    return res.status(400).json({ error: 'No file uploaded or document selected' });
+  }
+
+  if (!db.prepare('SELECT id FROM documents WHERE id = ? AND deleted_at IS NULL').get(documentId)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  auditedUpdate(req.user.id, 'transaction', transaction.id, transactionSnapshot,
+    () => linkDocument(transaction.id, documentId));
+  res.json({ documentIds: [Number(documentId)], success: true });
+});
+
+// Detach a document - the document itself stays in Documents
+app.delete('/api/transactions/:id/documents/:documentId', authenticate, (req, res) => {
+  const result = auditedUpdate(req.user.id, 'transaction', req.params.id, transactionSnapshot,
+    () => unlinkDocument(req.params.id, req.params.documentId));
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// Transactions a document is attached to
+app.get('/api/documents/:id/transactions', authenticate, (req, res) => {
+  const transactions = db.prepare(`
+    SELECT t.*, ${CATEGORY_COLUMNS_SQL}
+    FROM transaction_documents td
+    JOIN transactions t ON td.transaction_id = t.id
+    LEFT JOIN categories c ON t.category_id = c.id
+    WHERE td.document_id = ? AND t.deleted_at IS NULL
+    ORDER BY t.date DESC
+  `).all(req.params.id);
+
+  res.json(transactions);
+});
+
+app.post('/api/documents/:id/transactions', authenticate, (req, res) => {
+  const { transactionId } = req.body;
+
+  if (!db.prepare('SELECT id FROM documents WHERE id = ? AND deleted_at IS NULL').get(req.params.id)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  if (!transactionId || !db.prepare('SELECT id FROM transactions WHERE id = ? AND deleted_at IS NULL').get(transactionId)) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+
+  auditedUpdate(req.user.id, 'transaction', transactionId, transactionSnapshot,
+    () => linkDocument(transactionId, req.params.id));
+  res.json({ success: true });
+});
+
+app.delete('/api/documents/:id/transactions/:transactionId', authenticate, (req, res) => {
+  const result = auditedUpdate(req.user.id, 'transaction', req.params.transactionId, transactionSnapshot,
+    () => unlinkDocument(req.params.transactionId, req.params.id));
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// ========================
+// ACTIVITY ROUTES
+// ========================
+
+// Audit entries with who made them and the entity's current name
+// (purged entities fall back to the name in their last snapshot)
+const AUDIT_SELECT = `
+  SELECT a.*, u.display_name as user_name,
+         CASE a.entity_type
+           WHEN 'transaction' THEN (
+             SELECT COALESCE(c.name, 'Transfer') || COALESCE(' • ' || t.merchant, '')
+             FROM transactions t LEFT JOIN categories c ON t.category_id = c.id WHERE t.id = a.entity_id
+           )
+           WHEN 'document' THEN (SELECT name FROM documents WHERE id = a.entity_id)
+           WHEN 'category' THEN (SELECT name FROM categories WHERE id = a.entity_id)
+           WHEN 'user' THEN (SELECT display_name FROM users WHERE id = a.entity_id)
+           WHEN 'rule' THEN (SELECT name FROM categorization_rules WHERE id = a.entity_id)
+           WHEN 'merchant' THEN (SELECT name FROM merchants WHERE id = a.entity_id)
+           WHEN 'account' THEN (SELECT name FROM accounts WHERE id = a.entity_id)
+           WHEN 'rate' THEN (SELECT currency || ' on ' || date FROM exchange_rates WHERE id = a.entity_id)
+           WHEN 'goal' THEN (SELECT name FROM savings_goals WHERE id = a.entity_id)
+           WHEN 'bill' THEN (SELECT payee FROM bills WHERE id = a.entity_id)
+         END as label
+  FROM audit_log a
+  LEFT JOIN users u ON a.user_id = u.id
+`;
+
+const formatAuditEntry = ({ before_json, after_json, ...entry }) => {
+  const before = before_json ? JSON.parse(before_json) : null;
+  const after = after_json ? JSON.parse(after_json) : null;
+  const snapshot = after || before || {};
+
+  return {
+    ...entry,
+    label: entry.label || snapshot.name || snapshot.displayName ||
+      [snapshot.category, snapshot.merchant].filter(Boolean).join(' • ') || null,
+    before,
+    after
+  };
+};
+
+// Full history of one transaction, oldest first (still available after it is purged)
+app.get('/api/transactions/:id/history', authenticate, (req, res) => {
+  const entries = db.prepare(`
+    ${AUDIT_SELECT}
+    WHERE a.entity_type = 'transaction' AND a.entity_id = ?
+    ORDER BY a.created_at ASC, a.id ASC
+  `).all(req.params.id);
+
+  res.json(entries.map(formatAuditEntry));
+});
+
+// Household activity feed, newest first
+app.get('/api/activity', authenticate, (req, res) => {
+  const { entityType, userId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  let query = `${AUDIT_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (entityType) {
+    query += ' AND a.entity_type = ?';
+    params.push(entityType);
+  }
+
+  if (userId) {
+    query += ' AND a.user_id = ?';
+    params.push(parseInt(userId));
+  }
+
+  query += ' ORDER BY a.created_at DESC, a.id DESC LIMIT ? OFFSET ?';
+  params.push(limit, offset);
+
+  res.json(db.prepare(query).all(...params).map(formatAuditEntry));
+});
+
+// ========================
+// TRASH ROUTES
+// ========================
+// Deletes are soft: rows get a deleted_at and drop out of every list, summary and chart.
+// They can be restored until purged, automatically after TRASH_RETENTION_DAYS.
+
+// Same format as CURRENT_TIMESTAMP so SQLite date functions can compare it
+const trashTimestamp = () => new Date().toISOString().replace('T', ' ').slice(0, 19);
+
+// userId is null when retention purges automatically
+const purgeTransaction = (id, userId, source = null) => db.transaction(() => {
+  const before = transactionSnapshot(id);
+  db.prepare('DELETE FROM transaction_splits WHERE transaction_id = ?').run(id);
+  db.prepare('DELETE FROM transaction_tags WHERE transaction_id = ?').run(id);
+  db.prepare('DELETE FROM transaction_documents WHERE transaction_id = ?').run(id);
+  db.prepare('DELETE FROM bill_payments WHERE transaction_id = ?').run(id);
+  const result = db.prepare('DELETE FROM transactions WHERE id = ? AND deleted_at IS NOT NULL').run(id);
+  if (result.changes > 0) recordAudit(userId, 'transaction', id, 'purge', before, null, source);
+  return result;
+})();
+
+const purgeDocument = (doc, userId, source = null) => {
+  db.transaction(() => {
+    recordAudit(userId, 'document', doc.id, 'purge', documentSnapshot(doc.id), null, source);
+    db.prepare('DELETE FROM transaction_documents WHERE document_id = ?').run(doc.id);
+    db.prepare('DELETE FROM documents WHERE id = ?').run(doc.id);
+  })();
+  // File goes only after the rows are gone
+  removeDocumentFile(doc);
+};
+
+// Permanently delete everything trashed before the cutoff (all of it when no cutoff)
+const purgeTrash = (userId, cutoff = null) => {
+  const where = cutoff ? 'deleted_at IS NOT NULL AND deleted_at < ?' : 'deleted_at IS NOT NULL';
+  const args = cutoff ? [cutoff] : [];
+  const source = cutoff ? 'retention' : null;
+
+  const transactions = db.prepare(`SELECT id FROM transactions WHERE ${where}`).all(...args);
+  transactions.forEach(t => purgeTransaction(t.id, userId, source));
+
+  const documents = db.prepare(`SELECT * FROM documents WHERE ${where}`).all(...args);
+  documents.forEach(doc => purgeDocument(doc, userId, source));
+
+  return { transactions: transactions.length, documents: documents.length };
+};
+
+const purgeExpiredTrash = () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const purged = purgeTrash(null, cutoff.toISOString().replace('T', ' ').slice(0, 19));
+  if (purged.transactions > 0 || purged.documents > 0) {
+    console.log(`Trash: Purged ${purged.transactions} transaction(s) and ${purged.documents} document(s) older than ${TRASH_RETENTION_DAYS} days`);
+  }
+};
+
+// List trashed items, newest first, with the date each will be purged
+app.get('/api/trash', authenticate, (req, res) => {
+  const purgeAt = (column) => `date(${column}, '+${TRASH_RETENTION_DAYS} days')`;
+
+  const transactions = db.prepare(`
+    SELECT t.id, t.type, t.amount, t.merchant, t.note, t.date, t.deleted_at,
+           ${purgeAt('t.deleted_at')} as purge_at,
+           ${CATEGORY_COLUMNS_SQL}
+    FROM transactions t
+    LEFT JOIN categories c ON t.category_id = c.id
+    WHERE t.deleted_at IS NOT NULL
+    ORDER BY t.deleted_at DESC
+  `).all();
+
+  const documents = db.prepare(`
+    SELECT id, name, category, mime_type, file_size, deleted_at, ${purgeAt('deleted_at')} as purge_at
+    FROM documents
+    WHERE deleted_at IS NOT NULL
+    ORDER BY deleted_at DESC
   `).all();
 
-  // Add default categories
-  const defaults = ['ID Documents', 'Licenses', 'Insurance', 'Medical', 'Financial', 'General'];
-  const existing = categories.map(c => c.category);
+  res.json({ retentionDays: TRASH_RETENTION_DAYS, transactions, documents });
+});
 
-  for (const def of defaults) {
-    if (!existing.includes(def)) {
-      categories.push({ category: def, count: 0 });
+// Restore a transaction, along with any attachments trashed together with it
+app.post('/api/trash/transactions/:id/restore', authenticate, (req, res) => {
+  const transaction = db.prepare(
+    'SELECT id, deleted_at FROM transactions WHERE id = ? AND deleted_at IS NOT NULL'
+  ).get(req.params.id);
+
+  if (!transaction) {
+    return res.status(404).json({ error: 'Transaction not found in trash' });
+  }
+
+  db.transaction(() => {
+    const documents = db.prepare(`
+      SELECT id FROM documents
+      WHERE deleted_at = ? AND id IN (SELECT document_id FROM transaction_documents WHERE transaction_id = ?)
+    `).all(transaction.deleted_at, transaction.id);
+    for (const doc of documents) {
+      db.prepare('UPDATE documents SET deleted_at = NULL WHERE id = ?').run(doc.id);
+      recordAudit(req.user.id, 'document', doc.id, 'restore', null, documentSnapshot(doc.id));
     }
+    db.prepare('UPDATE transactions SET deleted_at = NULL WHERE id = ?').run(transaction.id);
+    recordAudit(req.user.id, 'transaction', transaction.id, 'restore', null, transactionSnapshot(transaction.id));
+  })();
+
+  res.json({ success: true });
+});
+
+app.post('/api/trash/documents/:id/restore', authenticate, (req, res) => {
+  const result = db.prepare(
+    'UPDATE documents SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL'
+  ).run(req.params.id);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Document not found in trash' });
   }
 
-  res.json(categories.sort((a, b) => a.category.localeCompare(b.category)));
+  recordAudit(req.user.id, 'document', req.params.id, 'restore', null, documentSnapshot(req.params.id));
+
+  res.json({ success: true });
+});
+
+// Permanent delete - only for items already in the trash
+app.delete('/api/trash/transactions/:id', authenticate, (req, res) => {
+  const result = purgeTransaction(req.params.id, req.user.id);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Transaction not found in trash' });
+  }
+
+  res.json({ success: true });
+});
+
+app.delete('/api/trash/documents/:id', authenticate, (req, res) => {
+  const doc = db.prepare(
+    'SELECT * FROM documents WHERE id = ? AND deleted_at IS NOT NULL'
+  ).get(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found in trash' });
+  }
+
+  purgeDocument(doc, req.user.id);
+  res.json({ success: true });
+});
+
+// Empty the trash
+app.delete('/api/trash', authenticate, (req, res) => {
+  const purged = purgeTrash(req.user.id);
+  res.json({ success: true, ...purged });
+});
+
+// ========================
+// BACKUP & RESTORE
+// ========================
+
+// A backup is a gzipped tar archive: manifest.json first, then expense.db (an online
+// snapshot) and every file in DOCS_DIR under documents/. The manifest lists each file
+// with its size and SHA-256 so a restore can prove the archive is complete.
+const BACKUP_FORMAT = 'dandstrack-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+const backupStamp = (date = new Date()) =>
+  date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+
+const sha256File = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+};
+
+// Regular files in DOCS_DIR, skipping dotfiles such as .gitkeep
+const listDocumentFiles = () => fs.readdirSync(DOCS_DIR, { withFileTypes: true })
+  .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+  .map(entry => entry.name);
+
+// 512-byte ustar header for a regular file. Paths over 100 bytes use the prefix field.
+const tarHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(512);
+  let prefix = '';
+  if (Buffer.byteLength(name) > 100) {
+    const slash = name.lastIndexOf('/');
+    prefix = name.slice(0, slash);
+    name = name.slice(slash + 1);
+    if (slash < 0 || Buffer.byteLength(name) > 100 || Buffer.byteLength(prefix) > 155) {
+      throw new Error(`Path too long for backup archive: ${prefix}/${name}`);
+    }
+  }
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+  header.write(name, 0, 100);
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime / 1000), 12), 136);
+  header.write('        ', 148); // checksum is computed with this field as spaces
+  header.write('0', 156);
+  header.write('ustar\u000000', 257);
+  header.write(prefix, 345, 155);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(octal(checksum, 7) + ' ', 148);
+  return header;
+};
+
+const tarPadding = (size) => Buffer.alloc((512 - (size % 512)) % 512);
+
+// Streams a full backup into output (a file or the HTTP response) and resolves with the
+// manifest once it is flushed. The database is copied with better-sqlite3's online
+// backup(), so it is consistent even while the app is in use.
+const writeBackupArchive = async (output, { createdBy = null } = {}) => {
+  fs.mkdirSync(TMP_DIR, { recursive: true });
+  const snapshotPath = path.join(TMP_DIR, `snapshot-${Date.now()}-${Math.round(Math.random() * 1E9)}.db`);
+  await db.backup(snapshotPath);
+
+  try {
+    const files = [{ path: 'expense.db', source: snapshotPath }];
+    for (const name of listDocumentFiles()) {
+      files.push({ path: `documents/${name}`, source: path.join(DOCS_DIR, name) });
+    }
+
+    // Checksums first, so the manifest can lead the archive
+    const entries = [];
+    for (const file of files) {
+      try {
+        const { size, mtimeMs } = fs.statSync(file.source);
+        entries.push({ ...file, size, mtimeMs, sha256: await sha256File(file.source) });
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err; // deleted since listing
+      }
+    }
+
+    const snapshot = new Database(snapshotPath, { readonly: true });
+    let counts;
+    try {
+      counts = {
+        users: snapshot.prepare('SELECT COUNT(*) as count FROM users').get().count,
+        transactions: snapshot.prepare('SELECT COUNT(*) as count FROM transactions WHERE deleted_at IS NULL').get().count,
+        documents: snapshot.prepare('SELECT COUNT(*) as count FROM documents WHERE deleted_at IS NULL').get().count
+      };
+    } finally {
+      snapshot.close();
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      appVersion: APP_VERSION,
+      schemaVersion: db.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      counts,
+      files: entries.map(entry => ({ path: entry.path, size: entry.size, sha256: entry.sha256 }))
+    };
+
+    const manifestData = Buffer.from(JSON.stringify(manifest, null, 2));
+    async function* tarChunks() {
+      yield tarHeader('manifest.json', manifestData.length, Date.now());
+      yield manifestData;
+      yield tarPadding(manifestData.length);
+
+      for (const entry of entries) {
+        yield tarHeader(entry.path, entry.size, entry.mtimeMs);
+        let written = 0;
+        if (entry.size > 0) {
+          for await (const chunk of fs.createReadStream(entry.source, { end: entry.size - 1 })) {
+            written += chunk.length;
+            yield chunk;
+          }
+        }
+        if (written !== entry.size) throw new Error(`${entry.path} changed while it was being backed up`);
+        yield tarPadding(entry.size);
+      }
+
+      yield Buffer.alloc(1024); // two zero blocks end the archive
+    }
+
+    // pipeline tears everything down if the client goes away mid-download
+    await pipeline(tarChunks, zlib.createGzip(), output);
+    return manifest;
+  } finally {
+    fs.rmSync(snapshotPath, { force: true });
+  }
+};
+
+// Writes a backup to filePath via a .partial file, so a failed run never leaves
+// something that looks like a complete archive
+let activeBackupPath = null; // .partial file being written right now, if any
+
+const writeBackupFile = async (filePath, options) => {
+  const partialPath = `${filePath}.partial`;
+  const output = fs.createWriteStream(partialPath);
+  activeBackupPath = partialPath;
+  try {
+    const manifest = await writeBackupArchive(output, options);
+    fs.renameSync(partialPath, filePath);
+    return manifest;
+  } catch (err) {
+    output.destroy();
+    fs.rmSync(partialPath, { force: true });
+    throw err;
+  } finally {
+    activeBackupPath = null;
+  }
+};
+
+// Only the paths a backup can contain: no directories, links or ../ tricks
+const isAllowedBackupPath = (name) =>
+  name === 'manifest.json' || name === 'expense.db' ||
+  /^documents\/[^/\\]+$/.test(name) && !['documents/.', 'documents/..'].includes(name);
+
+// Unpacks a backup archive into destDir and returns the extracted paths. Anything
+// that isn't a plain file at an allowed path rejects the whole archive.
+const extractBackupArchive = async (archivePath, destDir) => {
+  const extracted = [];
+  let buffer = Buffer.alloc(0);
+  let current = null; // file being written: { fd, remaining, padding }
+  let ended = false;
+
+  const parseHeader = (header) => {
+    const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+    const stored = parseInt(field(148, 8).trim(), 8);
+    const checksum = header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 32 : byte), 0);
+    if (stored !== checksum) throw new Error('Archive is corrupt (bad header checksum)');
+
+    const prefix = field(345, 155);
+    const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+    const type = field(156, 1) || '0';
+    const size = parseInt(field(124, 12).trim(), 8) || 0;
+    if (type === '5' && /^documents\/?$/.test(name)) return { name: null, size }; // directory entry from re-packing
+    if (type !== '0' || !isAllowedBackupPath(name)) throw new Error(`Unexpected entry in archive: ${name}`);
+    if (extracted.includes(name)) throw new Error(`Duplicate entry in archive: ${name}`);
+    return { name, size };
+  };
+
+  try {
+    const input = fs.createReadStream(archivePath).pipe(zlib.createGunzip());
+    for await (const chunk of input) {
+      if (ended) continue;
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+      while (!ended) {
+        if (current) {
+          if (current.remaining > 0) {
+            if (buffer.length === 0) break;
+            const piece = buffer.subarray(0, Math.min(current.remaining, buffer.length));
+            fs.writeSync(current.fd, piece);
+            current.remaining -= piece.length;
+            buffer = buffer.subarray(piece.length);
+            continue;
+          }
+          if (buffer.length < current.padding) break;
+          buffer = buffer.subarray(current.padding);
+          fs.closeSync(current.fd);
+          current = null;
+          continue;
+        }
+
+        if (buffer.length < 512) break;
+        const header = buffer.subarray(0, 512);
+        buffer = buffer.subarray(512);
+        if (header.every(byte => byte === 0)) {
+          ended = true;
+          break;
+        }
+
+        const { name, size } = parseHeader(header);
+        if (!name) continue;
+        const target = path.join(destDir, name);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        current = { fd: fs.openSync(target, 'w'), remaining: size, padding: tarPadding(size).length };
+        extracted.push(name);
+      }
+    }
+    if (current || !ended) throw new Error('Archive is truncated');
+  } catch (err) {
+    if (err.code === 'Z_DATA_ERROR') throw new Error('Not a gzip backup archive');
+    if (err.code === 'Z_BUF_ERROR') throw new Error('Archive is truncated');
+    throw err;
+  } finally {
+    if (current) fs.closeSync(current.fd);
+  }
+
+  return extracted;
+};
+
+// Checks an extracted backup against its manifest and opens the database. Throws
+// with a user-facing message; the caller closes the returned database.
+const validateBackup = async (stagingDir, extracted) => {
+  if (!extracted.includes('manifest.json')) throw new Error('Archive has no manifest.json - is this a backup from this app?');
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(stagingDir, 'manifest.json'), 'utf8'));
+  } catch (err) {
+    throw new Error('Backup manifest is not valid JSON');
+  }
+  if (manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+    throw new Error('Archive is not a backup from this app');
+  }
+  if (manifest.formatVersion > BACKUP_FORMAT_VERSION || manifest.schemaVersion > latestVersion()) {
+    throw new Error(`Backup was made by a newer version of the app (${manifest.appVersion}) - update before restoring`);
+  }
+
+  const listed = new Set(manifest.files.map(file => file.path));
+  const unlisted = extracted.find(name => name !== 'manifest.json' && !listed.has(name));
+  if (unlisted) throw new Error(`Archive contains a file not in the manifest: ${unlisted}`);
+  if (!listed.has('expense.db')) throw new Error('Backup has no database');
+
+  for (const file of manifest.files) {
+    if (!extracted.includes(file.path)) throw new Error(`Backup is missing ${file.path}`);
+    const filePath = path.join(stagingDir, file.path);
+    if (fs.statSync(filePath).size !== file.size || await sha256File(filePath) !== file.sha256) {
+      throw new Error(`Checksum mismatch for ${file.path} - the archive is damaged`);
+    }
+  }
+
+  let staged;
+  try {
+    staged = new Database(path.join(stagingDir, 'expense.db'), { fileMustExist: true });
+    if (staged.pragma('integrity_check', { simple: true }) !== 'ok') throw new Error('integrity check failed');
+    staged.prepare('SELECT COUNT(*) FROM users').get();
+  } catch (err) {
+    if (staged) staged.close();
+    throw new Error(`Backup database is unusable: ${err.message}`);
+  }
+
+  return { manifest, staged };
+};
+
+// Replaces DOCS_DIR's files with the restored set. New files are copied in before
+// old ones are removed, so a failure part-way never loses a file that was referenced.
+const replaceDocumentFiles = (sourceDir) => {
+  const restored = fs.existsSync(sourceDir) ? fs.readdirSync(sourceDir) : [];
+  for (const name of restored) {
+    fs.copyFileSync(path.join(sourceDir, name), path.join(DOCS_DIR, name));
+  }
+  const keep = new Set(restored);
+  for (const name of listDocumentFiles()) {
+    if (!keep.has(name)) fs.rmSync(path.join(DOCS_DIR, name), { force: true });
+  }
+};
+
+// One backup or restore at a time - a restore must not interleave with a snapshot
+let backupBusy = false;
+
+app.get('/api/backup', authenticate, async (req, res) => {
+  if (backupBusy) {
+    return res.status(409).json({ error: 'A backup or restore is already running' });
+  }
+
+  backupBusy = true;
+  try {
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="dandstrack-backup-${backupStamp()}.tar.gz"`);
+    await writeBackupArchive(res, { createdBy: req.user.username });
+  } catch (err) {
+    console.error('Backup error:', err);
+    if (!res.headersSent && !res.destroyed) {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Failed to create backup' });
+    } else {
+      res.destroy(err); // cut the download short so it can't be mistaken for a good archive
+    }
+  } finally {
+    backupBusy = false;
+  }
+});
+
+app.post('/api/backup/restore', authenticate, (req, res) => {
+  if (backupBusy) {
+    return res.status(409).json({ error: 'A backup or restore is already running' });
+  }
+
+  backupBusy = true;
+  backupUpload.single('file')(req, res, async (uploadErr) => {
+    const stagingDir = path.join(TMP_DIR, `restore-${Date.now()}`);
+    let staged = null;
+
+    try {
+      if (uploadErr) {
+        const message = uploadErr.code === 'LIMIT_FILE_SIZE' ? 'Backup file is too large' : uploadErr.message;
+        return res.status(400).json({ error: message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: 'No backup file uploaded' });
+      }
+
+      let manifest;
+      try {
+        const extracted = await extractBackupArchive(req.file.path, stagingDir);
+        ({ manifest, staged } = await validateBackup(stagingDir, extracted));
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      // Bring an older backup up to this version's schema before it goes live
+      const migrated = runMigrations(staged, { backupDir: null });
+
+      // Keep what's being replaced, in case the wrong file was picked
+      fs.mkdirSync(SAFETY_BACKUP_DIR, { recursive: true });
+      const safetyName = `pre-restore-${backupStamp()}.tar.gz`;
+      await writeBackupFile(path.join(SAFETY_BACKUP_DIR, safetyName), { createdBy: req.user.username });
+
+      // Copy the restored database over the live one through SQLite's backup API, so the
+      // open connection (and its prepared statements) carry on against the new data
+      await staged.backup(DB_PATH);
+      replaceDocumentFiles(path.join(stagingDir, 'documents'));
+
+      console.log(`Restored backup from ${manifest.createdAt} (${req.user.username}); previous data saved to ${safetyName}`);
+      res.json({
+        success: true,
+        backup: { createdAt: manifest.createdAt, appVersion: manifest.appVersion, counts: manifest.counts },
+        migrated,
+        safetyBackup: safetyName
+      });
+    } catch (err) {
+      console.error('Restore error:', err);
+      res.status(500).json({ error: 'Failed to restore backup' });
+    } finally {
+      if (staged) staged.close();
+      if (req.file) fs.rmSync(req.file.path, { force: true });
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+      backupBusy = false;
+    }
+  });
+});
+
+// ========================
+// SCHEDULED BACKUPS
+// ========================
+
+// Snapshots (dandstrack-<stamp>.tar.gz) are taken nightly at BACKUP_SCHEDULE, or on demand,
+// into BACKUP_DIR and rotated there. Safety copies in SAFETY_BACKUP_DIR are listed too
+// but never rotated.
+const SNAPSHOT_PATTERN = /^(dandstrack|pre-restore|pre-migration)-(\d{8}-\d{6})\.(tar\.gz|db)(\.partial)?$/;
+const SNAPSHOT_KINDS = { dandstrack: 'snapshot', 'pre-restore': 'pre-restore', 'pre-migration': 'pre-migration' };
+
+const scheduleValid = /^([01]\d|2[0-3]):[0-5]\d$/.test(BACKUP_SCHEDULE);
+if (!scheduleValid && BACKUP_SCHEDULE !== 'off') {
+  console.warn(`BACKUP_SCHEDULE "${BACKUP_SCHEDULE}" is not HH:MM or "off" - automatic backups are disabled`);
+}
+
+let lastBackupRun = null; // { trigger, startedAt, finishedAt, status, file, error } since startup
+
+// backupStamp() is UTC: 20261019-023000 -> Date
+const parseBackupStamp = (stamp) => new Date(
+  `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}Z`
+);
+
+// Every backup file on disk, newest first. filePath is internal - strip it before sending.
+const listSnapshots = () => {
+  const snapshots = [];
+  for (const dir of new Set([path.resolve(BACKUP_DIR), path.resolve(SAFETY_BACKUP_DIR)])) {
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir)) {
+      const match = name.match(SNAPSHOT_PATTERN);
+      if (!match) continue;
+      const filePath = path.join(dir, name);
+      const status = !match[4] ? 'ok' : filePath === path.resolve(activeBackupPath || '') ? 'in-progress' : 'incomplete';
+      snapshots.push({
+        name,
+        kind: SNAPSHOT_KINDS[match[1]],
+        createdAt: parseBackupStamp(match[2]).toISOString(),
+        size: fs.statSync(filePath).size,
+        status,
+        filePath
+      });
+    }
+  }
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// Newest complete archive of the whole app (database-only pre-migration copies don't count)
+const lastGoodBackup = () =>
+  listSnapshots().find(snapshot => snapshot.status === 'ok' && snapshot.kind !== 'pre-migration') || null;
+
+// Grandfather-father-son rotation: keep the newest snapshot of each of the last N days,
+// weeks and months (server time). The newest snapshot always stays.
+const pruneSnapshots = () => {
+  const snapshots = listSnapshots().filter(snapshot => snapshot.kind === 'snapshot');
+  const dayKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+  const periods = [
+    [BACKUP_KEEP.daily, dayKey],
+    [BACKUP_KEEP.weekly, (date) => {
+      const monday = new Date(date);
+      monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      return dayKey(monday);
+    }],
+    [BACKUP_KEEP.monthly, (date) => `${date.getFullYear()}-${date.getMonth() + 1}`]
+  ];
+
+  const good = snapshots.filter(snapshot => snapshot.status === 'ok');
+  const keep = new Set(good.slice(0, 1).map(snapshot => snapshot.name));
+  for (const [limit, periodKey] of periods) {
+    const seen = new Set();
+    for (const snapshot of good) {
+      const key = periodKey(new Date(snapshot.createdAt));
+      if (seen.has(key) || seen.size >= limit) continue;
+      seen.add(key);
+      keep.add(snapshot.name);
+    }
+  }
+
+  // Leftovers from interrupted runs go too
+  const pruned = snapshots.filter(snapshot => snapshot.status !== 'in-progress' && !keep.has(snapshot.name));
+  pruned.forEach(snapshot => fs.rmSync(snapshot.filePath, { force: true }));
+  return pruned.map(snapshot => snapshot.name);
+};
+
+// Takes a snapshot into BACKUP_DIR and rotates old ones. Throws (and records the failure in
+// lastBackupRun) if it can't; err.busy is set when another backup or restore is running.
+const takeSnapshot = async (trigger, createdBy = null) => {
+  if (backupBusy) {
+    throw Object.assign(new Error('A backup or restore is already running'), { busy: true });
+  }
+
+  backupBusy = true;
+  const run = { trigger, startedAt: new Date().toISOString(), status: 'running', file: `dandstrack-${backupStamp()}.tar.gz` };
+  lastBackupRun = run;
+  try {
+    if (!fs.existsSync(BACKUP_DIR)) {
+      // An unmounted drive must not silently fill the SD card's mount point instead
+      if (process.env.BACKUP_DIR) throw new Error(`Backup directory ${BACKUP_DIR} not found - is the drive mounted?`);
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    }
+    await writeBackupFile(path.join(BACKUP_DIR, run.file), { createdBy });
+    run.status = 'ok';
+    run.pruned = pruneSnapshots();
+    return run;
+  } catch (err) {
+    run.status = 'failed';
+    run.error = err.message;
+    throw err;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    backupBusy = false;
+  }
+};
+
+const runScheduledBackup = async () => {
+  try {
+    const run = await takeSnapshot('schedule');
+    console.log(`Backup: wrote ${run.file}${run.pruned.length ? `, rotated out ${run.pruned.length}` : ''}`);
+  } catch (err) {
+    if (err.busy) {
+      setTimeout(runScheduledBackup, 15 * 60 * 1000); // try again once the other one finishes
+      return;
+    }
+    console.error('Scheduled backup failed:', err.message);
+  }
+};
+
+// Waits for the next BACKUP_SCHEDULE time (server time, so set TZ), then backs up and repeats
+const scheduleNextBackup = () => {
+  const [hours, minutes] = BACKUP_SCHEDULE.split(':').map(Number);
+  const next = new Date();
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= new Date()) next.setDate(next.getDate() + 1);
+
+  setTimeout(async () => {
+    await runScheduledBackup();
+    scheduleNextBackup();
+  }, next - Date.now());
+};
+
+const backupSettings = () => ({
+  backupDir: path.resolve(BACKUP_DIR),
+  schedule: scheduleValid ? BACKUP_SCHEDULE : 'off',
+  retention: BACKUP_KEEP
+});
+
+app.get('/api/backups', authenticate, (req, res) => {
+  try {
+    const snapshots = listSnapshots().map(({ filePath, ...snapshot }) => snapshot);
+    const lastGood = snapshots.find(snapshot => snapshot.status === 'ok' && snapshot.kind !== 'pre-migration');
+    res.json({
+      ...backupSettings(),
+      lastGoodAt: lastGood ? lastGood.createdAt : null,
+      lastRun: lastBackupRun,
+      snapshots
+    });
+  } catch (err) {
+    console.error('List backups error:', err);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+// Back up to BACKUP_DIR now, outside the schedule
+app.post('/api/backups', authenticate, async (req, res) => {
+  try {
+    const run = await takeSnapshot('manual', req.user.username);
+    res.json({ success: true, ...run });
+  } catch (err) {
+    if (err.busy) return res.status(409).json({ error: err.message });
+    console.error('Backup error:', err);
+    res.status(500).json({ error: `Backup failed: ${err.message}` });
+  }
+});
+
+app.get('/api/backups/:name/download', authenticate, (req, res) => {
+  const snapshot = listSnapshots().find(item => item.name === req.params.name && item.status === 'ok');
+  if (!snapshot) {
+    return res.status(404).json({ error: 'Backup not found' });
+  }
+  res.download(snapshot.filePath, snapshot.name);
 });
 
 // ========================
@@ -1135,9 +5528,16 @@ app.get('/api/health', (req, res) => {
   try {
     // Quick DB check
     db.prepare('SELECT 1').get();
+    const lastGood = lastGoodBackup();
     res.json({
       status: 'healthy',
-      version: '1.5.0',
+      version: APP_VERSION,
+      schemaVersion: db.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version,
+      backup: {
+        lastGoodAt: lastGood ? lastGood.createdAt : null,
+        ageHours: lastGood ? Math.round((Date.now() - new Date(lastGood.createdAt)) / 36e5 * 10) / 10 : null,
+        lastRunStatus: lastBackupRun ? lastBackupRun.status : null
+      },
       timestamp: new Date().toISOString()
     });
   } catch (err) {
@@ -1156,10 +5556,29 @@ app.use('/api/*', (req, res) => {
   res.status(404).json({ error: 'API endpoint not found' });
 });
 
+// Post recurring transactions that fell due while the server was down, then check hourly
+postDueRecurring();
+setInterval(postDueRecurring, 60 * 60 * 1000);
+
+// Purge trash past its retention period, then check daily
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, 24 * 60 * 60 * 1000);
+
+// Forget old idempotency keys, then daily
+pruneIdempotencyKeys();
+setInterval(pruneIdempotencyKeys, 24 * 60 * 60 * 1000);
+
+// Nightly backups; if the last good one is over a day old (server was off), take one now
+if (scheduleValid) {
+  const lastGood = lastGoodBackup();
+  if (!lastGood || Date.now() - new Date(lastGood.createdAt) > 24 * 60 * 60 * 1000) runScheduledBackup();
+  scheduleNextBackup();
+}
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
-║         D&S Expense Tracker v1.5.0 - Server Started          ║
+║         D&S Expense Tracker v${APP_VERSION} - Server Started          ║
 ╚═══════════════════════════════════════════════════════════════╝
 
 🚀 Server running on port ${PORT}